@@ -108,6 +108,7 @@ gcloud run deploy xendit-api \
   --set-env-vars "XENDIT_API_KEY=$XENDIT_API_KEY" \
   --set-env-vars "XENDIT_BASE_URL=https://api.xendit.co" \
   --set-env-vars "XENDIT_API_VERSION=2024-11-11" \
+  --set-env-vars "XENDIT_BUSINESS_ID=$XENDIT_BUSINESS_ID" \
   --set-env-vars "WEBHOOK_CALLBACK_TOKEN=$WEBHOOK_CALLBACK_TOKEN" \
   --set-env-vars "FIREBASE_PROJECT_ID=$PROJECT_ID" \
   --set-env-vars "LOG_LEVEL=info" \
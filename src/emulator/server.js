@@ -0,0 +1,18 @@
+require('dotenv').config();
+const logger = require('../shared/utils/logger');
+const { createXenditEmulator } = require('./xenditEmulator');
+
+// Run the API with XENDIT_BASE_URL=http://localhost:<EMULATOR_PORT> to use it
+const PORT = process.env.EMULATOR_PORT || 4010;
+
+const { app } = createXenditEmulator();
+
+const server = app.listen(PORT, () => {
+  logger.info(`Xendit emulator running on port ${PORT}`, {
+    webhookUrl: process.env.EMULATOR_WEBHOOK_URL || 'http://localhost:3000/api/v1/webhooks',
+    hasWebhookToken: !!process.env.WEBHOOK_CALLBACK_TOKEN
+  });
+});
+
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
+process.on('SIGINT', () => server.close(() => process.exit(0)));
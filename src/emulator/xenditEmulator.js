@@ -0,0 +1,761 @@
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const logger = require('../shared/utils/logger');
+const { intFromEnv } = require('../shared/utils/env');
+
+const DEFAULT_BUSINESS_ID = '5f27a14a9bf05c73dd040bc8';
+
+// Payment request statuses that can still receive a payment
+const OPEN_PAYMENT_REQUEST_STATUSES = ['REQUIRES_ACTION', 'ACCEPTING_PAYMENTS', 'PENDING'];
+
+const xenditError = (res, status, errorCode, message, errors) => {
+  return res.status(status).json({
+    error_code: errorCode,
+    message,
+    ...(errors && { errors })
+  });
+};
+
+/**
+ * In-memory fake of the Xendit endpoints XenditClient uses: payment requests,
+ * payments, payment tokens, invoices, refunds, payouts and customers.
+ * Keeps their state and POSTs the matching webhooks back to the API with the
+ * callback token. Invoice callbacks go to the API's invoice callback route,
+ * every other event to the main webhook route.
+ * @param {object} options
+ * @param {string} options.webhookUrl - Where payment, refund and payout webhooks are delivered
+ * @param {string} options.invoiceWebhookUrl - Where invoice callbacks are delivered (/api/v1/webhooks/invoices)
+ * @param {string} options.callbackToken - Sent as x-callback-token
+ * @param {string} options.businessId - business_id of the master account
+ * @param {number} options.webhookDelayMs - Delay before delivering webhooks
+ */
+const createXenditEmulator = ({
+  webhookUrl = process.env.EMULATOR_WEBHOOK_URL || 'http://localhost:3000/api/v1/webhooks',
+  invoiceWebhookUrl = process.env.EMULATOR_INVOICE_WEBHOOK_URL || 'http://localhost:3000/api/v1/webhooks/invoices',
+  callbackToken = process.env.WEBHOOK_CALLBACK_TOKEN,
+  businessId = process.env.EMULATOR_BUSINESS_ID || DEFAULT_BUSINESS_ID,
+  webhookDelayMs = intFromEnv('EMULATOR_WEBHOOK_DELAY_MS', 100)
+} = {}) => {
+  const state = {
+    paymentRequests: new Map(),
+    payments: new Map(),
+    paymentTokens: new Map(),
+    invoices: new Map(),
+    refunds: new Map(),
+    payouts: new Map(),
+    customers: new Map(),
+    idempotentResponses: new Map(),
+    deliveries: []
+  };
+
+  const now = () => new Date().toISOString();
+
+  const deliver = (url, event, payload, headers = {}) => {
+    const webhookId = crypto.randomUUID();
+
+    setTimeout(async () => {
+      const delivery = { webhookId, url, event, payload, deliveredAt: now() };
+
+      try {
+        const response = await axios.post(url, payload, {
+          headers: {
+            'Content-Type': 'application/json',
+            'x-callback-token': callbackToken,
+            'webhook-id': webhookId,
+            ...headers
+          },
+          timeout: 30000,
+          validateStatus: () => true
+        });
+        delivery.status = response.status;
+        delivery.response = response.data;
+      } catch (error) {
+        delivery.error = error.message;
+        logger.warn('Emulator webhook delivery failed', { url, event, error: error.message });
+      }
+
+      state.deliveries.push(delivery);
+    }, webhookDelayMs);
+
+    return webhookId;
+  };
+
+  const paymentWebhook = (event, payment, accountId) => {
+    const paymentRequest = state.paymentRequests.get(payment.payment_request_id);
+
+    return deliver(webhookUrl, event, {
+      event,
+      business_id: accountId,
+      created: now(),
+      api_version: 'v3',
+      data: {
+        ...payment,
+        type: paymentRequest?.type,
+        payment_token_id: paymentRequest?.payment_token_id,
+        customer_id: paymentRequest?.customer_id
+      }
+    });
+  };
+
+  const paymentRequestWebhook = (event, paymentRequest) => {
+    return deliver(webhookUrl, event, {
+      event,
+      business_id: paymentRequest.business_id,
+      created: now(),
+      api_version: 'v3',
+      data: { ...paymentRequest }
+    });
+  };
+
+  const eventWebhook = (event, data, accountId) => {
+    return deliver(webhookUrl, event, {
+      event,
+      business_id: accountId,
+      created: now(),
+      data: { ...data }
+    });
+  };
+
+  // PAY_AND_SAVE payments make the token usable for later charges
+  const activatePaymentToken = (paymentRequest) => {
+    const paymentToken = state.paymentTokens.get(paymentRequest.payment_token_id);
+    if (paymentToken && paymentToken.status === 'PENDING') {
+      paymentToken.status = 'ACTIVE';
+      paymentToken.updated = now();
+    }
+  };
+
+  const createPayment = (paymentRequest, amount) => {
+    const manual = paymentRequest.capture_method === 'MANUAL';
+    const timestamp = now();
+    const payment = {
+      payment_id: `py-${crypto.randomUUID()}`,
+      business_id: paymentRequest.business_id,
+      reference_id: paymentRequest.reference_id,
+      payment_request_id: paymentRequest.payment_request_id,
+      country: paymentRequest.country,
+      currency: paymentRequest.currency,
+      channel_code: paymentRequest.channel_code,
+      capture_method: paymentRequest.capture_method,
+      request_amount: amount,
+      authorized_amount: amount,
+      status: manual ? 'AUTHORIZED' : 'SUCCEEDED',
+      captures: manual ? [] : [{
+        capture_id: `cptr-${crypto.randomUUID()}`,
+        capture_amount: amount,
+        capture_timestamp: timestamp
+      }],
+      created: timestamp,
+      updated: timestamp
+    };
+
+    state.payments.set(payment.payment_id, payment);
+
+    paymentRequest.status = manual ? 'AUTHORIZED' : 'SUCCEEDED';
+    paymentRequest.latest_payment_id = payment.payment_id;
+    paymentRequest.updated = timestamp;
+
+    paymentWebhook(manual ? 'payment.authorization' : 'payment.capture', payment, paymentRequest.business_id);
+    if (!manual) {
+      activatePaymentToken(paymentRequest);
+      paymentRequestWebhook('payment_request.succeeded', paymentRequest);
+    }
+    return payment;
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  // Every Xendit call needs Basic auth with the secret key
+  app.use((req, res, next) => {
+    if (req.path.startsWith('/_emulator')) {
+      return next();
+    }
+
+    if (!req.headers.authorization || !req.headers.authorization.startsWith('Basic ')) {
+      return xenditError(res, 401, 'INVALID_API_KEY', 'API key is invalid');
+    }
+
+    next();
+  });
+
+  // Replay responses for repeated idempotency keys
+  app.use((req, res, next) => {
+    const idempotencyKey = req.headers['idempotency-key'];
+    if (req.method !== 'POST' || !idempotencyKey) {
+      return next();
+    }
+
+    const key = `${req.path}:${idempotencyKey}`;
+    const stored = state.idempotentResponses.get(key);
+    if (stored) {
+      return res.status(stored.status).json(stored.body);
+    }
+
+    const originalJson = res.json;
+    res.json = function(body) {
+      state.idempotentResponses.set(key, { status: res.statusCode, body });
+      return originalJson.call(this, body);
+    };
+    next();
+  });
+
+  // Payment Requests
+  app.post('/v3/payment_requests', (req, res) => {
+    const body = req.body;
+    const amount = body.request_amount ?? body.amount;
+
+    if (!body.reference_id || !body.currency || amount === undefined) {
+      return xenditError(res, 400, 'API_VALIDATION_ERROR', 'Invalid request', [
+        { path: 'reference_id', message: 'reference_id, currency and request_amount are required' }
+      ]);
+    }
+
+    const timestamp = now();
+    const paymentRequest = {
+      payment_request_id: `pr-${crypto.randomUUID()}`,
+      business_id: req.headers['for-user-id'] || businessId,
+      reference_id: body.reference_id,
+      type: body.type || 'PAY',
+      country: body.country,
+      currency: body.currency,
+      request_amount: amount,
+      capture_method: body.capture_method || 'AUTOMATIC',
+      channel_code: body.channel_code || 'CARDS',
+      channel_properties: body.channel_properties || null,
+      customer_id: body.customer_id || null,
+      payment_token_id: body.payment_token_id || (body.type === 'PAY_AND_SAVE' ? `pt-${crypto.randomUUID()}` : null),
+      description: body.description || null,
+      metadata: body.metadata || null,
+      status: 'REQUIRES_ACTION',
+      actions: [{
+        type: 'REDIRECT_CUSTOMER',
+        descriptor: 'WEB_URL',
+        value: `${req.protocol}://${req.get('host')}/_emulator/checkout/${body.reference_id}`
+      }],
+      created: timestamp,
+      updated: timestamp
+    };
+
+    state.paymentRequests.set(paymentRequest.payment_request_id, paymentRequest);
+
+    if (paymentRequest.type === 'PAY_AND_SAVE') {
+      state.paymentTokens.set(paymentRequest.payment_token_id, {
+        payment_token_id: paymentRequest.payment_token_id,
+        business_id: paymentRequest.business_id,
+        customer_id: paymentRequest.customer_id,
+        reference_id: paymentRequest.reference_id,
+        country: paymentRequest.country,
+        currency: paymentRequest.currency,
+        channel_code: paymentRequest.channel_code,
+        status: 'PENDING',
+        created: timestamp,
+        updated: timestamp
+      });
+    }
+
+    // Charging a saved token needs no customer action
+    if (body.payment_token_id) {
+      paymentRequest.actions = [];
+      createPayment(paymentRequest, amount);
+    }
+
+    res.status(201).json(paymentRequest);
+  });
+
+  app.get('/v3/payment_requests/:id', (req, res) => {
+    const paymentRequest = state.paymentRequests.get(req.params.id);
+    if (!paymentRequest) {
+      return xenditError(res, 404, 'DATA_NOT_FOUND', 'Payment request not found');
+    }
+    res.json(paymentRequest);
+  });
+
+  app.post('/v3/payment_requests/:id/cancel', (req, res) => {
+    const paymentRequest = state.paymentRequests.get(req.params.id);
+    if (!paymentRequest) {
+      return xenditError(res, 404, 'DATA_NOT_FOUND', 'Payment request not found');
+    }
+
+    if (!OPEN_PAYMENT_REQUEST_STATUSES.includes(paymentRequest.status)) {
+      return xenditError(res, 409, 'INVALID_PAYMENT_REQUEST_STATUS', `Payment request is ${paymentRequest.status}`);
+    }
+
+    paymentRequest.status = 'CANCELED';
+    paymentRequest.updated = now();
+    res.json(paymentRequest);
+  });
+
+  app.post('/v3/payment_requests/:id/simulate', (req, res) => {
+    const paymentRequest = state.paymentRequests.get(req.params.id);
+    if (!paymentRequest) {
+      return xenditError(res, 404, 'DATA_NOT_FOUND', 'Payment request not found');
+    }
+
+    if (!OPEN_PAYMENT_REQUEST_STATUSES.includes(paymentRequest.status)) {
+      return xenditError(res, 409, 'INVALID_PAYMENT_REQUEST_STATUS', `Payment request is ${paymentRequest.status}`);
+    }
+
+    createPayment(paymentRequest, req.body.amount ?? paymentRequest.request_amount);
+
+    res.json({
+      status: 'PENDING',
+      message: 'Payment simulation has been queued. A webhook will be sent once processed.'
+    });
+  });
+
+  // Payments
+  app.get('/v3/payments/:id', (req, res) => {
+    const payment = state.payments.get(req.params.id);
+    if (!payment) {
+      return xenditError(res, 404, 'DATA_NOT_FOUND', 'Payment not found');
+    }
+    res.json(payment);
+  });
+
+  app.post('/v3/payments/:id/cancel', (req, res) => {
+    const payment = state.payments.get(req.params.id);
+    if (!payment) {
+      return xenditError(res, 404, 'DATA_NOT_FOUND', 'Payment not found');
+    }
+
+    if (payment.status !== 'AUTHORIZED') {
+      return xenditError(res, 409, 'INVALID_PAYMENT_STATUS', `Payment is ${payment.status}`);
+    }
+
+    payment.status = 'CANCELED';
+    payment.updated = now();
+
+    const paymentRequest = state.paymentRequests.get(payment.payment_request_id);
+    if (paymentRequest) {
+      paymentRequest.status = 'CANCELED';
+      paymentRequest.updated = payment.updated;
+    }
+
+    res.json(payment);
+  });
+
+  app.post('/v3/payments/:id/capture', (req, res) => {
+    const payment = state.payments.get(req.params.id);
+    if (!payment) {
+      return xenditError(res, 404, 'DATA_NOT_FOUND', 'Payment not found');
+    }
+
+    if (payment.status !== 'AUTHORIZED') {
+      return xenditError(res, 409, 'INVALID_PAYMENT_STATUS', `Payment is ${payment.status}`);
+    }
+
+    const captureAmount = req.body.capture_amount;
+    if (captureAmount > payment.authorized_amount) {
+      return xenditError(res, 400, 'CAPTURE_AMOUNT_EXCEEDED', 'Capture amount exceeds authorized amount');
+    }
+
+    const timestamp = now();
+    payment.captures.push({
+      capture_id: `cptr-${crypto.randomUUID()}`,
+      capture_amount: captureAmount,
+      capture_timestamp: timestamp
+    });
+    payment.status = 'SUCCEEDED';
+    payment.updated = timestamp;
+
+    const paymentRequest = state.paymentRequests.get(payment.payment_request_id);
+    paymentWebhook('payment.capture', payment, payment.business_id);
+
+    if (paymentRequest) {
+      paymentRequest.status = 'SUCCEEDED';
+      paymentRequest.updated = timestamp;
+      activatePaymentToken(paymentRequest);
+      paymentRequestWebhook('payment_request.succeeded', paymentRequest);
+    }
+
+    res.json(payment);
+  });
+
+  // Payment Tokens
+  app.get('/v3/payment_tokens/:id', (req, res) => {
+    const paymentToken = state.paymentTokens.get(req.params.id);
+    if (!paymentToken) {
+      return xenditError(res, 404, 'DATA_NOT_FOUND', 'Payment token not found');
+    }
+    res.json(paymentToken);
+  });
+
+  app.post('/v3/payment_tokens/:id/cancel', (req, res) => {
+    const paymentToken = state.paymentTokens.get(req.params.id);
+    if (!paymentToken) {
+      return xenditError(res, 404, 'DATA_NOT_FOUND', 'Payment token not found');
+    }
+
+    if (paymentToken.status === 'CANCELED') {
+      return xenditError(res, 409, 'INVALID_PAYMENT_TOKEN_STATUS', 'Payment token is CANCELED');
+    }
+
+    paymentToken.status = 'CANCELED';
+    paymentToken.updated = now();
+    res.json(paymentToken);
+  });
+
+  // Invoices
+  app.post('/v2/invoices', (req, res) => {
+    const body = req.body;
+
+    if (!body.external_id || body.amount === undefined) {
+      return xenditError(res, 400, 'API_VALIDATION_ERROR', 'external_id and amount are required');
+    }
+
+    const timestamp = now();
+    const id = crypto.randomBytes(12).toString('hex');
+    const invoice = {
+      id,
+      external_id: body.external_id,
+      user_id: req.headers['for-user-id'] || businessId,
+      status: 'PENDING',
+      merchant_name: 'Xendit Emulator',
+      amount: body.amount,
+      description: body.description,
+      currency: body.currency || 'IDR',
+      expiry_date: new Date(Date.now() + (body.invoice_duration || 86400) * 1000).toISOString(),
+      invoice_url: `${req.protocol}://${req.get('host')}/_emulator/invoices/${id}`,
+      success_redirect_url: body.success_redirect_url,
+      failure_redirect_url: body.failure_redirect_url,
+      items: body.items,
+      metadata: body.metadata || null,
+      created: timestamp,
+      updated: timestamp
+    };
+
+    state.invoices.set(id, invoice);
+    res.json(invoice);
+  });
+
+  app.get('/v2/invoices/:id', (req, res) => {
+    const invoice = state.invoices.get(req.params.id);
+    if (!invoice) {
+      return xenditError(res, 404, 'INVOICE_NOT_FOUND_ERROR', 'Invoice not found');
+    }
+    res.json(invoice);
+  });
+
+  app.get('/v2/invoices', (req, res) => {
+    const statuses = [].concat(req.query.statuses || []);
+    const limit = parseInt(req.query.limit) || 10;
+
+    const invoices = Array.from(state.invoices.values())
+      .filter(invoice => !req.query.external_id || invoice.external_id === req.query.external_id)
+      .filter(invoice => !statuses.length || statuses.includes(invoice.status))
+      .slice(0, limit);
+
+    res.json(invoices);
+  });
+
+  app.post('/invoices/:id/expire!', (req, res) => {
+    const invoice = state.invoices.get(req.params.id);
+    if (!invoice) {
+      return xenditError(res, 404, 'INVOICE_NOT_FOUND_ERROR', 'Invoice not found');
+    }
+
+    if (invoice.status !== 'PENDING') {
+      return xenditError(res, 400, 'INVOICE_NOT_FOUND_ERROR', `Invoice is ${invoice.status}`);
+    }
+
+    invoice.status = 'EXPIRED';
+    invoice.updated = now();
+    deliver(invoiceWebhookUrl, 'invoice.expired', invoice);
+    res.json(invoice);
+  });
+
+  // Refunds
+  app.post('/refunds', (req, res) => {
+    const body = req.body;
+    const paymentRequest = body.payment_request_id && state.paymentRequests.get(body.payment_request_id);
+    const invoice = body.invoice_id && state.invoices.get(body.invoice_id);
+
+    if (!paymentRequest && !invoice) {
+      return xenditError(res, 404, 'DATA_NOT_FOUND', 'Payment to refund not found');
+    }
+
+    if ((paymentRequest && paymentRequest.status !== 'SUCCEEDED') || (invoice && invoice.status !== 'PAID')) {
+      return xenditError(res, 400, 'INELIGIBLE_TRANSACTION', 'Only settled payments can be refunded');
+    }
+
+    const source = paymentRequest || invoice;
+    const capturedAmount = paymentRequest ? paymentRequest.request_amount : invoice.paid_amount;
+    const refundedAmount = Array.from(state.refunds.values())
+      .filter(refund => refund.payment_request_id === body.payment_request_id && refund.invoice_id === body.invoice_id)
+      .reduce((sum, refund) => sum + refund.amount, 0);
+    const amount = body.amount ?? capturedAmount - refundedAmount;
+
+    if (amount <= 0 || refundedAmount + amount > capturedAmount) {
+      return xenditError(res, 400, 'REFUND_AMOUNT_EXCEEDED', 'Refund amount exceeds the refundable amount');
+    }
+
+    const timestamp = now();
+    const refund = {
+      id: `rfd-${crypto.randomUUID()}`,
+      business_id: req.headers['for-user-id'] || businessId,
+      payment_request_id: body.payment_request_id,
+      invoice_id: body.invoice_id,
+      reference_id: body.reference_id || source.reference_id || source.external_id,
+      currency: body.currency || source.currency,
+      amount,
+      reason: body.reason || 'OTHERS',
+      status: 'PENDING',
+      failure_code: null,
+      metadata: body.metadata || null,
+      created: timestamp,
+      updated: timestamp
+    };
+
+    state.refunds.set(refund.id, refund);
+    res.json({ ...refund });
+
+    // Refunds settle asynchronously; the emulator settles them right away
+    refund.status = 'SUCCEEDED';
+    eventWebhook('refund.succeeded', refund, refund.business_id);
+  });
+
+  app.get('/refunds/:id', (req, res) => {
+    const refund = state.refunds.get(req.params.id);
+    if (!refund) {
+      return xenditError(res, 404, 'DATA_NOT_FOUND', 'Refund not found');
+    }
+    res.json(refund);
+  });
+
+  app.get('/refunds', (req, res) => {
+    const limit = parseInt(req.query.limit) || 10;
+
+    const refunds = Array.from(state.refunds.values())
+      .filter(refund => !req.query.payment_request_id || refund.payment_request_id === req.query.payment_request_id)
+      .filter(refund => !req.query.invoice_id || refund.invoice_id === req.query.invoice_id);
+
+    res.json({ data: refunds.slice(0, limit), has_more: refunds.length > limit });
+  });
+
+  // Payouts
+  app.post('/v2/payouts', (req, res) => {
+    const body = req.body;
+
+    if (!body.reference_id || !body.channel_code || body.amount === undefined) {
+      return xenditError(res, 400, 'API_VALIDATION_ERROR', 'reference_id, channel_code and amount are required');
+    }
+
+    const timestamp = now();
+    const payout = {
+      id: `disb-${crypto.randomUUID()}`,
+      business_id: req.headers['for-user-id'] || businessId,
+      reference_id: body.reference_id,
+      channel_code: body.channel_code,
+      channel_properties: body.channel_properties || null,
+      amount: body.amount,
+      currency: body.currency,
+      description: body.description || null,
+      status: 'ACCEPTED',
+      failure_code: null,
+      metadata: body.metadata || null,
+      created: timestamp,
+      updated: timestamp
+    };
+
+    state.payouts.set(payout.id, payout);
+    res.json(payout);
+  });
+
+  app.get('/v2/payouts/:id', (req, res) => {
+    const payout = state.payouts.get(req.params.id);
+    if (!payout) {
+      return xenditError(res, 404, 'DATA_NOT_FOUND', 'Payout not found');
+    }
+    res.json(payout);
+  });
+
+  app.get('/v2/payouts', (req, res) => {
+    const payouts = Array.from(state.payouts.values())
+      .filter(payout => !req.query.reference_id || payout.reference_id === req.query.reference_id);
+
+    res.json(payouts);
+  });
+
+  app.post('/v2/payouts/:id/cancel', (req, res) => {
+    const payout = state.payouts.get(req.params.id);
+    if (!payout) {
+      return xenditError(res, 404, 'DATA_NOT_FOUND', 'Payout not found');
+    }
+
+    if (payout.status !== 'ACCEPTED') {
+      return xenditError(res, 409, 'PAYOUT_NOT_CANCELLABLE', `Payout is ${payout.status}`);
+    }
+
+    payout.status = 'CANCELLED';
+    payout.updated = now();
+    res.json(payout);
+  });
+
+  // Customers
+  app.post('/customers', (req, res) => {
+    const body = req.body;
+
+    if (!body.reference_id) {
+      return xenditError(res, 400, 'API_VALIDATION_ERROR', 'reference_id is required');
+    }
+
+    const accountId = req.headers['for-user-id'] || businessId;
+    const duplicate = Array.from(state.customers.values())
+      .some(customer => customer.business_id === accountId && customer.reference_id === body.reference_id);
+    if (duplicate) {
+      return xenditError(res, 409, 'DUPLICATE_ERROR', 'Customer with this reference_id already exists');
+    }
+
+    const timestamp = now();
+    const customer = {
+      ...body,
+      id: `cust-${crypto.randomUUID()}`,
+      business_id: accountId,
+      created: timestamp,
+      updated: timestamp
+    };
+
+    state.customers.set(customer.id, customer);
+    res.status(201).json(customer);
+  });
+
+  app.get('/customers/:id', (req, res) => {
+    const customer = state.customers.get(req.params.id);
+    if (!customer) {
+      return xenditError(res, 404, 'DATA_NOT_FOUND', 'Customer not found');
+    }
+    res.json(customer);
+  });
+
+  app.patch('/customers/:id', (req, res) => {
+    const customer = state.customers.get(req.params.id);
+    if (!customer) {
+      return xenditError(res, 404, 'DATA_NOT_FOUND', 'Customer not found');
+    }
+
+    Object.assign(customer, req.body, { id: customer.id, updated: now() });
+    res.json(customer);
+  });
+
+  app.get('/customers', (req, res) => {
+    const accountId = req.headers['for-user-id'] || businessId;
+    const customers = Array.from(state.customers.values())
+      .filter(customer => customer.business_id === accountId)
+      .filter(customer => !req.query.reference_id || customer.reference_id === req.query.reference_id);
+
+    res.json({ data: customers, has_more: false });
+  });
+
+  // Emulator controls for outcomes a customer would trigger outside the API
+  app.post('/_emulator/payment_requests/:id/fail', (req, res) => {
+    const paymentRequest = state.paymentRequests.get(req.params.id);
+    if (!paymentRequest || !OPEN_PAYMENT_REQUEST_STATUSES.includes(paymentRequest.status)) {
+      return xenditError(res, 404, 'DATA_NOT_FOUND', 'Open payment request not found');
+    }
+
+    const timestamp = now();
+    const payment = {
+      payment_id: `py-${crypto.randomUUID()}`,
+      business_id: paymentRequest.business_id,
+      reference_id: paymentRequest.reference_id,
+      payment_request_id: paymentRequest.payment_request_id,
+      currency: paymentRequest.currency,
+      channel_code: paymentRequest.channel_code,
+      request_amount: paymentRequest.request_amount,
+      status: 'FAILED',
+      failure_code: req.body.failure_code || 'CARD_DECLINED',
+      created: timestamp,
+      updated: timestamp
+    };
+
+    state.payments.set(payment.payment_id, payment);
+    paymentRequest.status = 'FAILED';
+    paymentRequest.failure_code = payment.failure_code;
+    paymentRequest.latest_payment_id = payment.payment_id;
+    paymentRequest.updated = timestamp;
+
+    paymentWebhook('payment.failure', payment, paymentRequest.business_id);
+    paymentRequestWebhook('payment_request.failed', paymentRequest);
+    res.json(paymentRequest);
+  });
+
+  app.post('/_emulator/payment_requests/:id/expire', (req, res) => {
+    const paymentRequest = state.paymentRequests.get(req.params.id);
+    if (!paymentRequest || !OPEN_PAYMENT_REQUEST_STATUSES.includes(paymentRequest.status)) {
+      return xenditError(res, 404, 'DATA_NOT_FOUND', 'Open payment request not found');
+    }
+
+    paymentRequest.status = 'EXPIRED';
+    paymentRequest.updated = now();
+
+    paymentRequestWebhook('payment_request.expiry', paymentRequest);
+    res.json(paymentRequest);
+  });
+
+  app.post('/_emulator/invoices/:id/pay', (req, res) => {
+    const invoice = state.invoices.get(req.params.id);
+    if (!invoice || invoice.status !== 'PENDING') {
+      return xenditError(res, 404, 'INVOICE_NOT_FOUND_ERROR', 'Pending invoice not found');
+    }
+
+    const timestamp = now();
+    Object.assign(invoice, {
+      status: 'PAID',
+      paid_amount: invoice.amount,
+      paid_at: timestamp,
+      payment_method: req.body.payment_method || 'EWALLET',
+      payment_channel: req.body.payment_channel || 'GCASH',
+      updated: timestamp
+    });
+
+    deliver(invoiceWebhookUrl, 'invoice.paid', invoice);
+    res.json(invoice);
+  });
+
+  // Settle an accepted payout the way the receiving bank eventually would
+  app.post('/_emulator/payouts/:id/:outcome(succeed|fail)', (req, res) => {
+    const payout = state.payouts.get(req.params.id);
+    if (!payout || payout.status !== 'ACCEPTED') {
+      return xenditError(res, 404, 'DATA_NOT_FOUND', 'Accepted payout not found');
+    }
+
+    const succeeded = req.params.outcome === 'succeed';
+    payout.status = succeeded ? 'SUCCEEDED' : 'FAILED';
+    payout.failure_code = succeeded ? null : (req.body.failure_code || 'INVALID_DESTINATION');
+    payout.updated = now();
+
+    eventWebhook(succeeded ? 'payout.succeeded' : 'payout.failed', payout, payout.business_id);
+    res.json(payout);
+  });
+
+  app.get('/_emulator/deliveries', (req, res) => {
+    res.json(state.deliveries);
+  });
+
+  app.post('/_emulator/reset', (req, res) => {
+    reset();
+    res.json({ reset: true });
+  });
+
+  app.use((req, res) => {
+    xenditError(res, 404, 'NOT_FOUND', `Emulator does not implement ${req.method} ${req.path}`);
+  });
+
+  const reset = () => {
+    state.paymentRequests.clear();
+    state.payments.clear();
+    state.paymentTokens.clear();
+    state.invoices.clear();
+    state.refunds.clear();
+    state.payouts.clear();
+    state.customers.clear();
+    state.idempotentResponses.clear();
+    state.deliveries.length = 0;
+  };
+
+  return { app, state, reset };
+};
+
+module.exports = { createXenditEmulator };
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { validate } = require('../../shared/middleware/validation');
+const { testBookingStatusRulesSchema } = require('../../shared/validation/schemas');
+const { authenticateToken, requireAdmin } = require('../../shared/middleware/auth');
+const logger = require('../../shared/utils/logger');
+const service = require('./service');
+
+// Active booking status rules (admin)
+router.get('/', authenticateToken, requireAdmin, async (req, res, next) => {
+  try {
+    const result = await service.getRules();
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Evaluate the active rules, or rules sent with the request, against a sample booking (admin)
+router.post('/test', authenticateToken, requireAdmin, validate(testBookingStatusRulesSchema), async (req, res, next) => {
+  try {
+    logger.info('Testing booking status rules', {
+      status: req.body.status,
+      customRules: !!req.body.rules,
+      userId: req.user.id
+    });
+
+    const result = await service.testRules(req.body);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
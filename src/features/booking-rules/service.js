@@ -0,0 +1,49 @@
+const storage = require('../../shared/storage');
+const { canTransition, mapXenditStatus } = require('../../shared/utils/transactionStatus');
+const { evaluateBookingStatusRules } = require('../../shared/utils/bookingStatusRules');
+
+class BookingRulesService {
+  /**
+   * Rules currently applied to booking updates, with where they were loaded from
+   */
+  async getRules() {
+    return storage.getBookingStatusRules();
+  }
+
+  /**
+   * Evaluate rules against a sample booking without touching storage
+   * @param {object} testData
+   * @param {object} testData.booking - Sample booking document
+   * @param {string} testData.status - Xendit status to apply
+   * @param {object} testData.rules - Rules to try instead of the active ones
+   * @returns {Promise<object>} - The matching rule, the booking changes it makes and why other rules didn't match
+   */
+  async testRules({ booking, status, rules }) {
+    const active = rules ? null : await storage.getBookingStatusRules();
+    const transactionStatus = mapXenditStatus(status);
+    const previousStatus = booking.transaction?.status ?? null;
+
+    // Rules are only applied along with an allowed transaction status change
+    const transitionAllowed = canTransition(previousStatus, transactionStatus);
+
+    const { rule, changes, trace } = evaluateBookingStatusRules(rules || active.rules, {
+      booking,
+      xenditStatus: status,
+      transactionStatus,
+      previousStatus
+    });
+
+    return {
+      source: rules ? 'request' : active.source,
+      xenditStatus: status,
+      transactionStatus,
+      previousStatus,
+      transitionAllowed,
+      rule: transitionAllowed ? rule : null,
+      changes: transitionAllowed ? changes : {},
+      trace
+    };
+  }
+}
+
+module.exports = new BookingRulesService();
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { validateParams } = require('../../shared/middleware/validation');
+const { authenticateToken } = require('../../shared/middleware/auth');
+const logger = require('../../shared/utils/logger');
+const service = require('./service');
+
+// Parameter validation schemas
+const bookingIdSchema = require('joi').object({
+  bookingId: require('joi').string().required()
+});
+
+// List a booking's payment attempts (owner or admin)
+router.get('/:bookingId/payments', authenticateToken, validateParams(bookingIdSchema), async (req, res, next) => {
+  try {
+    const { bookingId } = req.params;
+
+    logger.info('Listing booking payment attempts', { bookingId, userId: req.user.id });
+
+    const result = await service.listPaymentAttempts(bookingId, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const storage = require('../../shared/storage');
+const customerService = require('../customers/service');
+const AppError = require('../../shared/errors/appError');
+const logger = require('../../shared/utils/logger');
+
+class BookingService {
+  /**
+   * Load a booking the caller may see: their own, or any booking for admins
+   * @param {string} bookingId - The booking document ID
+   * @param {object} user - Authenticated caller
+   */
+  async getAccessibleBooking(bookingId, user) {
+    if (!storage.isAvailable()) {
+      throw new AppError('Bookings are unavailable without storage', 'STORAGE_UNAVAILABLE', 503);
+    }
+
+    const booking = await storage.bookings.get(bookingId);
+
+    if (!booking) {
+      throw new AppError(`Booking ${bookingId} not found`, 'BOOKING_NOT_FOUND', 404);
+    }
+
+    if (user.role !== 'admin' && customerService.getBookingOwnerId(booking) !== user.id) {
+      logger.warn('Access to another user\'s booking', { bookingId, userId: user.id });
+      throw new AppError('Booking belongs to another user', 'BOOKING_NOT_OWNED', 403);
+    }
+
+    return booking;
+  }
+
+  /**
+   * Every payment attempt made for a booking, oldest first, with the one
+   * the booking's transaction currently follows
+   * @param {string} bookingId - The booking document ID
+   * @param {object} user - Authenticated caller
+   */
+  async listPaymentAttempts(bookingId, user) {
+    const booking = await this.getAccessibleBooking(bookingId, user);
+    const attempts = await storage.bookings.listPaymentAttempts(bookingId);
+
+    return {
+      bookingId,
+      status: booking.transaction?.status || null,
+      activeAttemptId: booking.transaction?.activeAttemptId || null,
+      attempts
+    };
+  }
+}
+
+module.exports = new BookingService();
@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const xenditClient = require('../../shared/services/xenditClient');
+const { validate, validateParams, validateQuery } = require('../../shared/middleware/validation');
+const { authenticateToken } = require('../../shared/middleware/auth');
+const {
+  createCustomerSchema,
+  updateCustomerSchema,
+  searchCustomersSchema
+} = require('../../shared/validation/schemas');
+const logger = require('../../shared/utils/logger');
+const service = require('./service');
+
+// Parameter validation schemas
+const customerIdSchema = require('joi').object({
+  customerId: require('joi').string().max(41).required()
+});
+
+const paymentMethodParamsSchema = require('joi').object({
+  customerId: require('joi').string().max(41).required(),
+  paymentTokenId: require('joi').string().required()
+});
+
+// Customers hold personal data; users only see their own
+router.use(authenticateToken);
+
+// Create customer
+router.post('/', validate(createCustomerSchema), async (req, res, next) => {
+  try {
+    const customerData = { ...req.body, reference_id: service.getCallerOwnerId(req.user, req.body.reference_id) };
+
+    logger.info('Creating customer', { referenceId: customerData.reference_id, userId: req.user.id });
+
+    const result = await service.createCustomer(customerData, {
+      idempotencyKey: req.headers['idempotency-key'],
+      forUserId: req.forUserId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Search customers by reference ID
+router.get('/', validateQuery(searchCustomersSchema), async (req, res, next) => {
+  try {
+    const query = { ...req.query, reference_id: service.getCallerOwnerId(req.user, req.query.reference_id) };
+
+    logger.info('Searching customers', { referenceId: query.reference_id });
+
+    const result = await xenditClient.searchCustomers(query, { forUserId: req.forUserId });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get customer
+router.get('/:customerId', validateParams(customerIdSchema), async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+
+    logger.info('Getting customer', { customerId });
+
+    await service.assertCustomerAccess(customerId, req.user, req.forUserId);
+
+    const result = await xenditClient.getCustomer(customerId, { forUserId: req.forUserId });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update customer
+router.patch('/:customerId', validateParams(customerIdSchema), validate(updateCustomerSchema), async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+
+    logger.info('Updating customer', { customerId });
+
+    await service.assertCustomerAccess(customerId, req.user, req.forUserId);
+
+    const result = await xenditClient.updateCustomer(customerId, req.body, { forUserId: req.forUserId });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List saved payment methods
+router.get('/:customerId/payment-methods', validateParams(customerIdSchema), async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+
+    logger.info('Listing saved payment methods', { customerId });
+
+    await service.assertCustomerAccess(customerId, req.user, req.forUserId);
+
+    const paymentMethods = await service.listPaymentMethods(customerId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        paymentMethods,
+        total: paymentMethods.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete saved payment method
+router.delete('/:customerId/payment-methods/:paymentTokenId', validateParams(paymentMethodParamsSchema), async (req, res, next) => {
+  try {
+    const { customerId, paymentTokenId } = req.params;
+
+    logger.info('Deleting saved payment method', { customerId, paymentTokenId });
+
+    await service.assertCustomerAccess(customerId, req.user, req.forUserId);
+
+    await service.deletePaymentMethod(customerId, paymentTokenId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment method deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
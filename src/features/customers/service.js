@@ -0,0 +1,206 @@
+const xenditClient = require('../../shared/services/xenditClient');
+const storage = require('../../shared/storage');
+const AppError = require('../../shared/errors/appError');
+const XenditApiError = require('../../shared/errors/xenditApiError');
+const logger = require('../../shared/utils/logger');
+
+// Booking field that holds the user ID of the booking owner
+const BOOKING_OWNER_FIELD = process.env.BOOKING_OWNER_FIELD || 'userId';
+
+class CustomerService {
+  /**
+   * Create a Xendit customer and remember it for the owner (reference_id)
+   * @param {object} customerData - Validated customer body
+   */
+  async createCustomer(customerData, { idempotencyKey, forUserId } = {}) {
+    const customer = await xenditClient.createCustomer(customerData, { idempotencyKey, forUserId });
+    await storage.customers.saveCustomerId(customerData.reference_id, customer.id, forUserId);
+    return customer;
+  }
+
+  /**
+   * Customer reference_id a caller may act for: any for admins, otherwise their own user ID
+   * @param {object} user - Authenticated caller
+   * @param {string} referenceId - reference_id the caller sent
+   */
+  getCallerOwnerId(user, referenceId) {
+    return user.role === 'admin' ? referenceId : user.id;
+  }
+
+  /**
+   * Only let admins and the customer's own user read or change a Xendit customer
+   * @param {string} customerId - Xendit customer ID
+   * @param {object} user - Authenticated caller
+   * @param {string|null} forUserId - xenPlatform sub-account the customer lives in
+   */
+  async assertCustomerAccess(customerId, user, forUserId = null) {
+    if (user.role === 'admin') {
+      return;
+    }
+
+    if (!storage.isAvailable()) {
+      throw new AppError('Customers are unavailable without storage', 'STORAGE_UNAVAILABLE', 503);
+    }
+
+    const ownCustomerId = await storage.customers.getCustomerId(user.id, forUserId);
+
+    if (ownCustomerId !== customerId) {
+      logger.warn('Access to another user\'s customer', { customerId, userId: user.id });
+      throw new AppError('Customer belongs to another user', 'CUSTOMER_NOT_OWNED', 403);
+    }
+  }
+
+  /**
+   * Check that a customer_id sent with a payment is the booking owner's customer
+   * @param {string} customerId - Xendit customer ID from the request
+   * @param {string|null} ownerId - Owner of the booking being paid
+   * @param {string|null} forUserId - xenPlatform sub-account the customer lives in
+   */
+  async assertOwnerCustomer(customerId, ownerId, forUserId = null) {
+    const ownerCustomerId = await this.resolveCustomerId(ownerId, undefined, forUserId);
+
+    if (ownerCustomerId !== customerId) {
+      logger.warn('Payment for another user\'s customer', { customerId, ownerId, ownerCustomerId });
+      throw new AppError('Customer belongs to another user', 'CUSTOMER_NOT_OWNED', 403);
+    }
+  }
+
+  /**
+   * Owner ID of a booking, used as the Xendit customer reference_id
+   * @param {object} booking - Booking document
+   */
+  getBookingOwnerId(booking) {
+    return booking?.[BOOKING_OWNER_FIELD] || null;
+  }
+
+  /**
+   * Resolve the Xendit customer ID for an owner, reusing the persisted mapping.
+   * Falls back to searching Xendit by reference_id, then to creating the
+   * customer when a profile is supplied.
+   * @param {string} ownerId - User ID, used as reference_id
+   * @param {object|undefined} profile - Customer profile to create with if none exists
+   * @param {string|null} forUserId - xenPlatform sub-account the customer lives in
+   * @returns {Promise<string|null>} - Xendit customer ID, or null if it can't be resolved
+   */
+  async resolveCustomerId(ownerId, profile, forUserId = null) {
+    if (!ownerId) {
+      return null;
+    }
+
+    const storedCustomerId = await storage.customers.getCustomerId(ownerId, forUserId);
+    if (storedCustomerId) {
+      return storedCustomerId;
+    }
+
+    const existing = await xenditClient.searchCustomers({ reference_id: ownerId }, { forUserId });
+    const match = (existing.data || [])[0];
+
+    if (match) {
+      logger.info('Found existing Xendit customer', { ownerId, customerId: match.id });
+      await storage.customers.saveCustomerId(ownerId, match.id, forUserId);
+      return match.id;
+    }
+
+    if (!profile) {
+      return null;
+    }
+
+    logger.info('Creating Xendit customer for owner', { ownerId });
+    const customer = await this.createCustomer({ ...profile, reference_id: ownerId }, { forUserId });
+    return customer.id;
+  }
+
+  /**
+   * Store the reusable token from a PAY_AND_SAVE payment request or payment
+   * @param {object} source - Payment request response or webhook data
+   * @param {string} status - PENDING until the saving payment succeeds, then ACTIVE
+   * @param {string|null} forUserId - xenPlatform sub-account the token lives in
+   */
+  async recordPaymentToken(source, status, forUserId = null) {
+    const { payment_token_id, customer_id } = source;
+
+    if (!payment_token_id || !customer_id) {
+      logger.warn('Cannot store payment token without token and customer', {
+        paymentTokenId: payment_token_id,
+        customerId: customer_id
+      });
+      return false;
+    }
+
+    return storage.paymentTokens.save(payment_token_id, {
+      customerId: customer_id,
+      channelCode: source.channel_code || undefined,
+      paymentRequestId: source.payment_request_id || undefined,
+      details: source.payment_details || undefined,
+      subAccountId: forUserId || undefined,
+      status
+    });
+  }
+
+  async listPaymentMethods(customerId) {
+    return storage.paymentTokens.listByCustomer(customerId);
+  }
+
+  /**
+   * Remove a saved payment method: cancel the token at Xendit and mark it deleted
+   */
+  async deletePaymentMethod(customerId, paymentTokenId) {
+    const token = await storage.paymentTokens.get(paymentTokenId);
+
+    if (!token || token.customerId !== customerId || token.status === 'DELETED') {
+      throw new AppError('Payment method not found', 'PAYMENT_METHOD_NOT_FOUND', 404);
+    }
+
+    try {
+      await xenditClient.cancelPaymentToken(paymentTokenId, { forUserId: token.subAccountId });
+    } catch (error) {
+      // Already gone at Xendit - still remove it on our side
+      if (!(error instanceof XenditApiError) || error.status !== 404) {
+        throw error;
+      }
+    }
+
+    await storage.paymentTokens.save(paymentTokenId, { customerId, status: 'DELETED' });
+    logger.info('Payment method deleted', { customerId, paymentTokenId });
+  }
+
+  /**
+   * Check that a saved token can be charged for a booking: it must be active and
+   * belong to the booking owner's customer, whatever customer_id the caller sent
+   * @param {string} paymentTokenId - Xendit payment token ID
+   * @param {object} context
+   * @param {string|null} context.ownerId - Owner of the booking being paid
+   * @param {string|undefined} context.customerId - Customer the payment request names
+   * @param {string|null} context.forUserId - xenPlatform sub-account the customer lives in
+   */
+  async assertPaymentTokenUsable(paymentTokenId, { ownerId, customerId, forUserId = null } = {}) {
+    if (!storage.isAvailable()) {
+      throw new AppError('Saved payment methods are unavailable without storage', 'STORAGE_UNAVAILABLE', 503);
+    }
+
+    const token = await storage.paymentTokens.get(paymentTokenId);
+
+    if (!token || token.status === 'DELETED') {
+      throw new AppError('Payment method not found', 'PAYMENT_METHOD_NOT_FOUND', 404);
+    }
+
+    if (token.status !== 'ACTIVE') {
+      throw new AppError('Payment method is not active yet', 'PAYMENT_METHOD_NOT_ACTIVE', 409);
+    }
+
+    const ownerCustomerId = ownerId ? await storage.customers.getCustomerId(ownerId, forUserId) : null;
+
+    if (!ownerCustomerId || token.customerId !== ownerCustomerId || (customerId && customerId !== token.customerId)) {
+      logger.warn('Payment token used for another customer', {
+        paymentTokenId,
+        ownerId,
+        tokenCustomerId: token.customerId,
+        ownerCustomerId,
+        customerId
+      });
+      throw new AppError('Payment method belongs to another customer', 'PAYMENT_METHOD_CUSTOMER_MISMATCH', 403);
+    }
+  }
+}
+
+module.exports = new CustomerService();
@@ -0,0 +1,23 @@
+const logger = require('../../shared/utils/logger');
+const customerService = require('./service');
+const registry = require('../webhooks/registry');
+
+// Activate the reusable token of a successful PAY_AND_SAVE payment
+const storeSavedPaymentToken = async (paymentData) => {
+  if (paymentData.type !== 'PAY_AND_SAVE' || !paymentData.payment_token_id) {
+    return;
+  }
+
+  const saved = await customerService.recordPaymentToken(paymentData, 'ACTIVE', paymentData.sub_account_id);
+
+  logger.info('Saved payment token from webhook', {
+    paymentTokenId: paymentData.payment_token_id,
+    customerId: paymentData.customer_id,
+    saved
+  });
+};
+
+// Runs alongside the booking handlers for the same events
+registry.register(['payment.capture', 'payment.succeeded', 'payment_request.succeeded'], 'saved-payment-token', storeSavedPaymentToken);
+
+module.exports = { storeSavedPaymentToken };
@@ -3,6 +3,7 @@ const router = express.Router();
 const xenditClient = require('../../shared/services/xenditClient');
 const { validate, validateParams, validateQuery } = require('../../shared/middleware/validation');
 const { createInvoiceSchema, listInvoicesSchema } = require('../../shared/validation/schemas');
+const subAccountService = require('../../shared/services/subAccountService');
 const logger = require('../../shared/utils/logger');
 
 // Parameter validation schemas
@@ -15,7 +16,12 @@ router.post('/', validate(createInvoiceSchema), async (req, res, next) => {
   try {
     logger.info('Creating invoice', { externalId: req.body.external_id });
 
-    const result = await xenditClient.createInvoice(req.body);
+    const forUserId = await subAccountService.resolve(req.forUserId, { bookingId: req.body.external_id });
+
+    const result = await xenditClient.createInvoice(req.body, {
+      idempotencyKey: req.headers['idempotency-key'],
+      forUserId
+    });
 
     res.status(201).json({
       success: true,
@@ -33,7 +39,7 @@ router.get('/:invoiceId', validateParams(invoiceIdSchema), async (req, res, next
 
     logger.info('Getting invoice', { invoiceId });
 
-    const result = await xenditClient.getInvoice(invoiceId);
+    const result = await xenditClient.getInvoice(invoiceId, { forUserId: req.forUserId });
 
     res.status(200).json({
       success: true,
@@ -51,7 +57,7 @@ router.post('/:invoiceId/expire', validateParams(invoiceIdSchema), async (req, r
 
     logger.info('Expiring invoice', { invoiceId });
 
-    const result = await xenditClient.expireInvoice(invoiceId);
+    const result = await xenditClient.expireInvoice(invoiceId, { forUserId: req.forUserId });
 
     res.status(200).json({
       success: true,
@@ -67,7 +73,7 @@ router.get('/', validateQuery(listInvoicesSchema), async (req, res, next) => {
   try {
     logger.info('Listing invoices', { query: req.query });
 
-    const result = await xenditClient.listInvoices(req.query);
+    const result = await xenditClient.listInvoices(req.query, { forUserId: req.forUserId });
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,68 @@
+const logger = require('../../shared/utils/logger');
+const storage = require('../../shared/storage');
+const registry = require('../webhooks/registry');
+
+// Handle invoice (payment link) callbacks; external_id is the booking ID
+const handleInvoiceStatus = async (invoiceData, { event }) => {
+  const { id: invoice_id, external_id, status, amount, paid_amount, currency, payment_channel, payment_id } = invoiceData;
+
+  logger.info('Processing invoice callback', {
+    event,
+    invoiceId: invoice_id,
+    externalId: external_id,
+    status,
+    amount,
+    paidAmount: paid_amount,
+    currency
+  });
+
+  try {
+    // Same status mapping as payment events (PAID/SETTLED → completed)
+    const updateResult = await storage.bookings.updateTransactionStatus(external_id, status, {
+      payment_id,
+      reference_id: external_id,
+      invoice_id,
+      amount: paid_amount ?? amount,
+      currency,
+      channel_code: payment_channel,
+      sub_account_id: invoiceData.sub_account_id
+    });
+
+    if (updateResult.success) {
+      logger.info('Booking updated from invoice', {
+        bookingId: external_id,
+        invoiceId: invoice_id,
+        status: updateResult.status
+      });
+    } else {
+      logger.warn('Booking update skipped for invoice', {
+        bookingId: external_id,
+        invoiceId: invoice_id,
+        status,
+        reason: updateResult.reason
+      });
+    }
+
+    // Create payment log for audit trail
+    await storage.paymentLogs.create({
+      ...invoiceData,
+      event,
+      bookingId: external_id,
+      invoice_id,
+      // Invoices name the channel payment_channel; logs are searched by channel_code
+      channel_code: payment_channel
+    });
+
+  } catch (error) {
+    logger.error('Error processing invoice callback', {
+      invoiceId: invoice_id,
+      externalId: external_id,
+      error: error.message
+    });
+    throw error;
+  }
+};
+
+registry.register(['invoice.paid', 'invoice.settled', 'invoice.expired'], 'invoice-status', handleInvoiceStatus);
+
+module.exports = { handleInvoiceStatus };
@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const { validateParams, validateQuery } = require('../../shared/middleware/validation');
+const { listPaymentLogsSchema, bookingTimelineSchema } = require('../../shared/validation/schemas');
+const { authenticateToken, requireAdmin } = require('../../shared/middleware/auth');
+const logger = require('../../shared/utils/logger');
+const service = require('./service');
+
+// Parameter validation schemas
+const bookingIdSchema = require('joi').object({
+  bookingId: require('joi').string().required()
+});
+
+// Search payment log entries (admin)
+router.get('/', authenticateToken, requireAdmin, validateQuery(listPaymentLogsSchema), async (req, res, next) => {
+  try {
+    const { booking_id, payment_request_id, event, status, channel_code, from, to, limit, cursor } = req.query;
+
+    logger.info('Listing payment logs', { query: req.query, userId: req.user.id });
+
+    const result = await service.listPaymentLogs({
+      bookingId: booking_id,
+      paymentRequestId: payment_request_id,
+      event,
+      status,
+      channelCode: channel_code,
+      from,
+      to,
+      limit,
+      cursor
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// A booking's payment events in order (owner or admin)
+router.get('/bookings/:bookingId', authenticateToken, validateParams(bookingIdSchema), validateQuery(bookingTimelineSchema), async (req, res, next) => {
+  try {
+    const { bookingId } = req.params;
+    const { limit, cursor } = req.query;
+
+    logger.info('Getting booking payment timeline', { bookingId, userId: req.user.id });
+
+    const result = await service.getBookingTimeline(bookingId, req.user, { limit, cursor });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const storage = require('../../shared/storage');
+const bookingService = require('../bookings/service');
+const AppError = require('../../shared/errors/appError');
+
+/**
+ * One payment log entry as a timeline step, with the Xendit payload trimmed
+ * to what support needs to follow a booking's payments
+ * @param {object} log - Serialized payment log entry
+ */
+const toTimelineEntry = (log) => ({
+  id: log.id,
+  at: log.createdAt || null,
+  event: log.event || null,
+  source: log.source || null,
+  status: log.status || null,
+  amount: log.amount ?? log.request_amount ?? null,
+  currency: log.currency || null,
+  channelCode: log.channel_code || null,
+  paymentRequestId: log.payment_request_id || null,
+  paymentId: log.payment_id || null,
+  invoiceId: log.invoice_id || null,
+  refundId: log.refund_id || null,
+  failureCode: log.failure_code || null
+});
+
+class PaymentLogService {
+  /**
+   * Search the payment log, newest first
+   * @param {object} filters - See the payment log repository's list
+   */
+  async listPaymentLogs(filters) {
+    if (!storage.isAvailable()) {
+      throw new AppError('Payment logs are unavailable without storage', 'STORAGE_UNAVAILABLE', 503);
+    }
+
+    return storage.paymentLogs.list(filters);
+  }
+
+  /**
+   * Everything logged for a booking, oldest first, next to the booking's current transaction
+   * @param {string} bookingId - The booking document ID
+   * @param {object} user - Authenticated caller; only owners and admins see a booking
+   * @param {object} options
+   * @param {number} options.limit - Page size
+   * @param {string} options.cursor - ID of the last entry on the previous page
+   */
+  async getBookingTimeline(bookingId, user, { limit, cursor } = {}) {
+    const booking = await bookingService.getAccessibleBooking(bookingId, user);
+    const { logs, nextCursor } = await storage.paymentLogs.list({ bookingId, order: 'asc', limit, cursor });
+
+    return {
+      bookingId,
+      status: booking.transaction?.status || null,
+      activeAttemptId: booking.transaction?.activeAttemptId || null,
+      timeline: logs.map(toTimelineEntry),
+      nextCursor
+    };
+  }
+}
+
+module.exports = new PaymentLogService();
@@ -7,36 +7,33 @@ const {
   cancelPaymentRequestSchema,
   simulatePaymentRequestSchema
 } = require('../../shared/validation/schemas');
+const subAccountService = require('../../shared/services/subAccountService');
+const { authenticateToken } = require('../../shared/middleware/auth');
+const idempotencyMiddleware = require('../../shared/middleware/idempotency');
 const logger = require('../../shared/utils/logger');
+const service = require('./service');
 
 // Parameter validation schemas
 const paymentRequestIdSchema = require('joi').object({
   paymentRequestId: require('joi').string().min(39).max(39).required()
 });
 
-// Create payment request
-router.post('/', validate(createPaymentRequestSchema), async (req, res, next) => {
+// Create payment request for a booking (reference_id) owned by the caller
+router.post('/', authenticateToken, idempotencyMiddleware.optional, validate(createPaymentRequestSchema), async (req, res, next) => {
   try {
-    logger.info('Creating payment request', { referenceId: req.body.reference_id });
+    logger.info('Creating payment request', { referenceId: req.body.reference_id, userId: req.user.id });
 
-    const result = await xenditClient.createPaymentRequest(req.body);
+    const result = await service.createPaymentRequest(req.body, {
+      idempotencyKey: req.headers['idempotency-key'],
+      forUserId: req.forUserId,
+      user: req.user
+    });
 
     res.status(201).json({
       success: true,
       data: result
     });
   } catch (error) {
-    // If it's an axios error with response data, return the Xendit error details
-    if (error.response && error.response.data) {
-      logger.error('Xendit API error details', {
-        status: error.response.status,
-        data: error.response.data
-      });
-      return res.status(error.response.status).json({
-        success: false,
-        error: error.response.data
-      });
-    }
     next(error);
   }
 });
@@ -48,7 +45,8 @@ router.get('/:paymentRequestId', validateParams(paymentRequestIdSchema), async (
 
     logger.info('Getting payment request status', { paymentRequestId });
 
-    const result = await xenditClient.getPaymentRequest(paymentRequestId);
+    const forUserId = await subAccountService.resolve(req.forUserId, { paymentRequestId });
+    const result = await xenditClient.getPaymentRequest(paymentRequestId, { forUserId });
 
     res.status(200).json({
       success: true,
@@ -66,7 +64,8 @@ router.post('/:paymentRequestId/cancel', validateParams(paymentRequestIdSchema),
 
     logger.info('Cancelling payment request', { paymentRequestId });
 
-    const result = await xenditClient.cancelPaymentRequest(paymentRequestId);
+    const forUserId = await subAccountService.resolve(req.forUserId, { paymentRequestId });
+    const result = await xenditClient.cancelPaymentRequest(paymentRequestId, { forUserId });
 
     res.status(200).json({
       success: true,
@@ -84,7 +83,8 @@ router.post('/:paymentRequestId/simulate', validateParams(paymentRequestIdSchema
 
     logger.info('Simulating payment request', { paymentRequestId, amount: req.body.amount });
 
-    const result = await xenditClient.simulatePaymentRequest(paymentRequestId, req.body);
+    const forUserId = await subAccountService.resolve(req.forUserId, { paymentRequestId });
+    const result = await xenditClient.simulatePaymentRequest(paymentRequestId, req.body, { forUserId });
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const xenditClient = require('../../shared/services/xenditClient');
+const storage = require('../../shared/storage');
+const subAccountService = require('../../shared/services/subAccountService');
+const customerService = require('../customers/service');
+const AppError = require('../../shared/errors/appError');
+const XenditApiError = require('../../shared/errors/xenditApiError');
+const logger = require('../../shared/utils/logger');
+
+// Booking fields holding what the booking costs
+const BOOKING_AMOUNT_FIELD = process.env.BOOKING_AMOUNT_FIELD || 'amount';
+const BOOKING_CURRENCY_FIELD = process.env.BOOKING_CURRENCY_FIELD || 'currency';
+
+// Transaction statuses of bookings that must not be charged again
+const PAID_TRANSACTION_STATUSES = ['authorized', 'completed', 'partially_refunded', 'refunded'];
+
+class PaymentRequestService {
+  /**
+   * Create a payment request for a booking, attaching the owner's persisted Xendit customer,
+   * and record it on the booking as the pending transaction
+   * @param {object} paymentRequestData - Validated payment request body
+   * @param {object} options
+   * @param {string} options.idempotencyKey - Forwarded to Xendit
+   * @param {string} options.forUserId - Sub-account from the request; resolved from the booking if absent
+   * @param {object} options.user - Authenticated caller; only admins can pay for other users' bookings
+   */
+  async createPaymentRequest(paymentRequestData, { idempotencyKey, forUserId, user } = {}) {
+    const booking = await this.assertBookingPayable(paymentRequestData, user);
+    const reservationId = idempotencyKey || crypto.randomUUID();
+
+    const { previousPaymentRequestId } = await this.reserveBooking(booking.id, reservationId);
+
+    let payload;
+    let result;
+    let creating = false;
+
+    try {
+      forUserId = await subAccountService.resolve(forUserId, { bookingId: booking.id });
+
+      payload = await this.attachCustomer(paymentRequestData, forUserId, booking);
+
+      if (payload.payment_token_id) {
+        await customerService.assertPaymentTokenUsable(payload.payment_token_id, {
+          ownerId: customerService.getBookingOwnerId(booking),
+          customerId: payload.customer_id,
+          forUserId
+        });
+      }
+
+      // Two open payment requests for one booking could both be paid
+      if (previousPaymentRequestId) {
+        await this.cancelPreviousPaymentRequest(booking, previousPaymentRequestId);
+      }
+
+      creating = true;
+      result = await xenditClient.createPaymentRequest(payload, { idempotencyKey, forUserId });
+
+    } catch (error) {
+      if (creating && this.mayHaveCreatedPaymentRequest(error)) {
+        // A retry with the same idempotency key, or the reservation lapsing, frees the booking
+        logger.warn('Payment request outcome unknown - keeping booking reserved', {
+          bookingId: booking.id,
+          error: error.message
+        });
+      } else {
+        await storage.bookings.releasePayment(booking.id, reservationId);
+      }
+      throw error;
+    }
+
+    if (payload.type === 'PAY_AND_SAVE' && result.payment_token_id) {
+      try {
+        await customerService.recordPaymentToken(result, 'PENDING', forUserId);
+      } catch (error) {
+        // The webhook stores the token again once the payment succeeds
+        logger.warn('Failed to store pending payment token', {
+          paymentRequestId: result.payment_request_id,
+          error: error.message
+        });
+      }
+    }
+
+    // Also frees the booking for the next payment request
+    const linked = await storage.bookings.linkPaymentRequest(booking.id, result, { forUserId });
+
+    if (!linked.success) {
+      logger.warn('Payment request not recorded on booking', {
+        bookingId: booking.id,
+        paymentRequestId: result.payment_request_id,
+        reason: linked.reason
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Hold the booking while its payment request is created, rejecting it when it was
+   * paid or another payment request is being created for it in the meantime
+   */
+  async reserveBooking(bookingId, reservationId) {
+    const reserved = await storage.bookings.reservePayment(bookingId, reservationId);
+
+    if (reserved.success) {
+      return reserved;
+    }
+
+    switch (reserved.code) {
+      case 'BOOKING_NOT_FOUND':
+        throw new AppError(`Booking ${bookingId} not found`, 'BOOKING_NOT_FOUND', 404);
+      case 'BOOKING_ALREADY_PAID':
+        throw new AppError(`Booking ${bookingId} is already paid (${reserved.status})`, 'BOOKING_ALREADY_PAID', 409);
+      default:
+        throw new AppError(
+          `A payment request for booking ${bookingId} is already being created`,
+          'PAYMENT_IN_PROGRESS',
+          409
+        );
+    }
+  }
+
+  /**
+   * Cancel the payment request a booking is still waiting on, and record that on the booking.
+   * Fails with 409 when Xendit can no longer cancel it, e.g. because it was just paid.
+   * @param {object} booking - The booking
+   * @param {string} paymentRequestId - Its pending payment request
+   */
+  async cancelPreviousPaymentRequest(booking, paymentRequestId) {
+    let cancelled;
+
+    try {
+      cancelled = await xenditClient.cancelPaymentRequest(paymentRequestId, {
+        forUserId: booking.transaction?.subAccountId || null
+      });
+    } catch (error) {
+      if (error instanceof XenditApiError && error.status === 404) {
+        logger.warn('Previous payment request not found at Xendit', { bookingId: booking.id, paymentRequestId });
+        return;
+      }
+
+      if (error instanceof XenditApiError && error.status >= 400 && error.status < 500) {
+        throw new AppError(
+          `The previous payment request for booking ${booking.id} can no longer be cancelled`,
+          'PAYMENT_IN_PROGRESS',
+          409
+        );
+      }
+
+      throw error;
+    }
+
+    logger.info('Previous payment request cancelled', { bookingId: booking.id, paymentRequestId });
+    await storage.bookings.updateTransactionStatus(booking.id, cancelled.status, cancelled);
+  }
+
+  /**
+   * Whether Xendit may have created the payment request despite the error
+   */
+  mayHaveCreatedPaymentRequest(error) {
+    return error instanceof XenditApiError && (error.timeout || !error.status || error.status >= 500);
+  }
+
+  /**
+   * Reject payment requests for bookings that don't exist, belong to someone else,
+   * are already paid or cost a different amount
+   * @param {object} paymentRequestData - Validated payment request body
+   * @param {object} user - Authenticated caller
+   * @returns {Promise<object>} - The booking
+   */
+  async assertBookingPayable(paymentRequestData, user) {
+    const bookingId = paymentRequestData.reference_id;
+
+    if (!storage.isAvailable()) {
+      throw new AppError('Payment requests are unavailable without storage', 'STORAGE_UNAVAILABLE', 503);
+    }
+
+    const booking = await storage.bookings.get(bookingId);
+
+    if (!booking) {
+      throw new AppError(`Booking ${bookingId} not found`, 'BOOKING_NOT_FOUND', 404);
+    }
+
+    if (user.role !== 'admin' && customerService.getBookingOwnerId(booking) !== user.id) {
+      logger.warn('Payment request for another user\'s booking', { bookingId, userId: user.id });
+      throw new AppError('Booking belongs to another user', 'BOOKING_NOT_OWNED', 403);
+    }
+
+    const transactionStatus = booking.transaction?.status;
+    if (PAID_TRANSACTION_STATUSES.includes(transactionStatus)) {
+      throw new AppError(`Booking ${bookingId} is already paid (${transactionStatus})`, 'BOOKING_ALREADY_PAID', 409);
+    }
+
+    // Payment requests send request_amount, cards sessions send amount
+    const amountField = paymentRequestData.request_amount !== undefined ? 'request_amount' : 'amount';
+    const amount = paymentRequestData[amountField];
+    const bookingAmount = Number(booking[BOOKING_AMOUNT_FIELD]);
+
+    if (booking[BOOKING_AMOUNT_FIELD] == null || !Number.isFinite(bookingAmount)) {
+      throw new AppError(`Booking ${bookingId} has no amount to charge`, 'BOOKING_NOT_PAYABLE', 409);
+    }
+
+    if (amount !== bookingAmount) {
+      throw new AppError(
+        `Amount ${amount} does not match the booking amount ${bookingAmount}`,
+        'AMOUNT_MISMATCH',
+        400,
+        [{ field: amountField, message: `must be equal to ${bookingAmount}` }]
+      );
+    }
+
+    const bookingCurrency = booking[BOOKING_CURRENCY_FIELD];
+    if (bookingCurrency && paymentRequestData.currency !== bookingCurrency) {
+      throw new AppError(
+        `Currency ${paymentRequestData.currency} does not match the booking currency ${bookingCurrency}`,
+        'CURRENCY_MISMATCH',
+        400,
+        [{ field: 'currency', message: `must be ${bookingCurrency}` }]
+      );
+    }
+
+    return booking;
+  }
+
+  /**
+   * Replace an inline customer with a customer_id so repeat bookers reuse one record.
+   * The customer always belongs to the booking owner: a customer_id sent by the
+   * caller must be theirs. Cards session requests keep the inline customer.
+   * @param {object} booking - The booking, if already loaded
+   */
+  async attachCustomer(paymentRequestData, forUserId = null, booking = null) {
+    const { customer, customer_id, reference_id } = paymentRequestData;
+    const ownerId = customerService.getBookingOwnerId(booking || await storage.bookings.get(reference_id));
+
+    if (customer_id) {
+      await customerService.assertOwnerCustomer(customer_id, ownerId, forUserId);
+      return paymentRequestData;
+    }
+
+    if (paymentRequestData.session_type) {
+      return paymentRequestData;
+    }
+
+    try {
+      const customerId = await customerService.resolveCustomerId(ownerId, customer, forUserId);
+      if (!customerId) {
+        return paymentRequestData;
+      }
+
+      logger.info('Using Xendit customer for payment request', { referenceId: reference_id, customerId });
+
+      const { customer: _, ...payload } = paymentRequestData;
+      return { ...payload, customer_id: customerId };
+
+    } catch (error) {
+      // Fall back to whatever the caller sent rather than failing the payment
+      logger.warn('Failed to resolve Xendit customer for payment request', {
+        referenceId: reference_id,
+        error: error.message
+      });
+      return paymentRequestData;
+    }
+  }
+}
+
+module.exports = new PaymentRequestService();
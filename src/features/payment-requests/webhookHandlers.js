@@ -0,0 +1,129 @@
+const logger = require('../../shared/utils/logger');
+const storage = require('../../shared/storage');
+const registry = require('../webhooks/registry');
+
+// Handle payment request expiry events
+const handlePaymentRequestExpiry = async (paymentRequestData) => {
+  const { payment_request_id, reference_id, status } = paymentRequestData;
+
+  logger.info('Processing payment request expiry', {
+    paymentRequestId: payment_request_id,
+    referenceId: reference_id,
+    status
+  });
+
+  try {
+    // Update booking transaction status to expired
+    if (reference_id) {
+      const updateResult = await storage.bookings.updateTransactionStatus(
+        reference_id,
+        status,
+        paymentRequestData
+      );
+
+      if (updateResult.success) {
+        logger.info('Booking updated with expiry status', {
+          bookingId: reference_id,
+          paymentRequestId: payment_request_id,
+          status
+        });
+      }
+    }
+
+    // Create payment log for audit trail
+    await storage.paymentLogs.create({
+      ...paymentRequestData,
+      event: 'payment_request.expiry',
+      bookingId: reference_id
+    });
+
+  } catch (error) {
+    logger.error('Error processing payment request expiry', {
+      paymentRequestId: payment_request_id,
+      referenceId: reference_id,
+      error: error.message
+    });
+    throw error;
+  }
+};
+
+// Handle payment request succeeded events
+const handlePaymentRequestSucceeded = async (paymentRequestData) => {
+  const { payment_request_id, reference_id, status } = paymentRequestData;
+
+  logger.info('Processing payment request succeeded', {
+    paymentRequestId: payment_request_id,
+    referenceId: reference_id,
+    status
+  });
+
+  // Payment request succeeded typically means a payment was created
+  // This might trigger a payment webhook separately, so we may just log it
+  try {
+    await storage.paymentLogs.create({
+      ...paymentRequestData,
+      event: 'payment_request.succeeded',
+      bookingId: reference_id
+    });
+  } catch (error) {
+    logger.error('Error processing payment request succeeded', {
+      paymentRequestId: payment_request_id,
+      referenceId: reference_id,
+      error: error.message
+    });
+    throw error;
+  }
+};
+
+// Handle payment request failed events
+const handlePaymentRequestFailed = async (paymentRequestData) => {
+  const { payment_request_id, reference_id, status, failure_code } = paymentRequestData;
+
+  logger.error('Processing payment request failed', {
+    paymentRequestId: payment_request_id,
+    referenceId: reference_id,
+    status,
+    failureCode: failure_code
+  });
+
+  try {
+    // Update booking transaction status
+    if (reference_id) {
+      const updateResult = await storage.bookings.updateTransactionStatus(
+        reference_id,
+        status,
+        paymentRequestData
+      );
+
+      if (updateResult.success) {
+        logger.info('Booking updated with payment request failure status', {
+          bookingId: reference_id,
+          paymentRequestId: payment_request_id,
+          status,
+          failureCode: failure_code
+        });
+      }
+    }
+
+    // Create payment log for audit trail
+    await storage.paymentLogs.create({
+      ...paymentRequestData,
+      event: 'payment_request.failed',
+      bookingId: reference_id
+    });
+
+  } catch (error) {
+    logger.error('Error processing payment request failed', {
+      paymentRequestId: payment_request_id,
+      referenceId: reference_id,
+      error: error.message
+    });
+    throw error;
+  }
+};
+
+registry.register('payment_request.expiry', 'payment-request-expiry', handlePaymentRequestExpiry);
+registry.register('payment_request.succeeded', 'payment-request-succeeded', handlePaymentRequestSucceeded);
+registry.register('payment_request.failed', 'payment-request-failed', handlePaymentRequestFailed);
+
+module.exports = { handlePaymentRequestExpiry, handlePaymentRequestSucceeded, handlePaymentRequestFailed };
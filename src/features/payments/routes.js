@@ -17,7 +17,7 @@ router.get('/:paymentId', validateParams(paymentIdSchema), async (req, res, next
 
     logger.info('Getting payment status', { paymentId });
 
-    const result = await xenditClient.getPayment(paymentId);
+    const result = await xenditClient.getPayment(paymentId, { forUserId: req.forUserId });
 
     res.status(200).json({
       success: true,
@@ -35,7 +35,7 @@ router.post('/:paymentId/cancel', validateParams(paymentIdSchema), async (req, r
 
     logger.info('Cancelling payment', { paymentId });
 
-    const result = await xenditClient.cancelPayment(paymentId);
+    const result = await xenditClient.cancelPayment(paymentId, { forUserId: req.forUserId });
 
     res.status(200).json({
       success: true,
@@ -53,7 +53,7 @@ router.post('/:paymentId/capture', validateParams(paymentIdSchema), validate(cap
 
     logger.info('Capturing payment', { paymentId, captureAmount: req.body.capture_amount });
 
-    const result = await xenditClient.capturePayment(paymentId, req.body);
+    const result = await xenditClient.capturePayment(paymentId, req.body, { forUserId: req.forUserId });
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,204 @@
+const logger = require('../../shared/utils/logger');
+const storage = require('../../shared/storage');
+const registry = require('../webhooks/registry');
+
+// Handle payment capture events
+const handlePaymentCapture = async (paymentData) => {
+  const { payment_id, reference_id, payment_request_id, status, amount, currency } = paymentData;
+
+  logger.info('Processing payment capture', {
+    paymentId: payment_id,
+    referenceId: reference_id,
+    paymentRequestId: payment_request_id,
+    status,
+    amount,
+    currency
+  });
+
+  try {
+    // Update booking directly using reference_id as document ID
+    const updateResult = await storage.bookings.updateTransactionStatus(reference_id, status, paymentData);
+
+    if (updateResult.success) {
+      logger.info('Booking updated successfully', {
+        bookingId: reference_id,
+        paymentId: payment_id,
+        referenceId: reference_id,
+        status
+      });
+    } else {
+      logger.warn('Booking update skipped', {
+        bookingId: reference_id,
+        paymentId: payment_id,
+        referenceId: reference_id,
+        status,
+        reason: updateResult.reason
+      });
+    }
+
+    // TODO: Additional business logic
+    // - Send confirmation email/SMS to customer
+    // - Trigger fulfillment process
+    // - Update inventory
+    // - Send notifications to relevant systems
+
+    // Create payment log for audit trail
+    await storage.paymentLogs.create({
+      ...paymentData,
+      event: 'payment.capture',
+      bookingId: reference_id
+    });
+
+  } catch (error) {
+    logger.error('Error processing payment capture', {
+      paymentId: payment_id,
+      referenceId: reference_id,
+      error: error.message
+    });
+    throw error;
+  }
+};
+
+// Handle capture succeeded events
+const handleCaptureSucceeded = async (captureData) => {
+  const { id: capture_id, payment_request_id, reference_id, status, authorized_amount, captured_amount, currency } = captureData;
+
+  logger.info('Processing capture succeeded', {
+    captureId: capture_id,
+    referenceId: reference_id,
+    paymentRequestId: payment_request_id,
+    status,
+    authorizedAmount: authorized_amount,
+    capturedAmount: captured_amount,
+    currency
+  });
+
+  try {
+    // Map capture data to payment data format for storage.bookings.updateTransactionStatus
+    const paymentData = {
+      payment_id: capture_id, // Use capture_id as payment_id
+      reference_id: reference_id,
+      payment_request_id: payment_request_id,
+      status: status,
+      amount: captured_amount || authorized_amount,
+      currency: currency
+    };
+
+    // Update booking directly using reference_id as document ID
+    const updateResult = await storage.bookings.updateTransactionStatus(reference_id, status, paymentData);
+
+    if (updateResult.success) {
+      logger.info('Booking updated successfully from capture', {
+        bookingId: reference_id,
+        captureId: capture_id,
+        referenceId: reference_id,
+        status
+      });
+    } else {
+      logger.warn('Booking update skipped for capture', {
+        bookingId: reference_id,
+        captureId: capture_id,
+        referenceId: reference_id,
+        status,
+        reason: updateResult.reason
+      });
+    }
+
+    // Create payment log for audit trail
+    await storage.paymentLogs.create({
+      ...captureData,
+      event: 'capture.succeeded',
+      bookingId: reference_id,
+      capture_id: capture_id
+    });
+
+  } catch (error) {
+    logger.error('Error processing capture succeeded', {
+      captureId: capture_id,
+      referenceId: reference_id,
+      error: error.message
+    });
+    throw error;
+  }
+};
+
+// Handle payment authorization events
+const handlePaymentAuthorization = async (paymentData) => {
+  const { payment_id, payment_request_id, status, amount } = paymentData;
+
+  logger.info('Processing payment authorization', {
+    paymentId: payment_id,
+    paymentRequestId: payment_request_id,
+    status,
+    amount
+  });
+
+  // Authorization means payment is approved but not yet captured
+  // You might want to reserve inventory or prepare for fulfillment
+};
+
+// Handle payment failure events
+const handlePaymentFailure = async (paymentData) => {
+  const { payment_id, reference_id, payment_request_id, status, failure_code, amount } = paymentData;
+
+  logger.error('Processing payment failure', {
+    paymentId: payment_id,
+    referenceId: reference_id,
+    paymentRequestId: payment_request_id,
+    status,
+    failureCode: failure_code,
+    amount
+  });
+
+  try {
+    // Update booking directly using reference_id as document ID
+    const updateResult = await storage.bookings.updateTransactionStatus(reference_id, status, paymentData);
+
+    if (updateResult.success) {
+      logger.info('Booking updated with failure status', {
+        bookingId: reference_id,
+        paymentId: payment_id,
+        referenceId: reference_id,
+        status,
+        failureCode: failure_code
+      });
+    } else {
+      logger.warn('Booking update skipped for failure', {
+        bookingId: reference_id,
+        paymentId: payment_id,
+        referenceId: reference_id,
+        status,
+        failureCode: failure_code,
+        reason: updateResult.reason
+      });
+    }
+
+    // TODO: Additional failure handling logic
+    // - Send failure notification to customer
+    // - Log failure reason for analysis
+    // - Potentially trigger retry logic
+    // - Update booking status to allow re-payment
+
+    // Create payment log for audit trail
+    await storage.paymentLogs.create({
+      ...paymentData,
+      event: 'payment.failure',
+      bookingId: reference_id
+    });
+
+  } catch (error) {
+    logger.error('Error processing payment failure', {
+      paymentId: payment_id,
+      referenceId: reference_id,
+      error: error.message
+    });
+    throw error;
+  }
+};
+
+registry.register(['payment.capture', 'payment.succeeded'], 'payment-capture', handlePaymentCapture);
+registry.register('capture.succeeded', 'capture-succeeded', handleCaptureSucceeded);
+registry.register('payment.authorization', 'payment-authorization', handlePaymentAuthorization);
+registry.register(['payment.failure', 'payment.failed'], 'payment-failure', handlePaymentFailure);
+
+module.exports = { handlePaymentCapture, handleCaptureSucceeded, handlePaymentAuthorization, handlePaymentFailure };
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const xenditClient = require('../../shared/services/xenditClient');
+const { validate, validateParams, validateQuery } = require('../../shared/middleware/validation');
+const { authenticateToken, requireAdmin } = require('../../shared/middleware/auth');
+const { createPayoutSchema, listPayoutsSchema } = require('../../shared/validation/schemas');
+const AppError = require('../../shared/errors/appError');
+const logger = require('../../shared/utils/logger');
+const service = require('./service');
+
+// Parameter validation schemas
+const payoutIdSchema = require('joi').object({
+  payoutId: require('joi').string().required()
+});
+
+// Create payout
+router.post('/', authenticateToken, requireAdmin, validate(createPayoutSchema), async (req, res, next) => {
+  try {
+    const idempotencyKey = req.headers['idempotency-key'];
+
+    // Xendit requires one, and a retried payout must never pay twice
+    if (!idempotencyKey) {
+      throw new AppError('Missing required header: idempotency-key', 'MISSING_IDEMPOTENCY_KEY', 400);
+    }
+
+    const result = await service.createPayout(req.body, {
+      idempotencyKey,
+      forUserId: req.forUserId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List payouts by reference ID
+router.get('/', authenticateToken, requireAdmin, validateQuery(listPayoutsSchema), async (req, res, next) => {
+  try {
+    logger.info('Listing payouts', { query: req.query });
+
+    const result = await xenditClient.listPayouts(req.query, { forUserId: req.forUserId });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get payout
+router.get('/:payoutId', authenticateToken, requireAdmin, validateParams(payoutIdSchema), async (req, res, next) => {
+  try {
+    const { payoutId } = req.params;
+
+    logger.info('Getting payout', { payoutId });
+
+    const result = await xenditClient.getPayout(payoutId, { forUserId: req.forUserId });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancel payout
+router.post('/:payoutId/cancel', authenticateToken, requireAdmin, validateParams(payoutIdSchema), async (req, res, next) => {
+  try {
+    const { payoutId } = req.params;
+
+    logger.info('Cancelling payout', { payoutId });
+
+    const result = await service.cancelPayout(payoutId, { forUserId: req.forUserId });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
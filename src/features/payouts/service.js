@@ -0,0 +1,111 @@
+const xenditClient = require('../../shared/services/xenditClient');
+const storage = require('../../shared/storage');
+const subAccountService = require('../../shared/services/subAccountService');
+const AppError = require('../../shared/errors/appError');
+const XenditApiError = require('../../shared/errors/xenditApiError');
+const logger = require('../../shared/utils/logger');
+
+class PayoutService {
+  /**
+   * Pay out the proceeds of one or more bookings
+   * @param {object} payoutData - Validated payout request body
+   * @param {object} options
+   * @param {string} options.idempotencyKey - Required by Xendit for payouts
+   * @param {string} options.forUserId - Sub-account from the request; resolved from the first booking if absent
+   */
+  async createPayout(payoutData, { idempotencyKey, forUserId } = {}) {
+    const { booking_ids: bookingIds, ...payload } = payoutData;
+
+    await this.reserveBookings(bookingIds, idempotencyKey);
+
+    let payout;
+
+    try {
+      forUserId = await subAccountService.resolve(forUserId, { bookingId: bookingIds[0] });
+
+      logger.info('Creating payout', {
+        referenceId: payload.reference_id,
+        bookingIds,
+        channelCode: payload.channel_code,
+        amount: payload.amount,
+        currency: payload.currency,
+        forUserId
+      });
+
+      payout = await xenditClient.createPayout({
+        ...payload,
+        // Lets webhooks find the bookings even if the stored link is missing
+        metadata: { ...payload.metadata, booking_ids: bookingIds.join(',') }
+      }, { idempotencyKey, forUserId });
+
+    } catch (error) {
+      if (this.mayHaveCreatedPayout(error)) {
+        // A retry with the same idempotency key, or the payout webhook, settles these
+        logger.warn('Payout outcome unknown - keeping bookings reserved', { bookingIds, error: error.message });
+      } else {
+        await storage.payouts.release(bookingIds, idempotencyKey);
+      }
+      throw error;
+    }
+
+    await storage.payouts.link(payout, bookingIds, forUserId);
+
+    return payout;
+  }
+
+  /**
+   * Cancel a payout that Xendit has not sent yet
+   */
+  async cancelPayout(payoutId, { forUserId } = {}) {
+    const payout = await xenditClient.cancelPayout(payoutId, { forUserId });
+
+    await storage.payouts.updateStatus(payout, this.bookingIdsFromMetadata(payout.metadata));
+
+    return payout;
+  }
+
+  /**
+   * Hold paid bookings for this payout, rejecting bookings that don't exist,
+   * aren't paid yet or already have an active payout
+   */
+  async reserveBookings(bookingIds, idempotencyKey) {
+    if (!storage.isAvailable()) {
+      throw new AppError('Payouts are unavailable without storage', 'STORAGE_UNAVAILABLE', 503);
+    }
+
+    const result = await storage.payouts.reserve(bookingIds, idempotencyKey);
+
+    if (result.success) {
+      return;
+    }
+
+    const { bookingId } = result;
+
+    switch (result.code) {
+      case 'BOOKING_NOT_FOUND':
+        throw new AppError(`Booking ${bookingId} not found`, 'BOOKING_NOT_FOUND', 404);
+      case 'BOOKING_NOT_PAID':
+        throw new AppError(`Booking ${bookingId} has not been paid`, 'BOOKING_NOT_PAID', 409);
+      default:
+        throw new AppError(
+          `Booking ${bookingId} is already settled by payout ${result.payoutId || 'in progress'}`,
+          'BOOKING_ALREADY_PAID_OUT',
+          409
+        );
+    }
+  }
+
+  /**
+   * Whether Xendit may have created the payout despite the error: timeouts,
+   * network errors and 5xx responses leave the outcome unknown
+   */
+  mayHaveCreatedPayout(error) {
+    return error instanceof XenditApiError && (error.timeout || !error.status || error.status >= 500);
+  }
+
+  bookingIdsFromMetadata(metadata) {
+    return metadata?.booking_ids ? metadata.booking_ids.split(',').filter(Boolean) : [];
+  }
+}
+
+module.exports = new PayoutService();
@@ -0,0 +1,57 @@
+const logger = require('../../shared/utils/logger');
+const storage = require('../../shared/storage');
+const registry = require('../webhooks/registry');
+
+// Handle payout events
+const handlePayout = async (payoutData, { event }) => {
+  const { id: payout_id, reference_id, status, amount, failure_code, metadata } = payoutData;
+
+  logger.info('Processing payout', {
+    event,
+    payoutId: payout_id,
+    referenceId: reference_id,
+    status,
+    amount,
+    failureCode: failure_code
+  });
+
+  try {
+    // Payouts created through this API carry their booking IDs in metadata
+    const fallbackBookingIds = metadata?.booking_ids ? metadata.booking_ids.split(',').filter(Boolean) : [];
+    const updateResult = await storage.payouts.updateStatus(payoutData, fallbackBookingIds);
+
+    if (updateResult.success) {
+      logger.info('Bookings updated with payout', {
+        payoutId: payout_id,
+        bookingIds: updateResult.bookingIds,
+        status
+      });
+    } else {
+      logger.warn('Payout booking update skipped', {
+        payoutId: payout_id,
+        reason: updateResult.reason
+      });
+    }
+
+    // Create payment log for audit trail
+    await storage.paymentLogs.create({
+      ...payoutData,
+      event,
+      bookingId: updateResult.bookingIds?.[0] || null,
+      bookingIds: updateResult.bookingIds || fallbackBookingIds,
+      payout_id
+    });
+
+  } catch (error) {
+    logger.error('Error processing payout', {
+      payoutId: payout_id,
+      referenceId: reference_id,
+      error: error.message
+    });
+    throw error;
+  }
+};
+
+registry.register(['payout.succeeded', 'payout.failed', 'payout.reversed'], 'payout', handlePayout);
+
+module.exports = { handlePayout };
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { validate } = require('../../shared/middleware/validation');
+const { reconcilePendingBookingsSchema } = require('../../shared/validation/schemas');
+const { authenticateToken, requireAdmin } = require('../../shared/middleware/auth');
+const logger = require('../../shared/utils/logger');
+const service = require('./service');
+
+// Re-check bookings stuck in pending against Xendit (admin).
+// Also runs on a schedule through `npm run reconcile`.
+router.post('/pending-bookings', authenticateToken, requireAdmin, validate(reconcilePendingBookingsSchema), async (req, res, next) => {
+  try {
+    const { older_than_minutes, limit, dryRun } = req.body;
+
+    logger.info('Reconciling pending bookings', { olderThanMinutes: older_than_minutes, limit, dryRun, userId: req.user.id });
+
+    const result = await service.reconcilePendingBookings({
+      olderThanMinutes: older_than_minutes,
+      limit,
+      dryRun
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
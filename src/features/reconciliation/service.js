@@ -0,0 +1,173 @@
+const xenditClient = require('../../shared/services/xenditClient');
+const storage = require('../../shared/storage');
+const logger = require('../../shared/utils/logger');
+const { mapXenditStatus } = require('../../shared/utils/transactionStatus');
+const { intFromEnv } = require('../../shared/utils/env');
+
+// Bookings pending for longer than this are assumed to have missed a webhook
+const RECONCILE_PENDING_AFTER_MINUTES = intFromEnv('RECONCILE_PENDING_AFTER_MINUTES', 30);
+
+/**
+ * Live Xendit state of a booking's transaction, fetched from the most specific
+ * reference it has, as the paymentData shape storage.bookings.updateTransactionStatus expects
+ */
+const LOOKUPS = [
+  {
+    source: 'payment_request',
+    field: 'paymentRequestId',
+    fetch: (id, options) => xenditClient.getPaymentRequest(id, options),
+    toPaymentData: (paymentRequest) => ({
+      payment_request_id: paymentRequest.payment_request_id,
+      status: paymentRequest.status,
+      amount: paymentRequest.request_amount,
+      currency: paymentRequest.currency,
+      channel_code: paymentRequest.channel_code,
+      failure_code: paymentRequest.failure_code
+    })
+  },
+  {
+    source: 'invoice',
+    field: 'invoiceId',
+    fetch: (id, options) => xenditClient.getInvoice(id, options),
+    toPaymentData: (invoice) => ({
+      invoice_id: invoice.id,
+      payment_id: invoice.payment_id,
+      status: invoice.status,
+      amount: invoice.paid_amount ?? invoice.amount,
+      currency: invoice.currency,
+      channel_code: invoice.payment_channel
+    })
+  },
+  {
+    source: 'payment',
+    field: 'paymentId',
+    fetch: (id, options) => xenditClient.getPayment(id, options),
+    toPaymentData: (payment) => ({
+      payment_id: payment.payment_id,
+      payment_request_id: payment.payment_request_id,
+      status: payment.status,
+      amount: payment.captures?.[0]?.capture_amount ?? payment.request_amount,
+      currency: payment.currency,
+      channel_code: payment.channel_code,
+      failure_code: payment.failure_code
+    })
+  }
+];
+
+class ReconciliationService {
+  /**
+   * Re-check bookings stuck in pending against Xendit and apply what Xendit reports,
+   * through the same booking update (and status transition rules) webhooks use
+   * @param {object} options
+   * @param {number} options.olderThanMinutes - Only bookings pending for at least this long
+   * @param {number} options.limit - Max bookings checked in one run
+   * @param {boolean} options.dryRun - Report the storage changes without writing them
+   * @returns {Promise<object>} - Summary counts and a result per booking
+   */
+  async reconcilePendingBookings({ olderThanMinutes = RECONCILE_PENDING_AFTER_MINUTES, limit = 50, dryRun = false } = {}) {
+    const olderThan = new Date(Date.now() - olderThanMinutes * 60 * 1000);
+    const bookings = await storage.bookings.listPending({ olderThan, limit });
+
+    logger.info('Reconciling pending bookings', { count: bookings.length, olderThan: olderThan.toISOString(), dryRun });
+
+    const results = [];
+
+    // One at a time; the request queue would hold them back anyway
+    for (const booking of bookings) {
+      const result = await this.reconcileBooking(booking, { dryRun });
+
+      // Bookings that stay pending go to the back of the queue for the next run
+      if (!dryRun && result.outcome !== 'fixed') {
+        await storage.bookings.markReconciled(booking.id);
+      }
+
+      results.push(result);
+    }
+
+    const count = (outcome) => results.filter(result => result.outcome === outcome).length;
+    const report = {
+      dryRun,
+      olderThan: olderThan.toISOString(),
+      checked: results.length,
+      fixed: count('fixed'),
+      stillPending: count('still_pending'),
+      disagreements: count('disagrees') + count('error') + count('unresolvable'),
+      results
+    };
+
+    logger.info('Pending booking reconciliation finished', { ...report, results: undefined });
+
+    return report;
+  }
+
+  /**
+   * @returns {Promise<object>} - outcome is fixed, still_pending, disagrees (Xendit has moved on
+   *   but the booking couldn't follow), unresolvable (no Xendit reference) or error (lookup failed)
+   */
+  async reconcileBooking(booking, { dryRun }) {
+    const transaction = booking.transaction || {};
+    const lookup = LOOKUPS.find(candidate => transaction[candidate.field]);
+    const result = { bookingId: booking.id, bookingStatus: transaction.status };
+
+    if (!lookup) {
+      return { ...result, outcome: 'unresolvable', reason: 'No Xendit reference on the booking transaction' };
+    }
+
+    const xenditId = transaction[lookup.field];
+    Object.assign(result, { source: lookup.source, xenditId });
+
+    let paymentData;
+    try {
+      const live = await lookup.fetch(xenditId, { forUserId: transaction.subAccountId || null });
+      paymentData = {
+        ...lookup.toPaymentData(live),
+        reference_id: booking.id,
+        sub_account_id: transaction.subAccountId
+      };
+    } catch (error) {
+      logger.error('Reconciliation lookup failed', { bookingId: booking.id, source: lookup.source, xenditId, error: error.message });
+      return { ...result, outcome: 'error', error: error.message };
+    }
+
+    const mappedStatus = mapXenditStatus(paymentData.status);
+    Object.assign(result, { xenditStatus: paymentData.status });
+
+    if (mappedStatus === 'pending') {
+      return { ...result, outcome: 'still_pending' };
+    }
+
+    const apply = async () => {
+      const updateResult = await storage.bookings.updateTransactionStatus(booking.id, paymentData.status, paymentData);
+
+      if (updateResult.success) {
+        await storage.paymentLogs.create({
+          ...paymentData,
+          event: `reconciliation.${lookup.source}`,
+          bookingId: booking.id
+        }, { source: 'reconciliation' });
+      }
+
+      return updateResult;
+    };
+
+    const { result: updateResult, writes } = dryRun
+      ? await storage.dryRun(apply)
+      : { result: await apply(), writes: [] };
+
+    if (!updateResult.success) {
+      logger.warn('Booking disagrees with Xendit', { bookingId: booking.id, xenditStatus: paymentData.status, reason: updateResult.reason });
+      return { ...result, outcome: 'disagrees', reason: updateResult.reason };
+    }
+
+    logger.info('Booking reconciled with Xendit', { bookingId: booking.id, xenditStatus: paymentData.status, status: updateResult.status, dryRun });
+
+    return {
+      ...result,
+      outcome: 'fixed',
+      status: updateResult.status,
+      ...(dryRun && { changes: writes })
+    };
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,3 @@
+const router = require('./routes');
+
+module.exports = router;
\ No newline at end of file
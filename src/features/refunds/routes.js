@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const xenditClient = require('../../shared/services/xenditClient');
+const { validate, validateParams, validateQuery } = require('../../shared/middleware/validation');
+const { authenticateToken, requireAdmin } = require('../../shared/middleware/auth');
+const idempotencyMiddleware = require('../../shared/middleware/idempotency');
+const { createRefundSchema, listRefundsSchema } = require('../../shared/validation/schemas');
+const logger = require('../../shared/utils/logger');
+const service = require('./service');
+
+// Parameter validation schemas
+const refundIdSchema = require('joi').object({
+  refundId: require('joi').string().required()
+});
+
+// Create refund (full or partial)
+router.post('/', authenticateToken, requireAdmin, idempotencyMiddleware, validate(createRefundSchema), async (req, res, next) => {
+  try {
+    const result = await service.createRefund(req.body, {
+      idempotencyKey: req.headers['idempotency-key'],
+      forUserId: req.forUserId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get refund
+router.get('/:refundId', authenticateToken, requireAdmin, validateParams(refundIdSchema), async (req, res, next) => {
+  try {
+    const { refundId } = req.params;
+
+    logger.info('Getting refund', { refundId });
+
+    const result = await xenditClient.getRefund(refundId, { forUserId: req.forUserId });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List refunds
+router.get('/', authenticateToken, requireAdmin, validateQuery(listRefundsSchema), async (req, res, next) => {
+  try {
+    logger.info('Listing refunds', { query: req.query });
+
+    const result = await xenditClient.listRefunds(req.query, { forUserId: req.forUserId });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const xenditClient = require('../../shared/services/xenditClient');
+const subAccountService = require('../../shared/services/subAccountService');
+const AppError = require('../../shared/errors/appError');
+const logger = require('../../shared/utils/logger');
+
+const REFUNDABLE_PAYMENT_REQUEST_STATUSES = ['SUCCEEDED'];
+const REFUNDABLE_INVOICE_STATUSES = ['PAID', 'SETTLED'];
+
+class RefundService {
+  /**
+   * Create a full or partial refund after checking it against the captured amount
+   * @param {object} refundData - Validated refund request body
+   * @param {object} options
+   * @param {string} options.idempotencyKey - Forwarded to Xendit
+   * @param {string} options.forUserId - Sub-account from the request; resolved from the booking if absent
+   */
+  async createRefund(refundData, { idempotencyKey, forUserId } = {}) {
+    forUserId = await subAccountService.resolve(forUserId, { paymentRequestId: refundData.payment_request_id });
+
+    const source = refundData.payment_request_id
+      ? await this.getPaymentRequestSource(refundData.payment_request_id, forUserId)
+      : await this.getInvoiceSource(refundData.invoice_id, forUserId);
+
+    const refundedAmount = await this.getRefundedAmount(refundData, forUserId);
+    const refundableAmount = source.capturedAmount - refundedAmount;
+    const amount = refundData.amount ?? refundableAmount;
+
+    if (refundableAmount <= 0) {
+      throw new AppError('Payment has already been fully refunded', 'REFUND_NOT_ALLOWED', 409);
+    }
+
+    if (amount > refundableAmount) {
+      throw new AppError(
+        `Refund amount ${amount} exceeds refundable amount ${refundableAmount}`,
+        'REFUND_AMOUNT_EXCEEDED',
+        400,
+        [{ field: 'amount', message: `must be less than or equal to ${refundableAmount}` }]
+      );
+    }
+
+    logger.info('Creating refund', {
+      paymentRequestId: refundData.payment_request_id,
+      invoiceId: refundData.invoice_id,
+      bookingId: source.bookingId,
+      amount,
+      capturedAmount: source.capturedAmount,
+      refundedAmount
+    });
+
+    return xenditClient.createRefund({
+      ...refundData,
+      amount,
+      currency: refundData.currency || source.currency,
+      metadata: {
+        ...refundData.metadata,
+        ...(source.bookingId && { booking_id: source.bookingId })
+      }
+    }, { idempotencyKey, forUserId });
+  }
+
+  async getPaymentRequestSource(paymentRequestId, forUserId) {
+    const paymentRequest = await xenditClient.getPaymentRequest(paymentRequestId, { forUserId });
+
+    if (!REFUNDABLE_PAYMENT_REQUEST_STATUSES.includes(paymentRequest.status)) {
+      throw new AppError(
+        `Payment request in status ${paymentRequest.status} cannot be refunded`,
+        'REFUND_NOT_ALLOWED',
+        409
+      );
+    }
+
+    let capturedAmount = paymentRequest.request_amount || 0;
+
+    if (paymentRequest.latest_payment_id) {
+      const payment = await xenditClient.getPayment(paymentRequest.latest_payment_id, { forUserId });
+      const captures = payment.captures || [];
+
+      if (captures.length) {
+        capturedAmount = captures.reduce((sum, capture) => sum + capture.capture_amount, 0);
+      }
+    }
+
+    return {
+      bookingId: paymentRequest.reference_id,
+      currency: paymentRequest.currency,
+      capturedAmount
+    };
+  }
+
+  async getInvoiceSource(invoiceId, forUserId) {
+    const invoice = await xenditClient.getInvoice(invoiceId, { forUserId });
+
+    if (!REFUNDABLE_INVOICE_STATUSES.includes(invoice.status)) {
+      throw new AppError(
+        `Invoice in status ${invoice.status} cannot be refunded`,
+        'REFUND_NOT_ALLOWED',
+        409
+      );
+    }
+
+    return {
+      bookingId: invoice.external_id,
+      currency: invoice.currency,
+      capturedAmount: invoice.paid_amount || invoice.amount
+    };
+  }
+
+  /**
+   * Sum refunds already issued against the payment, excluding failed ones
+   */
+  async getRefundedAmount({ payment_request_id, invoice_id }, forUserId) {
+    const result = await xenditClient.listRefunds({
+      ...(payment_request_id && { payment_request_id }),
+      ...(invoice_id && { invoice_id }),
+      limit: 100
+    }, { forUserId });
+
+    return (result.data || [])
+      .filter(refund => refund.status !== 'FAILED')
+      .reduce((sum, refund) => sum + refund.amount, 0);
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,68 @@
+const logger = require('../../shared/utils/logger');
+const storage = require('../../shared/storage');
+const registry = require('../webhooks/registry');
+
+// Handle refund events
+const handleRefund = async (refundData, { event }) => {
+  const { id: refund_id, payment_request_id, invoice_id, status, amount, failure_code, metadata } = refundData;
+
+  logger.info('Processing refund', {
+    event,
+    refundId: refund_id,
+    paymentRequestId: payment_request_id,
+    invoiceId: invoice_id,
+    status,
+    amount,
+    failureCode: failure_code
+  });
+
+  try {
+    // Refunds created through this API carry the booking ID in metadata
+    let bookingId = metadata?.booking_id;
+    if (!bookingId && payment_request_id) {
+      const booking = await storage.bookings.findByPaymentRequestId(payment_request_id);
+      bookingId = booking?.id;
+    }
+
+    if (!bookingId) {
+      logger.warn('No booking found for refund', { refundId: refund_id, paymentRequestId: payment_request_id });
+    } else {
+      const updateResult = await storage.bookings.applyRefund(bookingId, refundData);
+
+      if (updateResult.success) {
+        logger.info('Booking updated with refund', {
+          bookingId,
+          refundId: refund_id,
+          status: updateResult.status,
+          refundedAmount: updateResult.refundedAmount
+        });
+      } else {
+        logger.warn('Booking refund update skipped', {
+          bookingId,
+          refundId: refund_id,
+          reason: updateResult.reason
+        });
+      }
+    }
+
+    // Create payment log for audit trail
+    await storage.paymentLogs.create({
+      ...refundData,
+      event,
+      bookingId: bookingId || null,
+      refund_id
+    });
+
+  } catch (error) {
+    logger.error('Error processing refund', {
+      refundId: refund_id,
+      paymentRequestId: payment_request_id,
+      error: error.message
+    });
+    throw error;
+  }
+};
+
+registry.register(['refund.succeeded', 'refund.failed'], 'refund', handleRefund);
+
+module.exports = { handleRefund };
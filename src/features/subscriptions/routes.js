@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const { validate, validateParams, validateQuery } = require('../../shared/middleware/validation');
+const {
+  createSubscriptionSchema,
+  updateSubscriptionSchema,
+  listSubscriptionDeliveriesSchema
+} = require('../../shared/validation/schemas');
+const { authenticateToken, requireAdmin } = require('../../shared/middleware/auth');
+const logger = require('../../shared/utils/logger');
+const service = require('./service');
+
+// Parameter validation schemas
+const subscriptionIdSchema = require('joi').object({
+  subscriptionId: require('joi').string().required()
+});
+
+const deliveryParamsSchema = require('joi').object({
+  subscriptionId: require('joi').string().required(),
+  deliveryId: require('joi').string().required()
+});
+
+// Register a subscriber URL (admin). The response holds the signing secret, which isn't shown again.
+router.post('/', authenticateToken, requireAdmin, validate(createSubscriptionSchema), async (req, res, next) => {
+  try {
+    logger.info('Creating subscription', { url: req.body.url, events: req.body.events, userId: req.user.id });
+
+    const result = await service.createSubscription(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List subscriptions (admin)
+router.get('/', authenticateToken, requireAdmin, async (req, res, next) => {
+  try {
+    const result = await service.listSubscriptions();
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get subscription (admin)
+router.get('/:subscriptionId', authenticateToken, requireAdmin, validateParams(subscriptionIdSchema), async (req, res, next) => {
+  try {
+    const result = await service.getSubscription(req.params.subscriptionId);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update subscription URL, event filters or active flag (admin)
+router.patch('/:subscriptionId', authenticateToken, requireAdmin, validateParams(subscriptionIdSchema), validate(updateSubscriptionSchema), async (req, res, next) => {
+  try {
+    const { subscriptionId } = req.params;
+
+    logger.info('Updating subscription', { subscriptionId, fields: Object.keys(req.body), userId: req.user.id });
+
+    const result = await service.updateSubscription(subscriptionId, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete subscription (admin); its delivery log is kept
+router.delete('/:subscriptionId', authenticateToken, requireAdmin, validateParams(subscriptionIdSchema), async (req, res, next) => {
+  try {
+    const { subscriptionId } = req.params;
+
+    logger.info('Deleting subscription', { subscriptionId, userId: req.user.id });
+
+    const result = await service.deleteSubscription(subscriptionId);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delivery log of a subscription (admin)
+router.get('/:subscriptionId/deliveries', authenticateToken, requireAdmin, validateParams(subscriptionIdSchema), validateQuery(listSubscriptionDeliveriesSchema), async (req, res, next) => {
+  try {
+    const { subscriptionId } = req.params;
+
+    const result = await service.listDeliveries(subscriptionId, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a logged delivery again (admin)
+router.post('/:subscriptionId/deliveries/:deliveryId/replay', authenticateToken, requireAdmin, validateParams(deliveryParamsSchema), async (req, res, next) => {
+  try {
+    const { subscriptionId, deliveryId } = req.params;
+
+    logger.info('Replaying subscription delivery', { subscriptionId, deliveryId, userId: req.user.id });
+
+    const result = await service.replayDelivery(subscriptionId, deliveryId);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
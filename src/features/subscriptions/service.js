@@ -0,0 +1,355 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const storage = require('../../shared/storage');
+const AppError = require('../../shared/errors/appError');
+const logger = require('../../shared/utils/logger');
+const WebhookWorker = require('../webhooks/worker');
+const { intFromEnv } = require('../../shared/utils/env');
+
+// Failed deliveries are retried with backoff until they reach dead_letter
+const MAX_DELIVERY_ATTEMPTS = intFromEnv('SUBSCRIPTION_MAX_ATTEMPTS', 6);
+const DELIVERY_TIMEOUT_MS = intFromEnv('SUBSCRIPTION_DELIVERY_TIMEOUT_MS', 10000);
+// How often the delivery log is checked for deliveries no worker is handling (e.g. after a restart)
+const DELIVERY_SWEEP_INTERVAL_MS = intFromEnv('SUBSCRIPTION_SWEEP_INTERVAL_MS', 60 * 1000);
+
+// "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}` with the subscription secret>"
+const SIGNATURE_HEADER = 'x-signature';
+
+/**
+ * Whether an event matches a subscription's filters (exact name, prefix.* or *)
+ */
+const matchesEvent = (patterns, event) => patterns.some(pattern =>
+  pattern === '*' ||
+  pattern === event ||
+  (pattern.endsWith('.*') && event.startsWith(pattern.slice(0, -1)))
+);
+
+const sign = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+/**
+ * Forwards processed webhook events to internal services that subscribed to them.
+ * Deliveries are at least once: subscribers should dedupe on the x-delivery-id header.
+ */
+class SubscriptionService {
+  constructor() {
+    this.worker = new WebhookWorker(job => this.attemptDelivery(job), {
+      concurrency: intFromEnv('SUBSCRIPTION_WORKER_CONCURRENCY', 4),
+      retryBaseDelayMs: intFromEnv('SUBSCRIPTION_RETRY_BASE_DELAY_MS', 5000),
+      retryMaxDelayMs: intFromEnv('SUBSCRIPTION_RETRY_MAX_DELAY_MS', 10 * 60 * 1000),
+      maxAttempts: MAX_DELIVERY_ATTEMPTS
+    });
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Register a subscriber. The signing secret is only returned here.
+   * @param {object} subscriptionData - Validated url, events, description, active
+   */
+  async createSubscription({ url, events, description, active }) {
+    const subscription = await storage.subscriptions.create({
+      url,
+      events,
+      description: description || null,
+      active,
+      secret: `whsec_${crypto.randomBytes(24).toString('hex')}`
+    });
+
+    if (!subscription) {
+      throw new AppError('Subscriptions are unavailable without storage', 'STORAGE_UNAVAILABLE', 503);
+    }
+
+    return subscription;
+  }
+
+  async listSubscriptions() {
+    const subscriptions = await storage.subscriptions.list();
+    return subscriptions.map(subscription => this.withoutSecret(subscription));
+  }
+
+  async getSubscription(subscriptionId) {
+    const subscription = await storage.subscriptions.get(subscriptionId);
+
+    if (!subscription) {
+      throw new AppError('Subscription not found', 'SUBSCRIPTION_NOT_FOUND', 404);
+    }
+
+    return this.withoutSecret(subscription);
+  }
+
+  async updateSubscription(subscriptionId, updates) {
+    const subscription = await storage.subscriptions.update(subscriptionId, updates);
+
+    if (!subscription) {
+      throw new AppError('Subscription not found', 'SUBSCRIPTION_NOT_FOUND', 404);
+    }
+
+    return this.withoutSecret(subscription);
+  }
+
+  async deleteSubscription(subscriptionId) {
+    const deleted = await storage.subscriptions.delete(subscriptionId);
+
+    if (!deleted) {
+      throw new AppError('Subscription not found', 'SUBSCRIPTION_NOT_FOUND', 404);
+    }
+
+    return { id: subscriptionId, deleted: true };
+  }
+
+  withoutSecret(subscription) {
+    const { secret, ...rest } = subscription;
+    return rest;
+  }
+
+  /**
+   * Payload sent to subscribers: the same shape for every event type,
+   * so they don't depend on Xendit's payload formats
+   * @param {string} webhookId - Inbox webhook ID
+   * @param {object} webhookData - Processed webhook payload
+   */
+  normalizeEvent(webhookId, { event, created, data }) {
+    return {
+      id: webhookId,
+      type: event,
+      created,
+      data: {
+        id: data.id || data.payment_id || data.payment_request_id || null,
+        status: data.status,
+        referenceId: data.reference_id || null,
+        paymentRequestId: data.payment_request_id || null,
+        paymentId: data.payment_id || null,
+        amount: data.captured_amount ?? data.paid_amount ?? data.amount ?? data.request_amount ?? null,
+        currency: data.currency || null,
+        channelCode: data.channel_code || data.payment_channel || null,
+        failureCode: data.failure_code || null,
+        subAccountId: data.sub_account_id || null
+      }
+    };
+  }
+
+  /**
+   * Delivery ID of a webhook for a subscription: the same on every publish,
+   * so a retried publish reuses the deliveries it already created
+   */
+  deliveryId(webhookId, subscriptionId) {
+    const hash = crypto.createHash('sha256').update(`${webhookId}:${subscriptionId}`).digest('hex');
+    return `dlv_${hash.slice(0, 32)}`;
+  }
+
+  /**
+   * Queue a processed webhook for every active subscription whose filters match.
+   * Throws if a delivery can't be recorded; publishing again creates only the missing ones.
+   * @param {string} webhookId - Inbox webhook ID
+   * @param {object} webhookData - Processed webhook payload
+   * @returns {Promise<string[]>} - Delivery IDs
+   */
+  async publish(webhookId, webhookData) {
+    // Dry-run replays must not notify anyone
+    if (storage.isDryRun()) {
+      return [];
+    }
+
+    const subscriptions = (await storage.subscriptions.list({ active: true }))
+      .filter(subscription => matchesEvent(subscription.events, webhookData.event));
+
+    if (!subscriptions.length) {
+      return [];
+    }
+
+    const payload = this.normalizeEvent(webhookId, webhookData);
+    const deliveryIds = [];
+
+    for (const subscription of subscriptions) {
+      const deliveryId = this.deliveryId(webhookId, subscription.id);
+
+      if (!await storage.subscriptionDeliveries.get(deliveryId)) {
+        await storage.subscriptionDeliveries.create(deliveryId, {
+          subscriptionId: subscription.id,
+          webhookId,
+          event: webhookData.event,
+          url: subscription.url,
+          payload
+        });
+
+        this.enqueue(deliveryId, subscription.id, payload);
+      }
+      deliveryIds.push(deliveryId);
+    }
+
+    logger.info('Webhook published to subscribers', {
+      webhookId,
+      event: webhookData.event,
+      subscriptions: subscriptions.map(subscription => subscription.id)
+    });
+
+    return deliveryIds;
+  }
+
+  enqueue(deliveryId, subscriptionId, payload, attempts = 0) {
+    return this.worker.enqueue({
+      id: deliveryId,
+      // Each subscriber receives its events in order
+      key: subscriptionId,
+      subscriptionId,
+      payload,
+      attempts
+    });
+  }
+
+  /**
+   * POST a signed payload to the subscriber and record the outcome in the delivery log
+   * @param {object} job - { id, subscriptionId, payload, attempts }
+   * @returns {Promise<{status: string, attempts: number, statusCode?: number, error?: string}>}
+   */
+  async attemptDelivery({ id: deliveryId, subscriptionId, payload, attempts: previousAttempts = 0 }) {
+    const subscription = await storage.subscriptions.get(subscriptionId);
+
+    if (!subscription || !subscription.active) {
+      await storage.subscriptionDeliveries.update(deliveryId, {
+        status: 'cancelled',
+        lastError: 'Subscription deleted or inactive'
+      });
+      logger.info('Delivery cancelled for inactive subscription', { deliveryId, subscriptionId });
+      return { status: 'skipped', attempts: previousAttempts };
+    }
+
+    const attempts = previousAttempts + 1;
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    let statusCode = null;
+    let error = null;
+
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'x-event-id': payload.id,
+          'x-event-type': payload.type,
+          'x-delivery-id': deliveryId,
+          [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(subscription.secret, timestamp, body)}`
+        },
+        timeout: DELIVERY_TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `Subscriber responded with ${statusCode}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    const status = !error ? 'succeeded' : attempts >= MAX_DELIVERY_ATTEMPTS ? 'dead_letter' : 'failed';
+
+    await storage.subscriptionDeliveries.update(deliveryId, {
+      status,
+      attempts,
+      lastStatusCode: statusCode,
+      lastError: error,
+      // Sweeps leave a failed delivery alone until its backoff is over
+      nextAttemptAt: status === 'failed'
+        ? new Date(Date.now() + this.worker.getRetryDelay(attempts)).toISOString()
+        : null
+    });
+
+    if (status === 'dead_letter') {
+      logger.error('Subscription delivery moved to dead letter', { deliveryId, subscriptionId, attempts, error });
+    } else if (error) {
+      logger.warn('Subscription delivery failed', { deliveryId, subscriptionId, attempts, statusCode, error });
+    } else {
+      logger.info('Subscription delivery succeeded', { deliveryId, subscriptionId, attempts, statusCode });
+    }
+
+    return { status, attempts, ...(statusCode && { statusCode }), ...(error && { error }) };
+  }
+
+  /**
+   * List a subscription's delivery log, newest first
+   * @param {string} subscriptionId - Subscription ID
+   * @param {object} filters - status, limit, cursor
+   */
+  async listDeliveries(subscriptionId, filters) {
+    await this.getSubscription(subscriptionId);
+    return storage.subscriptionDeliveries.list({ ...filters, subscriptionId });
+  }
+
+  /**
+   * Send a logged delivery again now, whatever its status
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} deliveryId - Delivery ID
+   */
+  async replayDelivery(subscriptionId, deliveryId) {
+    const delivery = await storage.subscriptionDeliveries.get(deliveryId);
+
+    if (!delivery || delivery.subscriptionId !== subscriptionId) {
+      throw new AppError('Delivery not found', 'DELIVERY_NOT_FOUND', 404);
+    }
+
+    if (this.worker.jobIds.has(deliveryId)) {
+      throw new AppError('Delivery is queued for a retry', 'DELIVERY_IN_PROGRESS', 409);
+    }
+
+    logger.info('Replaying subscription delivery', { deliveryId, subscriptionId, previousStatus: delivery.status });
+
+    const result = await this.attemptDelivery({
+      id: deliveryId,
+      subscriptionId,
+      payload: delivery.payload,
+      attempts: delivery.attempts
+    });
+
+    return { deliveryId, previousStatus: delivery.status, ...result };
+  }
+
+  /**
+   * Queue pending and failed deliveries that no worker is handling,
+   * e.g. after the instance that created them stopped. Failed deliveries
+   * wait until their backoff is over (nextAttemptAt).
+   */
+  async sweep() {
+    const { deliveries } = await storage.subscriptionDeliveries.list({
+      status: ['pending', 'failed'],
+      order: 'asc',
+      limit: 100
+    });
+    const now = Date.now();
+
+    const queued = deliveries
+      .filter(delivery => !delivery.nextAttemptAt || Date.parse(delivery.nextAttemptAt) <= now)
+      .filter(delivery => this.enqueue(delivery.id, delivery.subscriptionId, delivery.payload, delivery.attempts))
+      .length;
+
+    if (queued) {
+      logger.info('Queued deliveries from delivery log sweep', { queued });
+    }
+
+    return queued;
+  }
+
+  start() {
+    const runSweep = () => this.sweep().catch(error => {
+      logger.error('Subscription delivery sweep failed', { error: error.message });
+    });
+
+    runSweep();
+    this.sweepTimer = setInterval(runSweep, DELIVERY_SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref?.();
+  }
+
+  async shutdown(timeoutMs) {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+    return this.worker.stop(timeoutMs);
+  }
+
+  getWorkerStats() {
+    return this.worker.getStats();
+  }
+}
+
+module.exports = new SubscriptionService();
@@ -0,0 +1,7 @@
+// Webhook handlers of every feature module; requiring this registers them all
+require('../payments/webhookHandlers');
+require('../payment-requests/webhookHandlers');
+require('../customers/webhookHandlers');
+require('../refunds/webhookHandlers');
+require('../payouts/webhookHandlers');
+require('../invoices/webhookHandlers');
@@ -0,0 +1,44 @@
+const logger = require('../../shared/utils/logger');
+
+/**
+ * Webhook handlers by event type.
+ * Feature modules register handlers for the events they care about; every
+ * handler registered for an event runs when it arrives.
+ */
+class WebhookHandlerRegistry {
+  constructor() {
+    this.handlers = new Map();
+    // Bumped on every registration so derived data (the validation schema) can be cached
+    this.version = 0;
+  }
+
+  /**
+   * @param {string|string[]} events - Event type(s), e.g. 'payment.capture'
+   * @param {string} name - Handler name, unique per event; used in logs and inbox results
+   * @param {Function} handle - async (data, { event, webhookId }) => void
+   */
+  register(events, name, handle) {
+    [].concat(events).forEach(event => {
+      const handlers = this.handlers.get(event) || [];
+
+      if (handlers.some(handler => handler.name === name)) {
+        throw new Error(`Webhook handler "${name}" is already registered for ${event}`);
+      }
+
+      this.handlers.set(event, [...handlers, { name, handle }]);
+    });
+
+    this.version++;
+    logger.debug('Registered webhook handler', { name, events });
+  }
+
+  getHandlers(event) {
+    return this.handlers.get(event) || [];
+  }
+
+  getEvents() {
+    return [...this.handlers.keys()];
+  }
+}
+
+module.exports = new WebhookHandlerRegistry();
@@ -1,87 +1,169 @@
 const express = require('express');
 const router = express.Router();
-const { validate } = require('../../shared/middleware/validation');
-const { webhookSchema } = require('../../shared/validation/schemas');
+const { validate, validateParams, validateQuery } = require('../../shared/middleware/validation');
+const {
+  buildWebhookSchema,
+  invoiceCallbackSchema,
+  listWebhooksSchema,
+  listFailedWebhooksSchema,
+  listBookingConflictsSchema,
+  replayWebhookSchema,
+  replayWebhooksSchema
+} = require('../../shared/validation/schemas');
+const storage = require('../../shared/storage');
+const AppError = require('../../shared/errors/appError');
+const { authenticateToken, requireAdmin } = require('../../shared/middleware/auth');
 const logger = require('../../shared/utils/logger');
 const service = require('./service');
+const registry = require('./registry');
+const { verifyWebhook, verifyWebhookAge } = require('./verification');
 
-// In-memory storage for webhook data (replace with database in production)
-const webhookStore = new Map();
-const processedWebhooks = new Set(); // For idempotency
-
-// Webhook verification middleware
-const verifyWebhook = (req, res, next) => {
-  const callbackToken = req.headers['x-callback-token'];
-  const expectedToken = process.env.WEBHOOK_CALLBACK_TOKEN;
-
-  if (!expectedToken) {
-    logger.warn('Webhook callback token not configured');
-    return res.status(500).json({
-      error: {
-        code: 'CONFIGURATION_ERROR',
-        message: 'Webhook verification not configured'
-      }
+// Parameter validation schemas
+const webhookIdSchema = require('joi').object({
+  webhookId: require('joi').string().required()
+});
+
+// Accepted events follow the registry; the schema is rebuilt when handlers are registered
+let webhookSchema = null;
+let webhookSchemaVersion = -1;
+
+const validateWebhook = (req, res, next) => {
+  if (webhookSchemaVersion !== registry.version) {
+    webhookSchema = buildWebhookSchema(registry.getEvents());
+    webhookSchemaVersion = registry.version;
+  }
+
+  return validate(webhookSchema)(req, res, next);
+};
+
+// List inbox webhooks (for debugging/admin purposes)
+router.get('/', authenticateToken, requireAdmin, validateQuery(listWebhooksSchema), async (req, res, next) => {
+  try {
+    const { event, status, reference_id, from, to, limit, cursor } = req.query;
+
+    const result = await storage.webhookInbox.list({
+      event,
+      status,
+      referenceId: reference_id,
+      from,
+      to,
+      limit,
+      cursor
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
     });
+  } catch (error) {
+    next(error);
   }
+});
+
+// List failed and dead-lettered webhooks for operators
+router.get('/failed', authenticateToken, requireAdmin, validateQuery(listFailedWebhooksSchema), async (req, res, next) => {
+  try {
+    const { status, event, reference_id, from, to, limit, cursor } = req.query;
+
+    logger.info('Listing failed webhooks', { query: req.query, userId: req.user.id });
 
-  if (!callbackToken || callbackToken !== expectedToken) {
-    logger.warn('Invalid webhook callback token', {
-      receivedToken: callbackToken ? 'present' : 'missing',
-      expectedToken: expectedToken ? 'configured' : 'missing'
+    const result = await storage.webhookInbox.list({
+      status: status ? [status] : ['failed', 'dead_letter'],
+      event,
+      referenceId: reference_id,
+      from,
+      to,
+      limit,
+      cursor
     });
-    return res.status(401).json({
-      error: {
-        code: 'INVALID_WEBHOOK_TOKEN',
-        message: 'Invalid webhook callback token'
-      }
+
+    res.status(200).json({
+      success: true,
+      data: result
     });
+  } catch (error) {
+    next(error);
   }
+});
 
-  next();
-};
+// List bookings that received out-of-order payment status events (admin)
+router.get('/conflicts', authenticateToken, requireAdmin, validateQuery(listBookingConflictsSchema), async (req, res, next) => {
+  try {
+    const { limit, cursor } = req.query;
 
-// Get stored webhooks (for debugging/admin purposes)
-router.get('/', (req, res) => {
-  const webhooks = Array.from(webhookStore.values()).sort(
-    (a, b) => new Date(b.receivedAt) - new Date(a.receivedAt)
-  );
-
-  res.json({
-    success: true,
-    data: {
-      webhooks,
-      total: webhooks.length
-    }
-  });
+    logger.info('Listing booking status conflicts', { query: req.query, userId: req.user.id });
+
+    const result = await storage.bookings.listConflicts({ limit, cursor });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 // Get specific webhook by ID
-router.get('/:webhookId', (req, res) => {
-  const { webhookId } = req.params;
-  const webhook = webhookStore.get(webhookId);
-
-  if (!webhook) {
-    return res.status(404).json({
-      error: {
-        code: 'WEBHOOK_NOT_FOUND',
-        message: 'Webhook not found'
-      }
+router.get('/:webhookId', authenticateToken, requireAdmin, validateParams(webhookIdSchema), async (req, res, next) => {
+  try {
+    const webhook = await storage.webhookInbox.get(req.params.webhookId);
+
+    if (!webhook) {
+      throw new AppError('Webhook not found', 'WEBHOOK_NOT_FOUND', 404);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replay stored webhooks matching a filter (admin)
+router.post('/replay', authenticateToken, requireAdmin, validate(replayWebhooksSchema), async (req, res, next) => {
+  try {
+    const { dryRun, reference_id, ...filters } = req.body;
+
+    logger.info('Replaying webhooks', { filters: req.body, dryRun, userId: req.user.id });
+
+    const result = await service.replayWebhooks({ ...filters, referenceId: reference_id }, { dryRun });
+
+    res.status(200).json({
+      success: true,
+      data: result
     });
+  } catch (error) {
+    next(error);
   }
+});
+
+// Replay a stored webhook (admin)
+router.post('/:webhookId/replay', authenticateToken, requireAdmin, validateParams(webhookIdSchema), validate(replayWebhookSchema), async (req, res, next) => {
+  try {
+    const { webhookId } = req.params;
+    const { dryRun } = req.body;
+
+    logger.info('Replaying webhook', { webhookId, dryRun, userId: req.user.id });
+
+    const result = await service.replayWebhook(webhookId, { dryRun });
 
-  res.json({
-    success: true,
-    data: webhook
-  });
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
-// Main webhook endpoint
-router.post('/', verifyWebhook, validate(webhookSchema), async (req, res, next) => {
+// Main webhook endpoint: persist and acknowledge, processing happens in the background
+router.post('/', verifyWebhook, validateWebhook, verifyWebhookAge(body => body.created), async (req, res, next) => {
   try {
     const { event, business_id, created, data } = req.body;
-    // Generate webhook ID - use payment_id/capture_id (id) if available, otherwise use payment_request_id or reference_id
-    const identifier = data.payment_id || data.id || data.payment_request_id || data.reference_id;
-    const webhookId = req.headers['webhook-id'] || `${event}-${identifier}-${created}`;
+    const webhookId = service.getWebhookId(req.body, req.headers);
 
     logger.info('Received webhook', {
       webhookId,
@@ -97,8 +179,7 @@ router.post('/', verifyWebhook, validate(webhookSchema), async (req, res, next)
       currency: data.currency
     });
 
-    // Process the webhook
-    const result = await service.processWebhook(req.body, req);
+    const result = await service.receiveWebhook(req.body, req);
 
     if (result.duplicate) {
       // Still return success for duplicate webhooks (idempotency)
@@ -112,7 +193,7 @@ router.post('/', verifyWebhook, validate(webhookSchema), async (req, res, next)
     // Return success response
     res.status(200).json({
       success: true,
-      message: 'Webhook processed successfully',
+      message: 'Webhook received',
       webhookId: result.webhookId,
       event,
       status: data.status,
@@ -120,7 +201,53 @@ router.post('/', verifyWebhook, validate(webhookSchema), async (req, res, next)
     });
 
   } catch (error) {
-    logger.error('Webhook processing error', {
+    // Not persisted, so fail and let Xendit redeliver
+    logger.error('Webhook receive error', {
+      error: error.message,
+      stack: error.stack,
+      body: req.body
+    });
+    next(error);
+  }
+});
+
+// Invoice (payment link) callbacks: same inbox and background processing as payment webhooks
+router.post('/invoices', verifyWebhook, validate(invoiceCallbackSchema), verifyWebhookAge(body => body.updated), async (req, res, next) => {
+  try {
+    const { id, external_id, status, amount, paid_amount, currency } = req.body;
+    const webhookData = service.fromInvoiceCallback(req.body);
+
+    logger.info('Received invoice callback', {
+      event: webhookData.event,
+      invoiceId: id,
+      externalId: external_id,
+      status,
+      amount: paid_amount || amount,
+      currency
+    });
+
+    const result = await service.receiveWebhook(webhookData, req);
+
+    if (result.duplicate) {
+      return res.status(200).json({
+        success: true,
+        message: 'Webhook already processed',
+        webhookId: result.webhookId
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook received',
+      webhookId: result.webhookId,
+      event: webhookData.event,
+      status,
+      referenceId: external_id
+    });
+
+  } catch (error) {
+    // Not persisted, so fail and let Xendit redeliver
+    logger.error('Invoice callback receive error', {
       error: error.message,
       stack: error.stack,
       body: req.body
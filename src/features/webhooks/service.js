@@ -1,385 +1,386 @@
 const logger = require('../../shared/utils/logger');
-const firestoreService = require('../../shared/services/firestoreService');
-
-// In-memory storage for webhook data (replace with database in production)
-const webhookStore = new Map();
-const processedWebhooks = new Set(); // For idempotency
+const storage = require('../../shared/storage');
+const subAccountService = require('../../shared/services/subAccountService');
+const AppError = require('../../shared/errors/appError');
+const { intFromEnv } = require('../../shared/utils/env');
+const subscriptionService = require('../subscriptions/service');
+
+const registry = require('./registry');
+const WebhookWorker = require('./worker');
+// Feature modules register their handlers with the registry when loaded
+require('./handlers');
+
+// Failed webhooks are retried with backoff until they reach dead_letter
+const MAX_WEBHOOK_ATTEMPTS = intFromEnv('WEBHOOK_MAX_ATTEMPTS', 5);
+// A processing attempt silent for this long is assumed abandoned and may be retried
+const WEBHOOK_PROCESSING_TIMEOUT_MS = intFromEnv('WEBHOOK_PROCESSING_TIMEOUT_MS', 5 * 60 * 1000);
+// Name the subscriber publish is recorded under with the handler results
+const SUBSCRIBERS_HANDLER = 'subscribers';
+// How often the inbox is checked for webhooks this instance isn't working on (e.g. after a restart)
+const WEBHOOK_SWEEP_INTERVAL_MS = intFromEnv('WEBHOOK_SWEEP_INTERVAL_MS', 60 * 1000);
 
 class WebhookService {
-  // Process payment webhook events
-  async processWebhook(webhookData, req) {
-    const { event, business_id, created, data } = webhookData;
-    // Generate webhook ID - use payment_id/capture_id (id) if available, otherwise use payment_request_id or reference_id
-    const identifier = data.payment_id || data.id || data.payment_request_id || data.reference_id;
-    const webhookId = req.headers['webhook-id'] || `${event}-${identifier}-${created}`;
+  constructor() {
+    this.worker = new WebhookWorker(job => this.processWebhook(job.id, job.webhookData, { previousAttempts: job.attempts }), {
+      concurrency: intFromEnv('WEBHOOK_WORKER_CONCURRENCY', 4),
+      retryBaseDelayMs: intFromEnv('WEBHOOK_RETRY_BASE_DELAY_MS', 1000),
+      retryMaxDelayMs: intFromEnv('WEBHOOK_RETRY_MAX_DELAY_MS', 60 * 1000),
+      maxAttempts: MAX_WEBHOOK_ATTEMPTS
+    });
+    this.sweepTimer = null;
+  }
 
-    // Check for duplicate webhooks (idempotency)
-    if (processedWebhooks.has(webhookId)) {
-      logger.info('Duplicate webhook ignored', { webhookId, event });
-      return { processed: false, duplicate: true, webhookId };
-    }
+  /**
+   * Webhook ID: Xendit's webhook-id header, else derived from the payload.
+   * Uses payment_id/capture_id (id) if available, otherwise payment_request_id or reference_id
+   */
+  getWebhookId(webhookData, headers = {}) {
+    const { event, created, data } = webhookData;
+    const identifier = data.payment_id || data.id || data.payment_request_id || data.reference_id;
+    return headers['webhook-id'] || `${event}-${identifier}-${created}`;
+  }
 
-    // Mark as processed
-    processedWebhooks.add(webhookId);
+  /**
+   * Wrap an invoice callback (a bare invoice object) in the event envelope
+   * payment webhooks use, so it shares the inbox, dedupe and handler registry
+   * @param {object} invoice - Validated invoice callback payload
+   */
+  fromInvoiceCallback(invoice) {
+    return {
+      event: `invoice.${invoice.status.toLowerCase()}`,
+      business_id: invoice.user_id,
+      created: invoice.updated,
+      // external_id is the booking ID
+      data: { ...invoice, reference_id: invoice.external_id }
+    };
+  }
 
-    // Store webhook data
-    const webhookRecord = {
-      id: webhookId,
+  /**
+   * Persist a webhook in the inbox and queue it for background processing
+   * @param {object} webhookData - Validated webhook payload
+   * @param {object} req - Request carrying the webhook-id header
+   * @returns {Promise<{webhookId: string, duplicate: boolean}>}
+   */
+  async receiveWebhook(webhookData, req) {
+    const { event, business_id, created } = webhookData;
+    const webhookId = this.getWebhookId(webhookData, req.headers);
+
+    // Tag events that belong to a xenPlatform sub-account so handlers persist it
+    const subAccountId = subAccountService.fromWebhook(business_id);
+    const data = subAccountId ? { ...webhookData.data, sub_account_id: subAccountId } : webhookData.data;
+
+    const { created: firstDelivery, entry } = await storage.webhookInbox.record(webhookId, {
       event,
-      business_id,
+      businessId: business_id,
+      subAccountId,
       created,
-      data,
-      receivedAt: new Date().toISOString(),
-      processedAt: new Date().toISOString()
-    };
+      referenceId: data.reference_id || null,
+      data
+    });
 
-    webhookStore.set(webhookId, webhookRecord);
-
-    // Process based on event type
-    switch (event) {
-      case 'payment.capture':
-      case 'payment.succeeded':
-        await this.handlePaymentCapture(data);
-        break;
-      case 'capture.succeeded':
-        await this.handleCaptureSucceeded(data);
-        break;
-      case 'payment.authorization':
-        await this.handlePaymentAuthorization(data);
-        break;
-      case 'payment.failure':
-      case 'payment.failed':
-        await this.handlePaymentFailure(data);
-        break;
-      case 'payment_request.expiry':
-        await this.handlePaymentRequestExpiry(data);
-        break;
-      case 'payment_request.succeeded':
-        await this.handlePaymentRequestSucceeded(data);
-        break;
-      case 'payment_request.failed':
-        await this.handlePaymentRequestFailed(data);
-        break;
-      default:
-        logger.warn('Unknown webhook event', { event, webhookId });
+    if (!firstDelivery && ['succeeded', 'ignored', 'dead_letter'].includes(entry?.status)) {
+      logger.info('Duplicate webhook ignored', { webhookId, event, status: entry.status });
+      return { webhookId, duplicate: true };
     }
 
-    return { processed: true, webhookId };
+    this.enqueue(webhookId, { ...webhookData, data }, entry?.attempts);
+
+    return { webhookId, duplicate: false };
   }
 
-  // Handle payment capture events
-  async handlePaymentCapture(paymentData) {
-    const { payment_id, reference_id, payment_request_id, status, amount, currency } = paymentData;
-
-    logger.info('Processing payment capture', {
-      paymentId: payment_id,
-      referenceId: reference_id,
-      paymentRequestId: payment_request_id,
-      status,
-      amount,
-      currency
+  enqueue(webhookId, webhookData, attempts = 0) {
+    const { data } = webhookData;
+
+    return this.worker.enqueue({
+      id: webhookId,
+      // Events for the same booking are processed in order
+      key: data.reference_id || data.payment_request_id || webhookId,
+      webhookData,
+      attempts
     });
+  }
 
-    try {
-      // Update booking directly using reference_id as document ID
-      const updateResult = await firestoreService.updateBookingTransactionStatus(reference_id, status, paymentData);
-
-      if (updateResult.success) {
-        logger.info('Booking updated successfully', {
-          bookingId: reference_id,
-          paymentId: payment_id,
-          referenceId: reference_id,
-          status
-        });
-      } else {
-        logger.warn('Booking update skipped', {
-          bookingId: reference_id,
-          paymentId: payment_id,
-          referenceId: reference_id,
-          status,
-          reason: updateResult.reason
-        });
-      }
+  /**
+   * Run the handlers for a webhook and record the outcome in the inbox
+   * @param {string} webhookId - Inbox webhook ID
+   * @param {object} webhookData - Webhook payload
+   * @param {object} options
+   * @param {boolean} options.replay - Reprocess regardless of the inbox status (admin replays)
+   * @param {number} options.previousAttempts - Attempts made so far, used when storage is unavailable
+   * @returns {Promise<{webhookId: string, status: string, attempts: number, error?: string, handlers?: object}>}
+   *   status is succeeded, ignored (no handler for the event), failed, dead_letter or skipped;
+   *   handlers holds each handler's result
+   */
+  async processWebhook(webhookId, webhookData, { replay = false, previousAttempts = 0 } = {}) {
+    const { event, business_id } = webhookData;
+
+    const subAccountId = subAccountService.fromWebhook(business_id);
+    const data = subAccountId ? { ...webhookData.data, sub_account_id: subAccountId } : webhookData.data;
+
+    const { started, entry } = await storage.webhookInbox.startAttempt(webhookId, {
+      staleAfterMs: WEBHOOK_PROCESSING_TIMEOUT_MS,
+      force: replay
+    });
 
-      // TODO: Additional business logic
-      // - Send confirmation email/SMS to customer
-      // - Trigger fulfillment process
-      // - Update inventory
-      // - Send notifications to relevant systems
+    if (!started) {
+      logger.info('Webhook already processed or in progress', { webhookId, event, status: entry?.status });
+      return { webhookId, status: 'skipped', attempts: entry?.attempts || 0 };
+    }
 
-      // Create payment log for audit trail
-      await firestoreService.createPaymentLog({
-        ...paymentData,
-        event: 'payment.capture',
-        bookingId: reference_id
-      });
+    const attempts = entry?.attempts || previousAttempts + 1;
 
-    } catch (error) {
-      logger.error('Error processing payment capture', {
-        paymentId: payment_id,
-        referenceId: reference_id,
-        error: error.message
-      });
-      throw error;
+    // Nothing processed the event, so subscribers don't hear about it either
+    if (!registry.getHandlers(event).length) {
+      logger.warn('Unknown webhook event ignored', { event, webhookId });
+      await storage.webhookInbox.complete(webhookId, null, { ignored: true });
+      return { webhookId, status: 'ignored', attempts };
     }
-  }
 
-  // Handle capture succeeded events
-  async handleCaptureSucceeded(captureData) {
-    const { id: capture_id, payment_request_id, reference_id, status, authorized_amount, captured_amount, currency } = captureData;
-
-    logger.info('Processing capture succeeded', {
-      captureId: capture_id,
-      referenceId: reference_id,
-      paymentRequestId: payment_request_id,
-      status,
-      authorizedAmount: authorized_amount,
-      capturedAmount: captured_amount,
-      currency
-    });
+    if (attempts > 1) {
+      logger.info('Retrying webhook', { webhookId, event, attempt: attempts, maxAttempts: MAX_WEBHOOK_ATTEMPTS });
+    }
 
-    try {
-      // Map capture data to payment data format for updateBookingTransactionStatus
-      const paymentData = {
-        payment_id: capture_id, // Use capture_id as payment_id
-        reference_id: reference_id,
-        payment_request_id: payment_request_id,
-        status: status,
-        amount: captured_amount || authorized_amount,
-        currency: currency
-      };
-
-      // Update booking directly using reference_id as document ID
-      const updateResult = await firestoreService.updateBookingTransactionStatus(reference_id, status, paymentData);
-
-      if (updateResult.success) {
-        logger.info('Booking updated successfully from capture', {
-          bookingId: reference_id,
-          captureId: capture_id,
-          referenceId: reference_id,
-          status
-        });
+    // Retries only rerun the handlers that failed; replays run them all
+    const previous = replay ? {} : Object.fromEntries(
+      Object.entries(entry?.handlers || {}).filter(([, result]) => result.status === 'succeeded')
+    );
+    const handlers = {
+      ...previous,
+      ...await this.dispatch(event, data, webhookId, { skip: Object.keys(previous) })
+    };
+
+    // Subscribers only hear about events we processed. Their deliveries are recorded
+    // before the webhook succeeds, so a failed publish is retried with the webhook;
+    // a subscriber's own delivery problems don't fail it.
+    if (!previous[SUBSCRIBERS_HANDLER] && Object.values(handlers).every(result => result.status === 'succeeded')) {
+      handlers[SUBSCRIBERS_HANDLER] = await this.publish(webhookId, { ...webhookData, data });
+    }
+
+    const failed = Object.entries(handlers).filter(([, result]) => result.status === 'failed');
+
+    if (failed.length) {
+      const error = new Error(`Webhook handlers failed: ${failed.map(([name, result]) => `${name} (${result.error})`).join(', ')}`);
+      const status = await storage.webhookInbox.complete(webhookId, error, {
+        attempts,
+        maxAttempts: MAX_WEBHOOK_ATTEMPTS,
+        handlers
+      }) || (attempts >= MAX_WEBHOOK_ATTEMPTS ? 'dead_letter' : 'failed');
+
+      if (status === 'dead_letter') {
+        // Operators take it from here (GET /webhooks/failed, replay)
+        logger.error('Webhook moved to dead letter', { webhookId, event, attempts, error: error.message });
       } else {
-        logger.warn('Booking update skipped for capture', {
-          bookingId: reference_id,
-          captureId: capture_id,
-          referenceId: reference_id,
-          status,
-          reason: updateResult.reason
-        });
+        logger.error('Webhook processing failed', { webhookId, event, attempts, error: error.message });
       }
 
-      // Create payment log for audit trail
-      await firestoreService.createPaymentLog({
-        ...captureData,
-        event: 'capture.succeeded',
-        bookingId: reference_id,
-        capture_id: capture_id
-      });
-
-    } catch (error) {
-      logger.error('Error processing capture succeeded', {
-        captureId: capture_id,
-        referenceId: reference_id,
-        error: error.message
-      });
-      throw error;
+      return { webhookId, status, attempts, error: error.message, handlers };
     }
-  }
 
-  // Handle payment authorization events
-  async handlePaymentAuthorization(paymentData) {
-    const { payment_id, payment_request_id, status, amount } = paymentData;
+    await storage.webhookInbox.complete(webhookId, null, { handlers });
+
+    return { webhookId, status: 'succeeded', attempts, handlers };
+  }
 
-    logger.info('Processing payment authorization', {
-      paymentId: payment_id,
-      paymentRequestId: payment_request_id,
-      status,
-      amount
+  /**
+   * Queue inbox webhooks that no worker is handling: received ones whose
+   * instance stopped before processing them, failed ones awaiting a retry,
+   * and abandoned processing ones
+   */
+  async sweep() {
+    const { webhooks } = await storage.webhookInbox.list({
+      status: ['received', 'failed', 'processing'],
+      order: 'asc',
+      limit: 100
     });
 
-    // Authorization means payment is approved but not yet captured
-    // You might want to reserve inventory or prepare for fulfillment
+    const queued = webhooks.filter(entry => {
+      const abandoned = entry.status !== 'processing' ||
+        Date.now() - Date.parse(entry.processingStartedAt) > WEBHOOK_PROCESSING_TIMEOUT_MS;
+
+      return abandoned && this.enqueue(entry.id, {
+        event: entry.event,
+        business_id: entry.businessId,
+        created: entry.created,
+        data: entry.data
+      }, entry.attempts);
+    }).length;
+
+    if (queued) {
+      logger.info('Queued webhooks from inbox sweep', { queued });
+    }
+
+    return queued;
   }
 
-  // Handle payment failure events
-  async handlePaymentFailure(paymentData) {
-    const { payment_id, reference_id, payment_request_id, status, failure_code, amount } = paymentData;
-
-    logger.error('Processing payment failure', {
-      paymentId: payment_id,
-      referenceId: reference_id,
-      paymentRequestId: payment_request_id,
-      status,
-      failureCode: failure_code,
-      amount
+  /**
+   * Start the background sweep; the worker itself runs as webhooks arrive
+   */
+  start() {
+    const runSweep = () => this.sweep().catch(error => {
+      logger.error('Webhook inbox sweep failed', { error: error.message });
     });
 
-    try {
-      // Update booking directly using reference_id as document ID
-      const updateResult = await firestoreService.updateBookingTransactionStatus(reference_id, status, paymentData);
-
-      if (updateResult.success) {
-        logger.info('Booking updated with failure status', {
-          bookingId: reference_id,
-          paymentId: payment_id,
-          referenceId: reference_id,
-          status,
-          failureCode: failure_code
-        });
-      } else {
-        logger.warn('Booking update skipped for failure', {
-          bookingId: reference_id,
-          paymentId: payment_id,
-          referenceId: reference_id,
-          status,
-          failureCode: failure_code,
-          reason: updateResult.reason
-        });
-      }
+    runSweep();
+    this.sweepTimer = setInterval(runSweep, WEBHOOK_SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref?.();
+  }
 
-      // TODO: Additional failure handling logic
-      // - Send failure notification to customer
-      // - Log failure reason for analysis
-      // - Potentially trigger retry logic
-      // - Update booking status to allow re-payment
+  /**
+   * Stop sweeping and let running webhooks finish
+   * @param {number} timeoutMs - Max time to wait for running webhooks
+   */
+  async shutdown(timeoutMs) {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+    return this.worker.stop(timeoutMs);
+  }
 
-      // Create payment log for audit trail
-      await firestoreService.createPaymentLog({
-        ...paymentData,
-        event: 'payment.failure',
-        bookingId: reference_id
-      });
+  getWorkerStats() {
+    return this.worker.getStats();
+  }
 
-    } catch (error) {
-      logger.error('Error processing payment failure', {
-        paymentId: payment_id,
-        referenceId: reference_id,
-        error: error.message
-      });
-      throw error;
+  /**
+   * Reprocess a stored webhook
+   * @param {string} webhookId - Inbox webhook ID
+   * @param {object} options
+   * @param {boolean} options.dryRun - Report the storage changes without writing them
+   */
+  async replayWebhook(webhookId, { dryRun = false } = {}) {
+    const entry = await storage.webhookInbox.get(webhookId);
+
+    if (!entry) {
+      throw new AppError('Webhook not found', 'WEBHOOK_NOT_FOUND', 404);
     }
+
+    return this.replayEntry(entry, { dryRun });
   }
 
-  // Handle payment request expiry events
-  async handlePaymentRequestExpiry(paymentRequestData) {
-    const { payment_request_id, reference_id, status } = paymentRequestData;
+  /**
+   * Reprocess stored webhooks matching a filter, oldest first
+   * @param {object} filters - event, referenceId, status, from, to, limit, cursor
+   * @param {object} options
+   * @param {boolean} options.dryRun - Report the storage changes without writing them
+   */
+  async replayWebhooks(filters, { dryRun = false } = {}) {
+    const { webhooks, nextCursor } = await storage.webhookInbox.list({ ...filters, order: 'asc' });
+    const results = [];
+
+    // One at a time, so events for the same booking apply in order
+    for (const entry of webhooks) {
+      results.push(await this.replayEntry(entry, { dryRun }));
+    }
 
-    logger.info('Processing payment request expiry', {
-      paymentRequestId: payment_request_id,
-      referenceId: reference_id,
-      status
-    });
+    return {
+      dryRun,
+      total: results.length,
+      succeeded: results.filter(result => result.outcome === 'succeeded').length,
+      failed: results.filter(result => result.outcome === 'failed').length,
+      skipped: results.filter(result => result.outcome === 'skipped').length,
+      ignored: results.filter(result => result.outcome === 'ignored').length,
+      results,
+      nextCursor
+    };
+  }
 
-    try {
-      // Update booking transaction status to expired
-      if (reference_id) {
-        const updateResult = await firestoreService.updateBookingTransactionStatus(
-          reference_id,
-          status,
-          paymentRequestData
-        );
-
-        if (updateResult.success) {
-          logger.info('Booking updated with expiry status', {
-            bookingId: reference_id,
-            paymentRequestId: payment_request_id,
-            status
-          });
-        }
-      }
+  async replayEntry(entry, { dryRun }) {
+    const webhookData = {
+      event: entry.event,
+      business_id: entry.businessId,
+      created: entry.created,
+      data: entry.data
+    };
 
-      // Create payment log for audit trail
-      await firestoreService.createPaymentLog({
-        ...paymentRequestData,
-        event: 'payment_request.expiry',
-        bookingId: reference_id
-      });
+    logger.info('Replaying webhook', { webhookId: entry.id, event: entry.event, previousStatus: entry.status, dryRun });
 
-    } catch (error) {
-      logger.error('Error processing payment request expiry', {
-        paymentRequestId: payment_request_id,
-        referenceId: reference_id,
-        error: error.message
-      });
-      throw error;
+    const run = () => this.processWebhook(entry.id, webhookData, { replay: true });
+    let outcome;
+    let error = null;
+    let handlers = null;
+    let writes = [];
+
+    try {
+      const { result, writes: recorded } = dryRun
+        ? await storage.dryRun(run)
+        : { result: await run(), writes: [] };
+
+      writes = recorded;
+      outcome = result.status === 'dead_letter' ? 'failed' : result.status;
+      error = result.error || null;
+      handlers = result.handlers || null;
+    } catch (replayError) {
+      outcome = 'failed';
+      error = replayError.message;
     }
-  }
 
-  // Handle payment request succeeded events
-  async handlePaymentRequestSucceeded(paymentRequestData) {
-    const { payment_request_id, reference_id, status } = paymentRequestData;
+    if (outcome === 'failed') {
+      logger.error('Webhook replay failed', { webhookId: entry.id, event: entry.event, error });
+    }
 
-    logger.info('Processing payment request succeeded', {
-      paymentRequestId: payment_request_id,
-      referenceId: reference_id,
-      status
-    });
+    return {
+      webhookId: entry.id,
+      event: entry.event,
+      previousStatus: entry.status,
+      outcome,
+      ...(outcome === 'skipped' && { reason: 'Webhook is being processed' }),
+      ...(error && { error }),
+      ...(handlers && { handlers }),
+      ...(dryRun && {
+        // Inbox bookkeeping is left out; these are the writes the handlers would make
+        changes: writes.filter(write => write.collection !== 'webhook_inbox')
+      })
+    };
+  }
 
-    // Payment request succeeded typically means a payment was created
-    // This might trigger a payment webhook separately, so we may just log it
+  /**
+   * Record the webhook's subscription deliveries, as a handler result
+   * @returns {Promise<{status: string, deliveries?: number, error?: string}>}
+   */
+  async publish(webhookId, webhookData) {
     try {
-      await firestoreService.createPaymentLog({
-        ...paymentRequestData,
-        event: 'payment_request.succeeded',
-        bookingId: reference_id
-      });
+      const deliveryIds = await subscriptionService.publish(webhookId, webhookData);
+      return { status: 'succeeded', deliveries: deliveryIds.length };
     } catch (error) {
-      logger.error('Error processing payment request succeeded', {
-        paymentRequestId: payment_request_id,
-        referenceId: reference_id,
-        error: error.message
-      });
-      throw error;
+      logger.error('Failed to publish webhook to subscribers', { webhookId, event: webhookData.event, error: error.message });
+      return { status: 'failed', error: error.message };
     }
   }
 
-  // Handle payment request failed events
-  async handlePaymentRequestFailed(paymentRequestData) {
-    const { payment_request_id, reference_id, status, failure_code } = paymentRequestData;
-
-    logger.error('Processing payment request failed', {
-      paymentRequestId: payment_request_id,
-      referenceId: reference_id,
-      status,
-      failureCode: failure_code
-    });
+  /**
+   * Run every handler registered for an event. A failing handler doesn't stop
+   * the others; its error is reported in the results.
+   * @param {string} event - Webhook event type
+   * @param {object} data - Webhook payload data
+   * @param {string} webhookId - Inbox webhook ID
+   * @param {object} options
+   * @param {string[]} options.skip - Handlers to leave out (already succeeded on an earlier attempt)
+   * @returns {Promise<object>} - { [handlerName]: { status: 'succeeded'|'failed', error? } }
+   */
+  async dispatch(event, data, webhookId, { skip = [] } = {}) {
+    const handlers = registry.getHandlers(event);
+    const results = {};
+
+    if (!handlers.length) {
+      logger.warn('Unknown webhook event', { event, webhookId });
+      return results;
+    }
 
-    try {
-      // Update booking transaction status
-      if (reference_id) {
-        const updateResult = await firestoreService.updateBookingTransactionStatus(
-          reference_id,
-          status,
-          paymentRequestData
-        );
-
-        if (updateResult.success) {
-          logger.info('Booking updated with payment request failure status', {
-            bookingId: reference_id,
-            paymentRequestId: payment_request_id,
-            status,
-            failureCode: failure_code
-          });
-        }
+    // In registration order, so e.g. the booking is updated before notifications go out
+    for (const { name, handle } of handlers) {
+      if (skip.includes(name)) {
+        continue;
       }
 
-      // Create payment log for audit trail
-      await firestoreService.createPaymentLog({
-        ...paymentRequestData,
-        event: 'payment_request.failed',
-        bookingId: reference_id
-      });
-
-    } catch (error) {
-      logger.error('Error processing payment request failed', {
-        paymentRequestId: payment_request_id,
-        referenceId: reference_id,
-        error: error.message
-      });
-      throw error;
+      try {
+        await handle(data, { event, webhookId });
+        results[name] = { status: 'succeeded' };
+      } catch (error) {
+        logger.error('Webhook handler failed', { webhookId, event, handler: name, error: error.message });
+        results[name] = { status: 'failed', error: error.message };
+      }
     }
+
+    return results;
   }
 }
 
-module.exports = new WebhookService();
\ No newline at end of file
+module.exports = new WebhookService();
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const net = require('net');
+const logger = require('../../shared/utils/logger');
+const { intFromEnv } = require('../../shared/utils/env');
+
+// Xendit retries failed deliveries for 24 hours, so older ones can only be replays
+const WEBHOOK_MAX_AGE_SECONDS = intFromEnv('WEBHOOK_MAX_AGE_SECONDS', 25 * 60 * 60);
+// Allowed clock difference for timestamps slightly in the future
+const WEBHOOK_CLOCK_SKEW_SECONDS = intFromEnv('WEBHOOK_CLOCK_SKEW_SECONDS', 5 * 60);
+
+// Parsed configuration, reused until the environment value changes
+const cache = {
+  tokens: { raw: null, value: [] },
+  allowlist: { raw: null, value: null }
+};
+
+const rejectWith = (res, statusCode, code, message) => res.status(statusCode).json({
+  error: { code, message }
+});
+
+/**
+ * Callback tokens currently configured.
+ * WEBHOOK_CALLBACK_TOKENS holds a JSON array of { token, validFrom?, validUntil? } so a new
+ * token can be added before Xendit switches to it and the old one retired afterwards.
+ * WEBHOOK_CALLBACK_TOKEN, if set, is accepted without a window.
+ * @returns {{token: string, validFrom: number, validUntil: number}[]}
+ */
+const getCallbackTokens = () => {
+  const raw = `${process.env.WEBHOOK_CALLBACK_TOKENS || ''}|${process.env.WEBHOOK_CALLBACK_TOKEN || ''}`;
+
+  if (cache.tokens.raw !== raw) {
+    let configured = [];
+
+    if (process.env.WEBHOOK_CALLBACK_TOKENS) {
+      try {
+        configured = JSON.parse(process.env.WEBHOOK_CALLBACK_TOKENS);
+      } catch (error) {
+        logger.error('Invalid WEBHOOK_CALLBACK_TOKENS, expected a JSON array', { error: error.message });
+      }
+
+      if (!Array.isArray(configured)) {
+        logger.error('Invalid WEBHOOK_CALLBACK_TOKENS, expected a JSON array');
+        configured = [];
+      }
+    }
+
+    if (process.env.WEBHOOK_CALLBACK_TOKEN) {
+      configured = [...configured, { token: process.env.WEBHOOK_CALLBACK_TOKEN }];
+    }
+
+    const tokens = [];
+
+    configured.forEach((entry, index) => {
+      if (!entry || typeof entry.token !== 'string' || !entry.token) {
+        logger.error('Ignoring WEBHOOK_CALLBACK_TOKENS entry without a token', { index });
+        return;
+      }
+
+      const validFrom = entry.validFrom ? Date.parse(entry.validFrom) : -Infinity;
+      const validUntil = entry.validUntil ? Date.parse(entry.validUntil) : Infinity;
+
+      // An unparseable date would make the token silently never match
+      if (Number.isNaN(validFrom) || Number.isNaN(validUntil)) {
+        logger.error('Ignoring WEBHOOK_CALLBACK_TOKENS entry with an invalid validFrom/validUntil', {
+          index,
+          validFrom: entry.validFrom,
+          validUntil: entry.validUntil
+        });
+        return;
+      }
+
+      tokens.push({ token: entry.token, validFrom, validUntil });
+    });
+
+    cache.tokens = { raw, value: tokens };
+  }
+
+  return cache.tokens.value;
+};
+
+/**
+ * Parse the webhook configuration at startup so mistakes are logged before Xendit's
+ * first delivery is rejected
+ * @returns {boolean} - Whether a callback token is valid now
+ */
+const validateWebhookConfig = () => {
+  getAllowlist();
+
+  const now = Date.now();
+  const tokens = getCallbackTokens();
+
+  if (!tokens.some(({ validFrom, validUntil }) => now >= validFrom && now <= validUntil)) {
+    logger.error('No webhook callback token is valid now - webhooks will be rejected', {
+      configuredTokens: tokens.length
+    });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Constant-time string comparison; hashing first makes the lengths equal
+ */
+const safeEqual = (a, b) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(a).digest(),
+  crypto.createHash('sha256').update(b).digest()
+);
+
+/**
+ * Source IP allowlist from WEBHOOK_ALLOWED_IPS (comma separated addresses and CIDR ranges),
+ * null when not configured
+ * @returns {net.BlockList|null}
+ */
+const getAllowlist = () => {
+  const raw = process.env.WEBHOOK_ALLOWED_IPS || '';
+
+  if (cache.allowlist.raw !== raw) {
+    let allowlist = null;
+
+    if (raw.trim()) {
+      allowlist = new net.BlockList();
+
+      raw.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const [address, prefix] = entry.split('/');
+        const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+        if (!net.isIP(address)) {
+          logger.error('Invalid entry in WEBHOOK_ALLOWED_IPS', { entry });
+        } else if (prefix !== undefined) {
+          allowlist.addSubnet(address, parseInt(prefix), type);
+        } else {
+          allowlist.addAddress(address, type);
+        }
+      });
+    }
+
+    cache.allowlist = { raw, value: allowlist };
+  }
+
+  return cache.allowlist.value;
+};
+
+const isAllowedIp = (allowlist, ip = '') => {
+  // IPv4 clients show up as ::ffff:a.b.c.d on dual-stack sockets
+  const address = ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+  const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+  return net.isIP(address) !== 0 && allowlist.check(address, type);
+};
+
+// Webhook verification middleware: source IP, then callback token
+const verifyWebhook = (req, res, next) => {
+  const allowlist = getAllowlist();
+
+  if (allowlist && !isAllowedIp(allowlist, req.ip)) {
+    logger.warn('Webhook from IP outside the allowlist', { ip: req.ip });
+    return rejectWith(res, 403, 'WEBHOOK_SOURCE_NOT_ALLOWED', 'Webhook source IP not allowed');
+  }
+
+  const tokens = getCallbackTokens();
+
+  if (!tokens.length) {
+    logger.warn('Webhook callback token not configured');
+    return rejectWith(res, 500, 'CONFIGURATION_ERROR', 'Webhook verification not configured');
+  }
+
+  const callbackToken = req.headers['x-callback-token'];
+  const now = Date.now();
+  let valid = false;
+
+  if (typeof callbackToken === 'string') {
+    // Compare against every token so timing doesn't reveal which one matched
+    tokens.forEach(({ token, validFrom, validUntil }) => {
+      const matches = safeEqual(callbackToken, token);
+      valid = valid || (matches && now >= validFrom && now <= validUntil);
+    });
+  }
+
+  if (!valid) {
+    logger.warn('Invalid webhook callback token', {
+      receivedToken: callbackToken ? 'present' : 'missing',
+      configuredTokens: tokens.length
+    });
+    return rejectWith(res, 401, 'INVALID_WEBHOOK_TOKEN', 'Invalid webhook callback token');
+  }
+
+  next();
+};
+
+/**
+ * Reject deliveries whose timestamp is outside the accepted window (replays of old events).
+ * Runs after validation so the field is known to be an ISO date.
+ * @param {Function} getTimestamp - (body) => ISO timestamp of the event
+ */
+const verifyWebhookAge = (getTimestamp) => (req, res, next) => {
+  const timestamp = Date.parse(getTimestamp(req.body));
+  const ageSeconds = (Date.now() - timestamp) / 1000;
+
+  if (Number.isNaN(timestamp) || ageSeconds > WEBHOOK_MAX_AGE_SECONDS || ageSeconds < -WEBHOOK_CLOCK_SKEW_SECONDS) {
+    logger.warn('Webhook outside the accepted time window', {
+      timestamp: getTimestamp(req.body),
+      ageSeconds: Math.round(ageSeconds),
+      maxAgeSeconds: WEBHOOK_MAX_AGE_SECONDS
+    });
+    return rejectWith(res, 400, 'STALE_WEBHOOK', 'Webhook timestamp outside the accepted window');
+  }
+
+  next();
+};
+
+module.exports = {
+  validateWebhookConfig,
+  verifyWebhook,
+  verifyWebhookAge
+};
@@ -0,0 +1,178 @@
+const logger = require('../../shared/utils/logger');
+
+/**
+ * In-process queue that runs webhook jobs in the background.
+ * Jobs sharing a key (the booking) run one at a time in arrival order, and a
+ * failing job keeps its key until it succeeds or runs out of attempts, so later
+ * events for the same booking never overtake it.
+ */
+class WebhookWorker {
+  /**
+   * @param {Function} handler - async (job) => { status, attempts, error }, status being
+   *   succeeded, ignored, failed, dead_letter or skipped
+   * @param {object} options
+   * @param {number} options.concurrency - Jobs processed at once
+   * @param {number} options.retryBaseDelayMs - First retry delay, doubled per attempt
+   * @param {number} options.retryMaxDelayMs - Retry delay cap
+   * @param {number} options.maxAttempts - Attempts before a job whose handler throws is dead-lettered
+   */
+  constructor(handler, { concurrency = 4, retryBaseDelayMs = 1000, retryMaxDelayMs = 60000, maxAttempts = 5 } = {}) {
+    this.handler = handler;
+    this.concurrency = concurrency;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseDelayMs = retryBaseDelayMs;
+    this.retryMaxDelayMs = retryMaxDelayMs;
+
+    this.queue = [];
+    this.jobIds = new Set();
+    this.keyOwners = new Map();
+    this.active = 0;
+    this.stopped = false;
+    this.timer = null;
+    this.idleWaiters = [];
+  }
+
+  /**
+   * Queue a job unless one with the same ID is already queued or running
+   * @param {object} job - { id, key, ... } passed to the handler
+   * @returns {boolean} - Whether the job was queued
+   */
+  enqueue(job) {
+    if (this.stopped || this.jobIds.has(job.id)) {
+      return false;
+    }
+
+    this.jobIds.add(job.id);
+    this.queue.push({ ...job, notBefore: 0 });
+    this.drain();
+    return true;
+  }
+
+  canStart(job, now) {
+    const owner = this.keyOwners.get(job.key);
+    return (!owner || owner === job.id) && job.notBefore <= now;
+  }
+
+  drain() {
+    if (this.stopped) {
+      return;
+    }
+
+    const now = Date.now();
+    let nextWake = Infinity;
+
+    for (let i = 0; i < this.queue.length && this.active < this.concurrency;) {
+      const job = this.queue[i];
+
+      if (!this.canStart(job, now)) {
+        if (this.keyOwners.get(job.key) === job.id || !this.keyOwners.has(job.key)) {
+          nextWake = Math.min(nextWake, job.notBefore - now);
+        }
+        i++;
+        continue;
+      }
+
+      this.queue.splice(i, 1);
+      this.run(job);
+    }
+
+    if (nextWake !== Infinity && !this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, Math.max(0, nextWake));
+      this.timer.unref?.();
+    }
+  }
+
+  async run(job) {
+    this.active++;
+    this.keyOwners.set(job.key, job.id);
+
+    let result;
+    try {
+      result = await this.handler(job);
+    } catch (error) {
+      // The handler couldn't record the attempt itself, so count it here
+      const attempts = (job.attempts || 0) + 1;
+      result = { status: attempts >= this.maxAttempts ? 'dead_letter' : 'failed', attempts, error: error.message };
+
+      if (result.status === 'dead_letter') {
+        logger.error('Job failed too often, giving up', { jobId: job.id, key: job.key, attempts, error: error.message });
+      }
+    }
+
+    this.active--;
+
+    if (result.status === 'failed' && !this.stopped) {
+      const delayMs = this.getRetryDelay(result.attempts);
+
+      logger.warn('Webhook processing failed, retrying', {
+        webhookId: job.id,
+        key: job.key,
+        attempts: result.attempts,
+        delayMs,
+        error: result.error
+      });
+
+      // Keeps its key so later events for the booking wait behind it
+      this.queue.unshift({ ...job, attempts: result.attempts, notBefore: Date.now() + delayMs });
+    } else {
+      this.keyOwners.delete(job.key);
+      this.jobIds.delete(job.id);
+    }
+
+    this.drain();
+
+    if (this.active === 0) {
+      this.idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+  }
+
+  getRetryDelay(attempts) {
+    const exponentialDelay = Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * 2 ** (attempts - 1));
+    return Math.floor(exponentialDelay / 2 + Math.random() * exponentialDelay / 2);
+  }
+
+  /**
+   * Stop starting jobs and wait for running ones to finish.
+   * Queued jobs stay in the inbox for the next sweep or instance.
+   * @param {number} timeoutMs - Give up waiting after this long
+   * @returns {Promise<boolean>} - Whether all running jobs finished in time
+   */
+  async stop(timeoutMs = 8000) {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    logger.info('Draining webhook worker', { active: this.active, queued: this.queue.length });
+
+    if (this.active === 0) {
+      return true;
+    }
+
+    let timeout;
+    const drained = await Promise.race([
+      new Promise(resolve => this.idleWaiters.push(() => resolve(true))),
+      new Promise(resolve => { timeout = setTimeout(() => resolve(false), timeoutMs); })
+    ]);
+    clearTimeout(timeout);
+
+    if (!drained) {
+      logger.warn('Webhook worker drain timed out', { active: this.active, queued: this.queue.length });
+    }
+
+    return drained;
+  }
+
+  getStats() {
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      concurrency: this.concurrency,
+      stopped: this.stopped
+    };
+  }
+}
+
+module.exports = WebhookWorker;
@@ -0,0 +1,37 @@
+require('dotenv').config();
+const logger = require('../shared/utils/logger');
+const reconciliationService = require('../features/reconciliation/service');
+
+/**
+ * Reconcile bookings stuck in pending, for schedulers (cron, Cloud Scheduler jobs).
+ * Usage: npm run reconcile -- [--older-than-minutes=30] [--limit=50] [--dry-run]
+ * Prints the report as JSON; exits 1 if the run fails, 2 if bookings still disagree with Xendit.
+ */
+const parseArgs = (argv) => Object.fromEntries(
+  argv
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => {
+      const [key, value = 'true'] = arg.slice(2).split('=');
+      return [key, value];
+    })
+);
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  const report = await reconciliationService.reconcilePendingBookings({
+    olderThanMinutes: parseInt(args['older-than-minutes']) || undefined,
+    limit: parseInt(args.limit) || undefined,
+    dryRun: args['dry-run'] === 'true'
+  });
+
+  process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  return report.disagreements ? 2 : 0;
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    logger.error('Pending booking reconciliation failed', { error: error.message, stack: error.stack });
+    process.exit(1);
+  });
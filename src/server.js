@@ -5,8 +5,13 @@ const cors = require('cors');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const logger = require('./shared/utils/logger');
+const { intFromEnv } = require('./shared/utils/env');
 const errorHandler = require('./shared/middleware/errorHandler');
-const idempotencyMiddleware = require('./shared/middleware/idempotency');
+const subAccountMiddleware = require('./shared/middleware/subAccount');
+const xenditClient = require('./shared/services/xenditClient');
+const webhookService = require('./features/webhooks/service');
+const { validateWebhookConfig } = require('./features/webhooks/verification');
+const subscriptionService = require('./features/subscriptions/service');
 
 // Log startup information
 logger.info('Starting Xendit API server...', {
@@ -17,15 +22,25 @@ logger.info('Starting Xendit API server...', {
   hasFirebaseProject: !!process.env.FIREBASE_PROJECT_ID
 });
 
+validateWebhookConfig();
+
 // Import feature routes (with error handling)
-let authRoutes, paymentRoutes, paymentRequestRoutes, invoiceRoutes, webhookRoutes;
+let authRoutes, paymentRoutes, paymentRequestRoutes, invoiceRoutes, refundRoutes, customerRoutes, payoutRoutes, webhookRoutes, subscriptionRoutes, reconciliationRoutes, bookingRuleRoutes, bookingRoutes, paymentLogRoutes;
 
 try {
   authRoutes = require('./features/auth');
   paymentRoutes = require('./features/payments');
   paymentRequestRoutes = require('./features/payment-requests');
   invoiceRoutes = require('./features/invoices');
+  refundRoutes = require('./features/refunds');
+  customerRoutes = require('./features/customers');
+  payoutRoutes = require('./features/payouts');
   webhookRoutes = require('./features/webhooks');
+  subscriptionRoutes = require('./features/subscriptions');
+  reconciliationRoutes = require('./features/reconciliation');
+  bookingRuleRoutes = require('./features/booking-rules');
+  bookingRoutes = require('./features/bookings');
+  paymentLogRoutes = require('./features/payment-logs');
   logger.info('All route modules loaded successfully');
 } catch (error) {
   logger.error('Failed to load route modules', { error: error.message, stack: error.stack });
@@ -50,8 +65,8 @@ app.use(cors({
 
 // Rate limiting
 const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
+  windowMs: intFromEnv('RATE_LIMIT_WINDOW_MS', 15 * 60 * 1000), // 15 minutes
+  max: intFromEnv('RATE_LIMIT_MAX_REQUESTS', 100), // limit each IP to 100 requests per windowMs
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
@@ -80,16 +95,32 @@ app.get('/health', (req, res) => {
   res.status(200).json({
     status: 'OK',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    dependencies: {
+      xendit: xenditClient.getHealth()
+    },
+    webhookWorker: webhookService.getWorkerStats(),
+    subscriptionWorker: subscriptionService.getWorkerStats()
   });
 });
 
+// xenPlatform sub-account (for-user-id header) for all API routes
+app.use('/api/v1', subAccountMiddleware);
+
 // API routes (no authentication required)
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/payments', paymentRoutes);
-app.use('/api/v1/payment-requests', idempotencyMiddleware, paymentRequestRoutes);
+app.use('/api/v1/payment-requests', paymentRequestRoutes);
 app.use('/api/v1/invoices', invoiceRoutes);
+app.use('/api/v1/refunds', refundRoutes);
+app.use('/api/v1/customers', customerRoutes);
+app.use('/api/v1/payouts', payoutRoutes);
 app.use('/api/v1/webhooks', webhookRoutes);
+app.use('/api/v1/subscriptions', subscriptionRoutes);
+app.use('/api/v1/reconciliation', reconciliationRoutes);
+app.use('/api/v1/booking-rules', bookingRuleRoutes);
+app.use('/api/v1/bookings', bookingRoutes);
+app.use('/api/v1/payment-logs', paymentLogRoutes);
 
 // Error handling middleware (must be last)
 app.use(errorHandler);
@@ -119,6 +150,10 @@ const server = app.listen(PORT, '0.0.0.0', (error) => {
     pid: process.pid,
     uptime: process.uptime()
   });
+
+  // Pick up webhooks and subscriber deliveries left by earlier instances
+  webhookService.start();
+  subscriptionService.start();
 });
 
 // Handle server errors
@@ -131,22 +166,26 @@ server.on('error', (error) => {
   process.exit(1);
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully...');
-  server.close(() => {
-    logger.info('Server closed');
-    process.exit(0);
-  });
-});
-
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully...');
-  server.close(() => {
-    logger.info('Server closed');
-    process.exit(0);
-  });
-});
+// Graceful shutdown: stop accepting requests and let running webhooks finish.
+// Cloud Run allows 10 seconds after SIGTERM.
+const shutdown = async (signal) => {
+  logger.info(`${signal} received, shutting down gracefully...`);
+
+  await Promise.all([
+    new Promise(resolve => {
+      server.close(resolve);
+      server.closeIdleConnections();
+    }),
+    webhookService.shutdown(intFromEnv('WEBHOOK_DRAIN_TIMEOUT_MS', 8000)),
+    subscriptionService.shutdown(intFromEnv('WEBHOOK_DRAIN_TIMEOUT_MS', 8000))
+  ]);
+
+  logger.info('Server closed');
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
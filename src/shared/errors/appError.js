@@ -0,0 +1,21 @@
+/**
+ * Application error with a stable response code and HTTP status.
+ * errorHandler picks up `code` and `statusCode` from it.
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {string} code - Response error code, e.g. BOOKING_NOT_FOUND
+   * @param {number} statusCode - HTTP status to answer with
+   * @param {Array|undefined} details - Optional field level details
+   */
+  constructor(message, code, statusCode = 500, details = undefined) {
+    super(message);
+    this.name = 'AppError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+module.exports = AppError;
@@ -0,0 +1,68 @@
+/**
+ * Error raised by XenditClient when a Xendit API call fails.
+ * Carries Xendit's own error code and field errors so errorHandler
+ * can map them to our response codes.
+ */
+class XenditApiError extends Error {
+  /**
+   * @param {string} message - Human readable message from Xendit (or axios)
+   * @param {object} options
+   * @param {number|null} options.status - HTTP status returned by Xendit, null for network errors
+   * @param {string|null} options.errorCode - Xendit `error_code`
+   * @param {Array<{field: string, message: string}>} options.errors - Field level errors
+   * @param {string|null} options.resource - Resource the call targeted, e.g. PAYMENT_REQUEST
+   * @param {boolean} options.timeout - Whether the call timed out
+   */
+  constructor(message, { status = null, errorCode = null, errors = [], resource = null, timeout = false } = {}) {
+    super(message);
+    this.name = 'XenditApiError';
+    this.status = status;
+    this.errorCode = errorCode;
+    this.errors = errors;
+    this.resource = resource;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Build a XenditApiError from an axios error
+   * @param {Error} error - Axios error
+   */
+  static fromAxiosError(error) {
+    const data = error.response?.data || {};
+    const url = error.config?.url || '';
+
+    return new XenditApiError(data.message || error.message, {
+      status: error.response?.status ?? null,
+      errorCode: data.error_code || null,
+      errors: XenditApiError.normalizeFieldErrors(data.errors),
+      resource: XenditApiError.resourceFromUrl(url),
+      timeout: error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT'
+    });
+  }
+
+  static normalizeFieldErrors(errors) {
+    if (!Array.isArray(errors)) {
+      return [];
+    }
+
+    return errors.map(err => ({
+      field: Array.isArray(err.path) ? err.path.join('.') : (err.path || err.field || null),
+      message: err.message || String(err)
+    }));
+  }
+
+  /**
+   * Derive the resource name from a Xendit URL, e.g. /v3/payment_requests/pr-1 -> PAYMENT_REQUEST
+   */
+  static resourceFromUrl(url) {
+    const segment = url.split('/').filter(part => part && !/^v\d+$/.test(part))[0];
+
+    if (!segment) {
+      return null;
+    }
+
+    return segment.replace(/s$/, '').toUpperCase();
+  }
+}
+
+module.exports = XenditApiError;
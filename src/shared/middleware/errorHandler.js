@@ -1,4 +1,64 @@
 const logger = require('../utils/logger');
+const AppError = require('../errors/appError');
+const XenditApiError = require('../errors/xenditApiError');
+
+// Xendit error_code -> our response code and status
+const XENDIT_ERROR_MAP = {
+  API_VALIDATION_ERROR: { code: 'VALIDATION_ERROR', statusCode: 400 },
+  INVALID_JSON_FORMAT: { code: 'VALIDATION_ERROR', statusCode: 400 },
+  DUPLICATE_ERROR: { code: 'DUPLICATE_REFERENCE', statusCode: 409 },
+  DUPLICATE_PAYMENT_REQUEST_ERROR: { code: 'DUPLICATE_REFERENCE', statusCode: 409 },
+  DUPLICATE_REFERENCE_ID_ERROR: { code: 'DUPLICATE_REFERENCE', statusCode: 409 },
+  IDEMPOTENCY_ERROR: { code: 'DUPLICATE_REFERENCE', statusCode: 409 },
+  CHANNEL_UNAVAILABLE: { code: 'CHANNEL_UNAVAILABLE', statusCode: 503 },
+  CHANNEL_NOT_ACTIVATED: { code: 'CHANNEL_UNAVAILABLE', statusCode: 403 },
+  UNAVAILABLE_PAYMENT_METHOD_ERROR: { code: 'CHANNEL_UNAVAILABLE', statusCode: 400 },
+  INVALID_PAYMENT_METHOD: { code: 'CHANNEL_UNAVAILABLE', statusCode: 400 },
+  INVALID_PAYMENT_REQUEST_STATUS: { code: 'INVALID_STATUS', statusCode: 409 },
+  INVALID_PAYMENT_STATUS: { code: 'INVALID_STATUS', statusCode: 409 },
+  INVOICE_NOT_FOUND_ERROR: { code: 'INVOICE_NOT_FOUND', statusCode: 404 },
+  MAX_AMOUNT_EXCEEDED: { code: 'AMOUNT_LIMIT_EXCEEDED', statusCode: 400 },
+  MINIMUM_AMOUNT_ERROR: { code: 'AMOUNT_LIMIT_EXCEEDED', statusCode: 400 },
+  CAPTURE_AMOUNT_EXCEEDED: { code: 'AMOUNT_LIMIT_EXCEEDED', statusCode: 400 },
+  INSUFFICIENT_BALANCE: { code: 'INSUFFICIENT_BALANCE', statusCode: 409 },
+  RATE_LIMIT_EXCEEDED: { code: 'PAYMENT_PROVIDER_RATE_LIMITED', statusCode: 429 },
+  INVALID_API_KEY: { code: 'PAYMENT_PROVIDER_CONFIGURATION_ERROR', statusCode: 502 },
+  REQUEST_FORBIDDEN_ERROR: { code: 'PAYMENT_PROVIDER_CONFIGURATION_ERROR', statusCode: 502 },
+  SERVER_ERROR: { code: 'PAYMENT_PROVIDER_ERROR', statusCode: 502 }
+};
+
+/**
+ * Map a XenditApiError to our error code and HTTP status
+ * @param {XenditApiError} err
+ */
+const mapXenditError = (err) => {
+  const mapped = XENDIT_ERROR_MAP[err.errorCode];
+  if (mapped) {
+    return mapped;
+  }
+
+  if (err.status === 404) {
+    return { code: err.resource ? `${err.resource}_NOT_FOUND` : 'RESOURCE_NOT_FOUND', statusCode: 404 };
+  }
+
+  if (err.status === 409) {
+    return { code: 'DUPLICATE_REFERENCE', statusCode: 409 };
+  }
+
+  if (err.status === 429) {
+    return { code: 'PAYMENT_PROVIDER_RATE_LIMITED', statusCode: 429 };
+  }
+
+  if (err.status >= 400 && err.status < 500) {
+    return { code: 'PAYMENT_PROVIDER_REJECTED', statusCode: err.status };
+  }
+
+  if (err.timeout) {
+    return { code: 'PAYMENT_PROVIDER_TIMEOUT', statusCode: 504 };
+  }
+
+  return { code: 'PAYMENT_PROVIDER_ERROR', statusCode: 502 };
+};
 
 const errorHandler = (err, req, res, next) => {
   let error = { ...err };
@@ -28,8 +88,8 @@ const errorHandler = (err, req, res, next) => {
     res.status(400);
   }
 
-  // Mongoose validation error
-  if (err.name === 'ValidationError') {
+  // Mongoose validation error (Joi's ValidationError has no errors map)
+  if (err.name === 'ValidationError' && err.errors) {
     const message = Object.values(err.errors).map(val => val.message).join(', ');
     error = { message, code: 'VALIDATION_ERROR' };
     res.status(400);
@@ -48,12 +108,33 @@ const errorHandler = (err, req, res, next) => {
     res.status(401);
   }
 
+  // Xendit API errors
+  if (err instanceof XenditApiError) {
+    const { code, statusCode } = mapXenditError(err);
+    error = {
+      message: err.message,
+      code,
+      statusCode,
+      details: err.errors.length ? err.errors : undefined,
+      provider: {
+        status: err.status,
+        errorCode: err.errorCode
+      }
+    };
+  }
+
+  // Only our own errors are shaped for clients; others (e.g. a Joi ValidationError)
+  // can carry internals in the same property names
+  const exposesDetails = err instanceof AppError || err instanceof XenditApiError;
+
   // Default error
   res.status(error.statusCode || 500).json({
     success: false,
     error: {
       code: error.code || 'INTERNAL_SERVER_ERROR',
       message: error.message || 'Internal Server Error',
+      ...(exposesDetails && error.details && { details: error.details }),
+      ...(exposesDetails && error.provider && { provider: error.provider }),
       ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
     }
   });
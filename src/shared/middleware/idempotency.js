@@ -1,19 +1,33 @@
-const crypto = require('crypto');
 const logger = require('../utils/logger');
+const storage = require('../storage');
 
-// Simple in-memory store for idempotency keys (in production, use Redis or database)
-const idempotencyStore = new Map();
 const IDEMPOTENCY_KEY_HEADER = 'idempotency-key';
 const IDEMPOTENCY_EXPIRY_MS = 24 * 60 * 60 * 1000; // 24 hours
+// Collections whose POST creates a payment or moves money back
+const IDEMPOTENT_COLLECTIONS = ['/payment-requests', '/invoices', '/refunds'];
+
+/**
+ * Replay the stored response of a request repeated with the same idempotency-key header.
+ * Mount it after authenticateToken: keys are scoped to the caller, and only successful
+ * responses are stored so a retry after an error (e.g. a Xendit 5xx) runs again.
+ * @param {object} options
+ * @param {boolean} options.required - Reject requests without the header
+ */
+const createIdempotencyMiddleware = ({ required = true } = {}) => async (req, res, next) => {
+  // req.path is relative to where the middleware is mounted
+  const path = `${req.baseUrl}${req.path}`.replace(/\/$/, '');
 
-const idempotencyMiddleware = (req, res, next) => {
   // Only apply to POST requests for payment creation
-  if (req.method !== 'POST' || !req.path.includes('/payment-requests') && !req.path.includes('/invoices')) {
+  if (req.method !== 'POST' || !IDEMPOTENT_COLLECTIONS.some(collection => path.endsWith(collection))) {
     return next();
   }
 
   const idempotencyKey = req.headers[IDEMPOTENCY_KEY_HEADER.toLowerCase()];
 
+  if (!idempotencyKey && !required) {
+    return next();
+  }
+
   if (!idempotencyKey) {
     return res.status(400).json({
       error: {
@@ -34,45 +48,38 @@ const idempotencyMiddleware = (req, res, next) => {
     });
   }
 
-  const key = `${req.method}:${req.path}:${idempotencyKey}`;
-  const stored = idempotencyStore.get(key);
+  const key = `${req.method}:${req.user?.id || 'anonymous'}:${path}:${idempotencyKey}`;
+
+  try {
+    // Expired keys read as missing
+    const stored = await storage.idempotencyKeys.get(key);
 
-  if (stored) {
-    const now = Date.now();
-    if (now - stored.timestamp > IDEMPOTENCY_EXPIRY_MS) {
-      // Key expired, remove it
-      idempotencyStore.delete(key);
-    } else {
-      // Return cached response
+    if (stored) {
       logger.info('Returning cached response for idempotent request', { idempotencyKey });
       return res.status(stored.statusCode).json(stored.response);
     }
+  } catch (error) {
+    return next(error);
   }
 
   // Store the response for future identical requests
   const originalJson = res.json;
   res.json = function(data) {
-    const responseData = data;
-    idempotencyStore.set(key, {
-      response: responseData,
-      statusCode: res.statusCode,
-      timestamp: Date.now()
-    });
-
-    // Clean up old entries periodically (simple implementation)
-    if (idempotencyStore.size > 1000) {
-      const cutoff = Date.now() - IDEMPOTENCY_EXPIRY_MS;
-      for (const [k, v] of idempotencyStore.entries()) {
-        if (v.timestamp < cutoff) {
-          idempotencyStore.delete(k);
-        }
-      }
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      return originalJson.call(this, data);
     }
 
+    storage.idempotencyKeys.save(key, { statusCode: res.statusCode, response: data }, { ttlMs: IDEMPOTENCY_EXPIRY_MS })
+      .catch(error => logger.error('Failed to store idempotent response', { idempotencyKey, error: error.message }));
+
     return originalJson.call(this, data);
   };
 
   next();
 };
 
-module.exports = idempotencyMiddleware;
\ No newline at end of file
+const idempotencyMiddleware = createIdempotencyMiddleware();
+// For collections that accepted requests without the header before it was enforced
+idempotencyMiddleware.optional = createIdempotencyMiddleware({ required: false });
+
+module.exports = idempotencyMiddleware;
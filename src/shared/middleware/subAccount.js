@@ -0,0 +1,28 @@
+const logger = require('../utils/logger');
+
+const FOR_USER_ID_HEADER = 'for-user-id';
+
+// Read the optional xenPlatform sub-account ID into req.forUserId
+const subAccountMiddleware = (req, res, next) => {
+  const forUserId = req.headers[FOR_USER_ID_HEADER];
+
+  if (forUserId === undefined) {
+    return next();
+  }
+
+  // Xendit account IDs are 24 character hex strings
+  if (!/^[0-9a-f]{24}$/i.test(forUserId)) {
+    logger.warn('Invalid sub-account ID', { forUserId });
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_SUB_ACCOUNT_ID',
+        message: `Header ${FOR_USER_ID_HEADER} must be a valid Xendit account ID`
+      }
+    });
+  }
+
+  req.forUserId = forUserId;
+  next();
+};
+
+module.exports = subAccountMiddleware;
@@ -0,0 +1,103 @@
+const storage = require('../storage');
+const AppError = require('../errors/appError');
+const logger = require('../utils/logger');
+
+// Booking field that holds the vendor document ID
+const BOOKING_VENDOR_FIELD = process.env.BOOKING_VENDOR_FIELD || 'vendorId';
+
+class SubAccountService {
+  constructor() {
+    this.warnedMissingBusinessId = false;
+  }
+
+  /**
+   * Resolve the xenPlatform sub-account to act on behalf of.
+   * It is looked up from the booking's vendor; an ID from the request
+   * (for-user-id header) is only used when it names that same sub-account,
+   * or when there is no booking to check it against.
+   * @param {string|undefined} forUserId - Sub-account ID from the request
+   * @param {object} lookup
+   * @param {string} lookup.bookingId - Booking document ID
+   * @param {string} lookup.paymentRequestId - Xendit payment request ID linked to a booking
+   * @returns {Promise<string|null>}
+   */
+  async resolve(forUserId, { bookingId, paymentRequestId } = {}) {
+    let booking = null;
+    if (bookingId) {
+      booking = await storage.bookings.get(bookingId);
+    } else if (paymentRequestId) {
+      booking = await storage.bookings.findByPaymentRequestId(paymentRequestId);
+    }
+
+    const bookingSubAccountId = await this.fromBooking(booking);
+
+    if (!forUserId) {
+      return bookingSubAccountId;
+    }
+
+    if (booking && forUserId !== bookingSubAccountId) {
+      logger.warn('Sub-account from request does not match booking', {
+        bookingId: booking.id,
+        forUserId,
+        bookingSubAccountId
+      });
+      throw new AppError(
+        `Header for-user-id does not match the sub-account of booking ${booking.id}`,
+        'SUB_ACCOUNT_MISMATCH',
+        403
+      );
+    }
+
+    return forUserId;
+  }
+
+  /**
+   * Sub-account of a booking: the one its payment was made in, else its vendor's
+   * @param {object|null} booking - Booking document
+   */
+  async fromBooking(booking) {
+    if (!booking) {
+      return null;
+    }
+
+    if (booking.transaction?.subAccountId) {
+      return booking.transaction.subAccountId;
+    }
+
+    const vendorId = booking[BOOKING_VENDOR_FIELD];
+    if (!vendorId) {
+      return null;
+    }
+
+    const subAccountId = await storage.vendors.getSubAccountId(vendorId);
+
+    if (subAccountId) {
+      logger.info('Resolved sub-account from booking vendor', { bookingId: booking.id, vendorId, subAccountId });
+    }
+
+    return subAccountId;
+  }
+
+  /**
+   * Sub-account a webhook belongs to. Xendit sends the owning account's ID as
+   * business_id, so anything other than our master account is a sub-account.
+   * @param {string} businessId - business_id from the webhook payload
+   */
+  fromWebhook(businessId) {
+    const masterBusinessId = process.env.XENDIT_BUSINESS_ID;
+
+    if (!masterBusinessId && businessId && !this.warnedMissingBusinessId) {
+      // Without it every webhook is treated as the master account's
+      logger.error('XENDIT_BUSINESS_ID is not set - cannot tell sub-account webhooks apart', { businessId });
+      this.warnedMissingBusinessId = true;
+    }
+
+    if (!masterBusinessId || !businessId || businessId === masterBusinessId) {
+      return null;
+    }
+
+    return businessId;
+  }
+}
+
+module.exports = new SubAccountService();
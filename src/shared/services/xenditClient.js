@@ -1,19 +1,84 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const RequestQueue = require('../utils/requestQueue');
+const Cassette = require('../utils/cassette');
+const XenditApiError = require('../errors/xenditApiError');
+const { intFromEnv } = require('../utils/env');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Writes (creates, cancels, captures) go ahead of reads when the queue backs up
+const PRIORITY = {
+  READ: 0,
+  WRITE: 10
+};
+
+// Errors raised before the request reaches Xendit
+const QUEUE_ERROR_CODES = ['XENDIT_CIRCUIT_OPEN', 'XENDIT_QUEUE_TIMEOUT'];
+
+const parseLimits = (value) => {
+  if (!value) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    logger.error('Invalid XENDIT_QUEUE_LIMITS, ignoring per-endpoint overrides', { error: error.message });
+    return {};
+  }
+};
 
 class XenditClient {
   constructor() {
     this.baseURL = process.env.XENDIT_BASE_URL || 'https://api.xendit.co';
     this.apiKey = process.env.XENDIT_API_KEY;
     this.apiVersion = process.env.XENDIT_API_VERSION || '2024-11-11';
+    // The Customers API is versioned separately from Payments API v3
+    this.customersApiVersion = process.env.XENDIT_CUSTOMERS_API_VERSION || '2020-10-31';
     this.client = null;
     this.initialized = false;
+    this.cassette = null;
+    this.cassetteInterceptor = null;
+    this.defaultAdapter = null;
+
+    // Retry configuration
+    this.maxRetries = intFromEnv('XENDIT_MAX_RETRIES', 3);
+    this.retryBaseDelayMs = intFromEnv('XENDIT_RETRY_BASE_DELAY_MS', 200);
+    this.retryMaxDelayMs = intFromEnv('XENDIT_RETRY_MAX_DELAY_MS', 5000);
+
+    this.circuitBreaker = new CircuitBreaker('Xendit API', {
+      failureThreshold: intFromEnv('XENDIT_CIRCUIT_FAILURE_THRESHOLD', 5),
+      resetTimeoutMs: intFromEnv('XENDIT_CIRCUIT_RESET_TIMEOUT_MS', 30000)
+    });
+
+    // Outbound limits, overall and per endpoint (e.g. "POST /v3/payment_requests").
+    // XENDIT_QUEUE_LIMITS takes JSON overrides keyed by endpoint.
+    this.queue = new RequestQueue('Xendit API', {
+      concurrency: intFromEnv('XENDIT_QUEUE_CONCURRENCY', 10),
+      requestsPerSecond: intFromEnv('XENDIT_QUEUE_REQUESTS_PER_SECOND', 20),
+      timeoutMs: intFromEnv('XENDIT_QUEUE_TIMEOUT_MS', 10000),
+      slowWaitMs: intFromEnv('XENDIT_QUEUE_SLOW_WAIT_MS', 1000),
+      defaultKeyLimits: {
+        concurrency: intFromEnv('XENDIT_ENDPOINT_CONCURRENCY', 5),
+        requestsPerSecond: intFromEnv('XENDIT_ENDPOINT_REQUESTS_PER_SECOND', 10)
+      },
+      limits: parseLimits(process.env.XENDIT_QUEUE_LIMITS)
+    });
 
     // Initialize client if API key is available
     this.initialize();
   }
 
   initialize() {
+    const cassetteMode = process.env.XENDIT_CASSETTE_MODE;
+
+    // Replay never reaches Xendit, so it works without credentials
+    if (!this.apiKey && cassetteMode === 'replay') {
+      this.apiKey = 'replay';
+    }
+
     if (!this.apiKey) {
       logger.warn('XENDIT_API_KEY not set - XenditClient will not function until API key is provided');
       return;
@@ -37,7 +102,9 @@ class XenditClient {
           logger.info('Xendit API response', {
             status: response.status,
             url: response.config.url,
-            method: response.config.method
+            method: response.config.method,
+            queueWaitMs: response.config.queue?.waitMs,
+            queueDepth: response.config.queue?.depth
           });
           return response;
         },
@@ -46,6 +113,8 @@ class XenditClient {
             status: error.response?.status,
             url: error.config?.url,
             method: error.config?.method,
+            queueWaitMs: error.config?.queue?.waitMs,
+            queueDepth: error.config?.queue?.depth,
             message: error.message,
             response: error.response?.data
           });
@@ -53,8 +122,13 @@ class XenditClient {
         }
       );
 
+      this.defaultAdapter = this.client.defaults.adapter;
       this.initialized = true;
       logger.info('XenditClient initialized successfully');
+
+      if (cassetteMode) {
+        this.useCassette(process.env.XENDIT_CASSETTE_NAME || 'default', cassetteMode);
+      }
     } catch (error) {
       logger.error('Failed to initialize XenditClient', { error: error.message });
     }
@@ -66,74 +140,317 @@ class XenditClient {
     }
   }
 
-  // Payment Requests
-  async createPaymentRequest(data) {
+  /**
+   * Send a request to Xendit through the outbound queue, with retries and circuit breaking.
+   * GETs and requests carrying an idempotency key are retried on failure.
+   * @param {object} config - Axios request config
+   * @param {object} options
+   * @param {string} options.idempotencyKey - Sent as the idempotency-key header
+   * @param {string} options.forUserId - xenPlatform sub-account, sent as the for-user-id header
+   * @param {boolean} options.retryable - Override whether the call is safe to retry
+   * @param {number} options.priority - Queue priority, defaults to reads below writes
+   */
+  async request(config, { idempotencyKey, forUserId, retryable, priority } = {}) {
     this.ensureInitialized();
-    const response = await this.client.post('/v3/payment_requests', data);
-    return response.data;
+
+    config = {
+      ...config,
+      headers: {
+        ...config.headers,
+        ...(idempotencyKey && { 'idempotency-key': idempotencyKey }),
+        ...(forUserId && { 'for-user-id': forUserId })
+      }
+    };
+    retryable = retryable ?? (config.method === 'get' || !!idempotencyKey);
+
+    const maxAttempts = retryable ? this.maxRetries + 1 : 1;
+    const queueOptions = {
+      key: this.endpointKey(config),
+      priority: priority ?? (config.method === 'get' ? PRIORITY.READ : PRIORITY.WRITE)
+    };
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        // Each attempt takes its own queue slot; backoff sleeps don't hold one
+        const response = await this.queue.schedule((queue) => {
+          this.circuitBreaker.assertCanRequest();
+          return this.client.request({ ...config, queue });
+        }, queueOptions);
+        this.circuitBreaker.recordSuccess();
+        return response.data;
+      } catch (error) {
+        if (QUEUE_ERROR_CODES.includes(error.code)) {
+          // Never reached Xendit
+          throw error;
+        }
+
+        const status = error.response?.status;
+        const isServerFailure = !error.response || status >= 500;
+
+        if (isServerFailure) {
+          this.circuitBreaker.recordFailure();
+        } else {
+          // 4xx responses mean Xendit is up and answering
+          this.circuitBreaker.recordSuccess();
+        }
+
+        const delayMs = attempt < maxAttempts && this.isRetryableError(error)
+          ? this.getRetryDelay(error, attempt)
+          : null;
+
+        if (delayMs === null) {
+          throw XenditApiError.fromAxiosError(error);
+        }
+
+        logger.warn('Retrying Xendit API request', {
+          method: config.method,
+          url: config.url,
+          status,
+          attempt,
+          maxAttempts,
+          delayMs,
+          circuitState: this.circuitBreaker.state
+        });
+
+        await sleep(delayMs);
+      }
+    }
   }
 
-  async getPaymentRequest(paymentRequestId) {
-    this.ensureInitialized();
-    const response = await this.client.get(`/v3/payment_requests/${paymentRequestId}`);
-    return response.data;
+  /**
+   * Queue key for per-endpoint limits, with IDs collapsed,
+   * e.g. "POST /v3/payment_requests/:id/cancel"
+   */
+  endpointKey(config) {
+    const path = (config.url || '').split('?')[0]
+      .split('/')
+      .map(segment => (!segment || /^(v\d+|[a-z_]+!?)$/.test(segment) ? segment : ':id'))
+      .join('/');
+
+    return `${(config.method || 'get').toUpperCase()} ${path}`;
   }
 
-  async cancelPaymentRequest(paymentRequestId) {
-    this.ensureInitialized();
-    const response = await this.client.post(`/v3/payment_requests/${paymentRequestId}/cancel`);
-    return response.data;
+  isRetryableError(error) {
+    if (!error.response) {
+      // Network errors and timeouts
+      return true;
+    }
+
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+  }
+
+  /**
+   * Exponential backoff with full jitter, honoring Retry-After on 429
+   * @returns {number|null} - Delay in ms, or null if the wait exceeds the retry budget
+   */
+  getRetryDelay(error, attempt) {
+    if (error.response?.status === 429) {
+      const retryAfterMs = this.parseRetryAfter(error.response.headers?.['retry-after']);
+
+      if (retryAfterMs !== null) {
+        return retryAfterMs <= this.retryMaxDelayMs ? retryAfterMs : null;
+      }
+    }
+
+    const exponentialDelay = Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * 2 ** (attempt - 1));
+    return Math.floor(Math.random() * exponentialDelay);
   }
 
-  async simulatePaymentRequest(paymentRequestId, data = {}) {
+  parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Record Xendit traffic to, or replay it from, a fixture file
+   * @param {string} name - Cassette name (file name without .json)
+   * @param {string} mode - 'record' or 'replay'
+   * @param {string} dir - Optional fixture directory
+   */
+  useCassette(name, mode, dir) {
     this.ensureInitialized();
-    const response = await this.client.post(`/v3/payment_requests/${paymentRequestId}/simulate`, data);
-    return response.data;
+    this.ejectCassette();
+
+    if (!['record', 'replay'].includes(mode)) {
+      throw new Error(`Unknown cassette mode: ${mode}`);
+    }
+
+    this.cassette = new Cassette(name, mode, dir);
+
+    if (mode === 'replay') {
+      this.client.defaults.adapter = this.cassette.adapter();
+    } else {
+      this.cassetteInterceptor = this.client.interceptors.response.use(
+        (response) => {
+          this.cassette.record(response);
+          return response;
+        },
+        (error) => {
+          if (error.response) {
+            this.cassette.record(error.response);
+          }
+          return Promise.reject(error);
+        }
+      );
+    }
+
+    logger.warn('Xendit cassette enabled', { name, mode, file: this.cassette.filePath });
+    return this.cassette;
+  }
+
+  ejectCassette() {
+    if (this.cassetteInterceptor !== null) {
+      this.client.interceptors.response.eject(this.cassetteInterceptor);
+      this.cassetteInterceptor = null;
+    }
+
+    if (this.client && this.defaultAdapter) {
+      this.client.defaults.adapter = this.defaultAdapter;
+    }
+
+    this.cassette = null;
+  }
+
+  getHealth() {
+    return {
+      initialized: this.initialized,
+      cassette: this.cassette ? { name: this.cassette.name, mode: this.cassette.mode } : null,
+      circuitBreaker: this.circuitBreaker.getStatus(),
+      queue: this.queue.getStats()
+    };
+  }
+
+  // Payment Requests
+  async createPaymentRequest(data, options = {}) {
+    return this.request({ method: 'post', url: '/v3/payment_requests', data }, options);
+  }
+
+  async getPaymentRequest(paymentRequestId, options = {}) {
+    return this.request({ method: 'get', url: `/v3/payment_requests/${paymentRequestId}` }, options);
+  }
+
+  async cancelPaymentRequest(paymentRequestId, options = {}) {
+    return this.request({ method: 'post', url: `/v3/payment_requests/${paymentRequestId}/cancel` }, options);
+  }
+
+  async simulatePaymentRequest(paymentRequestId, data = {}, options = {}) {
+    return this.request({ method: 'post', url: `/v3/payment_requests/${paymentRequestId}/simulate`, data }, options);
   }
 
   // Payments
-  async getPayment(paymentId) {
-    this.ensureInitialized();
-    const response = await this.client.get(`/v3/payments/${paymentId}`);
-    return response.data;
+  async getPayment(paymentId, options = {}) {
+    return this.request({ method: 'get', url: `/v3/payments/${paymentId}` }, options);
   }
 
-  async cancelPayment(paymentId) {
-    this.ensureInitialized();
-    const response = await this.client.post(`/v3/payments/${paymentId}/cancel`);
-    return response.data;
+  async cancelPayment(paymentId, options = {}) {
+    return this.request({ method: 'post', url: `/v3/payments/${paymentId}/cancel` }, options);
   }
 
-  async capturePayment(paymentId, data) {
-    this.ensureInitialized();
-    const response = await this.client.post(`/v3/payments/${paymentId}/capture`, data);
-    return response.data;
+  async capturePayment(paymentId, data, options = {}) {
+    return this.request({ method: 'post', url: `/v3/payments/${paymentId}/capture`, data }, options);
+  }
+
+  // Payment Tokens
+  async getPaymentToken(paymentTokenId, options = {}) {
+    return this.request({ method: 'get', url: `/v3/payment_tokens/${paymentTokenId}` }, options);
+  }
+
+  async cancelPaymentToken(paymentTokenId, options = {}) {
+    return this.request({ method: 'post', url: `/v3/payment_tokens/${paymentTokenId}/cancel` }, options);
   }
 
   // Invoices
-  async createInvoice(data) {
-    this.ensureInitialized();
-    const response = await this.client.post('/v2/invoices', data);
-    return response.data;
+  async createInvoice(data, options = {}) {
+    return this.request({ method: 'post', url: '/v2/invoices', data }, options);
   }
 
-  async getInvoice(invoiceId) {
-    this.ensureInitialized();
-    const response = await this.client.get(`/v2/invoices/${invoiceId}`);
-    return response.data;
+  async getInvoice(invoiceId, options = {}) {
+    return this.request({ method: 'get', url: `/v2/invoices/${invoiceId}` }, options);
   }
 
-  async expireInvoice(invoiceId) {
-    this.ensureInitialized();
-    const response = await this.client.post(`/invoices/${invoiceId}/expire!`);
-    return response.data;
+  async expireInvoice(invoiceId, options = {}) {
+    return this.request({ method: 'post', url: `/invoices/${invoiceId}/expire!` }, options);
   }
 
-  async listInvoices(params = {}) {
-    this.ensureInitialized();
-    const response = await this.client.get('/v2/invoices', { params });
-    return response.data;
+  async listInvoices(params = {}, options = {}) {
+    return this.request({ method: 'get', url: '/v2/invoices', params }, options);
+  }
+
+  // Refunds
+  async createRefund(data, options = {}) {
+    return this.request({ method: 'post', url: '/refunds', data }, options);
+  }
+
+  async getRefund(refundId, options = {}) {
+    return this.request({ method: 'get', url: `/refunds/${refundId}` }, options);
+  }
+
+  async listRefunds(params = {}, options = {}) {
+    return this.request({ method: 'get', url: '/refunds', params }, options);
+  }
+
+  // Payouts
+  async createPayout(data, options = {}) {
+    return this.request({ method: 'post', url: '/v2/payouts', data }, options);
+  }
+
+  async getPayout(payoutId, options = {}) {
+    return this.request({ method: 'get', url: `/v2/payouts/${payoutId}` }, options);
+  }
+
+  async cancelPayout(payoutId, options = {}) {
+    return this.request({ method: 'post', url: `/v2/payouts/${payoutId}/cancel` }, options);
+  }
+
+  async listPayouts(params = {}, options = {}) {
+    return this.request({ method: 'get', url: '/v2/payouts', params }, options);
+  }
+
+  // Customers
+  async createCustomer(data, options = {}) {
+    return this.request({
+      method: 'post',
+      url: '/customers',
+      data,
+      headers: { 'api-version': this.customersApiVersion }
+    }, options);
+  }
+
+  async getCustomer(customerId, options = {}) {
+    return this.request({
+      method: 'get',
+      url: `/customers/${customerId}`,
+      headers: { 'api-version': this.customersApiVersion }
+    }, options);
+  }
+
+  async updateCustomer(customerId, data, options = {}) {
+    return this.request({
+      method: 'patch',
+      url: `/customers/${customerId}`,
+      data,
+      headers: { 'api-version': this.customersApiVersion }
+    }, options);
+  }
+
+  async searchCustomers(params = {}, options = {}) {
+    return this.request({
+      method: 'get',
+      url: '/customers',
+      params,
+      headers: { 'api-version': this.customersApiVersion }
+    }, options);
   }
 }
 
-module.exports = new XenditClient();
\ No newline at end of file
+module.exports = new XenditClient();
@@ -0,0 +1,469 @@
+const FieldValue = require('./fieldValue');
+const logger = require('../utils/logger');
+const { canTransition, mapXenditStatus } = require('../utils/transactionStatus');
+const { evaluateBookingStatusRules } = require('../utils/bookingStatusRules');
+
+/**
+ * What booking writes mean, shared by every storage backend. Each plan returns the
+ * data to write (dotted field paths for the booking, top-level fields for attempts)
+ * and the result to return; backends only read the documents and apply the writes.
+ */
+
+// How long creating a payment request may hold a booking before another request can take over
+const PAYMENT_RESERVATION_TTL_MS = 2 * 60 * 1000;
+
+// Conflicts kept on a booking for the conflict report; conflictCount counts every one recorded
+const MAX_RECORDED_CONFLICTS = 20;
+
+const withoutUndefined = (data) => Object.fromEntries(Object.entries(data).filter(([_, v]) => v !== undefined));
+
+const toIsoString = (value) => {
+  if (value?.toDate) {
+    return value.toDate().toISOString();
+  }
+  return value instanceof Date ? value.toISOString() : value || null;
+};
+
+/**
+ * Payment attempt an event belongs to: one document per payment request, invoice
+ * or standalone payment under booking/{id}/payments
+ * @param {object} paymentData - Payment data with the Xendit IDs
+ * @returns {{id: string, type: string}|null}
+ */
+const attemptKey = (paymentData) => {
+  const [type, id] = paymentData.payment_request_id ? ['payment_request', paymentData.payment_request_id]
+    : paymentData.invoice_id ? ['invoice', paymentData.invoice_id]
+      : paymentData.payment_id ? ['payment', paymentData.payment_id]
+        : [];
+
+  return id ? { id, type } : null;
+};
+
+/**
+ * Fields to merge into a payment attempt for a status change. The timeline gets every
+ * event; the attempt's own status only moves as the transition table allows.
+ * @param {object} attempt - From attemptKey
+ * @param {object|null} current - Current attempt data, null for a new attempt
+ * @param {object} change - { status (mapped), xenditStatus, paymentData }
+ */
+const attemptChanges = (attempt, current, { status, xenditStatus, paymentData }) => {
+  const applied = !current || canTransition(current.status, status);
+
+  return withoutUndefined({
+    type: attempt.type,
+    paymentRequestId: paymentData.payment_request_id,
+    invoiceId: paymentData.invoice_id,
+    paymentId: paymentData.payment_id,
+    status: applied ? status : undefined,
+    xenditStatus: applied ? xenditStatus : undefined,
+    amount: paymentData.amount,
+    currency: paymentData.currency,
+    channelCode: paymentData.channel_code,
+    failureCode: paymentData.failure_code,
+    subAccountId: paymentData.sub_account_id,
+    expiresAt: paymentData.expires_at,
+    timeline: FieldValue.arrayUnion({
+      status,
+      xenditStatus: xenditStatus || null,
+      paymentId: paymentData.payment_id || null,
+      failureCode: paymentData.failure_code || null,
+      applied,
+      at: new Date().toISOString()
+    }),
+    createdAt: current ? undefined : FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp()
+  });
+};
+
+/**
+ * Booking fields that record an event the transition table rejected, for the conflict report.
+ * Redeliveries of a recorded conflict change nothing (null), and only the latest
+ * MAX_RECORDED_CONFLICTS stay on the booking.
+ * @param {object} transaction - Current booking transaction
+ * @param {string} to - Status the event would have applied
+ * @param {string} xenditStatus - Status from Xendit
+ * @param {object} ids - Xendit IDs of the event: paymentId, paymentRequestId, refundId
+ * @returns {object|null}
+ */
+const conflictChanges = (transaction, to, xenditStatus, { paymentId, paymentRequestId, refundId } = {}) => {
+  const conflict = {
+    from: transaction.status || null,
+    to,
+    xenditStatus,
+    paymentId: paymentId || null,
+    paymentRequestId: paymentRequestId || null,
+    ...(refundId && { refundId })
+  };
+  const conflicts = transaction.conflicts || [];
+  const fields = Object.keys(conflict);
+
+  if (conflicts.some(recorded => fields.every(field => recorded[field] === conflict[field]))) {
+    return null;
+  }
+
+  return {
+    'transaction.conflicts': [...conflicts, { ...conflict, receivedAt: new Date().toISOString() }]
+      .slice(-MAX_RECORDED_CONFLICTS),
+    'transaction.conflictCount': FieldValue.increment(1),
+    'transaction.lastConflictAt': FieldValue.serverTimestamp()
+  };
+};
+
+/**
+ * Apply a Xendit status to a booking. Only statuses the transition table allows are
+ * applied; an out-of-order event is recorded on the booking (transaction.conflicts)
+ * instead. The event always goes on its payment attempt, and transaction points at
+ * the attempt it was applied from (transaction.activeAttemptId). Events from any other
+ * attempt only change the booking when the payment completed. Other booking fields
+ * (e.g. status) are set by the booking status rules.
+ * @param {string} bookingId - The booking document ID
+ * @param {object} booking - Current booking data
+ * @param {string} status - The payment status from Xendit
+ * @param {object} paymentData - Additional payment data
+ * @param {object} context
+ * @param {object|null} context.attempt - From attemptKey
+ * @param {object|null} context.currentAttempt - Current attempt data
+ * @param {object} context.rules - Booking status rules
+ * @returns {{result: object, bookingData: object|null, attemptData: object|null}}
+ */
+const planTransactionStatus = (bookingId, booking, status, paymentData, { attempt, currentAttempt, rules }) => {
+  const currentStatus = booking.transaction?.status;
+
+  // Map Xendit status to your app's status
+  const mappedStatus = mapXenditStatus(status);
+
+  // The attempt's history is kept even when the booking doesn't follow it
+  const attemptData = attempt
+    ? attemptChanges(attempt, currentAttempt, { status: mappedStatus, xenditStatus: status, paymentData })
+    : null;
+
+  // A late event from a superseded attempt (e.g. attempt A expiring after attempt B
+  // was created) stays on its attempt; only a payment that went through moves the booking back
+  const activeAttemptId = booking.transaction?.activeAttemptId;
+
+  if (attempt && activeAttemptId && attempt.id !== activeAttemptId && mappedStatus !== 'completed') {
+    logger.info('Event for an inactive payment attempt recorded on the attempt only', {
+      bookingId,
+      attemptId: attempt.id,
+      activeAttemptId,
+      xenditStatus: status,
+      mappedStatus
+    });
+
+    return {
+      attemptData,
+      bookingData: null,
+      result: {
+        success: false,
+        bookingId,
+        status: currentStatus,
+        reason: `Payment attempt ${attempt.id} is not the active attempt`,
+        inactiveAttempt: true
+      }
+    };
+  }
+
+  if (!canTransition(currentStatus, mappedStatus, { newAttempt: Boolean(attempt) && attempt.id !== activeAttemptId })) {
+    logger.warn('Out-of-order booking status ignored', {
+      bookingId,
+      currentStatus,
+      xenditStatus: status,
+      mappedStatus,
+      paymentId: paymentData.payment_id,
+      paymentRequestId: paymentData.payment_request_id
+    });
+
+    // Keep the event for the conflict report, but leave the transaction as it is
+    return {
+      attemptData,
+      bookingData: conflictChanges(booking.transaction || {}, mappedStatus, status, {
+        paymentId: paymentData.payment_id,
+        paymentRequestId: paymentData.payment_request_id
+      }),
+      result: {
+        success: false,
+        bookingId,
+        status: currentStatus,
+        reason: `Status transition ${currentStatus} -> ${mappedStatus} not allowed`,
+        conflict: true
+      }
+    };
+  }
+
+  // Booking fields (e.g. status) that change with this payment status
+  const { rule: bookingRule, changes: bookingChanges } = evaluateBookingStatusRules(rules, {
+    booking,
+    xenditStatus: status,
+    transactionStatus: mappedStatus,
+    previousStatus: currentStatus
+  });
+
+  const bookingData = withoutUndefined({
+    'transaction.status': mappedStatus,
+    'transaction.activeAttemptId': attempt?.id,
+    'transaction.updatedAt': FieldValue.serverTimestamp(),
+    'transaction.paymentId': paymentData.payment_id,
+    'transaction.referenceId': paymentData.reference_id,
+    'transaction.paymentRequestId': paymentData.payment_request_id,
+    'transaction.invoiceId': paymentData.invoice_id,
+    'transaction.amount': paymentData.amount,
+    'transaction.currency': paymentData.currency,
+    'transaction.channelCode': paymentData.channel_code,
+    'transaction.failureCode': paymentData.failure_code,
+    'transaction.subAccountId': paymentData.sub_account_id,
+    'transaction.processedAt': FieldValue.serverTimestamp(),
+    // Starts the reconciliation clock for a transaction that just went pending
+    'transaction.reconciledAt': mappedStatus === 'pending' && currentStatus !== 'pending'
+      ? FieldValue.serverTimestamp()
+      : undefined,
+    ...bookingChanges
+  });
+
+  logger.info('Booking transaction status updated', {
+    bookingId,
+    xenditStatus: status,
+    previousStatus: currentStatus,
+    mappedStatus,
+    bookingRule: bookingRule || 'none',
+    bookingChanges,
+    paymentId: paymentData.payment_id,
+    referenceId: paymentData.reference_id
+  });
+
+  return { attemptData, bookingData, result: { success: true, bookingId, status: mappedStatus } };
+};
+
+/**
+ * Record a newly created payment request as a payment attempt and, unless a webhook
+ * has already moved the booking on (e.g. the payment succeeded before this write),
+ * as the booking's pending transaction.
+ * @param {string} bookingId - The booking document ID
+ * @param {object} booking - Current booking data
+ * @param {object} paymentRequest - Payment request returned by Xendit
+ * @param {object} context - { attempt, currentAttempt, forUserId }
+ * @returns {{result: object, bookingData: object|null, attemptData: object}}
+ */
+const planPaymentRequestLink = (bookingId, booking, paymentRequest, { attempt, currentAttempt, forUserId = null }) => {
+  const currentStatus = booking.transaction?.status;
+  const amount = paymentRequest.request_amount ?? paymentRequest.amount;
+  const expiresAt = paymentRequest.expires_at || paymentRequest.channel_properties?.expires_at || null;
+
+  const attemptData = attemptChanges(attempt, currentAttempt, {
+    status: 'pending',
+    xenditStatus: paymentRequest.status,
+    paymentData: { ...paymentRequest, amount, sub_account_id: forUserId, expires_at: expiresAt || undefined }
+  });
+
+  if (!canTransition(currentStatus, 'pending', { newAttempt: attempt.id !== booking.transaction?.activeAttemptId })) {
+    return {
+      attemptData,
+      bookingData: booking.paymentReservation ? { paymentReservation: FieldValue.delete() } : null,
+      result: {
+        success: false,
+        bookingId,
+        status: currentStatus,
+        reason: `Status transition ${currentStatus} -> pending not allowed`
+      }
+    };
+  }
+
+  logger.info('Payment request linked to booking', {
+    bookingId,
+    paymentRequestId: paymentRequest.payment_request_id,
+    previousStatus: currentStatus,
+    previousPaymentRequestId: booking.transaction?.paymentRequestId
+  });
+
+  return {
+    attemptData,
+    bookingData: {
+      'transaction.status': 'pending',
+      'transaction.activeAttemptId': attempt.id,
+      'transaction.paymentRequestId': paymentRequest.payment_request_id,
+      'transaction.referenceId': paymentRequest.reference_id,
+      'transaction.amount': amount,
+      'transaction.currency': paymentRequest.currency,
+      'transaction.channelCode': paymentRequest.channel_code || null,
+      'transaction.expiresAt': expiresAt,
+      'transaction.subAccountId': forUserId,
+      // Left over from an earlier attempt on the same booking
+      'transaction.paymentId': FieldValue.delete(),
+      'transaction.invoiceId': FieldValue.delete(),
+      'transaction.failureCode': FieldValue.delete(),
+      'transaction.createdAt': FieldValue.serverTimestamp(),
+      'transaction.updatedAt': FieldValue.serverTimestamp(),
+      'transaction.reconciledAt': FieldValue.serverTimestamp(),
+      paymentReservation: FieldValue.delete()
+    },
+    result: { success: true, bookingId, status: 'pending' }
+  };
+};
+
+/**
+ * Hold a booking while a payment request is created for it, so concurrent requests
+ * can't both charge it. Retries with the same reservation ID pass; other holds lapse
+ * after PAYMENT_RESERVATION_TTL_MS in case their request never finished.
+ * A payment request the booking is still waiting on is returned as
+ * previousPaymentRequestId: it has to be cancelled before another one is created.
+ * @param {string} bookingId - The booking document ID
+ * @param {object|null} booking - Current booking data
+ * @param {string} reservationId - Idempotency key of the payment request
+ * @param {number} now - Current time in milliseconds
+ * @returns {{result: object, bookingData: object|null}}
+ */
+const planPaymentReservation = (bookingId, booking, reservationId, now = Date.now()) => {
+  if (!booking) {
+    return { bookingData: null, result: { success: false, bookingId, code: 'BOOKING_NOT_FOUND' } };
+  }
+
+  const status = booking.transaction?.status;
+  if (!canTransition(status, 'pending', { newAttempt: true })) {
+    return { bookingData: null, result: { success: false, bookingId, code: 'BOOKING_ALREADY_PAID', status } };
+  }
+
+  const held = booking.paymentReservation;
+  if (held && held.id !== reservationId && Date.parse(held.expiresAt) > now) {
+    return { bookingData: null, result: { success: false, bookingId, code: 'PAYMENT_IN_PROGRESS' } };
+  }
+
+  const { paymentRequestId, expiresAt } = booking.transaction || {};
+  const awaitingPayment = status === 'pending' && paymentRequestId && !(expiresAt && Date.parse(expiresAt) <= now);
+
+  return {
+    bookingData: {
+      paymentReservation: { id: reservationId, expiresAt: new Date(now + PAYMENT_RESERVATION_TTL_MS).toISOString() }
+    },
+    result: { success: true, bookingId, previousPaymentRequestId: awaitingPayment ? paymentRequestId : null }
+  };
+};
+
+/**
+ * Booking fields freeing a reservation whose payment request was not created
+ * @param {object|null} booking - Current booking data
+ * @param {string} reservationId - ID the booking was reserved with
+ * @returns {object|null} - null when the booking is not held by this reservation
+ */
+const planPaymentReservationRelease = (booking, reservationId) => {
+  if (booking?.paymentReservation?.id !== reservationId) {
+    return null;
+  }
+
+  return { paymentReservation: FieldValue.delete() };
+};
+
+/**
+ * Apply a refund to the booking transaction. Successful refunds are added to
+ * transaction.refundedAmount once per refund ID and recorded on the active attempt,
+ * when the transition table lets the booking move to (partially_)refunded.
+ * @param {string} bookingId - The booking document ID
+ * @param {object} booking - Current booking data
+ * @param {object} refundData - Refund data from Xendit
+ * @returns {{result: object, bookingData: object|null, attemptId: string|null, attemptData: object|null}}
+ */
+const planRefund = (bookingId, booking, refundData) => {
+  const transaction = booking.transaction || {};
+  const refundIds = transaction.refundIds || [];
+  const unchanged = { success: true, bookingId, status: transaction.status, refundedAmount: transaction.refundedAmount || 0 };
+
+  if (refundData.status !== 'SUCCEEDED') {
+    return {
+      attemptId: null,
+      attemptData: null,
+      bookingData: {
+        'transaction.lastRefundId': refundData.id,
+        'transaction.lastRefundStatus': refundData.status,
+        'transaction.lastRefundFailureCode': refundData.failure_code || null,
+        'transaction.updatedAt': FieldValue.serverTimestamp()
+      },
+      result: unchanged
+    };
+  }
+
+  if (refundIds.includes(refundData.id)) {
+    logger.info('Refund already applied to booking', { bookingId, refundId: refundData.id });
+    return { attemptId: null, attemptData: null, bookingData: null, result: unchanged };
+  }
+
+  const refundedAmount = (transaction.refundedAmount || 0) + refundData.amount;
+  const status = transaction.amount && refundedAmount < transaction.amount ? 'partially_refunded' : 'refunded';
+
+  // e.g. a refund for an earlier attempt while the booking waits on a new payment
+  if (!canTransition(transaction.status, status)) {
+    logger.warn('Refund not applied to booking in its current status', {
+      bookingId,
+      refundId: refundData.id,
+      currentStatus: transaction.status,
+      refundStatus: status
+    });
+
+    return {
+      attemptId: null,
+      attemptData: null,
+      bookingData: conflictChanges(transaction, status, refundData.status, {
+        paymentId: refundData.payment_id,
+        paymentRequestId: refundData.payment_request_id,
+        refundId: refundData.id
+      }),
+      result: {
+        success: false,
+        bookingId,
+        status: transaction.status,
+        reason: `Status transition ${transaction.status} -> ${status} not allowed`,
+        conflict: true
+      }
+    };
+  }
+
+  logger.info('Booking refund applied', { bookingId, refundId: refundData.id, refundedAmount, status });
+
+  return {
+    attemptId: transaction.activeAttemptId || null,
+    attemptData: transaction.activeAttemptId
+      ? {
+        status,
+        refundedAmount,
+        timeline: FieldValue.arrayUnion({
+          status,
+          xenditStatus: refundData.status,
+          refundId: refundData.id,
+          applied: true,
+          at: new Date().toISOString()
+        }),
+        updatedAt: FieldValue.serverTimestamp()
+      }
+      : null,
+    bookingData: {
+      'transaction.status': status,
+      'transaction.refundedAmount': refundedAmount,
+      'transaction.refundIds': FieldValue.arrayUnion(refundData.id),
+      'transaction.lastRefundId': refundData.id,
+      'transaction.lastRefundStatus': refundData.status,
+      'transaction.updatedAt': FieldValue.serverTimestamp()
+    },
+    result: { success: true, bookingId, status, refundedAmount }
+  };
+};
+
+/**
+ * Conflict report entry for a booking
+ */
+const toConflictSummary = (bookingId, { transaction = {}, status }) => ({
+  id: bookingId,
+  status: status || null,
+  transactionStatus: transaction.status || null,
+  paymentRequestId: transaction.paymentRequestId || null,
+  conflictCount: transaction.conflictCount || 0,
+  lastConflictAt: toIsoString(transaction.lastConflictAt),
+  conflicts: transaction.conflicts || []
+});
+
+module.exports = {
+  toIsoString,
+  attemptKey,
+  planTransactionStatus,
+  planPaymentRequestLink,
+  planPaymentReservation,
+  planPaymentReservationRelease,
+  planRefund,
+  toConflictSummary
+};
@@ -0,0 +1,36 @@
+const logger = require('../utils/logger');
+const FieldValue = require('./fieldValue');
+
+/**
+ * Customers are separate per xenPlatform account, so the mapping is too
+ * @param {string} ownerId - User ID (booking owner)
+ * @param {string|null} forUserId - xenPlatform sub-account
+ */
+const customerMappingId = (ownerId, forUserId) => (forUserId ? `${forUserId}_${ownerId}` : ownerId);
+
+/**
+ * Data to store for a payment token, null when it must not change
+ * @param {string} paymentTokenId - Xendit payment token ID
+ * @param {object|null} current - Stored token data
+ * @param {object} tokenData - customerId, channelCode, status and display details
+ */
+const planPaymentTokenSave = (paymentTokenId, current, tokenData) => {
+  // Never resurrect a token the customer removed
+  if (current?.status === 'DELETED') {
+    logger.info('Ignoring update for deleted payment token', { paymentTokenId });
+    return null;
+  }
+
+  return Object.fromEntries(
+    Object.entries({
+      ...tokenData,
+      ...(!current && { createdAt: FieldValue.serverTimestamp() }),
+      updatedAt: FieldValue.serverTimestamp()
+    }).filter(([_, v]) => v !== undefined)
+  );
+};
+
+module.exports = {
+  customerMappingId,
+  planPaymentTokenSave
+};
@@ -0,0 +1,70 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Active while running in dry-run mode: writes are recorded instead of applied
+const dryRunStore = new AsyncLocalStorage();
+
+const getPath = (data, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+const describeValue = (value) => {
+  // Firestore FieldValues and storage FieldValues both carry a methodName
+  if (typeof value?.methodName === 'string') {
+    return value.methodName;
+  }
+  if (value?.toDate) {
+    return value.toDate().toISOString();
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value;
+};
+
+/**
+ * Fields a write would change, as { field: { from, to } }
+ */
+const diffFields = (current, updates) => Object.fromEntries(
+  Object.entries(updates)
+    .map(([field, value]) => [field, { from: describeValue(getPath(current, field)) ?? null, to: describeValue(value) }])
+    .filter(([_, { from, to }]) => JSON.stringify(from) !== JSON.stringify(to))
+);
+
+/**
+ * Run fn without writing to storage. Reads still hit storage; every
+ * write made through a backend is recorded with the fields it would change.
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<{result: *, writes: object[]}>}
+ */
+const dryRun = async (fn) => {
+  const writes = [];
+  const result = await dryRunStore.run({ writes }, fn);
+  return { result, writes };
+};
+
+const isDryRun = () => !!dryRunStore.getStore();
+
+/**
+ * Record a write when in dry-run mode
+ * @param {object} write - collection, documentId, operation, current (document data) and data
+ * @returns {boolean} - true if the write was recorded and must not be applied
+ */
+const recordWrite = ({ collection, documentId, operation, current = null, data = {} }) => {
+  const store = dryRunStore.getStore();
+
+  if (!store) {
+    return false;
+  }
+
+  store.writes.push({
+    collection,
+    documentId,
+    operation,
+    changes: diffFields(current, data)
+  });
+  return true;
+};
+
+module.exports = {
+  dryRun,
+  isDryRun,
+  recordWrite
+};
@@ -0,0 +1,30 @@
+/**
+ * Storage-neutral field transforms, applied by each backend when the write happens:
+ * Firestore turns them into its own FieldValues, the memory backend applies them itself.
+ * methodName matches Firestore's, so dry-run reports read the same on both backends.
+ */
+class FieldValue {
+  constructor(op, operand) {
+    this.op = op;
+    this.operand = operand;
+    this.methodName = `FieldValue.${op}`;
+  }
+
+  static serverTimestamp() {
+    return new FieldValue('serverTimestamp');
+  }
+
+  static increment(n) {
+    return new FieldValue('increment', n);
+  }
+
+  static arrayUnion(...elements) {
+    return new FieldValue('arrayUnion', elements);
+  }
+
+  static delete() {
+    return new FieldValue('delete');
+  }
+}
+
+module.exports = FieldValue;
@@ -0,0 +1,413 @@
+const logger = require('../../utils/logger');
+const AppError = require('../../errors/appError');
+const FieldValue = require('../fieldValue');
+const { write, serializeDocument } = require('./db');
+const {
+  attemptKey,
+  planTransactionStatus,
+  planPaymentRequestLink,
+  planPaymentReservation,
+  planPaymentReservationRelease,
+  planRefund,
+  toConflictSummary
+} = require('../bookingChanges');
+
+/**
+ * Bookings in the Firestore booking collection, payment attempts in booking/{id}/payments
+ */
+class FirestoreBookingRepository {
+  /**
+   * @param {object} options
+   * @param {object|null} options.db - Firestore, null when unavailable
+   * @param {Function} options.getBookingStatusRules - Resolves to { rules }
+   */
+  constructor({ db, getBookingStatusRules }) {
+    this.db = db;
+    this.getBookingStatusRules = getBookingStatusRules;
+  }
+
+  isAvailable() {
+    return this.db !== null;
+  }
+
+  /**
+   * Get booking by ID
+   * @param {string} bookingId - Booking document ID
+   */
+  async get(bookingId) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping booking lookup', { bookingId });
+      return null;
+    }
+
+    try {
+      const doc = await this.db.collection('booking').doc(bookingId).get();
+
+      if (!doc.exists) {
+        return null;
+      }
+
+      return {
+        id: doc.id,
+        ...doc.data()
+      };
+
+    } catch (error) {
+      logger.error('Failed to get booking', { bookingId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get booking by payment request ID
+   * @param {string} paymentRequestId - Xendit payment request ID
+   */
+  async findByPaymentRequestId(paymentRequestId) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping booking lookup', { paymentRequestId });
+      return null;
+    }
+
+    try {
+      const snapshot = await this.db.collection('booking')
+        .where('transaction.paymentRequestId', '==', paymentRequestId)
+        .get();
+
+      if (snapshot.empty) {
+        logger.warn('No booking found for payment request ID', { paymentRequestId });
+        return null;
+      }
+
+      // Assuming one booking per payment request
+      const doc = snapshot.docs[0];
+      return {
+        id: doc.id,
+        ...doc.data()
+      };
+
+    } catch (error) {
+      logger.error('Failed to get booking by payment request ID', {
+        paymentRequestId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update booking transaction status, in a transaction (see planTransactionStatus)
+   * @param {string} bookingId - The booking document ID
+   * @param {string} status - The payment status from Xendit
+   * @param {object} paymentData - Additional payment data
+   */
+  async updateTransactionStatus(bookingId, status, paymentData = {}) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping booking update', { bookingId, status });
+      return { success: false, bookingId, status, reason: 'Firestore not available' };
+    }
+
+    try {
+      const { rules } = await this.getBookingStatusRules();
+      const bookingRef = this.db.collection('booking').doc(bookingId);
+
+      return await this.db.runTransaction(async (tx) => {
+        const doc = await tx.get(bookingRef);
+        if (!doc.exists) {
+          logger.warn('Booking document does not exist', { bookingId });
+          return { success: false, bookingId, status, reason: 'Booking not found' };
+        }
+
+        const attempt = attemptKey(paymentData);
+        const attemptRef = attempt && bookingRef.collection('payments').doc(attempt.id);
+        const attemptDoc = attemptRef && await tx.get(attemptRef);
+        const currentAttempt = attemptDoc?.exists ? attemptDoc.data() : null;
+
+        const plan = planTransactionStatus(bookingId, doc.data(), status, paymentData, { attempt, currentAttempt, rules });
+
+        if (plan.attemptData) {
+          await write(attemptRef, plan.attemptData, { tx, current: currentAttempt, operation: 'set', setOptions: { merge: true } });
+        }
+        if (plan.bookingData) {
+          await write(bookingRef, plan.bookingData, { tx, current: doc.data() });
+        }
+
+        return plan.result;
+      });
+
+    } catch (error) {
+      logger.error('Failed to update booking transaction status', {
+        bookingId,
+        status,
+        error: error.message
+      });
+
+      throw new Error(`Failed to update booking: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a newly created payment request on its booking (see planPaymentRequestLink)
+   * @param {string} bookingId - The booking document ID
+   * @param {object} paymentRequest - Payment request returned by Xendit
+   * @param {object} options
+   * @param {string|null} options.forUserId - xenPlatform sub-account the payment request was created in
+   */
+  async linkPaymentRequest(bookingId, paymentRequest, { forUserId = null } = {}) {
+    const paymentRequestId = paymentRequest.payment_request_id;
+
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping payment request link', { bookingId, paymentRequestId });
+      return { success: false, bookingId, reason: 'Firestore not available' };
+    }
+
+    try {
+      const bookingRef = this.db.collection('booking').doc(bookingId);
+
+      return await this.db.runTransaction(async (tx) => {
+        const doc = await tx.get(bookingRef);
+        if (!doc.exists) {
+          return { success: false, bookingId, reason: 'Booking not found' };
+        }
+
+        const attempt = attemptKey(paymentRequest);
+        const attemptRef = bookingRef.collection('payments').doc(attempt.id);
+        const attemptDoc = await tx.get(attemptRef);
+        const currentAttempt = attemptDoc.exists ? attemptDoc.data() : null;
+
+        const plan = planPaymentRequestLink(bookingId, doc.data(), paymentRequest, { attempt, currentAttempt, forUserId });
+
+        await write(attemptRef, plan.attemptData, { tx, current: currentAttempt, operation: 'set', setOptions: { merge: true } });
+        if (plan.bookingData) {
+          await write(bookingRef, plan.bookingData, { tx, current: doc.data() });
+        }
+
+        return plan.result;
+      });
+
+    } catch (error) {
+      logger.error('Failed to link payment request to booking', {
+        bookingId,
+        paymentRequestId,
+        error: error.message
+      });
+
+      throw new Error(`Failed to update booking: ${error.message}`);
+    }
+  }
+
+  /**
+   * Hold a booking while a payment request is created for it (see planPaymentReservation)
+   * @param {string} bookingId - The booking document ID
+   * @param {string} reservationId - Idempotency key of the payment request
+   * @returns {Promise<object>} { success, bookingId } or { success: false, bookingId, code }
+   */
+  async reservePayment(bookingId, reservationId) {
+    try {
+      const bookingRef = this.db.collection('booking').doc(bookingId);
+
+      return await this.db.runTransaction(async (tx) => {
+        const doc = await tx.get(bookingRef);
+        const current = doc.exists ? doc.data() : null;
+        const { bookingData, result } = planPaymentReservation(bookingId, current, reservationId);
+
+        if (bookingData) {
+          await write(bookingRef, bookingData, { tx, current });
+        }
+
+        return result;
+      });
+
+    } catch (error) {
+      logger.error('Failed to reserve booking for payment', { bookingId, reservationId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Free a booking held for a payment request that Xendit did not create
+   * @param {string} bookingId - The booking document ID
+   * @param {string} reservationId - ID the booking was reserved with
+   */
+  async releasePayment(bookingId, reservationId) {
+    try {
+      const bookingRef = this.db.collection('booking').doc(bookingId);
+
+      await this.db.runTransaction(async (tx) => {
+        const doc = await tx.get(bookingRef);
+        const current = doc.exists ? doc.data() : null;
+        const bookingData = planPaymentReservationRelease(current, reservationId);
+
+        if (bookingData) {
+          await write(bookingRef, bookingData, { tx, current });
+        }
+      });
+
+      logger.info('Payment reservation released', { bookingId, reservationId });
+
+    } catch (error) {
+      logger.error('Failed to release payment reservation', { bookingId, reservationId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a refund to the booking transaction (see planRefund)
+   * @param {string} bookingId - The booking document ID
+   * @param {object} refundData - Refund data from Xendit
+   */
+  async applyRefund(bookingId, refundData) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping booking refund update', { bookingId, refundId: refundData.id });
+      return { success: false, bookingId, reason: 'Firestore not available' };
+    }
+
+    try {
+      const bookingRef = this.db.collection('booking').doc(bookingId);
+
+      return await this.db.runTransaction(async (tx) => {
+        const doc = await tx.get(bookingRef);
+        if (!doc.exists) {
+          logger.warn('Booking document does not exist', { bookingId });
+          return { success: false, bookingId, reason: 'Booking not found' };
+        }
+
+        const plan = planRefund(bookingId, doc.data(), refundData);
+
+        if (plan.attemptData) {
+          const attemptRef = bookingRef.collection('payments').doc(plan.attemptId);
+          await write(attemptRef, plan.attemptData, { tx, operation: 'set', setOptions: { merge: true } });
+        }
+        if (plan.bookingData) {
+          await write(bookingRef, plan.bookingData, { tx, current: doc.data() });
+        }
+
+        return plan.result;
+      });
+
+    } catch (error) {
+      logger.error('Failed to apply booking refund', {
+        bookingId,
+        refundId: refundData.id,
+        error: error.message
+      });
+
+      throw new Error(`Failed to update booking: ${error.message}`);
+    }
+  }
+
+  /**
+   * List pending bookings not checked against Xendit since a cutoff, least recently checked first
+   * @param {object} options
+   * @param {Date} options.olderThan - Cutoff for transaction.reconciledAt
+   * @param {number} options.limit - Max bookings returned
+   */
+  async listPending({ olderThan, limit = 50 }) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping pending booking listing');
+      return [];
+    }
+
+    try {
+      // Uses the (transaction.status, transaction.reconciledAt) composite index in firestore.indexes.json
+      const snapshot = await this.db.collection('booking')
+        .where('transaction.status', '==', 'pending')
+        .where('transaction.reconciledAt', '<=', olderThan)
+        .orderBy('transaction.reconciledAt', 'asc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+    } catch (error) {
+      logger.error('Failed to list pending bookings', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a pending booking was just checked against Xendit, so the next
+   * reconciliation run moves on to other bookings
+   * @param {string} bookingId - The booking document ID
+   */
+  async markReconciled(bookingId) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping reconciliation mark', { bookingId });
+      return;
+    }
+
+    try {
+      await write(this.db.collection('booking').doc(bookingId), { 'transaction.reconciledAt': FieldValue.serverTimestamp() });
+
+    } catch (error) {
+      logger.error('Failed to mark booking reconciled', { bookingId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List bookings that received out-of-order status events, most recent conflict first
+   * @param {object} options
+   * @param {number} options.limit - Page size
+   * @param {string} options.cursor - ID of the last booking on the previous page
+   * @returns {Promise<{bookings: object[], nextCursor: string|null}>}
+   */
+  async listConflicts({ limit = 20, cursor } = {}) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping booking conflict listing');
+      return { bookings: [], nextCursor: null };
+    }
+
+    try {
+      const bookings = this.db.collection('booking');
+      // Bookings without conflicts have no lastConflictAt and drop out of the ordering;
+      // a single-field ordering needs no composite index
+      let query = bookings.orderBy('transaction.lastConflictAt', 'desc');
+
+      if (cursor) {
+        const cursorDoc = await bookings.doc(cursor).get();
+        if (!cursorDoc.exists) {
+          throw new AppError('Invalid pagination cursor', 'INVALID_CURSOR', 400);
+        }
+        query = query.startAfter(cursorDoc);
+      }
+
+      const snapshot = await query.limit(limit + 1).get();
+      const docs = snapshot.docs.slice(0, limit);
+
+      return {
+        bookings: docs.map(doc => toConflictSummary(doc.id, doc.data())),
+        nextCursor: snapshot.docs.length > limit ? docs[docs.length - 1].id : null
+      };
+
+    } catch (error) {
+      logger.error('Failed to list booking conflicts', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List a booking's payment attempts, oldest first
+   * @param {string} bookingId - The booking document ID
+   */
+  async listPaymentAttempts(bookingId) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping payment attempt listing', { bookingId });
+      return [];
+    }
+
+    try {
+      const snapshot = await this.db.collection('booking').doc(bookingId)
+        .collection('payments')
+        .orderBy('createdAt', 'asc')
+        .get();
+
+      return snapshot.docs.map(doc => serializeDocument(doc));
+
+    } catch (error) {
+      logger.error('Failed to list payment attempts', { bookingId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = FirestoreBookingRepository;
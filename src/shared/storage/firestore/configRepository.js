@@ -0,0 +1,39 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Configuration documents, addressed by path (e.g. config/bookingStatusRules)
+ */
+class FirestoreConfigRepository {
+  /**
+   * @param {object} options
+   * @param {object|null} options.db - Firestore, null when unavailable
+   */
+  constructor({ db }) {
+    this.db = db;
+  }
+
+  isAvailable() {
+    return this.db !== null;
+  }
+
+  /**
+   * @param {string} docPath - Document path, collection/document
+   * @returns {Promise<object|null>} - Document data, null when missing or Firestore is unavailable
+   */
+  async get(docPath) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    try {
+      const doc = await this.db.doc(docPath).get();
+      return doc.exists ? doc.data() : null;
+
+    } catch (error) {
+      logger.error('Failed to get config document', { docPath, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = FirestoreConfigRepository;
@@ -0,0 +1,73 @@
+const logger = require('../../utils/logger');
+const FieldValue = require('../fieldValue');
+const { write } = require('./db');
+const { customerMappingId } = require('../customerChanges');
+
+/**
+ * Our users' Xendit customer IDs, in the Firestore xendit_customers collection
+ */
+class FirestoreCustomerRepository {
+  /**
+   * @param {object} options
+   * @param {object|null} options.db - Firestore, null when unavailable
+   */
+  constructor({ db }) {
+    this.db = db;
+  }
+
+  isAvailable() {
+    return this.db !== null;
+  }
+
+  /**
+   * Get the Xendit customer ID mapped to one of our users
+   * @param {string} ownerId - User ID (booking owner)
+   * @param {string|null} forUserId - xenPlatform sub-account the customer lives in
+   */
+  async getCustomerId(ownerId, forUserId = null) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping customer lookup', { ownerId });
+      return null;
+    }
+
+    try {
+      const doc = await this.db.collection('xendit_customers').doc(customerMappingId(ownerId, forUserId)).get();
+      return doc.exists ? doc.data().customerId : null;
+
+    } catch (error) {
+      logger.error('Failed to get Xendit customer mapping', { ownerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Persist the Xendit customer ID for one of our users
+   * @param {string} ownerId - User ID (booking owner)
+   * @param {string} customerId - Xendit customer ID
+   * @param {string|null} forUserId - xenPlatform sub-account the customer lives in
+   */
+  async saveCustomerId(ownerId, customerId, forUserId = null) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping customer mapping', { ownerId, customerId });
+      return false;
+    }
+
+    try {
+      await write(this.db.collection('xendit_customers').doc(customerMappingId(ownerId, forUserId)), {
+        ownerId,
+        customerId,
+        subAccountId: forUserId,
+        updatedAt: FieldValue.serverTimestamp()
+      }, { operation: 'set', setOptions: { merge: true } });
+
+      logger.info('Xendit customer mapping saved', { ownerId, customerId });
+      return true;
+
+    } catch (error) {
+      logger.error('Failed to save Xendit customer mapping', { ownerId, customerId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = FirestoreCustomerRepository;
@@ -0,0 +1,106 @@
+const admin = require('firebase-admin');
+const logger = require('../../utils/logger');
+const FieldValue = require('../fieldValue');
+const { recordWrite } = require('../dryRun');
+
+// Where the API's data lives ('firestore' or 'memory')
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'firestore';
+
+let db;
+
+/**
+ * Firestore, initialized on first use with Application Default Credentials.
+ * Null when the memory backend is configured or initialization failed.
+ */
+const getDb = () => {
+  if (db !== undefined) {
+    return db;
+  }
+
+  db = null;
+
+  if (STORAGE_BACKEND !== 'firestore') {
+    return db;
+  }
+
+  try {
+    if (!admin.apps.length) {
+      logger.info('Initializing Firebase with Application Default Credentials...');
+      admin.initializeApp({
+        projectId: process.env.FIREBASE_PROJECT_ID || 'oh-app-bcf24'
+      });
+    }
+
+    db = admin.firestore();
+    logger.info('Firebase and Firestore initialized successfully');
+
+  } catch (error) {
+    logger.error('Failed to initialize Firebase/Firestore', { error: error.message, stack: error.stack });
+    logger.warn('Firestore functionality will be disabled - check Firebase credentials');
+  }
+
+  return db;
+};
+
+const toFirestoreValue = (value) => {
+  if (!(value instanceof FieldValue)) {
+    return value;
+  }
+
+  switch (value.op) {
+    case 'increment':
+      return admin.firestore.FieldValue.increment(value.operand);
+    case 'arrayUnion':
+      return admin.firestore.FieldValue.arrayUnion(...value.operand);
+    default:
+      return admin.firestore.FieldValue[value.op]();
+  }
+};
+
+/**
+ * Write a document, directly or through a transaction, unless in dry-run mode
+ * @param {object} ref - Document reference
+ * @param {object} data - Update or set data (dotted field paths allowed for updates)
+ * @param {object} options
+ * @param {object} options.tx - Transaction to write through
+ * @param {object} options.current - Current document data, to report changed fields in dry-run mode
+ * @param {string} options.operation - update, set, create or delete
+ * @param {object} options.setOptions - e.g. { merge: true }
+ */
+const write = async (ref, data, { tx, current = null, operation = 'update', setOptions } = {}) => {
+  if (recordWrite({ collection: ref.parent.id, documentId: ref.id, operation, current, data })) {
+    return;
+  }
+
+  const firestoreData = Object.fromEntries(
+    Object.entries(data).map(([field, value]) => [field, toFirestoreValue(value)])
+  );
+  const args = operation === 'delete' ? [] : setOptions ? [firestoreData, setOptions] : [firestoreData];
+
+  if (tx) {
+    tx[operation](ref, ...args);
+    return;
+  }
+
+  await ref[operation](...args);
+};
+
+/**
+ * Document data with its ID and top-level Firestore timestamps as ISO strings
+ * @param {object} doc - Document snapshot
+ * @param {string[]} fields - Only convert these fields (all when omitted)
+ */
+const serializeDocument = (doc, fields) => Object.fromEntries(
+  Object.entries({ id: doc.id, ...doc.data() })
+    .map(([field, value]) => [
+      field,
+      value?.toDate && (!fields || fields.includes(field)) ? value.toDate().toISOString() : value
+    ])
+);
+
+module.exports = {
+  STORAGE_BACKEND,
+  getDb,
+  write,
+  serializeDocument
+};
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const FieldValue = require('../fieldValue');
+const { write } = require('./db');
+
+/**
+ * Stored responses for idempotent requests in the Firestore idempotency_keys collection.
+ * Keys are hashed into document IDs, which can't contain slashes.
+ */
+class FirestoreIdempotencyKeyRepository {
+  /**
+   * @param {object} options
+   * @param {object|null} options.db - Firestore, null when unavailable
+   */
+  constructor({ db }) {
+    this.db = db;
+  }
+
+  isAvailable() {
+    return this.db !== null;
+  }
+
+  ref(key) {
+    return this.db.collection('idempotency_keys').doc(crypto.createHash('sha256').update(key).digest('hex'));
+  }
+
+  /**
+   * Stored response for a key, null when there is none or it has expired
+   * @param {string} key - Idempotency key, scoped to the request
+   * @returns {Promise<{statusCode: number, response: *}|null>}
+   */
+  async get(key) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    try {
+      const doc = await this.ref(key).get();
+
+      if (!doc.exists) {
+        return null;
+      }
+
+      const { statusCode, response, expiresAt } = doc.data();
+
+      if (expiresAt?.toDate && expiresAt.toDate() <= new Date()) {
+        return null;
+      }
+
+      return { statusCode, response };
+
+    } catch (error) {
+      logger.error('Failed to get idempotency key', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Store the response for a key
+   * @param {string} key - Idempotency key, scoped to the request
+   * @param {object} stored - { statusCode, response }
+   * @param {object} options
+   * @param {number} options.ttlMs - How long the response is replayed
+   */
+  async save(key, { statusCode, response }, { ttlMs }) {
+    if (!this.isAvailable()) {
+      return;
+    }
+
+    try {
+      await write(this.ref(key), {
+        statusCode,
+        // Firestore rejects undefined values
+        response: JSON.parse(JSON.stringify(response ?? null)),
+        createdAt: FieldValue.serverTimestamp(),
+        // Can be used as the collection's TTL field
+        expiresAt: new Date(Date.now() + ttlMs)
+      }, { operation: 'set' });
+
+    } catch (error) {
+      logger.error('Failed to save idempotency key', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} key - Idempotency key, scoped to the request
+   */
+  async delete(key) {
+    if (!this.isAvailable()) {
+      return;
+    }
+
+    await write(this.ref(key), {}, { operation: 'delete' });
+  }
+}
+
+module.exports = FirestoreIdempotencyKeyRepository;
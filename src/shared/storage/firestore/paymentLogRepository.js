@@ -0,0 +1,128 @@
+const logger = require('../../utils/logger');
+const FieldValue = require('../fieldValue');
+const AppError = require('../../errors/appError');
+const { write, serializeDocument } = require('./db');
+
+/**
+ * Payment events in the Firestore payment_logs collection
+ */
+class FirestorePaymentLogRepository {
+  /**
+   * @param {object} options
+   * @param {object|null} options.db - Firestore, null when unavailable
+   */
+  constructor({ db }) {
+    this.db = db;
+  }
+
+  isAvailable() {
+    return this.db !== null;
+  }
+
+  /**
+   * Create payment log entry
+   * @param {object} paymentData - Payment data from webhook
+   * @param {object} options
+   * @param {string} options.source - What produced the entry, e.g. reconciliation
+   * @returns {Promise<string|null>} - The log entry ID
+   */
+  async create(paymentData, { source = 'xendit_webhook' } = {}) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping payment log creation', { paymentId: paymentData.payment_id });
+      return null;
+    }
+
+    try {
+      const paymentLogRef = this.db.collection('payment_logs').doc();
+
+      await write(paymentLogRef, {
+        ...paymentData,
+        createdAt: FieldValue.serverTimestamp(),
+        source
+      }, { operation: 'set' });
+
+      logger.info('Payment log created', { paymentId: paymentData.payment_id });
+      return paymentLogRef.id;
+
+    } catch (error) {
+      logger.error('Failed to create payment log', {
+        paymentId: paymentData.payment_id,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List payment log entries, newest first
+   * @param {object} filters
+   * @param {string} filters.bookingId - Booking the event was for
+   * @param {string} filters.paymentRequestId - Xendit payment request ID
+   * @param {string} filters.event - Exact event name, e.g. payment.capture
+   * @param {string} filters.status - Xendit status from the event, e.g. SUCCEEDED
+   * @param {string} filters.channelCode - Payment channel, e.g. GCASH
+   * @param {string} filters.from - Logged at or after (ISO date)
+   * @param {string} filters.to - Logged at or before (ISO date)
+   * @param {string} filters.order - 'desc' (newest first, default) or 'asc'
+   * @param {number} filters.limit - Page size
+   * @param {string} filters.cursor - ID of the last entry on the previous page
+   * @returns {Promise<{logs: object[], nextCursor: string|null}>}
+   */
+  async list({ bookingId, paymentRequestId, event, status, channelCode, from, to, order = 'desc', limit = 20, cursor } = {}) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping payment log listing');
+      return { logs: [], nextCursor: null };
+    }
+
+    try {
+      const paymentLogs = this.db.collection('payment_logs');
+      let query = paymentLogs;
+
+      // Entries keep the Xendit payload's own field names
+      const equals = {
+        bookingId,
+        payment_request_id: paymentRequestId,
+        event,
+        status,
+        channel_code: channelCode
+      };
+      for (const [field, value] of Object.entries(equals)) {
+        if (value) {
+          query = query.where(field, '==', value);
+        }
+      }
+      if (from) {
+        query = query.where('createdAt', '>=', new Date(from));
+      }
+      if (to) {
+        query = query.where('createdAt', '<=', new Date(to));
+      }
+
+      // Filtered listings use the (field, createdAt) composite indexes in firestore.indexes.json
+      query = query.orderBy('createdAt', order);
+
+      if (cursor) {
+        const cursorDoc = await paymentLogs.doc(cursor).get();
+        if (!cursorDoc.exists) {
+          throw new AppError('Invalid pagination cursor', 'INVALID_CURSOR', 400);
+        }
+        query = query.startAfter(cursorDoc);
+      }
+
+      // One extra document tells us whether there is another page
+      const snapshot = await query.limit(limit + 1).get();
+      const docs = snapshot.docs.slice(0, limit);
+
+      return {
+        logs: docs.map(doc => serializeDocument(doc)),
+        nextCursor: snapshot.docs.length > limit ? docs[docs.length - 1].id : null
+      };
+
+    } catch (error) {
+      logger.error('Failed to list payment logs', { error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = FirestorePaymentLogRepository;
@@ -0,0 +1,99 @@
+const logger = require('../../utils/logger');
+const { write } = require('./db');
+const { planPaymentTokenSave } = require('../customerChanges');
+
+/**
+ * Customers' saved payment tokens, in the Firestore payment_tokens collection keyed by token ID
+ */
+class FirestorePaymentTokenRepository {
+  /**
+   * @param {object} options
+   * @param {object|null} options.db - Firestore, null when unavailable
+   */
+  constructor({ db }) {
+    this.db = db;
+  }
+
+  isAvailable() {
+    return this.db !== null;
+  }
+
+  /**
+   * Store or refresh a saved payment token (see planPaymentTokenSave)
+   * @param {string} paymentTokenId - Xendit payment token ID
+   * @param {object} tokenData - customerId, channelCode, status and display details
+   * @returns {Promise<boolean>} - Whether the token was written
+   */
+  async save(paymentTokenId, tokenData) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping payment token save', { paymentTokenId });
+      return false;
+    }
+
+    try {
+      const tokenRef = this.db.collection('payment_tokens').doc(paymentTokenId);
+      const doc = await tokenRef.get();
+      const data = planPaymentTokenSave(paymentTokenId, doc.exists ? doc.data() : null, tokenData);
+
+      if (!data) {
+        return false;
+      }
+
+      await write(tokenRef, data, { operation: 'set', setOptions: { merge: true }, current: doc.data() });
+
+      logger.info('Payment token saved', { paymentTokenId, customerId: tokenData.customerId, status: tokenData.status });
+      return true;
+
+    } catch (error) {
+      logger.error('Failed to save payment token', { paymentTokenId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a saved payment token
+   * @param {string} paymentTokenId - Xendit payment token ID
+   */
+  async get(paymentTokenId) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping payment token lookup', { paymentTokenId });
+      return null;
+    }
+
+    try {
+      const doc = await this.db.collection('payment_tokens').doc(paymentTokenId).get();
+      return doc.exists ? { id: doc.id, ...doc.data() } : null;
+
+    } catch (error) {
+      logger.error('Failed to get payment token', { paymentTokenId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List a customer's saved payment tokens, excluding deleted ones
+   * @param {string} customerId - Xendit customer ID
+   */
+  async listByCustomer(customerId) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping payment token listing', { customerId });
+      return [];
+    }
+
+    try {
+      const snapshot = await this.db.collection('payment_tokens')
+        .where('customerId', '==', customerId)
+        .get();
+
+      return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(token => token.status !== 'DELETED');
+
+    } catch (error) {
+      logger.error('Failed to list payment tokens', { customerId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = FirestorePaymentTokenRepository;
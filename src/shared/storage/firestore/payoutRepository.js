@@ -0,0 +1,204 @@
+const logger = require('../../utils/logger');
+const { write } = require('./db');
+const { planPayoutReservation, planPayoutRelease, planPayoutLink, planPayoutStatus } = require('../payoutChanges');
+
+/**
+ * Payouts in the Firestore payouts collection, keyed by Xendit payout ID,
+ * with each booking's payout status on the booking
+ */
+class FirestorePayoutRepository {
+  /**
+   * @param {object} options
+   * @param {object|null} options.db - Firestore, null when unavailable
+   */
+  constructor({ db }) {
+    this.db = db;
+  }
+
+  isAvailable() {
+    return this.db !== null;
+  }
+
+  /**
+   * Reserve paid bookings for a payout that is about to be created
+   * @param {string[]} bookingIds - Booking document IDs
+   * @param {string} reservationId - Idempotency key of the payout request
+   * @returns {Promise<object>} { success, bookingIds } or { success: false, bookingId, code }
+   */
+  async reserve(bookingIds, reservationId) {
+    try {
+      return await this.db.runTransaction(async (tx) => {
+        const bookingRefs = bookingIds.map(bookingId => this.db.collection('booking').doc(bookingId));
+        const bookingDocs = await tx.getAll(...bookingRefs);
+        const { bookingData, result } = planPayoutReservation(
+          bookingDocs.map(doc => ({ id: doc.id, data: doc.exists ? doc.data() : null })),
+          reservationId
+        );
+
+        if (bookingData) {
+          for (const [index, bookingRef] of bookingRefs.entries()) {
+            await write(bookingRef, bookingData, { tx, current: bookingDocs[index].data() });
+          }
+
+          logger.info('Bookings reserved for payout', { bookingIds, reservationId });
+        }
+
+        return result;
+      });
+
+    } catch (error) {
+      logger.error('Failed to reserve bookings for payout', { bookingIds, reservationId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Free bookings reserved for a payout that Xendit did not create
+   * @param {string[]} bookingIds - Booking document IDs
+   * @param {string} reservationId - Idempotency key the bookings were reserved with
+   */
+  async release(bookingIds, reservationId) {
+    try {
+      await this.db.runTransaction(async (tx) => {
+        const bookingRefs = bookingIds.map(bookingId => this.db.collection('booking').doc(bookingId));
+        const bookingDocs = await tx.getAll(...bookingRefs);
+
+        for (const [index, bookingRef] of bookingRefs.entries()) {
+          const current = bookingDocs[index].exists ? bookingDocs[index].data() : null;
+          const bookingData = planPayoutRelease(current, reservationId);
+
+          if (bookingData) {
+            await write(bookingRef, bookingData, { tx, current });
+          }
+        }
+      });
+
+      logger.info('Payout reservation released', { bookingIds, reservationId });
+
+    } catch (error) {
+      logger.error('Failed to release payout reservation', { bookingIds, reservationId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Store a payout and link it to the bookings it settles
+   * @param {object} payout - Payout returned by Xendit
+   * @param {string[]} bookingIds - Booking document IDs
+   * @param {string|null} forUserId - xenPlatform sub-account the payout was made from
+   */
+  async link(payout, bookingIds, forUserId = null) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping payout link', { payoutId: payout.id, bookingIds });
+      return false;
+    }
+
+    try {
+      const { payoutData, bookingData } = planPayoutLink(payout, bookingIds, forUserId);
+
+      await this.db.runTransaction(async (tx) => {
+        await write(this.db.collection('payouts').doc(payout.id), payoutData, {
+          tx,
+          operation: 'set',
+          setOptions: { merge: true }
+        });
+
+        for (const bookingId of bookingIds) {
+          await write(this.db.collection('booking').doc(bookingId), bookingData, { tx });
+        }
+      });
+
+      logger.info('Payout linked to bookings', { payoutId: payout.id, bookingIds, status: payout.status });
+      return true;
+
+    } catch (error) {
+      logger.error('Failed to link payout to bookings', { payoutId: payout.id, bookingIds, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a stored payout
+   * @param {string} payoutId - Xendit payout ID
+   */
+  async get(payoutId) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping payout lookup', { payoutId });
+      return null;
+    }
+
+    try {
+      const doc = await this.db.collection('payouts').doc(payoutId).get();
+      return doc.exists ? { id: doc.id, ...doc.data() } : null;
+
+    } catch (error) {
+      logger.error('Failed to get payout', { payoutId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a payout's status and the payout status of its bookings
+   * @param {object} payoutData - Payout from Xendit (API response or webhook data)
+   * @param {string[]} fallbackBookingIds - Used when the payout was not stored, e.g. created outside this API
+   */
+  async updateStatus(payoutData, fallbackBookingIds = []) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping payout update', { payoutId: payoutData.id, status: payoutData.status });
+      return { success: false, payoutId: payoutData.id, reason: 'Firestore not available' };
+    }
+
+    try {
+      const payoutRef = this.db.collection('payouts').doc(payoutData.id);
+
+      return await this.db.runTransaction(async (tx) => {
+        const doc = await tx.get(payoutRef);
+        const bookingIds = doc.exists ? doc.data().bookingIds || [] : fallbackBookingIds;
+
+        if (!bookingIds.length) {
+          return { success: false, payoutId: payoutData.id, reason: 'No bookings linked to payout' };
+        }
+
+        // Transactions need all reads before the first write
+        const bookingRefs = bookingIds.map(bookingId => this.db.collection('booking').doc(bookingId));
+        const bookingDocs = await tx.getAll(...bookingRefs);
+        const plan = planPayoutStatus(
+          payoutData,
+          doc.exists ? doc.data() : null,
+          bookingDocs.map(bookingDoc => ({ id: bookingDoc.id, data: bookingDoc.exists ? bookingDoc.data() : null }))
+        );
+
+        await write(payoutRef, plan.payoutData, { tx, operation: 'set', setOptions: { merge: true }, current: doc.data() });
+
+        for (const [index, bookingRef] of bookingRefs.entries()) {
+          if (plan.bookingIds.includes(bookingRef.id)) {
+            await write(bookingRef, plan.bookingData, { tx, current: bookingDocs[index].data() });
+          }
+        }
+
+        if (plan.conflictingBookingIds.length) {
+          logger.warn('Bookings settled by another payout left unchanged', {
+            payoutId: payoutData.id,
+            bookingIds: plan.conflictingBookingIds
+          });
+        }
+
+        logger.info('Payout status updated', { payoutId: payoutData.id, bookingIds: plan.bookingIds, status: payoutData.status });
+
+        return {
+          success: true,
+          payoutId: payoutData.id,
+          bookingIds: plan.bookingIds,
+          conflictingBookingIds: plan.conflictingBookingIds,
+          status: payoutData.status
+        };
+      });
+
+    } catch (error) {
+      logger.error('Failed to update payout status', { payoutId: payoutData.id, error: error.message });
+      throw new Error(`Failed to update payout: ${error.message}`);
+    }
+  }
+}
+
+module.exports = FirestorePayoutRepository;
@@ -0,0 +1,138 @@
+const logger = require('../../utils/logger');
+const AppError = require('../../errors/appError');
+const { write, serializeDocument } = require('./db');
+const { newDelivery, deliveryAttemptChanges } = require('../subscriptionDeliveryChanges');
+
+/**
+ * Subscription delivery log in the Firestore subscription_deliveries collection, keyed by delivery ID
+ */
+class FirestoreSubscriptionDeliveryRepository {
+  /**
+   * @param {object} options
+   * @param {object|null} options.db - Firestore, null when unavailable
+   */
+  constructor({ db }) {
+    this.db = db;
+  }
+
+  isAvailable() {
+    return this.db !== null;
+  }
+
+  /**
+   * Add a pending delivery to a subscription's delivery log
+   * @param {string} deliveryId - Delivery ID
+   * @param {object} record - subscriptionId, webhookId, event and payload
+   */
+  async create(deliveryId, record) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping delivery log', { deliveryId });
+      return null;
+    }
+
+    try {
+      await write(this.db.collection('subscription_deliveries').doc(deliveryId), newDelivery(record), { operation: 'set' });
+      return deliveryId;
+
+    } catch (error) {
+      logger.error('Failed to create delivery log entry', { deliveryId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome of a delivery attempt
+   * @param {string} deliveryId - Delivery ID
+   * @param {object} updates - status, attempts, lastStatusCode, lastError
+   */
+  async update(deliveryId, updates) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    try {
+      await write(this.db.collection('subscription_deliveries').doc(deliveryId), deliveryAttemptChanges(updates));
+      return updates.status;
+
+    } catch (error) {
+      logger.error('Failed to update delivery log entry', { deliveryId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a delivery log entry
+   * @param {string} deliveryId - Delivery ID
+   */
+  async get(deliveryId) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping delivery lookup', { deliveryId });
+      return null;
+    }
+
+    try {
+      const doc = await this.db.collection('subscription_deliveries').doc(deliveryId).get();
+      return doc.exists ? serializeDocument(doc) : null;
+
+    } catch (error) {
+      logger.error('Failed to get delivery', { deliveryId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List delivery log entries, newest first
+   * @param {object} filters
+   * @param {string} filters.subscriptionId - Only deliveries to this subscription
+   * @param {string|string[]} filters.status - One status or a list of statuses
+   * @param {string} filters.order - 'desc' (newest first, default) or 'asc'
+   * @param {number} filters.limit - Page size
+   * @param {string} filters.cursor - ID of the last delivery on the previous page
+   * @returns {Promise<{deliveries: object[], nextCursor: string|null}>}
+   */
+  async list({ subscriptionId, status, order = 'desc', limit = 20, cursor } = {}) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping delivery listing');
+      return { deliveries: [], nextCursor: null };
+    }
+
+    try {
+      const deliveries = this.db.collection('subscription_deliveries');
+      let query = deliveries;
+
+      if (subscriptionId) {
+        query = query.where('subscriptionId', '==', subscriptionId);
+      }
+      if (Array.isArray(status)) {
+        query = query.where('status', 'in', status);
+      } else if (status) {
+        query = query.where('status', '==', status);
+      }
+
+      // Filtered listings use the (field, createdAt) composite indexes in firestore.indexes.json
+      query = query.orderBy('createdAt', order);
+
+      if (cursor) {
+        const cursorDoc = await deliveries.doc(cursor).get();
+        if (!cursorDoc.exists) {
+          throw new AppError('Invalid pagination cursor', 'INVALID_CURSOR', 400);
+        }
+        query = query.startAfter(cursorDoc);
+      }
+
+      const snapshot = await query.limit(limit + 1).get();
+      const docs = snapshot.docs.slice(0, limit);
+
+      return {
+        deliveries: docs.map(doc => serializeDocument(doc)),
+        nextCursor: snapshot.docs.length > limit ? docs[docs.length - 1].id : null
+      };
+
+    } catch (error) {
+      logger.error('Failed to list deliveries', { error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = FirestoreSubscriptionDeliveryRepository;
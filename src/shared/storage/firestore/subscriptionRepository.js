@@ -0,0 +1,163 @@
+const logger = require('../../utils/logger');
+const FieldValue = require('../fieldValue');
+const { write, serializeDocument } = require('./db');
+
+/**
+ * Outbound event subscriptions in the Firestore webhook_subscriptions collection
+ */
+class FirestoreSubscriptionRepository {
+  /**
+   * @param {object} options
+   * @param {object|null} options.db - Firestore, null when unavailable
+   */
+  constructor({ db }) {
+    this.db = db;
+  }
+
+  isAvailable() {
+    return this.db !== null;
+  }
+
+  /**
+   * Create an outbound event subscription
+   * @param {object} subscription - url, events, description, active and signing secret
+   * @returns {Promise<object|null>} - The stored subscription, null if Firestore is unavailable
+   */
+  async create(subscription) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping subscription creation', { url: subscription.url });
+      return null;
+    }
+
+    try {
+      const subscriptionRef = this.db.collection('webhook_subscriptions').doc();
+      const now = FieldValue.serverTimestamp();
+
+      await write(subscriptionRef, {
+        ...subscription,
+        createdAt: now,
+        updatedAt: now
+      }, { operation: 'create' });
+
+      logger.info('Subscription created', { subscriptionId: subscriptionRef.id, url: subscription.url, events: subscription.events });
+      return serializeDocument(await subscriptionRef.get());
+
+    } catch (error) {
+      logger.error('Failed to create subscription', { url: subscription.url, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get an outbound event subscription, including its signing secret
+   * @param {string} subscriptionId - Subscription ID
+   */
+  async get(subscriptionId) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping subscription lookup', { subscriptionId });
+      return null;
+    }
+
+    try {
+      const doc = await this.db.collection('webhook_subscriptions').doc(subscriptionId).get();
+      return doc.exists ? serializeDocument(doc) : null;
+
+    } catch (error) {
+      logger.error('Failed to get subscription', { subscriptionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List outbound event subscriptions, oldest first
+   * @param {object} filters
+   * @param {boolean} filters.active - Only active (true) or inactive (false) subscriptions
+   */
+  async list({ active } = {}) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping subscription listing');
+      return [];
+    }
+
+    try {
+      let query = this.db.collection('webhook_subscriptions');
+
+      if (active !== undefined) {
+        query = query.where('active', '==', active);
+      }
+
+      const snapshot = await query.get();
+      return snapshot.docs
+        .map(doc => serializeDocument(doc))
+        .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+
+    } catch (error) {
+      logger.error('Failed to list subscriptions', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update an outbound event subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {object} updates - Fields to change
+   * @returns {Promise<object|null>} - The updated subscription, null if it doesn't exist
+   */
+  async update(subscriptionId, updates) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping subscription update', { subscriptionId });
+      return null;
+    }
+
+    try {
+      const subscriptionRef = this.db.collection('webhook_subscriptions').doc(subscriptionId);
+      const doc = await subscriptionRef.get();
+      if (!doc.exists) {
+        return null;
+      }
+
+      await write(subscriptionRef, {
+        ...updates,
+        updatedAt: FieldValue.serverTimestamp()
+      }, { current: doc.data() });
+
+      logger.info('Subscription updated', { subscriptionId, fields: Object.keys(updates) });
+      return serializeDocument(await subscriptionRef.get());
+
+    } catch (error) {
+      logger.error('Failed to update subscription', { subscriptionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an outbound event subscription. Its delivery log is kept.
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<boolean>} - Whether the subscription existed
+   */
+  async delete(subscriptionId) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping subscription deletion', { subscriptionId });
+      return false;
+    }
+
+    try {
+      const subscriptionRef = this.db.collection('webhook_subscriptions').doc(subscriptionId);
+      const doc = await subscriptionRef.get();
+      if (!doc.exists) {
+        return false;
+      }
+
+      await write(subscriptionRef, {}, { operation: 'delete', current: doc.data() });
+
+      logger.info('Subscription deleted', { subscriptionId });
+      return true;
+
+    } catch (error) {
+      logger.error('Failed to delete subscription', { subscriptionId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = FirestoreSubscriptionRepository;
@@ -0,0 +1,40 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Vendors in the Firestore vendors collection (read only)
+ */
+class FirestoreVendorRepository {
+  /**
+   * @param {object} options
+   * @param {object|null} options.db - Firestore, null when unavailable
+   */
+  constructor({ db }) {
+    this.db = db;
+  }
+
+  isAvailable() {
+    return this.db !== null;
+  }
+
+  /**
+   * Get the xenPlatform sub-account ID of a vendor
+   * @param {string} vendorId - Vendor document ID
+   */
+  async getSubAccountId(vendorId) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping vendor lookup', { vendorId });
+      return null;
+    }
+
+    try {
+      const doc = await this.db.collection('vendors').doc(vendorId).get();
+      return doc.exists ? doc.data().xenditSubAccountId || null : null;
+
+    } catch (error) {
+      logger.error('Failed to get vendor sub-account', { vendorId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = FirestoreVendorRepository;
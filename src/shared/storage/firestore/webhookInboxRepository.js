@@ -0,0 +1,211 @@
+const logger = require('../../utils/logger');
+const AppError = require('../../errors/appError');
+const { write, serializeDocument } = require('./db');
+const { TIMESTAMP_FIELDS, newEntry, planStartAttempt, planCompletion } = require('../webhookInboxChanges');
+
+const serializeEntry = (doc) => serializeDocument(doc, TIMESTAMP_FIELDS);
+
+/**
+ * Received webhooks in the Firestore webhook_inbox collection, keyed by webhook ID
+ */
+class FirestoreWebhookInboxRepository {
+  /**
+   * @param {object} options
+   * @param {object|null} options.db - Firestore, null when unavailable
+   */
+  constructor({ db }) {
+    this.db = db;
+  }
+
+  isAvailable() {
+    return this.db !== null;
+  }
+
+  /**
+   * Record a webhook in the inbox as received, unless it is already there.
+   * The read and create run in one transaction, so concurrent deliveries of the
+   * same webhook across instances create a single entry.
+   * @param {string} webhookId - Webhook ID (Xendit webhook-id header or derived)
+   * @param {object} record - event, businessId, subAccountId, created, referenceId, data
+   * @returns {Promise<{created: boolean, entry: object|null}>}
+   */
+  async record(webhookId, record) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - processing webhook without inbox dedupe', { webhookId });
+      return { created: true, entry: null };
+    }
+
+    try {
+      const inboxRef = this.db.collection('webhook_inbox').doc(webhookId);
+
+      return await this.db.runTransaction(async (tx) => {
+        const doc = await tx.get(inboxRef);
+
+        if (doc.exists) {
+          return { created: false, entry: serializeEntry(doc) };
+        }
+
+        await write(inboxRef, newEntry(record), { tx, operation: 'create' });
+        return { created: true, entry: null };
+      });
+
+    } catch (error) {
+      logger.error('Failed to record webhook', { webhookId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Move a webhook to processing and count the attempt (see planStartAttempt)
+   * @param {string} webhookId - Webhook ID
+   * @param {object} options
+   * @param {number} options.staleAfterMs - When a processing attempt counts as abandoned
+   * @param {boolean} options.force - Start from any status that isn't actively processing (replays)
+   * @returns {Promise<{started: boolean, entry: object|null}>}
+   */
+  async startAttempt(webhookId, options = {}) {
+    if (!this.isAvailable()) {
+      return { started: true, entry: null };
+    }
+
+    try {
+      const inboxRef = this.db.collection('webhook_inbox').doc(webhookId);
+
+      return await this.db.runTransaction(async (tx) => {
+        const doc = await tx.get(inboxRef);
+        if (!doc.exists) {
+          return { started: false, entry: null };
+        }
+
+        const { started, entry, data } = planStartAttempt(serializeEntry(doc), options);
+
+        if (started) {
+          await write(inboxRef, data, { tx, current: doc.data() });
+        }
+
+        return { started, entry };
+      });
+
+    } catch (error) {
+      logger.error('Failed to start webhook attempt', { webhookId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome of a processing attempt (see planCompletion)
+   * @param {string} webhookId - Webhook ID
+   * @param {Error|null} error - Processing error, null on success
+   * @param {object} options
+   * @param {number} options.attempts - Attempts made so far, including this one
+   * @param {number} options.maxAttempts - Attempts allowed before dead-lettering
+   * @param {object} options.handlers - Per-handler results, { [name]: { status, error? } }
+   * @returns {Promise<string|null>} - The new status
+   */
+  async complete(webhookId, error = null, options = {}) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    try {
+      const { status, data } = planCompletion(error, options);
+
+      await write(this.db.collection('webhook_inbox').doc(webhookId), data);
+
+      return status;
+
+    } catch (updateError) {
+      logger.error('Failed to update webhook inbox entry', { webhookId, error: updateError.message });
+      throw updateError;
+    }
+  }
+
+  /**
+   * Get a webhook from the inbox
+   * @param {string} webhookId - Webhook ID
+   */
+  async get(webhookId) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping webhook lookup', { webhookId });
+      return null;
+    }
+
+    try {
+      const doc = await this.db.collection('webhook_inbox').doc(webhookId).get();
+      return doc.exists ? serializeEntry(doc) : null;
+
+    } catch (error) {
+      logger.error('Failed to get webhook', { webhookId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List inbox webhooks, newest first
+   * @param {object} filters
+   * @param {string} filters.event - Exact event name
+   * @param {string|string[]} filters.status - One status or a list of statuses
+   * @param {string} filters.referenceId - Booking/reference ID from the payload
+   * @param {string} filters.from - Received at or after (ISO date)
+   * @param {string} filters.to - Received at or before (ISO date)
+   * @param {string} filters.order - 'desc' (newest first, default) or 'asc'
+   * @param {number} filters.limit - Page size
+   * @param {string} filters.cursor - ID of the last webhook on the previous page
+   * @returns {Promise<{webhooks: object[], nextCursor: string|null}>}
+   */
+  async list({ event, status, referenceId, from, to, order = 'desc', limit = 20, cursor } = {}) {
+    if (!this.isAvailable()) {
+      logger.warn('Firestore not available - skipping webhook listing');
+      return { webhooks: [], nextCursor: null };
+    }
+
+    try {
+      const inbox = this.db.collection('webhook_inbox');
+      let query = inbox;
+
+      if (event) {
+        query = query.where('event', '==', event);
+      }
+      if (Array.isArray(status)) {
+        query = query.where('status', 'in', status);
+      } else if (status) {
+        query = query.where('status', '==', status);
+      }
+      if (referenceId) {
+        query = query.where('referenceId', '==', referenceId);
+      }
+      if (from) {
+        query = query.where('receivedAt', '>=', new Date(from));
+      }
+      if (to) {
+        query = query.where('receivedAt', '<=', new Date(to));
+      }
+
+      // Filtered listings use the (field, receivedAt) composite indexes in firestore.indexes.json
+      query = query.orderBy('receivedAt', order);
+
+      if (cursor) {
+        const cursorDoc = await inbox.doc(cursor).get();
+        if (!cursorDoc.exists) {
+          throw new AppError('Invalid pagination cursor', 'INVALID_CURSOR', 400);
+        }
+        query = query.startAfter(cursorDoc);
+      }
+
+      // One extra document tells us whether there is another page
+      const snapshot = await query.limit(limit + 1).get();
+      const docs = snapshot.docs.slice(0, limit);
+
+      return {
+        webhooks: docs.map(serializeEntry),
+        nextCursor: snapshot.docs.length > limit ? docs[docs.length - 1].id : null
+      };
+
+    } catch (error) {
+      logger.error('Failed to list webhooks', { error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = FirestoreWebhookInboxRepository;
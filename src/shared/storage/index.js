@@ -0,0 +1,193 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const { intFromEnv } = require('../utils/env');
+const { parseBookingStatusRules, loadBookingStatusRulesFile } = require('../utils/bookingStatusRules');
+const { dryRun, isDryRun } = require('./dryRun');
+const { STORAGE_BACKEND, getDb } = require('./firestore/db');
+const FirestoreBookingRepository = require('./firestore/bookingRepository');
+const FirestorePaymentLogRepository = require('./firestore/paymentLogRepository');
+const FirestoreWebhookInboxRepository = require('./firestore/webhookInboxRepository');
+const FirestoreIdempotencyKeyRepository = require('./firestore/idempotencyKeyRepository');
+const FirestoreCustomerRepository = require('./firestore/customerRepository');
+const FirestorePaymentTokenRepository = require('./firestore/paymentTokenRepository');
+const FirestoreVendorRepository = require('./firestore/vendorRepository');
+const FirestorePayoutRepository = require('./firestore/payoutRepository');
+const FirestoreSubscriptionRepository = require('./firestore/subscriptionRepository');
+const FirestoreSubscriptionDeliveryRepository = require('./firestore/subscriptionDeliveryRepository');
+const FirestoreConfigRepository = require('./firestore/configRepository');
+const { MemoryStore } = require('./memory/store');
+const MemoryBookingRepository = require('./memory/bookingRepository');
+const MemoryPaymentLogRepository = require('./memory/paymentLogRepository');
+const MemoryWebhookInboxRepository = require('./memory/webhookInboxRepository');
+const MemoryIdempotencyKeyRepository = require('./memory/idempotencyKeyRepository');
+const MemoryCustomerRepository = require('./memory/customerRepository');
+const MemoryPaymentTokenRepository = require('./memory/paymentTokenRepository');
+const MemoryVendorRepository = require('./memory/vendorRepository');
+const MemoryPayoutRepository = require('./memory/payoutRepository');
+const MemorySubscriptionRepository = require('./memory/subscriptionRepository');
+const MemorySubscriptionDeliveryRepository = require('./memory/subscriptionDeliveryRepository');
+const MemoryConfigRepository = require('./memory/configRepository');
+
+const repositories = {
+  firestore: {
+    bookings: FirestoreBookingRepository,
+    paymentLogs: FirestorePaymentLogRepository,
+    webhookInbox: FirestoreWebhookInboxRepository,
+    idempotencyKeys: FirestoreIdempotencyKeyRepository,
+    customers: FirestoreCustomerRepository,
+    paymentTokens: FirestorePaymentTokenRepository,
+    vendors: FirestoreVendorRepository,
+    payouts: FirestorePayoutRepository,
+    subscriptions: FirestoreSubscriptionRepository,
+    subscriptionDeliveries: FirestoreSubscriptionDeliveryRepository,
+    config: FirestoreConfigRepository
+  },
+  memory: {
+    bookings: MemoryBookingRepository,
+    paymentLogs: MemoryPaymentLogRepository,
+    webhookInbox: MemoryWebhookInboxRepository,
+    idempotencyKeys: MemoryIdempotencyKeyRepository,
+    customers: MemoryCustomerRepository,
+    paymentTokens: MemoryPaymentTokenRepository,
+    vendors: MemoryVendorRepository,
+    payouts: MemoryPayoutRepository,
+    subscriptions: MemorySubscriptionRepository,
+    subscriptionDeliveries: MemorySubscriptionDeliveryRepository,
+    config: MemoryConfigRepository
+  }
+};
+
+// JSON file of { [collectionPath]: { [documentId]: data } } loaded into the memory backend at startup
+const STORAGE_SEED_FILE = process.env.STORAGE_SEED_FILE;
+
+// Booking status rules come from a JSON file or a storage config doc ('file' or 'firestore')
+const BOOKING_STATUS_RULES_SOURCE = process.env.BOOKING_STATUS_RULES_SOURCE || 'file';
+const BOOKING_STATUS_RULES_FILE = process.env.BOOKING_STATUS_RULES_FILE ||
+  path.join(__dirname, '../config/bookingStatusRules.json');
+const BOOKING_STATUS_RULES_DOC = process.env.BOOKING_STATUS_RULES_DOC || 'config/bookingStatusRules';
+// Loaded rules are reused for this long, so edits apply without a deploy
+const BOOKING_STATUS_RULES_CACHE_MS = intFromEnv('BOOKING_STATUS_RULES_CACHE_MS', 60 * 1000);
+
+/**
+ * Repositories for everything the API persists (bookings, payment logs, the webhook
+ * inbox, idempotency keys, customers, payment tokens, vendors, payouts, subscriptions
+ * and config), backed by Firestore or, with STORAGE_BACKEND=memory, by an in-process
+ * store that needs no Google credentials (local development and tests). Memory data
+ * is lost on restart and isn't shared between instances.
+ */
+class Storage {
+  constructor() {
+    this.use(STORAGE_BACKEND, { seed: STORAGE_SEED_FILE });
+  }
+
+  /**
+   * Switch backend. With memory, this starts from an empty store.
+   * @param {string} backend - 'firestore' or 'memory'
+   * @param {object} options
+   * @param {object|string} options.seed - Memory backend only: seed data or the path of a JSON file with it
+   */
+  use(backend, { seed } = {}) {
+    const classes = repositories[backend];
+
+    if (!classes) {
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+    }
+
+    let options;
+    if (backend === 'memory') {
+      const store = new MemoryStore();
+
+      if (seed) {
+        store.seed(seed);
+      }
+
+      this.store = store;
+      options = { store };
+    } else {
+      this.store = null;
+      options = { db: getDb() };
+    }
+
+    this.bookingStatusRules = null;
+
+    Object.entries(classes).forEach(([name, Repository]) => {
+      this[name] = new Repository({ ...options, getBookingStatusRules: () => this.getBookingStatusRules() });
+    });
+
+    this.backend = backend;
+    logger.info('Storage backend selected', { backend });
+  }
+
+  /**
+   * Whether the backend can read and write (Firestore may have failed to initialize)
+   */
+  isAvailable() {
+    return this.bookings.isAvailable();
+  }
+
+  /**
+   * Active booking status rules, from BOOKING_STATUS_RULES_SOURCE.
+   * A config doc that is missing falls back to the rules file; rules that
+   * fail to load or validate keep the previously loaded ones in use.
+   * @param {object} options
+   * @param {boolean} options.refresh - Load again even if the cached copy is fresh
+   * @returns {Promise<{rules: object, source: string, loadedAt: string}>}
+   */
+  async getBookingStatusRules({ refresh = false } = {}) {
+    const cached = this.bookingStatusRules;
+
+    if (cached && !refresh && Date.now() - cached.loadedAtMs < BOOKING_STATUS_RULES_CACHE_MS) {
+      return cached.value;
+    }
+
+    try {
+      let source = 'file';
+      let rules = null;
+
+      if (BOOKING_STATUS_RULES_SOURCE === 'firestore' && this.config.isAvailable()) {
+        const data = await this.config.get(BOOKING_STATUS_RULES_DOC);
+
+        if (data) {
+          source = 'firestore';
+          rules = parseBookingStatusRules(data);
+        } else {
+          logger.warn('Booking status rules doc not found - using rules file', { doc: BOOKING_STATUS_RULES_DOC });
+        }
+      }
+
+      rules = rules || loadBookingStatusRulesFile(BOOKING_STATUS_RULES_FILE);
+
+      const loadedAt = new Date();
+      this.bookingStatusRules = {
+        loadedAtMs: loadedAt.getTime(),
+        value: { rules, source, loadedAt: loadedAt.toISOString() }
+      };
+
+      return this.bookingStatusRules.value;
+    } catch (error) {
+      if (!cached) {
+        throw error;
+      }
+
+      logger.error('Failed to reload booking status rules - keeping previous rules', { error: error.message });
+      // Don't retry on every booking update
+      cached.loadedAtMs = Date.now();
+      return cached.value;
+    }
+  }
+
+  /**
+   * Run fn without writing to storage; see dryRun.js
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<{result: *, writes: object[]}>}
+   */
+  dryRun(fn) {
+    return dryRun(fn);
+  }
+
+  isDryRun() {
+    return isDryRun();
+  }
+}
+
+module.exports = new Storage();
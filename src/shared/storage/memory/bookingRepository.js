@@ -0,0 +1,174 @@
+const logger = require('../../utils/logger');
+const FieldValue = require('../fieldValue');
+const { toMillis, serializeDocument } = require('./store');
+const {
+  attemptKey,
+  planTransactionStatus,
+  planPaymentRequestLink,
+  planPaymentReservation,
+  planPaymentReservationRelease,
+  planRefund,
+  toConflictSummary
+} = require('../bookingChanges');
+
+/**
+ * Bookings in the memory store, with the Firestore backend's collections and behaviour.
+ * Nothing is awaited between reading a booking and writing it, so updates are atomic.
+ */
+class MemoryBookingRepository {
+  /**
+   * @param {object} options
+   * @param {MemoryStore} options.store
+   * @param {Function} options.getBookingStatusRules - Resolves to { rules }
+   */
+  constructor({ store, getBookingStatusRules }) {
+    this.store = store;
+    this.getBookingStatusRules = getBookingStatusRules;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  attemptsPath(bookingId) {
+    return `booking/${bookingId}/payments`;
+  }
+
+  async get(bookingId) {
+    const booking = this.store.get('booking', bookingId);
+    return booking ? { id: bookingId, ...booking } : null;
+  }
+
+  async findByPaymentRequestId(paymentRequestId) {
+    const match = this.store.list('booking').find(({ data }) => data.transaction?.paymentRequestId === paymentRequestId);
+
+    if (!match) {
+      logger.warn('No booking found for payment request ID', { paymentRequestId });
+      return null;
+    }
+
+    return { id: match.id, ...match.data };
+  }
+
+  async updateTransactionStatus(bookingId, status, paymentData = {}) {
+    const { rules } = await this.getBookingStatusRules();
+    const booking = this.store.get('booking', bookingId);
+
+    if (!booking) {
+      logger.warn('Booking document does not exist', { bookingId });
+      return { success: false, bookingId, status, reason: 'Booking not found' };
+    }
+
+    const attempt = attemptKey(paymentData);
+    const currentAttempt = attempt && this.store.get(this.attemptsPath(bookingId), attempt.id);
+    const plan = planTransactionStatus(bookingId, booking, status, paymentData, { attempt, currentAttempt, rules });
+
+    if (plan.attemptData) {
+      this.store.write(this.attemptsPath(bookingId), attempt.id, plan.attemptData, { operation: 'set', setOptions: { merge: true } });
+    }
+    if (plan.bookingData) {
+      this.store.write('booking', bookingId, plan.bookingData);
+    }
+
+    return plan.result;
+  }
+
+  async linkPaymentRequest(bookingId, paymentRequest, { forUserId = null } = {}) {
+    const booking = this.store.get('booking', bookingId);
+
+    if (!booking) {
+      return { success: false, bookingId, reason: 'Booking not found' };
+    }
+
+    const attempt = attemptKey(paymentRequest);
+    const currentAttempt = this.store.get(this.attemptsPath(bookingId), attempt.id);
+    const plan = planPaymentRequestLink(bookingId, booking, paymentRequest, { attempt, currentAttempt, forUserId });
+
+    this.store.write(this.attemptsPath(bookingId), attempt.id, plan.attemptData, { operation: 'set', setOptions: { merge: true } });
+    if (plan.bookingData) {
+      this.store.write('booking', bookingId, plan.bookingData);
+    }
+
+    return plan.result;
+  }
+
+  async reservePayment(bookingId, reservationId) {
+    const { bookingData, result } = planPaymentReservation(bookingId, this.store.get('booking', bookingId), reservationId);
+
+    if (bookingData) {
+      this.store.write('booking', bookingId, bookingData);
+    }
+
+    return result;
+  }
+
+  async releasePayment(bookingId, reservationId) {
+    const bookingData = planPaymentReservationRelease(this.store.get('booking', bookingId), reservationId);
+
+    if (bookingData) {
+      this.store.write('booking', bookingId, bookingData);
+      logger.info('Payment reservation released', { bookingId, reservationId });
+    }
+  }
+
+  async applyRefund(bookingId, refundData) {
+    const booking = this.store.get('booking', bookingId);
+
+    if (!booking) {
+      logger.warn('Booking document does not exist', { bookingId });
+      return { success: false, bookingId, reason: 'Booking not found' };
+    }
+
+    const plan = planRefund(bookingId, booking, refundData);
+
+    if (plan.attemptData) {
+      this.store.write(this.attemptsPath(bookingId), plan.attemptId, plan.attemptData, { operation: 'set', setOptions: { merge: true } });
+    }
+    if (plan.bookingData) {
+      this.store.write('booking', bookingId, plan.bookingData);
+    }
+
+    return plan.result;
+  }
+
+  async listPending({ olderThan, limit = 50 }) {
+    const pending = this.store.list('booking').filter(({ data }) =>
+      data.transaction?.status === 'pending' && toMillis(data.transaction.reconciledAt) <= olderThan.getTime());
+
+    const { docs } = this.store.page('booking', pending, {
+      sortKey: (data) => toMillis(data.transaction?.reconciledAt),
+      limit
+    });
+
+    return docs.map(({ id, data }) => ({ id, ...data }));
+  }
+
+  async markReconciled(bookingId) {
+    this.store.write('booking', bookingId, { 'transaction.reconciledAt': FieldValue.serverTimestamp() });
+  }
+
+  async listConflicts({ limit = 20, cursor } = {}) {
+    const { docs, nextCursor } = this.store.page('booking', this.store.list('booking'), {
+      sortKey: (data) => toMillis(data.transaction?.lastConflictAt),
+      order: 'desc',
+      limit,
+      cursor
+    });
+
+    return {
+      bookings: docs.map(({ id, data }) => toConflictSummary(id, data)),
+      nextCursor
+    };
+  }
+
+  async listPaymentAttempts(bookingId) {
+    const { docs } = this.store.page(this.attemptsPath(bookingId), this.store.list(this.attemptsPath(bookingId)), {
+      sortKey: (data) => toMillis(data.createdAt),
+      limit: Infinity
+    });
+
+    return docs.map(doc => serializeDocument(doc));
+  }
+}
+
+module.exports = MemoryBookingRepository;
@@ -0,0 +1,23 @@
+/**
+ * Configuration documents in the memory store, addressed by path (e.g. config/bookingStatusRules)
+ */
+class MemoryConfigRepository {
+  /**
+   * @param {object} options
+   * @param {MemoryStore} options.store
+   */
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async get(docPath) {
+    const separator = docPath.lastIndexOf('/');
+    return this.store.get(docPath.slice(0, separator), docPath.slice(separator + 1));
+  }
+}
+
+module.exports = MemoryConfigRepository;
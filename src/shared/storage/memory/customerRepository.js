@@ -0,0 +1,38 @@
+const logger = require('../../utils/logger');
+const FieldValue = require('../fieldValue');
+const { customerMappingId } = require('../customerChanges');
+
+/**
+ * Our users' Xendit customer IDs, in the memory store's xendit_customers collection
+ */
+class MemoryCustomerRepository {
+  /**
+   * @param {object} options
+   * @param {MemoryStore} options.store
+   */
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async getCustomerId(ownerId, forUserId = null) {
+    return this.store.get('xendit_customers', customerMappingId(ownerId, forUserId))?.customerId || null;
+  }
+
+  async saveCustomerId(ownerId, customerId, forUserId = null) {
+    this.store.write('xendit_customers', customerMappingId(ownerId, forUserId), {
+      ownerId,
+      customerId,
+      subAccountId: forUserId,
+      updatedAt: FieldValue.serverTimestamp()
+    }, { operation: 'set', setOptions: { merge: true } });
+
+    logger.info('Xendit customer mapping saved', { ownerId, customerId });
+    return true;
+  }
+}
+
+module.exports = MemoryCustomerRepository;
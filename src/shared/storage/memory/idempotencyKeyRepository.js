@@ -0,0 +1,46 @@
+/**
+ * Stored responses for idempotent requests, in the memory store's idempotency_keys collection
+ */
+class MemoryIdempotencyKeyRepository {
+  /**
+   * @param {object} options
+   * @param {MemoryStore} options.store
+   */
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async get(key) {
+    const stored = this.store.get('idempotency_keys', key);
+
+    if (!stored) {
+      return null;
+    }
+
+    if (stored.expiresAt <= new Date()) {
+      this.store.write('idempotency_keys', key, {}, { operation: 'delete' });
+      return null;
+    }
+
+    return { statusCode: stored.statusCode, response: stored.response };
+  }
+
+  async save(key, { statusCode, response }, { ttlMs }) {
+    this.store.write('idempotency_keys', key, {
+      statusCode,
+      response: response ?? null,
+      createdAt: new Date(),
+      expiresAt: new Date(Date.now() + ttlMs)
+    }, { operation: 'set' });
+  }
+
+  async delete(key) {
+    this.store.write('idempotency_keys', key, {}, { operation: 'delete' });
+  }
+}
+
+module.exports = MemoryIdempotencyKeyRepository;
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const FieldValue = require('../fieldValue');
+const { toMillis, serializeDocument } = require('./store');
+
+/**
+ * Payment events in the memory store's payment_logs collection
+ */
+class MemoryPaymentLogRepository {
+  /**
+   * @param {object} options
+   * @param {MemoryStore} options.store
+   */
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async create(paymentData, { source = 'xendit_webhook' } = {}) {
+    const id = crypto.randomUUID();
+
+    this.store.write('payment_logs', id, {
+      ...paymentData,
+      createdAt: FieldValue.serverTimestamp(),
+      source
+    }, { operation: 'set' });
+
+    logger.info('Payment log created', { paymentId: paymentData.payment_id });
+    return id;
+  }
+
+  async list({ bookingId, paymentRequestId, event, status, channelCode, from, to, order = 'desc', limit = 20, cursor } = {}) {
+    const matching = this.store.list('payment_logs').filter(({ data }) =>
+      (!bookingId || data.bookingId === bookingId) &&
+      (!paymentRequestId || data.payment_request_id === paymentRequestId) &&
+      (!event || data.event === event) &&
+      (!status || data.status === status) &&
+      (!channelCode || data.channel_code === channelCode) &&
+      (!from || toMillis(data.createdAt) >= Date.parse(from)) &&
+      (!to || toMillis(data.createdAt) <= Date.parse(to)));
+
+    const { docs, nextCursor } = this.store.page('payment_logs', matching, {
+      sortKey: (data) => toMillis(data.createdAt),
+      order,
+      limit,
+      cursor
+    });
+
+    return { logs: docs.map(doc => serializeDocument(doc)), nextCursor };
+  }
+}
+
+module.exports = MemoryPaymentLogRepository;
@@ -0,0 +1,46 @@
+const logger = require('../../utils/logger');
+const { planPaymentTokenSave } = require('../customerChanges');
+
+/**
+ * Customers' saved payment tokens, in the memory store's payment_tokens collection
+ */
+class MemoryPaymentTokenRepository {
+  /**
+   * @param {object} options
+   * @param {MemoryStore} options.store
+   */
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async save(paymentTokenId, tokenData) {
+    const current = this.store.get('payment_tokens', paymentTokenId);
+    const data = planPaymentTokenSave(paymentTokenId, current, tokenData);
+
+    if (!data) {
+      return false;
+    }
+
+    this.store.write('payment_tokens', paymentTokenId, data, { operation: 'set', setOptions: { merge: true } });
+
+    logger.info('Payment token saved', { paymentTokenId, customerId: tokenData.customerId, status: tokenData.status });
+    return true;
+  }
+
+  async get(paymentTokenId) {
+    const token = this.store.get('payment_tokens', paymentTokenId);
+    return token ? { id: paymentTokenId, ...token } : null;
+  }
+
+  async listByCustomer(customerId) {
+    return this.store.list('payment_tokens')
+      .filter(({ data }) => data.customerId === customerId && data.status !== 'DELETED')
+      .map(({ id, data }) => ({ id, ...data }));
+  }
+}
+
+module.exports = MemoryPaymentTokenRepository;
@@ -0,0 +1,103 @@
+const logger = require('../../utils/logger');
+const { planPayoutReservation, planPayoutRelease, planPayoutLink, planPayoutStatus } = require('../payoutChanges');
+
+/**
+ * Payouts in the memory store's payouts collection, with each booking's payout status on the booking
+ */
+class MemoryPayoutRepository {
+  /**
+   * @param {object} options
+   * @param {MemoryStore} options.store
+   */
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async reserve(bookingIds, reservationId) {
+    const bookings = bookingIds.map(id => ({ id, data: this.store.get('booking', id) }));
+    const { bookingData, result } = planPayoutReservation(bookings, reservationId);
+
+    if (bookingData) {
+      bookingIds.forEach(bookingId => this.store.write('booking', bookingId, bookingData));
+      logger.info('Bookings reserved for payout', { bookingIds, reservationId });
+    }
+
+    return result;
+  }
+
+  async release(bookingIds, reservationId) {
+    for (const bookingId of bookingIds) {
+      const bookingData = planPayoutRelease(this.store.get('booking', bookingId), reservationId);
+
+      if (bookingData) {
+        this.store.write('booking', bookingId, bookingData);
+      }
+    }
+
+    logger.info('Payout reservation released', { bookingIds, reservationId });
+  }
+
+  async link(payout, bookingIds, forUserId = null) {
+    const { payoutData, bookingData } = planPayoutLink(payout, bookingIds, forUserId);
+
+    // Fail before writing anything, as the Firestore transaction would
+    const missing = bookingIds.find(bookingId => !this.store.get('booking', bookingId));
+    if (missing) {
+      throw new Error(`No document to update: booking/${missing}`);
+    }
+
+    this.store.write('payouts', payout.id, payoutData, { operation: 'set', setOptions: { merge: true } });
+    bookingIds.forEach(bookingId => this.store.write('booking', bookingId, bookingData));
+
+    logger.info('Payout linked to bookings', { payoutId: payout.id, bookingIds, status: payout.status });
+    return true;
+  }
+
+  async get(payoutId) {
+    const payout = this.store.get('payouts', payoutId);
+    return payout ? { id: payoutId, ...payout } : null;
+  }
+
+  async updateStatus(payoutData, fallbackBookingIds = []) {
+    const current = this.store.get('payouts', payoutData.id);
+    const bookingIds = current ? current.bookingIds || [] : fallbackBookingIds;
+
+    if (!bookingIds.length) {
+      return { success: false, payoutId: payoutData.id, reason: 'No bookings linked to payout' };
+    }
+
+    const missing = bookingIds.find(bookingId => !this.store.get('booking', bookingId));
+    if (missing) {
+      throw new Error(`Failed to update payout: No document to update: booking/${missing}`);
+    }
+
+    const bookings = bookingIds.map(id => ({ id, data: this.store.get('booking', id) }));
+    const plan = planPayoutStatus(payoutData, current, bookings);
+
+    this.store.write('payouts', payoutData.id, plan.payoutData, { operation: 'set', setOptions: { merge: true } });
+    plan.bookingIds.forEach(bookingId => this.store.write('booking', bookingId, plan.bookingData));
+
+    if (plan.conflictingBookingIds.length) {
+      logger.warn('Bookings settled by another payout left unchanged', {
+        payoutId: payoutData.id,
+        bookingIds: plan.conflictingBookingIds
+      });
+    }
+
+    logger.info('Payout status updated', { payoutId: payoutData.id, bookingIds: plan.bookingIds, status: payoutData.status });
+
+    return {
+      success: true,
+      payoutId: payoutData.id,
+      bookingIds: plan.bookingIds,
+      conflictingBookingIds: plan.conflictingBookingIds,
+      status: payoutData.status
+    };
+  }
+}
+
+module.exports = MemoryPayoutRepository;
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const AppError = require('../../errors/appError');
+const FieldValue = require('../fieldValue');
+const { recordWrite } = require('../dryRun');
+
+const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]' &&
+  !(value instanceof FieldValue);
+
+// Deep copy of stored data (maps, arrays, Dates and primitives)
+const clone = (value) => {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => [key, clone(fieldValue)]));
+  }
+  return value;
+};
+
+const resolveValue = (current, value) => {
+  if (!(value instanceof FieldValue)) {
+    return clone(value);
+  }
+
+  switch (value.op) {
+    case 'serverTimestamp':
+      return new Date();
+    case 'increment':
+      return (typeof current === 'number' ? current : 0) + value.operand;
+    case 'arrayUnion': {
+      const array = Array.isArray(current) ? [...current] : [];
+      value.operand
+        .filter(element => !array.some(existing => JSON.stringify(existing) === JSON.stringify(element)))
+        .forEach(element => array.push(clone(element)));
+      return array;
+    }
+    default:
+      throw new Error(`Unsupported field transform: ${value.methodName}`);
+  }
+};
+
+/**
+ * Set one field, resolving field transforms against its current value.
+ * Plain objects are merged into existing maps when merge is set, as Firestore does.
+ */
+const applyField = (target, key, value, { merge = false } = {}) => {
+  if (value instanceof FieldValue && value.op === 'delete') {
+    delete target[key];
+  } else if (merge && isPlainObject(value) && isPlainObject(target[key])) {
+    Object.entries(value).forEach(([field, fieldValue]) => applyField(target[key], field, fieldValue, { merge }));
+  } else if (merge && isPlainObject(value)) {
+    target[key] = {};
+    Object.entries(value).forEach(([field, fieldValue]) => applyField(target[key], field, fieldValue, { merge }));
+  } else {
+    target[key] = resolveValue(target[key], value);
+  }
+};
+
+/**
+ * Set a dotted field path, creating intermediate maps
+ */
+const applyPath = (target, path, value) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((node, key) => {
+    if (!isPlainObject(node[key])) {
+      node[key] = {};
+    }
+    return node[key];
+  }, target);
+
+  applyField(parent, keys[keys.length - 1], value);
+};
+
+/**
+ * Milliseconds since the epoch for a stored Date or a seeded ISO string, null otherwise
+ */
+const toMillis = (value) => {
+  const millis = value instanceof Date ? value.getTime() : typeof value === 'string' ? Date.parse(value) : NaN;
+  return Number.isNaN(millis) ? null : millis;
+};
+
+/**
+ * Document data with its ID and top-level Dates as ISO strings, as the Firestore backend returns them
+ * @param {{id: string, data: object}} document - From MemoryStore.list or get
+ * @param {string[]} fields - Only convert these fields (all when omitted)
+ */
+const serializeDocument = ({ id, data }, fields) => Object.fromEntries(
+  Object.entries({ id, ...data })
+    .map(([field, value]) => [
+      field,
+      value instanceof Date && (!fields || fields.includes(field)) ? value.toISOString() : value
+    ])
+);
+
+/**
+ * In-process document store behind the memory backend. Collections are keyed by
+ * path (e.g. booking, booking/b1/payments); documents are copied in and out so
+ * callers can't change stored data by accident. Timestamps are stored as Dates.
+ */
+class MemoryStore {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(path) {
+    if (!this.collections.has(path)) {
+      this.collections.set(path, new Map());
+    }
+    return this.collections.get(path);
+  }
+
+  /**
+   * Load documents, as { [collectionPath]: { [documentId]: data } }
+   * @param {object|string} seed - Seed data or the path of a JSON file with it
+   */
+  seed(seed) {
+    const data = typeof seed === 'string' ? JSON.parse(fs.readFileSync(seed, 'utf8')) : seed;
+
+    Object.entries(data).forEach(([path, documents]) => {
+      Object.entries(documents).forEach(([id, document]) => {
+        this.collection(path).set(id, clone(document));
+      });
+    });
+  }
+
+  /**
+   * @returns {object|null} - A copy of the document data
+   */
+  get(path, id) {
+    const document = this.collection(path).get(id);
+    return document ? clone(document) : null;
+  }
+
+  /**
+   * @returns {{id: string, data: object}[]} - Copies of every document in the collection
+   */
+  list(path) {
+    return [...this.collection(path).entries()].map(([id, data]) => ({ id, data: clone(data) }));
+  }
+
+  /**
+   * One page of documents ordered by a field, as a Firestore query with orderBy,
+   * startAfter and limit would return it. Documents without the field are left out.
+   * @param {string} path - Collection path, to look up the cursor document
+   * @param {{id: string, data: object}[]} documents - Documents matching the filters
+   * @param {object} options
+   * @param {Function} options.sortKey - (data) => milliseconds, null when the field is missing
+   * @param {string} options.order - 'asc' or 'desc'
+   * @param {number} options.limit - Page size
+   * @param {string} options.cursor - ID of the last document on the previous page
+   * @returns {{docs: object[], nextCursor: string|null}}
+   */
+  page(path, documents, { sortKey, order = 'asc', limit, cursor }) {
+    // Ties are broken by document ID, in the same direction
+    const compare = (a, b) => (order === 'desc' ? -1 : 1) *
+      (sortKey(a.data) - sortKey(b.data) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+    const sorted = documents.filter(doc => sortKey(doc.data) !== null).sort(compare);
+    let start = 0;
+
+    if (cursor) {
+      const cursorData = this.collection(path).get(cursor);
+      if (!cursorData) {
+        throw new AppError('Invalid pagination cursor', 'INVALID_CURSOR', 400);
+      }
+
+      const after = sorted.findIndex(doc => compare(doc, { id: cursor, data: cursorData }) > 0);
+      start = after === -1 ? sorted.length : after;
+    }
+
+    const docs = sorted.slice(start, start + limit);
+
+    return {
+      docs,
+      nextCursor: sorted.length > start + limit ? docs[docs.length - 1].id : null
+    };
+  }
+
+  /**
+   * Write a document unless in dry-run mode, with Firestore's semantics for
+   * update (dotted paths, document must exist), set, create (must not exist) and delete
+   * @param {string} path - Collection path
+   * @param {string} id - Document ID
+   * @param {object} data - Update or set data
+   * @param {object} options - { operation, setOptions: { merge } }
+   */
+  write(path, id, data, { operation = 'update', setOptions = {} } = {}) {
+    const documents = this.collection(path);
+    const current = documents.get(id) || null;
+
+    if (recordWrite({ collection: path.split('/').pop(), documentId: id, operation, current, data })) {
+      return;
+    }
+
+    if (operation === 'delete') {
+      documents.delete(id);
+      return;
+    }
+    if (operation === 'update' && !current) {
+      throw new Error(`No document to update: ${path}/${id}`);
+    }
+    if (operation === 'create' && current) {
+      throw new Error(`Document already exists: ${path}/${id}`);
+    }
+
+    const document = operation === 'update' || setOptions.merge ? clone(current || {}) : {};
+
+    Object.entries(data).forEach(([field, value]) => {
+      if (operation === 'update') {
+        applyPath(document, field, value);
+      } else {
+        applyField(document, field, value, { merge: !!setOptions.merge });
+      }
+    });
+
+    documents.set(id, document);
+  }
+
+  clear() {
+    this.collections.clear();
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  toMillis,
+  serializeDocument
+};
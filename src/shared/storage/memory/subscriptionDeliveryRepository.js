@@ -0,0 +1,52 @@
+const { toMillis, serializeDocument } = require('./store');
+const { newDelivery, deliveryAttemptChanges } = require('../subscriptionDeliveryChanges');
+
+/**
+ * Subscription delivery log in the memory store's subscription_deliveries collection
+ */
+class MemorySubscriptionDeliveryRepository {
+  /**
+   * @param {object} options
+   * @param {MemoryStore} options.store
+   */
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async create(deliveryId, record) {
+    this.store.write('subscription_deliveries', deliveryId, newDelivery(record), { operation: 'set' });
+    return deliveryId;
+  }
+
+  async update(deliveryId, updates) {
+    this.store.write('subscription_deliveries', deliveryId, deliveryAttemptChanges(updates));
+    return updates.status;
+  }
+
+  async get(deliveryId) {
+    const delivery = this.store.get('subscription_deliveries', deliveryId);
+    return delivery ? serializeDocument({ id: deliveryId, data: delivery }) : null;
+  }
+
+  async list({ subscriptionId, status, order = 'desc', limit = 20, cursor } = {}) {
+    const statuses = status && [].concat(status);
+    const matching = this.store.list('subscription_deliveries').filter(({ data }) =>
+      (!subscriptionId || data.subscriptionId === subscriptionId) &&
+      (!statuses || statuses.includes(data.status)));
+
+    const { docs, nextCursor } = this.store.page('subscription_deliveries', matching, {
+      sortKey: (data) => toMillis(data.createdAt),
+      order,
+      limit,
+      cursor
+    });
+
+    return { deliveries: docs.map(doc => serializeDocument(doc)), nextCursor };
+  }
+}
+
+module.exports = MemorySubscriptionDeliveryRepository;
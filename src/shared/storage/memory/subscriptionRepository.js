@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const FieldValue = require('../fieldValue');
+const { serializeDocument } = require('./store');
+
+/**
+ * Outbound event subscriptions in the memory store's webhook_subscriptions collection
+ */
+class MemorySubscriptionRepository {
+  /**
+   * @param {object} options
+   * @param {MemoryStore} options.store
+   */
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async create(subscription) {
+    const subscriptionId = crypto.randomUUID();
+    const now = FieldValue.serverTimestamp();
+
+    this.store.write('webhook_subscriptions', subscriptionId, {
+      ...subscription,
+      createdAt: now,
+      updatedAt: now
+    }, { operation: 'create' });
+
+    logger.info('Subscription created', { subscriptionId, url: subscription.url, events: subscription.events });
+    return this.get(subscriptionId);
+  }
+
+  async get(subscriptionId) {
+    const subscription = this.store.get('webhook_subscriptions', subscriptionId);
+    return subscription ? serializeDocument({ id: subscriptionId, data: subscription }) : null;
+  }
+
+  async list({ active } = {}) {
+    return this.store.list('webhook_subscriptions')
+      .filter(({ data }) => active === undefined || data.active === active)
+      .map(doc => serializeDocument(doc))
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  }
+
+  async update(subscriptionId, updates) {
+    if (!this.store.get('webhook_subscriptions', subscriptionId)) {
+      return null;
+    }
+
+    this.store.write('webhook_subscriptions', subscriptionId, {
+      ...updates,
+      updatedAt: FieldValue.serverTimestamp()
+    });
+
+    logger.info('Subscription updated', { subscriptionId, fields: Object.keys(updates) });
+    return this.get(subscriptionId);
+  }
+
+  async delete(subscriptionId) {
+    if (!this.store.get('webhook_subscriptions', subscriptionId)) {
+      return false;
+    }
+
+    this.store.write('webhook_subscriptions', subscriptionId, {}, { operation: 'delete' });
+
+    logger.info('Subscription deleted', { subscriptionId });
+    return true;
+  }
+}
+
+module.exports = MemorySubscriptionRepository;
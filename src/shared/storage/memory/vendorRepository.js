@@ -0,0 +1,22 @@
+/**
+ * Vendors in the memory store's vendors collection (read only; seed them)
+ */
+class MemoryVendorRepository {
+  /**
+   * @param {object} options
+   * @param {MemoryStore} options.store
+   */
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async getSubAccountId(vendorId) {
+    return this.store.get('vendors', vendorId)?.xenditSubAccountId || null;
+  }
+}
+
+module.exports = MemoryVendorRepository;
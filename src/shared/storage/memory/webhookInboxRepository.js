@@ -0,0 +1,82 @@
+const { toMillis, serializeDocument } = require('./store');
+const { TIMESTAMP_FIELDS, newEntry, planStartAttempt, planCompletion } = require('../webhookInboxChanges');
+
+const serializeEntry = (doc) => serializeDocument(doc, TIMESTAMP_FIELDS);
+
+/**
+ * Received webhooks in the memory store's webhook_inbox collection, keyed by webhook ID
+ */
+class MemoryWebhookInboxRepository {
+  /**
+   * @param {object} options
+   * @param {MemoryStore} options.store
+   */
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async record(webhookId, record) {
+    const existing = this.store.get('webhook_inbox', webhookId);
+
+    if (existing) {
+      return { created: false, entry: serializeEntry({ id: webhookId, data: existing }) };
+    }
+
+    this.store.write('webhook_inbox', webhookId, newEntry(record), { operation: 'create' });
+    return { created: true, entry: null };
+  }
+
+  async startAttempt(webhookId, options = {}) {
+    const current = this.store.get('webhook_inbox', webhookId);
+
+    if (!current) {
+      return { started: false, entry: null };
+    }
+
+    const { started, entry, data } = planStartAttempt(serializeEntry({ id: webhookId, data: current }), options);
+
+    if (started) {
+      this.store.write('webhook_inbox', webhookId, data);
+    }
+
+    return { started, entry };
+  }
+
+  async complete(webhookId, error = null, options = {}) {
+    const { status, data } = planCompletion(error, options);
+
+    this.store.write('webhook_inbox', webhookId, data);
+
+    return status;
+  }
+
+  async get(webhookId) {
+    const entry = this.store.get('webhook_inbox', webhookId);
+    return entry ? serializeEntry({ id: webhookId, data: entry }) : null;
+  }
+
+  async list({ event, status, referenceId, from, to, order = 'desc', limit = 20, cursor } = {}) {
+    const statuses = status && [].concat(status);
+    const matching = this.store.list('webhook_inbox').filter(({ data }) =>
+      (!event || data.event === event) &&
+      (!statuses || statuses.includes(data.status)) &&
+      (!referenceId || data.referenceId === referenceId) &&
+      (!from || toMillis(data.receivedAt) >= Date.parse(from)) &&
+      (!to || toMillis(data.receivedAt) <= Date.parse(to)));
+
+    const { docs, nextCursor } = this.store.page('webhook_inbox', matching, {
+      sortKey: (data) => toMillis(data.receivedAt),
+      order,
+      limit,
+      cursor
+    });
+
+    return { webhooks: docs.map(serializeEntry), nextCursor };
+  }
+}
+
+module.exports = MemoryWebhookInboxRepository;
@@ -0,0 +1,144 @@
+const FieldValue = require('./fieldValue');
+
+// Payout statuses that still settle (or have settled) a booking
+const ACTIVE_PAYOUT_STATUSES = ['ACCEPTED', 'REQUESTED', 'SUCCEEDED'];
+
+// How long bookings stay held for a payout that was never linked
+const PAYOUT_RESERVATION_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Booking fields that hold paid bookings for a payout while Xendit is called,
+ * so two concurrent requests can't pay out the same booking. Holds that were
+ * never linked to a payout lapse after PAYOUT_RESERVATION_TTL_MS.
+ * @param {Array<{id: string, data: object|null}>} bookings - Bookings as currently stored
+ * @param {string} reservationId - Idempotency key of the payout request; a retry with it may take the bookings again
+ * @param {number} now - Current time in milliseconds
+ */
+const planPayoutReservation = (bookings, reservationId, now = Date.now()) => {
+  for (const { id, data } of bookings) {
+    if (!data) {
+      return { bookingData: null, result: { success: false, bookingId: id, code: 'BOOKING_NOT_FOUND' } };
+    }
+
+    if (data.transaction?.status !== 'completed') {
+      return {
+        bookingData: null,
+        result: { success: false, bookingId: id, code: 'BOOKING_NOT_PAID', status: data.transaction?.status || null }
+      };
+    }
+
+    const { id: payoutId, reservationId: heldBy, reservationExpiresAt } = data.payout || {};
+    const retry = heldBy === reservationId;
+    const lapsed = !payoutId && reservationExpiresAt && Date.parse(reservationExpiresAt) <= now;
+
+    if (!retry && !lapsed && ACTIVE_PAYOUT_STATUSES.includes(data.payout?.status)) {
+      return {
+        bookingData: null,
+        result: { success: false, bookingId: id, code: 'BOOKING_ALREADY_PAID_OUT', payoutId: data.payout.id || null }
+      };
+    }
+  }
+
+  return {
+    bookingData: {
+      'payout.id': null,
+      'payout.status': 'REQUESTED',
+      'payout.reservationId': reservationId,
+      'payout.reservationExpiresAt': new Date(now + PAYOUT_RESERVATION_TTL_MS).toISOString(),
+      'payout.failureCode': null,
+      'payout.updatedAt': FieldValue.serverTimestamp()
+    },
+    result: { success: true, bookingIds: bookings.map(({ id }) => id) }
+  };
+};
+
+/**
+ * Booking fields that free a booking reserved by planPayoutReservation, or null
+ * when the reservation is gone (another request took it, or the payout was linked)
+ * @param {object|null} booking - Booking as currently stored
+ * @param {string} reservationId - Idempotency key the bookings were reserved with
+ */
+const planPayoutRelease = (booking, reservationId) => {
+  if (booking?.payout?.reservationId !== reservationId || booking.payout.id) {
+    return null;
+  }
+
+  return { payout: FieldValue.delete() };
+};
+
+/**
+ * Payout record and booking fields for a payout just created through the API
+ * @param {object} payout - Payout returned by Xendit
+ * @param {string[]} bookingIds - Booking document IDs the payout settles
+ * @param {string|null} forUserId - xenPlatform sub-account the payout was made from
+ */
+const planPayoutLink = (payout, bookingIds, forUserId) => {
+  const now = FieldValue.serverTimestamp();
+
+  return {
+    payoutData: {
+      payoutId: payout.id,
+      referenceId: payout.reference_id,
+      bookingIds,
+      amount: payout.amount,
+      currency: payout.currency,
+      channelCode: payout.channel_code,
+      status: payout.status,
+      subAccountId: forUserId,
+      createdAt: now,
+      updatedAt: now
+    },
+    bookingData: {
+      'payout.id': payout.id,
+      'payout.status': payout.status,
+      'payout.updatedAt': now
+    }
+  };
+};
+
+/**
+ * Payout record and booking fields for a payout status from Xendit. Bookings
+ * already linked to another payout keep it and are returned as conflictingBookingIds.
+ * @param {object} payoutData - Payout from Xendit (API response or webhook data)
+ * @param {object|null} current - Stored payout, null for payouts created outside this API
+ * @param {Array<{id: string, data: object|null}>} bookings - Bookings linked to the payout, as currently stored
+ */
+const planPayoutStatus = (payoutData, current, bookings) => {
+  const now = FieldValue.serverTimestamp();
+  const bookingIds = bookings.map(({ id }) => id);
+  const conflictingBookingIds = bookings
+    .filter(({ data }) => data?.payout?.id && data.payout.id !== payoutData.id)
+    .map(({ id }) => id);
+
+  return {
+    payoutData: {
+      payoutId: payoutData.id,
+      bookingIds,
+      status: payoutData.status,
+      failureCode: payoutData.failure_code || null,
+      updatedAt: now,
+      ...(!current && {
+        referenceId: payoutData.reference_id,
+        amount: payoutData.amount,
+        currency: payoutData.currency,
+        channelCode: payoutData.channel_code,
+        createdAt: now
+      })
+    },
+    bookingData: {
+      'payout.id': payoutData.id,
+      'payout.status': payoutData.status,
+      'payout.failureCode': payoutData.failure_code || null,
+      'payout.updatedAt': now
+    },
+    bookingIds: bookingIds.filter(id => !conflictingBookingIds.includes(id)),
+    conflictingBookingIds
+  };
+};
+
+module.exports = {
+  planPayoutReservation,
+  planPayoutRelease,
+  planPayoutLink,
+  planPayoutStatus
+};
@@ -0,0 +1,42 @@
+const FieldValue = require('./fieldValue');
+
+/**
+ * A new pending delivery log entry
+ * @param {object} record - subscriptionId, webhookId, event, url and payload
+ */
+const newDelivery = (record) => {
+  const now = FieldValue.serverTimestamp();
+
+  return {
+    ...record,
+    status: 'pending',
+    attempts: 0,
+    lastStatusCode: null,
+    lastError: null,
+    lastAttemptAt: null,
+    nextAttemptAt: null,
+    deliveredAt: null,
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+/**
+ * Fields recording a delivery attempt
+ * @param {object} updates - status, attempts, lastStatusCode, lastError, nextAttemptAt
+ */
+const deliveryAttemptChanges = (updates) => {
+  const now = FieldValue.serverTimestamp();
+
+  return {
+    ...updates,
+    lastAttemptAt: now,
+    ...(updates.status === 'succeeded' && { deliveredAt: now }),
+    updatedAt: now
+  };
+};
+
+module.exports = {
+  newDelivery,
+  deliveryAttemptChanges
+};
@@ -0,0 +1,96 @@
+const FieldValue = require('./fieldValue');
+
+/**
+ * What webhook inbox writes mean, shared by every storage backend
+ */
+
+const TIMESTAMP_FIELDS = ['receivedAt', 'processingStartedAt', 'lastAttemptAt', 'processedAt', 'deadLetteredAt', 'updatedAt'];
+
+/**
+ * Inbox entry for a newly received webhook
+ * @param {object} record - event, businessId, subAccountId, created, referenceId, data
+ */
+const newEntry = (record) => {
+  const now = FieldValue.serverTimestamp();
+
+  return {
+    ...record,
+    status: 'received',
+    attempts: 0,
+    lastError: null,
+    handlers: {},
+    receivedAt: now,
+    processingStartedAt: null,
+    lastAttemptAt: null,
+    processedAt: null,
+    deadLetteredAt: null,
+    updatedAt: now
+  };
+};
+
+/**
+ * Move a webhook to processing and count the attempt.
+ * Only received and failed webhooks can start, plus processing ones whose
+ * worker has been silent for longer than staleAfterMs (e.g. the instance died).
+ * @param {object} entry - Serialized inbox entry (ISO timestamps)
+ * @param {object} options - { staleAfterMs, force }
+ * @returns {{started: boolean, entry: object, data: object|null}} - data is the update to write
+ */
+const planStartAttempt = (entry, { staleAfterMs, force = false } = {}) => {
+  const stale = entry.status === 'processing' &&
+    staleAfterMs !== undefined &&
+    Date.now() - Date.parse(entry.processingStartedAt) > staleAfterMs;
+
+  const startable = force ? entry.status !== 'processing' : ['received', 'failed'].includes(entry.status);
+
+  if (!startable && !stale) {
+    return { started: false, entry, data: null };
+  }
+
+  const now = FieldValue.serverTimestamp();
+
+  return {
+    started: true,
+    entry: { ...entry, status: 'processing', attempts: entry.attempts + 1 },
+    data: {
+      status: 'processing',
+      attempts: FieldValue.increment(1),
+      processingStartedAt: now,
+      lastAttemptAt: now,
+      updatedAt: now
+    }
+  };
+};
+
+/**
+ * Outcome of a processing attempt. A failure on the last allowed attempt moves
+ * the webhook to dead_letter; events no handler is registered for are ignored.
+ * @param {Error|null} error - Processing error, null on success
+ * @param {object} options - { attempts, maxAttempts, handlers, ignored }
+ * @returns {{status: string, data: object}}
+ */
+const planCompletion = (error, { attempts = 1, maxAttempts = Infinity, handlers, ignored = false } = {}) => {
+  const now = FieldValue.serverTimestamp();
+  const status = error
+    ? (attempts >= maxAttempts ? 'dead_letter' : 'failed')
+    : (ignored ? 'ignored' : 'succeeded');
+
+  return {
+    status,
+    data: {
+      status,
+      lastError: error ? error.message : null,
+      ...(handlers && { handlers }),
+      updatedAt: now,
+      ...(['succeeded', 'ignored'].includes(status) && { processedAt: now }),
+      ...(status === 'dead_letter' && { deadLetteredAt: now })
+    }
+  };
+};
+
+module.exports = {
+  TIMESTAMP_FIELDS,
+  newEntry,
+  planStartAttempt,
+  planCompletion
+};
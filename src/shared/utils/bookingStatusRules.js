@@ -0,0 +1,124 @@
+const fs = require('fs');
+const { bookingStatusRulesSchema } = require('../validation/schemas');
+
+/**
+ * Booking status rules decide which booking fields (e.g. status) change when a
+ * payment status is applied. Rules are checked in order and the first match wins:
+ *
+ *   {
+ *     "name": "paid-awaiting-content",
+ *     "when": {
+ *       "transactionStatus": "completed",
+ *       "booking": { "payLater": { "in": [false, null] }, "url": { "empty": true } }
+ *     },
+ *     "set": { "status": "Content Pending" }
+ *   }
+ *
+ * when.xenditStatus / transactionStatus / previousStatus take a status or a list of them.
+ * when.booking maps a (dotted) booking field to a value, or to one of
+ * { equals, in, notIn, empty, exists }. Missing fields compare as null.
+ */
+
+const getPath = (data, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+const isEmpty = (value) => value == null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+const matchesStatus = (expected, actual) => [].concat(expected).includes(actual);
+
+/**
+ * Reasons a booking field fails a condition (empty when it matches)
+ */
+const checkCondition = (field, condition, rawValue) => {
+  const value = rawValue === undefined ? null : rawValue;
+
+  if (condition === null || typeof condition !== 'object') {
+    return value === condition ? [] : [`${field} is ${JSON.stringify(value)}, expected ${JSON.stringify(condition)}`];
+  }
+
+  const failures = [];
+
+  if ('equals' in condition && value !== condition.equals) {
+    failures.push(`${field} is ${JSON.stringify(value)}, expected ${JSON.stringify(condition.equals)}`);
+  }
+  if (condition.in && !condition.in.includes(value)) {
+    failures.push(`${field} is ${JSON.stringify(value)}, expected one of ${JSON.stringify(condition.in)}`);
+  }
+  if (condition.notIn && condition.notIn.includes(value)) {
+    failures.push(`${field} is ${JSON.stringify(value)}, expected none of ${JSON.stringify(condition.notIn)}`);
+  }
+  if ('empty' in condition && isEmpty(value) !== condition.empty) {
+    failures.push(`${field} is ${condition.empty ? 'not empty' : 'empty'}`);
+  }
+  if ('exists' in condition && (rawValue !== undefined) !== condition.exists) {
+    failures.push(`${field} ${condition.exists ? 'is missing' : 'exists'}`);
+  }
+
+  return failures;
+};
+
+/**
+ * Reasons a rule doesn't match the context (empty when it does)
+ */
+const checkRule = ({ when = {} }, context) => {
+  const failures = ['xenditStatus', 'transactionStatus', 'previousStatus']
+    .filter(key => when[key] !== undefined && !matchesStatus(when[key], context[key]))
+    .map(key => `${key} is ${JSON.stringify(context[key] ?? null)}, expected ${JSON.stringify(when[key])}`);
+
+  Object.entries(when.booking || {}).forEach(([field, condition]) => {
+    failures.push(...checkCondition(field, condition, getPath(context.booking, field)));
+  });
+
+  return failures;
+};
+
+/**
+ * Validate a rules config
+ * @param {object} config - { rules: [...] }
+ * @returns {object} - The config with defaults applied
+ * @throws {Error} - When the config is invalid
+ */
+const parseBookingStatusRules = (config) => {
+  const { error, value } = bookingStatusRulesSchema.validate(config, { abortEarly: false });
+
+  if (error) {
+    throw new Error(`Invalid booking status rules: ${error.details.map(detail => detail.message).join(', ')}`);
+  }
+
+  return value;
+};
+
+/**
+ * Read and validate a rules config from a JSON file
+ * @param {string} filePath - Path to the JSON file
+ */
+const loadBookingStatusRulesFile = (filePath) => parseBookingStatusRules(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+
+/**
+ * Evaluate rules against a booking and the payment status being applied
+ * @param {object} config - Validated rules config
+ * @param {object} context - { booking, xenditStatus, transactionStatus, previousStatus }
+ * @returns {{rule: string|null, changes: object, trace: {name: string, matched: boolean, failures: string[]}[]}}
+ *   changes are the booking fields to set; trace covers every rule up to the match
+ */
+const evaluateBookingStatusRules = (config, context) => {
+  const trace = [];
+
+  for (const rule of config.rules) {
+    const failures = checkRule(rule, context);
+    trace.push({ name: rule.name, matched: !failures.length, failures });
+
+    if (!failures.length) {
+      return { rule: rule.name, changes: { ...rule.set }, trace };
+    }
+  }
+
+  return { rule: null, changes: {}, trace };
+};
+
+module.exports = {
+  parseBookingStatusRules,
+  loadBookingStatusRulesFile,
+  evaluateBookingStatusRules
+};
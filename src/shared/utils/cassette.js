@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const REDACTED = '[REDACTED]';
+
+// Headers and body fields that must never be written to fixtures
+const SENSITIVE_HEADERS = ['authorization', 'x-callback-token', 'cookie', 'set-cookie'];
+// Body fields are redacted when their name matches, e.g. cardholder_email
+const SENSITIVE_FIELD_PATTERN = /card_number|cvn|cvv|account_number|api_key|secret|password|email|phone|mobile|given_names|surname/i;
+
+// Response headers worth keeping for replay (retry and rate limit behavior)
+const KEPT_RESPONSE_HEADERS = ['content-type', 'retry-after', 'request-id'];
+
+const redact = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, v]) => [
+        key,
+        SENSITIVE_FIELD_PATTERN.test(key) ? REDACTED : redact(v)
+      ])
+    );
+  }
+
+  return value;
+};
+
+const parseBody = (data) => {
+  if (typeof data !== 'string') {
+    return data ?? null;
+  }
+
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return data;
+  }
+};
+
+/**
+ * Record/replay store for Xendit HTTP traffic.
+ * Interactions are matched on method, URL, query params and redacted body,
+ * and replayed in recorded order.
+ */
+class Cassette {
+  /**
+   * @param {string} name - Fixture name, stored as <dir>/<name>.json
+   * @param {string} mode - 'record' or 'replay'
+   * @param {string} dir - Directory holding fixture files
+   */
+  constructor(name, mode, dir = process.env.XENDIT_CASSETTE_DIR || 'tests/fixtures/cassettes') {
+    this.name = name;
+    this.mode = mode;
+    this.filePath = path.resolve(dir, `${name}.json`);
+    this.interactions = [];
+    this.replayPositions = new Map();
+
+    if (mode === 'replay') {
+      if (!fs.existsSync(this.filePath)) {
+        throw new Error(`Cassette not found: ${this.filePath}`);
+      }
+      this.interactions = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).interactions;
+    }
+  }
+
+  /**
+   * Normalized, redacted request used both for storage and matching
+   * @param {object} config - Axios request config
+   */
+  serializeRequest(config) {
+    const headers = config.headers?.toJSON ? config.headers.toJSON() : { ...config.headers };
+
+    return {
+      method: (config.method || 'get').toUpperCase(),
+      url: config.url,
+      params: redact(config.params || null),
+      headers: Object.fromEntries(
+        Object.entries(headers)
+          .filter(([key]) => ['api-version', 'for-user-id', 'idempotency-key'].includes(key.toLowerCase()))
+          .map(([key, value]) => [key.toLowerCase(), value])
+      ),
+      body: redact(parseBody(config.data))
+    };
+  }
+
+  matchKey(request) {
+    return JSON.stringify([request.method, request.url, request.params, request.body]);
+  }
+
+  /**
+   * Store a response (successful or error) for the request that produced it
+   * @param {object} response - Axios response
+   */
+  record(response) {
+    const headers = response.headers?.toJSON ? response.headers.toJSON() : { ...response.headers };
+
+    this.interactions.push({
+      request: this.serializeRequest(response.config),
+      response: {
+        status: response.status,
+        headers: Object.fromEntries(
+          Object.entries(headers).filter(([key]) => KEPT_RESPONSE_HEADERS.includes(key.toLowerCase()))
+        ),
+        data: redact(response.data)
+      }
+    });
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({
+      name: this.name,
+      recordedAt: new Date().toISOString(),
+      redactedHeaders: SENSITIVE_HEADERS,
+      interactions: this.interactions
+    }, null, 2));
+  }
+
+  /**
+   * Find the next recorded interaction for a request.
+   * Repeated requests replay recorded responses in order, then keep
+   * answering with the last one.
+   * @param {object} config - Axios request config
+   */
+  find(config) {
+    const request = this.serializeRequest(config);
+    const key = this.matchKey(request);
+    const matches = this.interactions.filter(interaction => this.matchKey(interaction.request) === key);
+
+    if (!matches.length) {
+      throw new Error(`No recorded interaction in cassette "${this.name}" for ${request.method} ${request.url}`);
+    }
+
+    const position = this.replayPositions.get(key) || 0;
+    this.replayPositions.set(key, position + 1);
+    return matches[Math.min(position, matches.length - 1)];
+  }
+
+  /**
+   * Axios adapter serving recorded responses instead of calling the network
+   */
+  adapter() {
+    return async (config) => {
+      const { response } = this.find(config);
+      const axiosResponse = {
+        data: response.data,
+        status: response.status,
+        statusText: String(response.status),
+        headers: response.headers,
+        config,
+        request: {}
+      };
+
+      if (config.validateStatus && !config.validateStatus(response.status)) {
+        const error = new Error(`Request failed with status code ${response.status}`);
+        error.config = config;
+        error.response = axiosResponse;
+        error.isAxiosError = true;
+        throw error;
+      }
+
+      logger.debug('Replayed Xendit interaction', { cassette: this.name, url: config.url });
+      return axiosResponse;
+    };
+  }
+}
+
+module.exports = Cassette;
@@ -0,0 +1,115 @@
+const logger = require('./logger');
+
+const STATES = {
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN'
+};
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Name used in logs and health output
+   * @param {object} options
+   * @param {number} options.failureThreshold - Consecutive failures before opening
+   * @param {number} options.resetTimeoutMs - How long to stay open before allowing a trial request
+   */
+  constructor(name, { failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.halfOpenInFlight = false;
+  }
+
+  /**
+   * Throw if requests should currently fail fast
+   */
+  assertCanRequest() {
+    if (this.state === STATES.OPEN) {
+      const elapsed = Date.now() - this.openedAt;
+
+      if (elapsed < this.resetTimeoutMs) {
+        const error = new Error(`${this.name} is temporarily unavailable (circuit open)`);
+        error.code = 'XENDIT_CIRCUIT_OPEN';
+        error.statusCode = 503;
+        error.retryAfterMs = this.resetTimeoutMs - elapsed;
+        throw error;
+      }
+
+      this.transition(STATES.HALF_OPEN);
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.halfOpenInFlight) {
+        const error = new Error(`${this.name} is temporarily unavailable (circuit half-open)`);
+        error.code = 'XENDIT_CIRCUIT_OPEN';
+        error.statusCode = 503;
+        error.retryAfterMs = this.resetTimeoutMs;
+        throw error;
+      }
+      this.halfOpenInFlight = true;
+    }
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.halfOpenInFlight = false;
+
+    if (this.state !== STATES.CLOSED) {
+      this.transition(STATES.CLOSED);
+    }
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    this.halfOpenInFlight = false;
+
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.transition(STATES.OPEN);
+    }
+  }
+
+  transition(state) {
+    const previousState = this.state;
+    this.state = state;
+    this.openedAt = state === STATES.OPEN ? Date.now() : this.openedAt;
+
+    if (state === STATES.CLOSED) {
+      this.openedAt = null;
+    }
+
+    const meta = {
+      breaker: this.name,
+      from: previousState,
+      to: state,
+      failures: this.failures
+    };
+
+    if (state === STATES.OPEN) {
+      logger.warn('Circuit breaker opened', { ...meta, resetTimeoutMs: this.resetTimeoutMs });
+    } else {
+      logger.info('Circuit breaker state changed', meta);
+    }
+  }
+
+  /**
+   * Snapshot of breaker state for health checks
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextAttemptAt: this.state === STATES.OPEN
+        ? new Date(this.openedAt + this.resetTimeoutMs).toISOString()
+        : null
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
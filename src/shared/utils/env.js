@@ -0,0 +1,27 @@
+const logger = require('./logger');
+
+/**
+ * Integer setting from the environment. Unlike `parseInt(value) || defaultValue`,
+ * an explicit 0 is kept (e.g. XENDIT_MAX_RETRIES=0 turns retries off).
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Used when the variable is unset, empty or not an integer
+ * @returns {number}
+ */
+const intFromEnv = (name, defaultValue) => {
+  const raw = process.env[name];
+
+  if (raw === undefined || raw.trim() === '') {
+    return defaultValue;
+  }
+
+  const value = Number(raw);
+
+  if (!Number.isInteger(value)) {
+    logger.warn(`Invalid ${name}, expected an integer - using the default`, { value: raw, defaultValue });
+    return defaultValue;
+  }
+
+  return value;
+};
+
+module.exports = { intFromEnv };
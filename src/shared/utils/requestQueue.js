@@ -0,0 +1,238 @@
+const logger = require('./logger');
+
+const RATE_WINDOW_MS = 1000;
+
+/**
+ * Priority queue that bounds concurrency and requests per second, both
+ * overall and per key (endpoint). Higher priority items are dispatched first;
+ * an item whose key is at its limit doesn't block items for other keys.
+ */
+class RequestQueue {
+  /**
+   * @param {string} name - Name used in logs and stats
+   * @param {object} options
+   * @param {number} options.concurrency - Max in-flight tasks overall
+   * @param {number} options.requestsPerSecond - Max task starts per second overall
+   * @param {number} options.timeoutMs - Max time a task may wait in the queue
+   * @param {number} options.slowWaitMs - Waits longer than this are logged as warnings
+   * @param {object} options.limits - Per key overrides: { [key]: { concurrency, requestsPerSecond } }
+   * @param {object} options.defaultKeyLimits - Limits for keys without an override
+   */
+  constructor(name, {
+    concurrency = 10,
+    requestsPerSecond = 20,
+    timeoutMs = 10000,
+    slowWaitMs = 1000,
+    limits = {},
+    defaultKeyLimits = {}
+  } = {}) {
+    this.name = name;
+    this.concurrency = concurrency;
+    this.requestsPerSecond = requestsPerSecond;
+    this.timeoutMs = timeoutMs;
+    this.slowWaitMs = slowWaitMs;
+    this.limits = limits;
+    this.defaultKeyLimits = defaultKeyLimits;
+
+    this.pending = [];
+    this.active = 0;
+    this.starts = [];
+    this.keys = new Map();
+    this.sequence = 0;
+    this.timer = null;
+
+    this.stats = {
+      completed: 0,
+      timedOut: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0
+    };
+  }
+
+  /**
+   * Queue a task
+   * @param {Function} task - Async function to run, called with { waitMs, depth }
+   * @param {object} options
+   * @param {string} options.key - Endpoint key for per-key limits
+   * @param {number} options.priority - Higher runs first
+   */
+  schedule(task, { key = 'default', priority = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      const item = {
+        task,
+        key,
+        priority,
+        sequence: this.sequence++,
+        enqueuedAt: Date.now(),
+        resolve,
+        reject
+      };
+
+      item.timeout = setTimeout(() => this.expire(item), this.timeoutMs);
+      item.timeout.unref?.();
+
+      this.pending.push(item);
+      this.pending.sort((a, b) => b.priority - a.priority || a.sequence - b.sequence);
+      this.drain();
+    });
+  }
+
+  keyState(key) {
+    if (!this.keys.has(key)) {
+      this.keys.set(key, { active: 0, starts: [] });
+    }
+    return this.keys.get(key);
+  }
+
+  keyLimits(key) {
+    return {
+      concurrency: Infinity,
+      requestsPerSecond: Infinity,
+      ...this.defaultKeyLimits,
+      ...this.limits[key]
+    };
+  }
+
+  pruneStarts(starts, now) {
+    while (starts.length && now - starts[0] >= RATE_WINDOW_MS) {
+      starts.shift();
+    }
+  }
+
+  /**
+   * Milliseconds until the item may start, 0 if it can start now
+   */
+  waitTime(item, now) {
+    const keyState = this.keyState(item.key);
+    const limits = this.keyLimits(item.key);
+
+    if (this.active >= this.concurrency || keyState.active >= limits.concurrency) {
+      // Freed by a completing task, which triggers drain
+      return Infinity;
+    }
+
+    this.pruneStarts(this.starts, now);
+    this.pruneStarts(keyState.starts, now);
+
+    let wait = 0;
+    if (this.starts.length >= this.requestsPerSecond) {
+      wait = Math.max(wait, this.starts[0] + RATE_WINDOW_MS - now);
+    }
+    if (keyState.starts.length >= limits.requestsPerSecond) {
+      wait = Math.max(wait, keyState.starts[0] + RATE_WINDOW_MS - now);
+    }
+    return wait;
+  }
+
+  drain() {
+    const now = Date.now();
+    let nextWake = Infinity;
+
+    for (let i = 0; i < this.pending.length && this.active < this.concurrency;) {
+      const item = this.pending[i];
+      const wait = this.waitTime(item, now);
+
+      if (wait > 0) {
+        nextWake = Math.min(nextWake, wait);
+        i++;
+        continue;
+      }
+
+      this.pending.splice(i, 1);
+      this.start(item, now);
+    }
+
+    if (nextWake !== Infinity && !this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, nextWake);
+      this.timer.unref?.();
+    }
+  }
+
+  start(item, now) {
+    clearTimeout(item.timeout);
+
+    const keyState = this.keyState(item.key);
+    const waitMs = now - item.enqueuedAt;
+    const depth = this.pending.length;
+
+    this.active++;
+    keyState.active++;
+    this.starts.push(now);
+    keyState.starts.push(now);
+
+    this.stats.totalWaitMs += waitMs;
+    this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitMs);
+
+    if (waitMs >= this.slowWaitMs) {
+      logger.warn('Request waited in queue', {
+        queue: this.name,
+        key: item.key,
+        priority: item.priority,
+        waitMs,
+        depth,
+        active: this.active
+      });
+    }
+
+    Promise.resolve()
+      .then(() => item.task({ waitMs, depth }))
+      .then(item.resolve, item.reject)
+      .finally(() => {
+        this.active--;
+        keyState.active--;
+        this.stats.completed++;
+        this.drain();
+      });
+  }
+
+  expire(item) {
+    const index = this.pending.indexOf(item);
+    if (index === -1) {
+      return;
+    }
+
+    this.pending.splice(index, 1);
+    this.stats.timedOut++;
+
+    logger.warn('Request timed out in queue', {
+      queue: this.name,
+      key: item.key,
+      priority: item.priority,
+      timeoutMs: this.timeoutMs,
+      depth: this.pending.length,
+      active: this.active
+    });
+
+    const error = new Error(`${this.name} request queue timed out after ${this.timeoutMs}ms`);
+    error.code = 'XENDIT_QUEUE_TIMEOUT';
+    error.statusCode = 503;
+    item.reject(error);
+  }
+
+  /**
+   * Snapshot of queue depth and wait times for health checks
+   */
+  getStats() {
+    const started = this.stats.completed + this.active;
+
+    return {
+      depth: this.pending.length,
+      active: this.active,
+      concurrency: this.concurrency,
+      requestsPerSecond: this.requestsPerSecond,
+      completed: this.stats.completed,
+      timedOut: this.stats.timedOut,
+      averageWaitMs: started ? Math.round(this.stats.totalWaitMs / started) : 0,
+      maxWaitMs: this.stats.maxWaitMs,
+      depthByKey: this.pending.reduce((depth, item) => {
+        depth[item.key] = (depth[item.key] || 0) + 1;
+        return depth;
+      }, {})
+    };
+  }
+}
+
+module.exports = RequestQueue;
@@ -0,0 +1,78 @@
+/**
+ * Allowed moves for a booking's transaction.status.
+ * Webhooks can arrive out of order (e.g. a late payment_request.expiry after
+ * payment.succeeded), so a status is only applied when the current one allows it.
+ * Re-applying the current status is allowed so redeliveries can fill in details.
+ */
+const TRANSACTION_STATUS_TRANSITIONS = {
+  pending: ['pending', 'authorized', 'completed', 'failed', 'cancelled', 'expired'],
+  authorized: ['authorized', 'completed', 'failed', 'cancelled', 'expired'],
+  completed: ['completed', 'partially_refunded', 'refunded'],
+  partially_refunded: ['partially_refunded', 'refunded'],
+  refunded: ['refunded'],
+  failed: ['failed'],
+  cancelled: ['cancelled'],
+  expired: ['expired']
+};
+
+/**
+ * Extra moves when the status comes from a new payment attempt becoming the active one:
+ * the customer can still pay with a new payment request after one failed or lapsed
+ */
+const NEW_ATTEMPT_TRANSITIONS = {
+  failed: ['pending', 'authorized', 'completed'],
+  cancelled: ['pending', 'authorized', 'completed'],
+  expired: ['pending', 'authorized', 'completed']
+};
+
+/**
+ * Map a Xendit payment, payment request or invoice status to our transaction status
+ * @param {string} xenditStatus - Status from Xendit
+ * @returns {string} - Mapped status, 'unknown' for statuses we don't track
+ */
+const mapXenditStatus = (xenditStatus) => {
+  const statusMap = {
+    'SUCCEEDED': 'completed',
+    // Invoice statuses
+    'PAID': 'completed',
+    'SETTLED': 'completed',
+    'AUTHORIZED': 'authorized',
+    'PENDING': 'pending',
+    // Payment request states before the customer has paid
+    'REQUIRES_ACTION': 'pending',
+    'ACCEPTING_PAYMENTS': 'pending',
+    'FAILED': 'failed',
+    'CANCELED': 'cancelled',
+    'EXPIRED': 'expired'
+  };
+
+  return statusMap[xenditStatus] || 'unknown';
+};
+
+/**
+ * Whether a transaction may move from one status to another
+ * @param {string|undefined} from - Current transaction.status, if any
+ * @param {string} to - Mapped status from the incoming event
+ * @param {object} options
+ * @param {boolean} options.newAttempt - The status comes from a payment attempt that becomes the active one
+ * @returns {boolean}
+ */
+const canTransition = (from, to, { newAttempt = false } = {}) => {
+  if (!TRANSACTION_STATUS_TRANSITIONS[to]) {
+    return false;
+  }
+
+  // Bookings without a (recognised) status yet accept any known status
+  if (!TRANSACTION_STATUS_TRANSITIONS[from]) {
+    return true;
+  }
+
+  return TRANSACTION_STATUS_TRANSITIONS[from].includes(to) ||
+    (newAttempt && (NEW_ATTEMPT_TRANSITIONS[from] || []).includes(to));
+};
+
+module.exports = {
+  TRANSACTION_STATUS_TRANSITIONS,
+  mapXenditStatus,
+  canTransition
+};
@@ -35,7 +35,17 @@ const createPaymentRequestSchema = Joi.alternatives().try(
     country: Joi.string().valid('ID', 'PH', 'VN', 'TH', 'SG', 'MY').required(),
     currency: Joi.string().valid('IDR', 'PHP', 'VND', 'THB', 'SGD', 'MYR', 'USD').required(),
     channel_code: Joi.string().required(),
-    channel_properties: Joi.object().required(),
+    // Charging a saved payment method: only PAY is allowed and channel_properties become optional
+    payment_token_id: Joi.string().when('type', {
+      is: 'PAY',
+      then: Joi.optional(),
+      otherwise: Joi.forbidden()
+    }),
+    channel_properties: Joi.object().when('payment_token_id', {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.required()
+    }),
     request_amount: Joi.number().min(0).required(),
     capture_method: Joi.string().valid('AUTOMATIC', 'MANUAL').default('AUTOMATIC'),
     description: Joi.string().min(1).max(1000).optional(),
@@ -136,22 +146,132 @@ const listInvoicesSchema = Joi.object({
   recurring_payment_id: Joi.string().optional()
 });
 
-// Webhook schema - supports both payment and payment_request events
-const webhookSchema = Joi.object({
-  event: Joi.string().valid(
-    // Payment events
-    'payment.capture',
-    'payment.authorization',
-    'payment.failure',
-    'payment.failed',
-    'payment.succeeded',
-    // Capture events
-    'capture.succeeded',
-    // Payment Request events
-    'payment_request.expiry',
-    'payment_request.succeeded',
-    'payment_request.failed'
-  ).required(),
+// Customer schemas
+const customerIndividualDetailSchema = Joi.object({
+  given_names: Joi.string().min(1).max(255).required(),
+  surname: Joi.string().max(255).optional(),
+  nationality: Joi.string().length(2).optional(),
+  place_of_birth: Joi.string().optional(),
+  date_of_birth: Joi.string().isoDate().optional(),
+  gender: Joi.string().valid('MALE', 'FEMALE', 'OTHER').optional()
+});
+
+const customerBusinessDetailSchema = Joi.object({
+  business_name: Joi.string().min(1).max(255).required(),
+  business_type: Joi.string().optional(),
+  nature_of_business: Joi.string().optional(),
+  business_domicile: Joi.string().optional(),
+  date_of_registration: Joi.string().isoDate().optional()
+});
+
+const createCustomerSchema = Joi.object({
+  reference_id: Joi.string().min(1).max(255).required(),
+  type: Joi.string().valid('INDIVIDUAL', 'BUSINESS').required(),
+  individual_detail: customerIndividualDetailSchema.when('type', {
+    is: 'INDIVIDUAL',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  business_detail: customerBusinessDetailSchema.when('type', {
+    is: 'BUSINESS',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  email: Joi.string().email().max(50).optional(),
+  mobile_number: Joi.string().min(1).max(50).optional(),
+  phone_number: Joi.string().min(1).max(50).optional(),
+  description: Joi.string().max(1000).optional(),
+  addresses: Joi.array().items(Joi.object()).optional(),
+  metadata: metadataSchema.optional()
+});
+
+const updateCustomerSchema = Joi.object({
+  individual_detail: customerIndividualDetailSchema.optional(),
+  business_detail: customerBusinessDetailSchema.optional(),
+  email: Joi.string().email().max(50).optional(),
+  mobile_number: Joi.string().min(1).max(50).optional(),
+  phone_number: Joi.string().min(1).max(50).optional(),
+  description: Joi.string().max(1000).optional(),
+  addresses: Joi.array().items(Joi.object()).optional(),
+  metadata: metadataSchema.optional()
+}).min(1);
+
+const searchCustomersSchema = Joi.object({
+  reference_id: Joi.string().min(1).max(255).required()
+});
+
+// Refund schemas
+const createRefundSchema = Joi.object({
+  payment_request_id: Joi.string().optional(),
+  invoice_id: Joi.string().optional(),
+  reference_id: Joi.string().min(1).max(255).optional(),
+  amount: Joi.number().positive().optional(),
+  currency: Joi.string().valid('IDR', 'PHP', 'VND', 'THB', 'SGD', 'MYR', 'USD').optional(),
+  reason: Joi.string().valid('FRAUDULENT', 'DUPLICATE', 'REQUESTED_BY_CUSTOMER', 'CANCELLATION', 'OTHERS').required(),
+  metadata: metadataSchema.optional()
+}).xor('payment_request_id', 'invoice_id');
+
+const listRefundsSchema = Joi.object({
+  payment_request_id: Joi.string().optional(),
+  invoice_id: Joi.string().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  after_id: Joi.string().optional(),
+  before_id: Joi.string().optional()
+});
+
+// Payout schemas
+// E-wallet payout channels; every other channel code is treated as a bank
+const EWALLET_PAYOUT_CHANNELS = [
+  'ID_OVO', 'ID_DANA', 'ID_GOPAY', 'ID_SHOPEEPAY', 'ID_LINKAJA',
+  'PH_GCASH', 'PH_PAYMAYA', 'PH_GRABPAY', 'PH_SHOPEEPAY',
+  'VN_MOMO', 'VN_ZALOPAY', 'VN_VIETTELPAY',
+  'TH_TRUEMONEY'
+];
+
+const bankPayoutPropertiesSchema = Joi.object({
+  account_holder_name: Joi.string().min(1).max(100).required(),
+  account_number: Joi.string().pattern(/^[0-9A-Za-z-]+$/).min(1).max(50).required(),
+  account_type: Joi.string().valid('BANK_ACCOUNT').optional()
+});
+
+const ewalletPayoutPropertiesSchema = Joi.object({
+  account_holder_name: Joi.string().min(1).max(100).required(),
+  account_number: Joi.string().min(1).max(100).required(),
+  account_type: Joi.string().valid('MOBILE_NO', 'EMAIL', 'NATIONAL_ID', 'PASSPORT', 'BUSINESS_REGISTRATION').optional()
+});
+
+const createPayoutSchema = Joi.object({
+  reference_id: Joi.string().min(1).max(255).required(),
+  // Bookings this payout settles
+  booking_ids: Joi.array().items(Joi.string().min(1)).min(1).unique().required(),
+  channel_code: Joi.string().pattern(/^[A-Z]{2}_[A-Z0-9_]+$/).required(),
+  channel_properties: Joi.when('channel_code', {
+    is: Joi.valid(...EWALLET_PAYOUT_CHANNELS),
+    then: ewalletPayoutPropertiesSchema.required(),
+    otherwise: bankPayoutPropertiesSchema.required()
+  }),
+  amount: Joi.number().positive().required(),
+  currency: Joi.string().valid('IDR', 'PHP', 'VND', 'THB', 'MYR').required(),
+  description: Joi.string().max(100).optional(),
+  receipt_notification: Joi.object({
+    email_to: Joi.array().items(Joi.string().email()).max(3).optional(),
+    email_cc: Joi.array().items(Joi.string().email()).max(3).optional(),
+    email_bcc: Joi.array().items(Joi.string().email()).max(3).optional()
+  }).optional(),
+  metadata: metadataSchema.optional()
+});
+
+const listPayoutsSchema = Joi.object({
+  reference_id: Joi.string().min(1).max(255).required(),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  after_id: Joi.string().optional(),
+  before_id: Joi.string().optional()
+});
+
+// Webhook schema - supports both payment and payment_request events.
+// Built from the events that have registered handlers (see features/webhooks/registry)
+const buildWebhookSchema = (events) => Joi.object({
+  event: Joi.string().valid(...events).required(),
   business_id: Joi.string().required(),
   created: Joi.string().isoDate().required(),
   api_version: Joi.string().optional(),
@@ -165,10 +285,16 @@ const webhookSchema = Joi.object({
     currency: Joi.string().allow(null, '').optional(),
     business_id: Joi.string().allow(null, '').optional(),
     channel_code: Joi.string().allow(null, '').optional(),
-    reference_id: Joi.string().required(),
+    // Refund events identify the booking through payment_request_id/metadata instead
+    reference_id: Joi.string().when('/event', {
+      is: Joi.string().pattern(/^refund\./),
+      then: Joi.optional().allow(null, ''),
+      otherwise: Joi.required()
+    }),
     capture_method: Joi.string().allow(null, '').optional(),
     request_amount: Joi.number().allow(null).optional(),
     payment_request_id: Joi.string().allow(null, '').optional(),
+    payment_token_id: Joi.string().allow(null, '').optional(),
     
     // Payment-specific fields (optional for payment_request events)
     payment_id: Joi.string().allow(null, '').optional(),
@@ -202,10 +328,151 @@ const webhookSchema = Joi.object({
     
     // Capture-specific fields
     authorized_amount: Joi.number().allow(null).optional(),
-    captured_amount: Joi.number().allow(null).optional()
+    captured_amount: Joi.number().allow(null).optional(),
+
+    // Refund-specific fields
+    invoice_id: Joi.string().allow(null, '').optional(),
+    reason: Joi.string().allow(null, '').optional()
   }).required().unknown(true) // Allow additional fields in data object
 }).unknown();
 
+// Invoice callbacks are the bare invoice object, without an event envelope
+const invoiceCallbackSchema = Joi.object({
+  id: Joi.string().required(),
+  external_id: Joi.string().required(),
+  user_id: Joi.string().required(),
+  status: Joi.string().valid('PAID', 'SETTLED', 'EXPIRED').required(),
+  amount: Joi.number().required(),
+  paid_amount: Joi.number().allow(null).optional(),
+  currency: Joi.string().allow(null, '').optional(),
+  paid_at: Joi.string().isoDate().allow(null, '').optional(),
+  payment_method: Joi.string().allow(null, '').optional(),
+  payment_channel: Joi.string().allow(null, '').optional(),
+  payment_id: Joi.string().allow(null, '').optional(),
+  description: Joi.string().allow(null, '').optional(),
+  created: Joi.string().isoDate().required(),
+  updated: Joi.string().isoDate().required()
+}).unknown(true); // Xendit adds channel specific fields (bank_code, payment_destination, ...)
+
+const listWebhooksSchema = Joi.object({
+  event: Joi.string().optional(),
+  status: Joi.string().valid('received', 'processing', 'succeeded', 'ignored', 'failed', 'dead_letter').optional(),
+  reference_id: Joi.string().optional(),
+  from: Joi.string().isoDate().optional(),
+  to: Joi.string().isoDate().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().optional()
+});
+
+const listFailedWebhooksSchema = listWebhooksSchema.keys({
+  status: Joi.string().valid('failed', 'dead_letter').optional()
+});
+
+const listBookingConflictsSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().optional()
+});
+
+const listPaymentLogsSchema = Joi.object({
+  booking_id: Joi.string().optional(),
+  payment_request_id: Joi.string().optional(),
+  event: Joi.string().optional(),
+  status: Joi.string().uppercase().optional(),
+  channel_code: Joi.string().uppercase().optional(),
+  from: Joi.string().isoDate().optional(),
+  to: Joi.string().isoDate().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().optional()
+});
+
+const bookingTimelineSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  cursor: Joi.string().optional()
+});
+
+const replayWebhookSchema = Joi.object({
+  dryRun: Joi.boolean().default(false)
+});
+
+// Bulk replays need at least one filter so nobody replays the whole inbox by accident
+const replayWebhooksSchema = Joi.object({
+  event: Joi.string().optional(),
+  status: Joi.string().valid('received', 'processing', 'succeeded', 'ignored', 'failed', 'dead_letter').optional(),
+  reference_id: Joi.string().optional(),
+  from: Joi.string().isoDate().optional(),
+  to: Joi.string().isoDate().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  cursor: Joi.string().optional(),
+  dryRun: Joi.boolean().default(false)
+}).or('event', 'status', 'reference_id', 'from', 'to');
+
+const reconcilePendingBookingsSchema = Joi.object({
+  older_than_minutes: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(500).default(50),
+  dryRun: Joi.boolean().default(false)
+});
+
+// Subscription event filters: an event name, a prefix wildcard such as payment.*, or * for every event
+const subscriptionEventSchema = Joi.string().pattern(/^(\*|[a-z_]+\.(\*|[a-z_]+))$/);
+
+const createSubscriptionSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['https', 'http'] }).max(2048).required(),
+  events: Joi.array().items(subscriptionEventSchema).min(1).unique().required(),
+  description: Joi.string().max(255).optional(),
+  active: Joi.boolean().default(true)
+});
+
+const updateSubscriptionSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['https', 'http'] }).max(2048).optional(),
+  events: Joi.array().items(subscriptionEventSchema).min(1).unique().optional(),
+  description: Joi.string().max(255).allow(null).optional(),
+  active: Joi.boolean().optional()
+}).min(1);
+
+const listSubscriptionDeliveriesSchema = Joi.object({
+  status: Joi.string().valid('pending', 'succeeded', 'failed', 'dead_letter', 'cancelled').optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().optional()
+});
+
+// Booking status rules (see src/shared/config/bookingStatusRules.json)
+const ruleValueSchema = Joi.alternatives(Joi.string(), Joi.number(), Joi.boolean()).allow(null);
+const ruleStatusesSchema = Joi.alternatives(Joi.string(), Joi.array().items(Joi.string()).min(1));
+
+// A literal value to compare with, or an operator object
+const ruleConditionSchema = Joi.alternatives(
+  ruleValueSchema,
+  Joi.object({
+    equals: ruleValueSchema,
+    in: Joi.array().items(ruleValueSchema).min(1),
+    notIn: Joi.array().items(ruleValueSchema).min(1),
+    empty: Joi.boolean(),
+    exists: Joi.boolean()
+  }).min(1)
+);
+
+const bookingStatusRulesSchema = Joi.object({
+  rules: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    description: Joi.string().optional(),
+    when: Joi.object({
+      xenditStatus: ruleStatusesSchema.optional(),
+      transactionStatus: ruleStatusesSchema.optional(),
+      previousStatus: ruleStatusesSchema.optional(),
+      booking: Joi.object().pattern(Joi.string(), ruleConditionSchema).optional()
+    }).default({}),
+    // transaction.* belongs to the status transition table, rules only set booking fields
+    set: Joi.object().pattern(Joi.string().pattern(/^(?!transaction(\.|$))[A-Za-z_][\w.]*$/), ruleValueSchema).min(1).required()
+  })).unique('name').required()
+});
+
+const testBookingStatusRulesSchema = Joi.object({
+  booking: Joi.object().unknown(true).required(),
+  status: Joi.string().required(),
+  // Unsaved rules to try out; the active rules are used otherwise
+  rules: bookingStatusRulesSchema.optional()
+});
+
 module.exports = {
   createPaymentRequestSchema,
   cancelPaymentRequestSchema,
@@ -213,5 +480,26 @@ module.exports = {
   capturePaymentSchema,
   createInvoiceSchema,
   listInvoicesSchema,
-  webhookSchema
-};
\ No newline at end of file
+  createCustomerSchema,
+  updateCustomerSchema,
+  searchCustomersSchema,
+  createRefundSchema,
+  listRefundsSchema,
+  createPayoutSchema,
+  listPayoutsSchema,
+  buildWebhookSchema,
+  invoiceCallbackSchema,
+  listWebhooksSchema,
+  listFailedWebhooksSchema,
+  listBookingConflictsSchema,
+  listPaymentLogsSchema,
+  bookingTimelineSchema,
+  replayWebhookSchema,
+  replayWebhooksSchema,
+  createSubscriptionSchema,
+  updateSubscriptionSchema,
+  listSubscriptionDeliveriesSchema,
+  reconcilePendingBookingsSchema,
+  bookingStatusRulesSchema,
+  testBookingStatusRulesSchema
+};
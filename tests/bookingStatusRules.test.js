@@ -0,0 +1,188 @@
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const storage = require('../src/shared/storage');
+const errorHandler = require('../src/shared/middleware/errorHandler');
+const jwtService = require('../src/shared/services/jwtService');
+const userService = require('../src/shared/services/userService');
+const bookingRuleRoutes = require('../src/features/booking-rules');
+const {
+  parseBookingStatusRules,
+  loadBookingStatusRulesFile,
+  evaluateBookingStatusRules
+} = require('../src/shared/utils/bookingStatusRules');
+
+const defaultRules = loadBookingStatusRulesFile(path.join(__dirname, '../src/shared/config/bookingStatusRules.json'));
+
+const evaluate = (booking, transactionStatus = 'completed') => evaluateBookingStatusRules(defaultRules, {
+  booking,
+  xenditStatus: 'SUCCEEDED',
+  transactionStatus,
+  previousStatus: 'pending'
+});
+
+describe('evaluateBookingStatusRules', () => {
+  it('should mark paid bookings without content as Content Pending', () => {
+    expect(evaluate({ payLater: false, url: '  ' })).toMatchObject({
+      rule: 'paid-awaiting-content',
+      changes: { status: 'Content Pending' }
+    });
+    expect(evaluate({}).changes).toEqual({ status: 'Content Pending' });
+  });
+
+  it('should leave the status of paid bookings that already have content alone', () => {
+    expect(evaluate({ payLater: null, url: 'https://cdn.example.com/a.mp4' })).toMatchObject({
+      rule: null,
+      changes: {}
+    });
+  });
+
+  it('should leave the booking alone when no rule matches', () => {
+    const result = evaluate({ payLater: true, url: '' });
+
+    expect(result).toMatchObject({ rule: null, changes: {} });
+    expect(result.trace[0].failures).toEqual(['payLater is true, expected one of [false,null]']);
+    expect(evaluate({ payLater: false, url: '' }, 'failed').rule).toBeNull();
+  });
+
+  it('should support nested fields and exists checks', () => {
+    const rules = parseBookingStatusRules({
+      rules: [{
+        name: 'vip',
+        when: { xenditStatus: ['SUCCEEDED', 'PAID'], booking: { 'customer.tier': 'vip', coupon: { exists: false } } },
+        set: { status: 'Priority', 'flags.vip': true }
+      }]
+    });
+
+    const context = { xenditStatus: 'PAID', transactionStatus: 'completed' };
+    expect(evaluateBookingStatusRules(rules, { ...context, booking: { customer: { tier: 'vip' } } }).changes)
+      .toEqual({ status: 'Priority', 'flags.vip': true });
+    expect(evaluateBookingStatusRules(rules, { ...context, booking: { customer: { tier: 'vip' }, coupon: 'X' } }).rule)
+      .toBeNull();
+  });
+
+  it('should reject rules that set transaction fields', () => {
+    expect(() => parseBookingStatusRules({
+      rules: [{ name: 'bad', when: {}, set: { 'transaction.status': 'completed' } }]
+    })).toThrow('Invalid booking status rules');
+  });
+});
+
+describe('Storage.getBookingStatusRules', () => {
+  const originalSource = process.env.BOOKING_STATUS_RULES_SOURCE;
+
+  afterEach(() => {
+    storage.bookingStatusRules = null;
+  });
+
+  afterAll(() => {
+    process.env.BOOKING_STATUS_RULES_SOURCE = originalSource;
+  });
+
+  it('should load the rules file and cache it', async () => {
+    const first = await storage.getBookingStatusRules();
+    const second = await storage.getBookingStatusRules();
+
+    expect(first.source).toBe('file');
+    expect(first.rules).toEqual(defaultRules);
+    expect(second).toBe(first);
+  });
+
+  it('should load a config doc and keep the previous rules when a reload fails', async () => {
+    let service;
+    jest.isolateModules(() => {
+      process.env.BOOKING_STATUS_RULES_SOURCE = 'firestore';
+      service = require('../src/shared/storage');
+    });
+
+    service.use('memory', {
+      seed: { config: { bookingStatusRules: { rules: [{ name: 'custom', set: { status: 'Booked' } }] } } }
+    });
+
+    const loaded = await service.getBookingStatusRules();
+    expect(loaded.source).toBe('firestore');
+    expect(loaded.rules.rules[0].name).toBe('custom');
+
+    service.store.seed({ config: { bookingStatusRules: { rules: 'nope' } } });
+    await expect(service.getBookingStatusRules({ refresh: true })).resolves.toBe(loaded);
+
+    service.store.clear();
+    await expect(service.getBookingStatusRules({ refresh: true })).resolves.toMatchObject({ source: 'file' });
+  });
+});
+
+describe('Booking rule routes', () => {
+  let app;
+  let token;
+
+  beforeEach(() => {
+    userService.users = [
+      { id: 'admin-1', role: 'admin', username: 'ops' },
+      { id: 'user-1', role: 'user', username: 'guest' }
+    ];
+    token = jwtService.generateAccessToken({ userId: 'admin-1' });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/booking-rules', bookingRuleRoutes);
+    app.use(errorHandler);
+  });
+
+  it('should evaluate the active rules against a sample booking', async () => {
+    const response = await request(app)
+      .post('/api/v1/booking-rules/test')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'SUCCEEDED', booking: { payLater: false, url: '', transaction: { status: 'pending' } } })
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({
+      source: 'file',
+      transactionStatus: 'completed',
+      previousStatus: 'pending',
+      transitionAllowed: true,
+      rule: 'paid-awaiting-content',
+      changes: { status: 'Content Pending' }
+    });
+  });
+
+  it('should evaluate rules sent with the request', async () => {
+    const response = await request(app)
+      .post('/api/v1/booking-rules/test')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        status: 'EXPIRED',
+        booking: { transaction: { status: 'pending' } },
+        rules: { rules: [{ name: 'lapsed', when: { transactionStatus: 'expired' }, set: { status: 'Cancelled' } }] }
+      })
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({ source: 'request', rule: 'lapsed', changes: { status: 'Cancelled' } });
+  });
+
+  it('should not apply rules when the transition is rejected', async () => {
+    const response = await request(app)
+      .post('/api/v1/booking-rules/test')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'EXPIRED', booking: { transaction: { status: 'completed' } } })
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({ transitionAllowed: false, rule: null, changes: {} });
+  });
+
+  it('should reject invalid rules', async () => {
+    const response = await request(app)
+      .post('/api/v1/booking-rules/test')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'SUCCEEDED', booking: {}, rules: { rules: [{ name: 'x', set: { 'transaction.status': 'completed' } }] } })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('should require an admin', async () => {
+    await request(app)
+      .get('/api/v1/booking-rules')
+      .set('Authorization', `Bearer ${jwtService.generateAccessToken({ userId: 'user-1' })}`)
+      .expect(403);
+  });
+});
@@ -0,0 +1,74 @@
+const request = require('supertest');
+const express = require('express');
+const storage = require('../src/shared/storage');
+const errorHandler = require('../src/shared/middleware/errorHandler');
+const jwtService = require('../src/shared/services/jwtService');
+const userService = require('../src/shared/services/userService');
+const bookingRoutes = require('../src/features/bookings');
+
+describe('Booking payment attempts', () => {
+  let app;
+
+  const listAttempts = (userId) => request(app)
+    .get('/api/v1/bookings/booking-1/payments')
+    .set('Authorization', `Bearer ${jwtService.generateAccessToken({ userId })}`);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    userService.users = [
+      { id: 'user-1', role: 'user', username: 'guest' },
+      { id: 'user-2', role: 'user', username: 'other' },
+      { id: 'admin-1', role: 'admin', username: 'ops' }
+    ];
+    storage.use('memory', {
+      seed: {
+        booking: {
+          'booking-1': { userId: 'user-1', transaction: { status: 'completed', activeAttemptId: 'pr-2' } }
+        },
+        'booking/booking-1/payments': {
+          'pr-2': { type: 'payment_request', status: 'completed', channelCode: 'CARDS', createdAt: '2025-01-01T10:05:00Z' },
+          'pr-1': {
+            type: 'payment_request',
+            status: 'failed',
+            channelCode: 'GCASH',
+            failureCode: 'INSUFFICIENT_BALANCE',
+            createdAt: '2025-01-01T10:00:00Z'
+          }
+        }
+      }
+    });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/bookings', bookingRoutes);
+    app.use(errorHandler);
+  });
+
+  it('should list every attempt with the active one', async () => {
+    const response = await listAttempts('user-1').expect(200);
+
+    expect(response.body.data).toMatchObject({
+      bookingId: 'booking-1',
+      status: 'completed',
+      activeAttemptId: 'pr-2'
+    });
+    expect(response.body.data.attempts.map(attempt => attempt.id)).toEqual(['pr-1', 'pr-2']);
+    expect(response.body.data.attempts.map(attempt => attempt.status)).toEqual(['failed', 'completed']);
+  });
+
+  it('should only show bookings to their owner and admins', async () => {
+    const response = await listAttempts('user-2').expect(403);
+    expect(response.body.error.code).toBe('BOOKING_NOT_OWNED');
+
+    await listAttempts('admin-1').expect(200);
+  });
+
+  it('should return 404 for unknown bookings', async () => {
+    const response = await request(app)
+      .get('/api/v1/bookings/booking-2/payments')
+      .set('Authorization', `Bearer ${jwtService.generateAccessToken({ userId: 'admin-1' })}`)
+      .expect(404);
+
+    expect(response.body.error.code).toBe('BOOKING_NOT_FOUND');
+  });
+});
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xenditClient = require('../src/shared/services/xenditClient');
+const XenditApiError = require('../src/shared/errors/xenditApiError');
+const { createXenditEmulator } = require('../src/emulator/xenditEmulator');
+const { createPaymentRequestSchema } = require('../src/shared/validation/schemas');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'cassettes');
+
+const cardPaymentRequest = {
+  reference_id: 'booking-lifecycle-1',
+  type: 'PAY',
+  country: 'ID',
+  currency: 'IDR',
+  channel_code: 'CARDS',
+  channel_properties: {
+    mid_label: 'CTV_TEST',
+    card_details: {
+      cvn: '123',
+      card_number: '4000000000001091',
+      expiry_year: '2029',
+      expiry_month: '12',
+      cardholder_first_name: 'John',
+      cardholder_last_name: 'Doe',
+      cardholder_email: 'john@example.com',
+      cardholder_phone_number: '+6281234567890'
+    },
+    skip_three_ds: false,
+    failure_return_url: 'https://xendit.co/failure',
+    success_return_url: 'https://xendit.co/success'
+  },
+  request_amount: 10000,
+  capture_method: 'AUTOMATIC',
+  description: 'Booking payment'
+};
+
+describe('Xendit cassettes', () => {
+  afterEach(() => {
+    xenditClient.ejectCassette();
+  });
+
+  describe('replay', () => {
+    beforeEach(() => {
+      xenditClient.useCassette('payment-request-lifecycle', 'replay', FIXTURES_DIR);
+    });
+
+    it('should serve recorded responses without calling the network', async () => {
+      const created = await xenditClient.createPaymentRequest(cardPaymentRequest);
+      const paymentRequest = await xenditClient.getPaymentRequest(created.payment_request_id);
+      const payment = await xenditClient.getPayment(paymentRequest.latest_payment_id);
+
+      expect(created.status).toBe('REQUIRES_ACTION');
+      expect(paymentRequest.status).toBe('SUCCEEDED');
+      expect(payment.captures[0].capture_amount).toBe(10000);
+    });
+
+    it('should replay recorded Xendit errors as XenditApiError', async () => {
+      const error = await xenditClient.getPayment('py-00000000-0000-0000-0000-000000000000').catch(err => err);
+
+      expect(error).toBeInstanceOf(XenditApiError);
+      expect(error).toMatchObject({ status: 404, errorCode: 'DATA_NOT_FOUND', resource: 'PAYMENT' });
+    });
+
+    it('should fail loudly for requests that were never recorded', async () => {
+      await expect(xenditClient.getInvoice('unknown')).rejects.toThrow('No recorded interaction');
+    });
+
+    it('should keep recorded requests valid against our request schemas', () => {
+      const { interactions } = JSON.parse(
+        fs.readFileSync(path.join(FIXTURES_DIR, 'payment-request-lifecycle.json'), 'utf8')
+      );
+
+      interactions
+        .filter(({ request }) => request.method === 'POST' && request.url === '/v3/payment_requests')
+        .forEach(({ request }) => {
+          expect(createPaymentRequestSchema.validate(request.body).error).toBeUndefined();
+        });
+    });
+  });
+
+  describe('record', () => {
+    let emulatorServer;
+    let dir;
+
+    beforeAll(async () => {
+      const { app } = createXenditEmulator({ webhookUrl: 'http://127.0.0.1:1/unused' });
+      emulatorServer = await new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+      });
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassettes-'));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => emulatorServer.close(resolve));
+      fs.rmSync(dir, { recursive: true, force: true });
+      xenditClient.baseURL = process.env.XENDIT_BASE_URL;
+      xenditClient.initialize();
+    });
+
+    it('should record redacted interactions that replay identically', async () => {
+      xenditClient.baseURL = `http://127.0.0.1:${emulatorServer.address().port}`;
+      xenditClient.initialize();
+      xenditClient.useCassette('recorded', 'record', dir);
+
+      const created = await xenditClient.createPaymentRequest(cardPaymentRequest);
+      await xenditClient.getPaymentRequest(created.payment_request_id);
+
+      const file = fs.readFileSync(path.join(dir, 'recorded.json'), 'utf8');
+      expect(file).not.toContain('4000000000001091');
+      expect(file).not.toContain('john@example.com');
+      expect(file).not.toMatch(/Basic /);
+
+      xenditClient.useCassette('recorded', 'replay', dir);
+      const replayed = await xenditClient.getPaymentRequest(created.payment_request_id);
+
+      expect(replayed).toMatchObject({
+        payment_request_id: created.payment_request_id,
+        status: created.status,
+        request_amount: created.request_amount
+      });
+      expect(replayed.channel_properties.card_details.card_number).toBe('[REDACTED]');
+    });
+  });
+});
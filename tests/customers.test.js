@@ -0,0 +1,194 @@
+jest.mock('../src/shared/services/xenditClient', () => ({
+  createCustomer: jest.fn(async (data) => ({ id: 'cust-new', ...data })),
+  searchCustomers: jest.fn(async () => ({ data: [] })),
+  getCustomer: jest.fn(async (id) => ({ id })),
+  updateCustomer: jest.fn(async (id, data) => ({ id, ...data })),
+  cancelPaymentToken: jest.fn(async () => ({}))
+}));
+
+const request = require('supertest');
+const express = require('express');
+const storage = require('../src/shared/storage');
+const xenditClient = require('../src/shared/services/xenditClient');
+const XenditApiError = require('../src/shared/errors/xenditApiError');
+const errorHandler = require('../src/shared/middleware/errorHandler');
+const jwtService = require('../src/shared/services/jwtService');
+const userService = require('../src/shared/services/userService');
+const customerRoutes = require('../src/features/customers');
+const customerService = require('../src/features/customers/service');
+const { storeSavedPaymentToken } = require('../src/features/customers/webhookHandlers');
+
+const payAndSave = {
+  type: 'PAY_AND_SAVE',
+  payment_request_id: 'pr-1',
+  payment_token_id: 'pt-1',
+  customer_id: 'cust-1',
+  channel_code: 'CARDS',
+  payment_details: { masked_card_number: '400000XXXXXX0002' }
+};
+
+describe('Customer service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage.use('memory', {
+      seed: { xendit_customers: { 'user-1': { ownerId: 'user-1', customerId: 'cust-1' } } }
+    });
+  });
+
+  it('should reuse the stored customer for a repeat booker', async () => {
+    await expect(customerService.resolveCustomerId('user-1', { type: 'INDIVIDUAL' })).resolves.toBe('cust-1');
+
+    expect(xenditClient.searchCustomers).not.toHaveBeenCalled();
+    expect(xenditClient.createCustomer).not.toHaveBeenCalled();
+  });
+
+  it('should remember a customer found at Xendit, and create one only with a profile', async () => {
+    xenditClient.searchCustomers.mockResolvedValueOnce({ data: [{ id: 'cust-2' }] });
+
+    await expect(customerService.resolveCustomerId('user-2')).resolves.toBe('cust-2');
+    await expect(storage.customers.getCustomerId('user-2')).resolves.toBe('cust-2');
+
+    await expect(customerService.resolveCustomerId('user-3')).resolves.toBeNull();
+    await expect(customerService.resolveCustomerId('user-3', { type: 'INDIVIDUAL' }, 'sub-1')).resolves.toBe('cust-new');
+    expect(xenditClient.createCustomer).toHaveBeenCalledWith(
+      { type: 'INDIVIDUAL', reference_id: 'user-3' },
+      { idempotencyKey: undefined, forUserId: 'sub-1' }
+    );
+    await expect(storage.customers.getCustomerId('user-3', 'sub-1')).resolves.toBe('cust-new');
+  });
+
+  it('should activate a saved token once its PAY_AND_SAVE payment succeeds', async () => {
+    await customerService.recordPaymentToken(payAndSave, 'PENDING');
+    await expect(customerService.assertPaymentTokenUsable('pt-1', { ownerId: 'user-1' }))
+      .rejects.toMatchObject({ code: 'PAYMENT_METHOD_NOT_ACTIVE', statusCode: 409 });
+
+    await storeSavedPaymentToken({ ...payAndSave, status: 'SUCCEEDED' });
+
+    await expect(storage.paymentTokens.get('pt-1')).resolves.toMatchObject({ customerId: 'cust-1', status: 'ACTIVE' });
+    await expect(customerService.assertPaymentTokenUsable('pt-1', { ownerId: 'user-1' })).resolves.toBeUndefined();
+  });
+
+  it('should not store tokens from payments that save nothing', async () => {
+    await storeSavedPaymentToken({ ...payAndSave, type: 'PAY' });
+
+    await expect(storage.paymentTokens.get('pt-1')).resolves.toBeNull();
+  });
+
+  it('should reject tokens of another customer and unknown tokens', async () => {
+    await storage.paymentTokens.save('pt-1', { customerId: 'cust-1', status: 'ACTIVE' });
+
+    await expect(customerService.assertPaymentTokenUsable('pt-1', { ownerId: 'user-2' }))
+      .rejects.toMatchObject({ code: 'PAYMENT_METHOD_CUSTOMER_MISMATCH', statusCode: 403 });
+    await expect(customerService.assertPaymentTokenUsable('pt-1', { ownerId: 'user-1', customerId: 'cust-9' }))
+      .rejects.toMatchObject({ code: 'PAYMENT_METHOD_CUSTOMER_MISMATCH', statusCode: 403 });
+    await expect(customerService.assertPaymentTokenUsable('pt-9', { ownerId: 'user-1' }))
+      .rejects.toMatchObject({ code: 'PAYMENT_METHOD_NOT_FOUND', statusCode: 404 });
+  });
+});
+
+describe('Customer routes', () => {
+  let app;
+
+  const as = (req, userId = 'user-1') => req.set('Authorization', `Bearer ${jwtService.generateAccessToken({ userId })}`);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    userService.users = [
+      { id: 'user-1', role: 'user', username: 'guest' },
+      { id: 'user-2', role: 'user', username: 'other' },
+      { id: 'admin-1', role: 'admin', username: 'ops' }
+    ];
+    storage.use('memory', {
+      seed: {
+        xendit_customers: {
+          'user-1': { ownerId: 'user-1', customerId: 'cust-1' },
+          'user-2': { ownerId: 'user-2', customerId: 'cust-2' }
+        },
+        payment_tokens: {
+          'pt-1': { customerId: 'cust-1', channelCode: 'CARDS', status: 'ACTIVE' },
+          'pt-2': { customerId: 'cust-2', channelCode: 'GCASH', status: 'ACTIVE' }
+        }
+      }
+    });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/customers', customerRoutes);
+    app.use(errorHandler);
+  });
+
+  it('should require authentication', async () => {
+    await request(app).get('/api/v1/customers/cust-1').expect(401);
+    await request(app).post('/api/v1/customers').send({}).expect(401);
+  });
+
+  it('should create a customer and remember it for the owner', async () => {
+    const response = await as(request(app).post('/api/v1/customers'), 'admin-1')
+      .send({ reference_id: 'user-3', type: 'INDIVIDUAL', individual_detail: { given_names: 'Juan' } })
+      .expect(201);
+
+    expect(response.body.data.id).toBe('cust-new');
+    await expect(storage.customers.getCustomerId('user-3')).resolves.toBe('cust-new');
+  });
+
+  it('should create and search customers only for the caller unless they are an admin', async () => {
+    await as(request(app).post('/api/v1/customers'))
+      .send({ reference_id: 'user-2', type: 'INDIVIDUAL', individual_detail: { given_names: 'Juan' } })
+      .expect(201);
+
+    expect(xenditClient.createCustomer).toHaveBeenCalledWith(expect.objectContaining({ reference_id: 'user-1' }), expect.anything());
+    await expect(storage.customers.getCustomerId('user-2')).resolves.toBe('cust-2');
+
+    await as(request(app).get('/api/v1/customers?reference_id=user-2')).expect(200);
+    expect(xenditClient.searchCustomers).toHaveBeenCalledWith({ reference_id: 'user-1' }, expect.anything());
+  });
+
+  it('should only let the owner or an admin read and update a customer', async () => {
+    await as(request(app).get('/api/v1/customers/cust-1')).expect(200);
+    await as(request(app).get('/api/v1/customers/cust-1'), 'admin-1').expect(200);
+
+    const read = await as(request(app).get('/api/v1/customers/cust-1'), 'user-2').expect(403);
+    expect(read.body.error.code).toBe('CUSTOMER_NOT_OWNED');
+
+    await as(request(app).patch('/api/v1/customers/cust-1'), 'user-2').send({ email: 'x@example.com' }).expect(403);
+    expect(xenditClient.getCustomer).toHaveBeenCalledTimes(2);
+    expect(xenditClient.updateCustomer).not.toHaveBeenCalled();
+  });
+
+  it('should list a customer\'s saved payment methods', async () => {
+    const response = await as(request(app).get('/api/v1/customers/cust-1/payment-methods')).expect(200);
+
+    expect(response.body.data).toEqual({
+      paymentMethods: [expect.objectContaining({ id: 'pt-1', channelCode: 'CARDS' })],
+      total: 1
+    });
+  });
+
+  it('should delete a saved payment method even if Xendit already removed it', async () => {
+    xenditClient.cancelPaymentToken.mockRejectedValueOnce(new XenditApiError('Not found', { status: 404 }));
+
+    await as(request(app).delete('/api/v1/customers/cust-1/payment-methods/pt-1')).expect(200);
+
+    await expect(storage.paymentTokens.get('pt-1')).resolves.toMatchObject({ status: 'DELETED' });
+    await as(request(app).delete('/api/v1/customers/cust-1/payment-methods/pt-1')).expect(404);
+  });
+
+  it('should hide and protect other users\' saved payment methods', async () => {
+    const list = await as(request(app).get('/api/v1/customers/cust-1/payment-methods'), 'user-2').expect(403);
+    expect(list.body.error.code).toBe('CUSTOMER_NOT_OWNED');
+
+    await as(request(app).delete('/api/v1/customers/cust-1/payment-methods/pt-1'), 'user-2').expect(403);
+    expect(xenditClient.cancelPaymentToken).not.toHaveBeenCalled();
+    await expect(storage.paymentTokens.get('pt-1')).resolves.toMatchObject({ status: 'ACTIVE' });
+
+    await request(app).get('/api/v1/customers/cust-1/payment-methods').expect(401);
+    await as(request(app).get('/api/v1/customers/cust-1/payment-methods'), 'admin-1').expect(200);
+  });
+
+  it('should not delete another customer\'s payment method', async () => {
+    const response = await as(request(app).delete('/api/v1/customers/cust-1/payment-methods/pt-2')).expect(404);
+
+    expect(response.body.error.code).toBe('PAYMENT_METHOD_NOT_FOUND');
+    expect(xenditClient.cancelPaymentToken).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,93 @@
+const request = require('supertest');
+const express = require('express');
+const errorHandler = require('../src/shared/middleware/errorHandler');
+const Joi = require('joi');
+const AppError = require('../src/shared/errors/appError');
+const XenditApiError = require('../src/shared/errors/xenditApiError');
+
+const appThrowing = (error) => {
+  const app = express();
+  app.get('/', (req, res, next) => next(error));
+  app.use(errorHandler);
+  return app;
+};
+
+describe('errorHandler', () => {
+  describe('XenditApiError', () => {
+    it('should map Xendit 404 responses to a resource specific code', async () => {
+      const error = new XenditApiError('Payment not found', {
+        status: 404,
+        errorCode: 'DATA_NOT_FOUND',
+        resource: 'PAYMENT'
+      });
+
+      const response = await request(appThrowing(error)).get('/').expect(404);
+
+      expect(response.body).toEqual({
+        success: false,
+        error: {
+          code: 'PAYMENT_NOT_FOUND',
+          message: 'Payment not found',
+          provider: { status: 404, errorCode: 'DATA_NOT_FOUND' }
+        }
+      });
+    });
+
+    it('should map known Xendit error codes and include field errors', async () => {
+      const error = new XenditApiError('Invalid request', {
+        status: 400,
+        errorCode: 'API_VALIDATION_ERROR',
+        errors: [{ field: 'currency', message: 'is required' }]
+      });
+
+      const response = await request(appThrowing(error)).get('/').expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details).toEqual([{ field: 'currency', message: 'is required' }]);
+    });
+
+    it('should map duplicate and channel errors', async () => {
+      const duplicate = new XenditApiError('Duplicate', { status: 409, errorCode: 'DUPLICATE_ERROR' });
+      const channel = new XenditApiError('Channel down', { status: 503, errorCode: 'CHANNEL_UNAVAILABLE' });
+
+      const duplicateResponse = await request(appThrowing(duplicate)).get('/').expect(409);
+      const channelResponse = await request(appThrowing(channel)).get('/').expect(503);
+
+      expect(duplicateResponse.body.error.code).toBe('DUPLICATE_REFERENCE');
+      expect(channelResponse.body.error.code).toBe('CHANNEL_UNAVAILABLE');
+    });
+
+    it('should answer 502 for Xendit server and network errors', async () => {
+      const error = new XenditApiError('socket hang up', { status: null });
+
+      const response = await request(appThrowing(error)).get('/').expect(502);
+
+      expect(response.body.error.code).toBe('PAYMENT_PROVIDER_ERROR');
+    });
+  });
+
+  describe('other errors', () => {
+    it('should include the details of our own errors', async () => {
+      const error = new AppError('Amount mismatch', 'AMOUNT_MISMATCH', 400, [{ field: 'amount', message: 'must be 1500' }]);
+
+      const response = await request(appThrowing(error)).get('/').expect(400);
+
+      expect(response.body.error).toEqual({
+        code: 'AMOUNT_MISMATCH',
+        message: 'Amount mismatch',
+        details: [{ field: 'amount', message: 'must be 1500' }]
+      });
+    });
+
+    it('should not expose details or provider fields of arbitrary errors', async () => {
+      const { error: joiError } = Joi.object({ secret: Joi.number() }).validate({ secret: 'hunter2' });
+      const error = Object.assign(new Error('Upstream failed'), { details: ['internal'], provider: { key: 'x' } });
+
+      const joiResponse = await request(appThrowing(joiError)).get('/').expect(500);
+      const response = await request(appThrowing(error)).get('/').expect(500);
+
+      expect(joiResponse.body.error).toEqual({ code: 'INTERNAL_SERVER_ERROR', message: joiError.message });
+      expect(response.body.error).toEqual({ code: 'INTERNAL_SERVER_ERROR', message: 'Upstream failed' });
+    });
+  });
+});
@@ -0,0 +1,323 @@
+// Everything is stored in the real memory storage backend
+const request = require('supertest');
+const express = require('express');
+const { createXenditEmulator } = require('../src/emulator/xenditEmulator');
+const xenditClient = require('../src/shared/services/xenditClient');
+const XenditApiError = require('../src/shared/errors/xenditApiError');
+const storage = require('../src/shared/storage');
+const errorHandler = require('../src/shared/middleware/errorHandler');
+const subAccountMiddleware = require('../src/shared/middleware/subAccount');
+const jwtService = require('../src/shared/services/jwtService');
+const userService = require('../src/shared/services/userService');
+const paymentRequestRoutes = require('../src/features/payment-requests');
+const paymentRoutes = require('../src/features/payments');
+const invoiceRoutes = require('../src/features/invoices');
+const refundRoutes = require('../src/features/refunds');
+const payoutRoutes = require('../src/features/payouts');
+const webhookRoutes = require('../src/features/webhooks');
+
+const listen = (app) => new Promise(resolve => {
+  const server = app.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const waitFor = async (predicate, timeoutMs = 3000) => {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+const transactionStatus = (bookingId) => storage.store.get('booking', bookingId)?.transaction?.status;
+
+const adminToken = () => `Bearer ${jwtService.generateAccessToken({ userId: 'admin-1' })}`;
+
+describe('Payment lifecycle against the Xendit emulator', () => {
+  let app;
+  let apiServer;
+  let emulatorServer;
+  let emulator;
+
+  beforeAll(async () => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1', subAccountMiddleware);
+    app.use('/api/v1/payment-requests', paymentRequestRoutes);
+    app.use('/api/v1/payments', paymentRoutes);
+    app.use('/api/v1/invoices', invoiceRoutes);
+    app.use('/api/v1/refunds', refundRoutes);
+    app.use('/api/v1/payouts', payoutRoutes);
+    app.use('/api/v1/webhooks', webhookRoutes);
+    app.use(errorHandler);
+    apiServer = await listen(app);
+
+    emulator = createXenditEmulator({
+      webhookUrl: `http://127.0.0.1:${apiServer.address().port}/api/v1/webhooks`,
+      invoiceWebhookUrl: `http://127.0.0.1:${apiServer.address().port}/api/v1/webhooks/invoices`,
+      callbackToken: process.env.WEBHOOK_CALLBACK_TOKEN,
+      webhookDelayMs: 1
+    });
+    emulatorServer = await listen(emulator.app);
+
+    xenditClient.baseURL = `http://127.0.0.1:${emulatorServer.address().port}`;
+    xenditClient.initialize();
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => apiServer.close(resolve));
+    await new Promise(resolve => emulatorServer.close(resolve));
+  });
+
+  beforeEach(() => {
+    emulator.reset();
+    jest.clearAllMocks();
+    userService.users = [
+      { id: 'user-1', role: 'user', username: 'guest' },
+      { id: 'admin-1', role: 'admin', username: 'ops' }
+    ];
+    storage.use('memory', {
+      seed: {
+        booking: {
+          'booking-1': { userId: 'user-1', amount: 1500, currency: 'PHP', payLater: false, url: '' },
+          'booking-2': { userId: 'user-1', amount: 2500, currency: 'PHP' }
+        }
+      }
+    });
+  });
+
+  const delivered = (event) => emulator.state.deliveries.find(delivery => delivery.event === event);
+
+  const settle = async (paymentRequestId) => {
+    await request(app).post(`/api/v1/payment-requests/${paymentRequestId}/simulate`).send({}).expect(200);
+    await waitFor(() => transactionStatus('booking-1') === 'completed');
+  };
+
+  const postPaymentRequest = (overrides = {}) => request(app)
+    .post('/api/v1/payment-requests')
+    .set('Authorization', `Bearer ${jwtService.generateAccessToken({ userId: 'user-1' })}`)
+    .send({
+      reference_id: 'booking-1',
+      type: 'PAY',
+      country: 'PH',
+      currency: 'PHP',
+      channel_code: 'GCASH',
+      channel_properties: { success_return_url: 'https://example.com/success' },
+      request_amount: 1500,
+      ...overrides
+    });
+
+  const createPaymentRequest = (overrides = {}) => postPaymentRequest(overrides).expect(201);
+
+  it('should create, simulate and settle a payment through webhooks', async () => {
+    const created = await createPaymentRequest();
+    const paymentRequestId = created.body.data.payment_request_id;
+
+    expect(created.body.data.status).toBe('REQUIRES_ACTION');
+    expect(transactionStatus('booking-1')).toBe('pending');
+
+    await request(app)
+      .post(`/api/v1/payment-requests/${paymentRequestId}/simulate`)
+      .send({})
+      .expect(200);
+
+    await waitFor(() => emulator.state.deliveries.length === 2);
+
+    expect(delivered('payment.capture')).toMatchObject({ status: 200 });
+    expect(delivered('payment_request.succeeded')).toMatchObject({
+      status: 200,
+      payload: { data: { payment_request_id: paymentRequestId, status: 'SUCCEEDED' } }
+    });
+    // Webhooks are acknowledged first and processed in the background
+    await waitFor(() => transactionStatus('booking-1') === 'completed');
+    expect(await storage.bookings.get('booking-1')).toMatchObject({
+      status: 'Content Pending',
+      transaction: { paymentRequestId, activeAttemptId: paymentRequestId }
+    });
+    await waitFor(() => storage.store.list('webhook_inbox').every(webhook => webhook.data.status === 'succeeded'));
+    const { webhooks } = await storage.webhookInbox.list({ status: 'succeeded' });
+    expect(webhooks.map(webhook => webhook.event).sort()).toEqual(['payment.capture', 'payment_request.succeeded']);
+
+    const status = await request(app)
+      .get(`/api/v1/payment-requests/${paymentRequestId}`)
+      .expect(200);
+
+    expect(status.body.data.status).toBe('SUCCEEDED');
+  });
+
+  it('should authorize and capture a manual capture payment', async () => {
+    const created = await createPaymentRequest({ capture_method: 'MANUAL' });
+    const paymentRequestId = created.body.data.payment_request_id;
+
+    await request(app).post(`/api/v1/payment-requests/${paymentRequestId}/simulate`).send({}).expect(200);
+    await waitFor(() => emulator.state.deliveries.length === 1);
+
+    const paymentId = emulator.state.deliveries[0].payload.data.payment_id;
+    expect(emulator.state.deliveries[0].event).toBe('payment.authorization');
+
+    const captured = await request(app)
+      .post(`/api/v1/payments/${paymentId}/capture`)
+      .send({ capture_amount: 1500 })
+      .expect(200);
+
+    expect(captured.body.data.status).toBe('SUCCEEDED');
+    await waitFor(() => emulator.state.deliveries.length === 3);
+    expect(delivered('payment.capture')).toMatchObject({ status: 200 });
+    expect(delivered('payment_request.succeeded')).toMatchObject({ status: 200 });
+    await waitFor(() => transactionStatus('booking-1') === 'completed');
+  });
+
+  it('should charge a booking only once when payment requests are created concurrently', async () => {
+    const responses = await Promise.all([
+      postPaymentRequest().set('Idempotency-Key', '1b2c3d4e-0000-4000-8000-000000000001'),
+      postPaymentRequest().set('Idempotency-Key', '1b2c3d4e-0000-4000-8000-000000000002')
+    ]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+    expect(responses.find(response => response.status === 409).body.error.code).toBe('PAYMENT_IN_PROGRESS');
+    expect(emulator.state.paymentRequests.size).toBe(1);
+
+    // The created payment request frees the booking for the next attempt
+    await createPaymentRequest().set('Idempotency-Key', '1b2c3d4e-0000-4000-8000-000000000003');
+    expect(emulator.state.paymentRequests.size).toBe(2);
+  });
+
+  it('should cancel the open payment request before creating another for the booking', async () => {
+    const first = await createPaymentRequest();
+    const second = await createPaymentRequest({ channel_code: 'PAYMAYA' });
+
+    expect(emulator.state.paymentRequests.get(first.body.data.payment_request_id).status).toBe('CANCELED');
+    expect(await storage.bookings.get('booking-1')).toMatchObject({
+      transaction: { status: 'pending', activeAttemptId: second.body.data.payment_request_id }
+    });
+  });
+
+  it('should create the payment request when retried with the same key after a Xendit 5xx', async () => {
+    const key = '1b2c3d4e-0000-4000-8000-000000000004';
+    jest.spyOn(xenditClient, 'createPaymentRequest')
+      .mockRejectedValueOnce(new XenditApiError('Server error', { status: 500, errorCode: 'SERVER_ERROR' }));
+
+    await postPaymentRequest().set('Idempotency-Key', key).expect(502);
+    expect((await storage.bookings.get('booking-1')).paymentReservation).toMatchObject({ id: key });
+
+    const retried = await postPaymentRequest().set('Idempotency-Key', key).expect(201);
+
+    expect(emulator.state.paymentRequests.size).toBe(1);
+    expect(await storage.bookings.get('booking-1')).toMatchObject({
+      transaction: { status: 'pending', activeAttemptId: retried.body.data.payment_request_id }
+    });
+    expect((await storage.bookings.get('booking-1')).paymentReservation).toBeUndefined();
+    xenditClient.createPaymentRequest.mockRestore();
+  });
+
+  it('should fail the booking when the payment request fails', async () => {
+    const created = await createPaymentRequest();
+    const paymentRequestId = created.body.data.payment_request_id;
+
+    await request(emulatorServer)
+      .post(`/_emulator/payment_requests/${paymentRequestId}/fail`)
+      .send({ failure_code: 'INSUFFICIENT_BALANCE' })
+      .expect(200);
+
+    await waitFor(() => emulator.state.deliveries.length === 2);
+    expect(delivered('payment.failure')).toMatchObject({ status: 200 });
+    expect(delivered('payment_request.failed')).toMatchObject({
+      status: 200,
+      payload: { data: { status: 'FAILED', failure_code: 'INSUFFICIENT_BALANCE' } }
+    });
+    await waitFor(() => transactionStatus('booking-1') === 'failed');
+  });
+
+  it('should refund a settled payment through the refund webhook', async () => {
+    const created = await createPaymentRequest();
+    const paymentRequestId = created.body.data.payment_request_id;
+    await settle(paymentRequestId);
+
+    const refund = await request(app)
+      .post('/api/v1/refunds')
+      .set('Authorization', adminToken())
+      .set('Idempotency-Key', '0b6a4f0e-1c2d-4e5f-8a9b-0c1d2e3f4a5b')
+      .send({ payment_request_id: paymentRequestId, amount: 500, reason: 'REQUESTED_BY_CUSTOMER' })
+      .expect(201);
+
+    await waitFor(() => transactionStatus('booking-1') === 'partially_refunded' && delivered('refund.succeeded'));
+    expect(delivered('refund.succeeded')).toMatchObject({ status: 200, payload: { data: { id: refund.body.data.id } } });
+    expect(await storage.bookings.get('booking-1')).toMatchObject({
+      transaction: { refundedAmount: 500, refundIds: [refund.body.data.id] }
+    });
+  });
+
+  it('should settle a payout through the payout webhook', async () => {
+    const created = await createPaymentRequest();
+    await settle(created.body.data.payment_request_id);
+
+    const payout = await request(app)
+      .post('/api/v1/payouts')
+      .set('Authorization', adminToken())
+      .set('Idempotency-Key', 'payout-booking-1')
+      .send({
+        reference_id: 'payout-1',
+        booking_ids: ['booking-1'],
+        channel_code: 'PH_BDO',
+        channel_properties: { account_holder_name: 'Venue Inc', account_number: '000123456789' },
+        amount: 1500,
+        currency: 'PHP'
+      })
+      .expect(201);
+
+    const payoutId = payout.body.data.id;
+    expect(await storage.bookings.get('booking-1')).toMatchObject({ payout: { id: payoutId, status: 'ACCEPTED' } });
+
+    await request(emulatorServer).post(`/_emulator/payouts/${payoutId}/succeed`).send({}).expect(200);
+
+    await waitFor(() => storage.store.get('booking', 'booking-1').payout.status === 'SUCCEEDED' && delivered('payout.succeeded'));
+    expect(delivered('payout.succeeded')).toMatchObject({ status: 200 });
+  });
+
+  it('should settle the booking from a paid invoice callback', async () => {
+    const created = await request(app)
+      .post('/api/v1/invoices')
+      .send({ external_id: 'booking-2', amount: 2500, currency: 'PHP' })
+      .expect(201);
+
+    await request(emulatorServer)
+      .post(`/_emulator/invoices/${created.body.data.id}/pay`)
+      .send({})
+      .expect(200);
+
+    await waitFor(() => emulator.state.deliveries.length === 1);
+    expect(emulator.state.deliveries[0]).toMatchObject({ event: 'invoice.paid', status: 200 });
+
+    await waitFor(() => storage.store.list('payment_logs').length === 1);
+    expect(await storage.bookings.get('booking-2')).toMatchObject({
+      transaction: { status: 'completed', invoiceId: created.body.data.id, amount: 2500 }
+    });
+    expect(storage.store.list('payment_logs')[0].data).toMatchObject({
+      event: 'invoice.paid',
+      bookingId: 'booking-2'
+    });
+  });
+
+  it('should surface Xendit errors in our error format', async () => {
+    const response = await request(app)
+      .get(`/api/v1/payment-requests/pr-${'0'.repeat(36)}`)
+      .expect(404);
+
+    expect(response.body.error.code).toBe('PAYMENT_REQUEST_NOT_FOUND');
+  });
+
+  it('should not allow cancelling a settled payment request', async () => {
+    const created = await createPaymentRequest();
+    const paymentRequestId = created.body.data.payment_request_id;
+
+    await request(app).post(`/api/v1/payment-requests/${paymentRequestId}/simulate`).send({}).expect(200);
+
+    const response = await request(app)
+      .post(`/api/v1/payment-requests/${paymentRequestId}/cancel`)
+      .send({})
+      .expect(409);
+
+    expect(response.body.error.code).toBe('INVALID_STATUS');
+  });
+});
@@ -0,0 +1,133 @@
+const request = require('supertest');
+const express = require('express');
+const storage = require('../src/shared/storage');
+const errorHandler = require('../src/shared/middleware/errorHandler');
+const jwtService = require('../src/shared/services/jwtService');
+const userService = require('../src/shared/services/userService');
+const paymentLogRoutes = require('../src/features/payment-logs');
+
+describe('Payment log routes', () => {
+  let app;
+
+  const get = (path, userId = 'admin-1') => request(app)
+    .get(`/api/v1/payment-logs${path}`)
+    .set('Authorization', `Bearer ${jwtService.generateAccessToken({ userId })}`);
+
+  beforeEach(() => {
+    userService.users = [
+      { id: 'user-1', role: 'user', username: 'guest' },
+      { id: 'user-2', role: 'user', username: 'other' },
+      { id: 'admin-1', role: 'admin', username: 'ops' }
+    ];
+    storage.use('memory', {
+      seed: {
+        booking: {
+          'booking-1': { userId: 'user-1', transaction: { status: 'completed', activeAttemptId: 'pr-2' } }
+        },
+        payment_logs: {
+          'log-1': {
+            event: 'payment_request.failed',
+            bookingId: 'booking-1',
+            payment_request_id: 'pr-1',
+            status: 'FAILED',
+            channel_code: 'GCASH',
+            failure_code: 'INSUFFICIENT_BALANCE',
+            source: 'xendit_webhook',
+            createdAt: '2025-01-01T10:00:00Z'
+          },
+          'log-2': {
+            event: 'payment.capture',
+            bookingId: 'booking-1',
+            payment_request_id: 'pr-2',
+            payment_id: 'py-2',
+            status: 'SUCCEEDED',
+            channel_code: 'CARDS',
+            request_amount: 1500,
+            currency: 'PHP',
+            source: 'xendit_webhook',
+            createdAt: '2025-01-01T10:05:00Z'
+          },
+          'log-3': {
+            event: 'payment.capture',
+            bookingId: 'booking-2',
+            payment_request_id: 'pr-3',
+            status: 'SUCCEEDED',
+            channel_code: 'GCASH',
+            source: 'xendit_webhook',
+            createdAt: '2025-01-02T09:00:00Z'
+          }
+        }
+      }
+    });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/payment-logs', paymentLogRoutes);
+    app.use(errorHandler);
+  });
+
+  it('should list entries newest first with a cursor', async () => {
+    const first = await get('/?limit=2').expect(200);
+
+    expect(first.body.data.logs.map(log => log.id)).toEqual(['log-3', 'log-2']);
+    expect(first.body.data.nextCursor).toBe('log-2');
+
+    const second = await get(`/?limit=2&cursor=${first.body.data.nextCursor}`).expect(200);
+
+    expect(second.body.data).toEqual({
+      logs: [expect.objectContaining({ id: 'log-1', event: 'payment_request.failed' })],
+      nextCursor: null
+    });
+  });
+
+  it('should filter by booking, payment request, event, status, channel and date', async () => {
+    const ids = async (query) => (await get(`/?${query}`).expect(200)).body.data.logs.map(log => log.id);
+
+    expect(await ids('booking_id=booking-1')).toEqual(['log-2', 'log-1']);
+    expect(await ids('payment_request_id=pr-1')).toEqual(['log-1']);
+    expect(await ids('event=payment.capture&channel_code=gcash')).toEqual(['log-3']);
+    expect(await ids('status=succeeded&booking_id=booking-1')).toEqual(['log-2']);
+    expect(await ids('from=2025-01-01T10:01:00Z&to=2025-01-01T23:59:59Z')).toEqual(['log-2']);
+  });
+
+  it('should reject unknown cursors and non-admins', async () => {
+    const response = await get('/?cursor=missing').expect(400);
+    expect(response.body.error.code).toBe('INVALID_CURSOR');
+
+    await get('/', 'user-1').expect(403);
+  });
+
+  it('should show a booking timeline to its owner, oldest first', async () => {
+    const response = await get('/bookings/booking-1', 'user-1').expect(200);
+
+    expect(response.body.data).toMatchObject({
+      bookingId: 'booking-1',
+      status: 'completed',
+      activeAttemptId: 'pr-2',
+      nextCursor: null
+    });
+    expect(response.body.data.timeline).toEqual([
+      expect.objectContaining({
+        id: 'log-1',
+        at: '2025-01-01T10:00:00Z',
+        status: 'FAILED',
+        paymentRequestId: 'pr-1',
+        failureCode: 'INSUFFICIENT_BALANCE'
+      }),
+      expect.objectContaining({
+        id: 'log-2',
+        event: 'payment.capture',
+        amount: 1500,
+        channelCode: 'CARDS',
+        paymentId: 'py-2'
+      })
+    ]);
+  });
+
+  it('should hide other users\' booking timelines', async () => {
+    const response = await get('/bookings/booking-1', 'user-2').expect(403);
+    expect(response.body.error.code).toBe('BOOKING_NOT_OWNED');
+
+    await get('/bookings/booking-9').expect(404);
+  });
+});
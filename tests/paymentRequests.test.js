@@ -0,0 +1,270 @@
+jest.mock('../src/shared/storage', () => ({
+  isAvailable: jest.fn(() => true),
+  bookings: {
+    get: jest.fn(),
+    linkPaymentRequest: jest.fn(async (bookingId) => ({ success: true, bookingId, status: 'pending' })),
+    reservePayment: jest.fn(),
+    updateTransactionStatus: jest.fn(async (bookingId, status) => ({ success: true, bookingId, status })),
+    releasePayment: jest.fn(async () => {})
+  },
+  customers: {
+    getCustomerId: jest.fn(async () => 'cust-1')
+  },
+  paymentTokens: {
+    get: jest.fn()
+  },
+  vendors: {
+    getSubAccountId: jest.fn(async () => null)
+  },
+  idempotencyKeys: {
+    get: jest.fn(async () => null),
+    save: jest.fn(async () => true)
+  }
+}));
+
+jest.mock('../src/shared/services/xenditClient', () => ({
+  cancelPaymentRequest: jest.fn(async (id) => ({ payment_request_id: id, reference_id: 'booking-1', status: 'CANCELED' })),
+  createPaymentRequest: jest.fn(async (payload) => ({
+    payment_request_id: 'pr-1',
+    status: 'REQUIRES_ACTION',
+    reference_id: payload.reference_id,
+    request_amount: payload.request_amount,
+    currency: payload.currency,
+    channel_code: payload.channel_code
+  }))
+}));
+
+const request = require('supertest');
+const express = require('express');
+const storage = require('../src/shared/storage');
+const xenditClient = require('../src/shared/services/xenditClient');
+const XenditApiError = require('../src/shared/errors/xenditApiError');
+const errorHandler = require('../src/shared/middleware/errorHandler');
+const jwtService = require('../src/shared/services/jwtService');
+const userService = require('../src/shared/services/userService');
+const paymentRequestRoutes = require('../src/features/payment-requests');
+
+const KEY = '6c1f0e2a-3b4d-4e5f-9a6b-7c8d9e0f1a2b';
+
+describe('Creating payment requests for bookings', () => {
+  let app;
+  let booking;
+
+  const createPaymentRequest = (overrides = {}, userId = 'user-1') => request(app)
+    .post('/api/v1/payment-requests')
+    .set('Authorization', `Bearer ${jwtService.generateAccessToken({ userId })}`)
+    .send({
+      reference_id: 'booking-1',
+      type: 'PAY',
+      country: 'PH',
+      currency: 'PHP',
+      channel_code: 'GCASH',
+      channel_properties: { success_return_url: 'https://example.com/success' },
+      request_amount: 1500,
+      ...overrides
+    });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    userService.users = [
+      { id: 'user-1', role: 'user', username: 'guest' },
+      { id: 'user-2', role: 'user', username: 'other' },
+      { id: 'admin-1', role: 'admin', username: 'ops' }
+    ];
+    booking = { id: 'booking-1', userId: 'user-1', amount: 1500, currency: 'PHP', transaction: { status: 'failed' } };
+    storage.isAvailable.mockReturnValue(true);
+    storage.bookings.get.mockImplementation(async () => booking);
+    storage.bookings.reservePayment.mockImplementation(async (bookingId) => ({ success: true, bookingId }));
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/payment-requests', paymentRequestRoutes);
+    app.use(errorHandler);
+  });
+
+  it('should create the payment request and record it on the booking', async () => {
+    const response = await createPaymentRequest().expect(201);
+
+    expect(response.body.data.payment_request_id).toBe('pr-1');
+    expect(xenditClient.createPaymentRequest).toHaveBeenCalledWith(
+      expect.objectContaining({ reference_id: 'booking-1', customer_id: 'cust-1' }),
+      expect.anything()
+    );
+    expect(storage.bookings.linkPaymentRequest).toHaveBeenCalledWith(
+      'booking-1',
+      expect.objectContaining({ payment_request_id: 'pr-1', request_amount: 1500 }),
+      { forUserId: null }
+    );
+  });
+
+  it('should require authentication', async () => {
+    await request(app).post('/api/v1/payment-requests').send({}).expect(401);
+  });
+
+  it('should reject unknown bookings', async () => {
+    storage.bookings.get.mockResolvedValue(null);
+
+    const response = await createPaymentRequest().expect(404);
+
+    expect(response.body.error.code).toBe('BOOKING_NOT_FOUND');
+    expect(xenditClient.createPaymentRequest).not.toHaveBeenCalled();
+  });
+
+  it('should reject bookings owned by another user unless the caller is an admin', async () => {
+    const response = await createPaymentRequest({}, 'user-2').expect(403);
+    expect(response.body.error.code).toBe('BOOKING_NOT_OWNED');
+
+    await createPaymentRequest({}, 'admin-1').expect(201);
+  });
+
+  it('should reject bookings that are already paid', async () => {
+    booking.transaction.status = 'completed';
+
+    const response = await createPaymentRequest().expect(409);
+
+    expect(response.body.error.code).toBe('BOOKING_ALREADY_PAID');
+    expect(xenditClient.createPaymentRequest).not.toHaveBeenCalled();
+  });
+
+  it('should reject amounts and currencies that differ from the booking', async () => {
+    const amount = await createPaymentRequest({ request_amount: 1000 }).expect(400);
+    expect(amount.body.error.code).toBe('AMOUNT_MISMATCH');
+
+    const currency = await createPaymentRequest({ currency: 'USD' }).expect(400);
+    expect(currency.body.error.code).toBe('CURRENCY_MISMATCH');
+
+    expect(xenditClient.createPaymentRequest).not.toHaveBeenCalled();
+  });
+
+  it('should reject bookings without an amount', async () => {
+    delete booking.amount;
+
+    const response = await createPaymentRequest().expect(409);
+
+    expect(response.body.error.code).toBe('BOOKING_NOT_PAYABLE');
+  });
+
+  it('should only charge saved tokens of the booking owner\'s customer, even with a customer_id', async () => {
+    storage.paymentTokens.get.mockResolvedValue({ id: 'pt-9', customerId: 'cust-9', status: 'ACTIVE' });
+
+    const response = await createPaymentRequest({
+      channel_properties: undefined,
+      payment_token_id: 'pt-9',
+      customer_id: 'cust-9'
+    }).expect(403);
+
+    expect(response.body.error.code).toBe('CUSTOMER_NOT_OWNED');
+    expect(storage.customers.getCustomerId).toHaveBeenCalledWith('user-1', null);
+    expect(xenditClient.createPaymentRequest).not.toHaveBeenCalled();
+
+    const token = await createPaymentRequest({ channel_properties: undefined, payment_token_id: 'pt-9' }).expect(403);
+    expect(token.body.error.code).toBe('PAYMENT_METHOD_CUSTOMER_MISMATCH');
+  });
+
+  it('should use the booking owner\'s customer whatever customer the caller names', async () => {
+    const inline = await createPaymentRequest({
+      customer: { reference_id: 'user-2', type: 'INDIVIDUAL', email: 'other@example.com' }
+    }).expect(201);
+
+    expect(inline.body.data.payment_request_id).toBe('pr-1');
+    expect(storage.customers.getCustomerId).toHaveBeenCalledWith('user-1', null);
+    expect(storage.customers.getCustomerId).not.toHaveBeenCalledWith('user-2', expect.anything());
+    expect(xenditClient.createPaymentRequest).toHaveBeenLastCalledWith(
+      expect.objectContaining({ customer_id: 'cust-1' }),
+      expect.anything()
+    );
+
+    await createPaymentRequest({ customer_id: 'cust-1' }).expect(201);
+
+    const other = await createPaymentRequest({ customer_id: 'cust-2' }, 'admin-1').expect(403);
+    expect(other.body.error.code).toBe('CUSTOMER_NOT_OWNED');
+    expect(xenditClient.createPaymentRequest).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not replay a rejected unauthenticated request to the authenticated retry', async () => {
+    await request(app).post('/api/v1/payment-requests').set('Idempotency-Key', KEY).send({}).expect(401);
+
+    await createPaymentRequest().set('Idempotency-Key', KEY).expect(201);
+
+    expect(storage.idempotencyKeys.get).toHaveBeenCalledTimes(1);
+    expect(storage.idempotencyKeys.get).toHaveBeenCalledWith(`POST:user-1:/api/v1/payment-requests:${KEY}`);
+  });
+
+  it('should reserve the booking with the idempotency key before calling Xendit', async () => {
+    await createPaymentRequest().set('Idempotency-Key', KEY).expect(201);
+
+    expect(storage.bookings.reservePayment).toHaveBeenCalledWith('booking-1', KEY);
+    expect(storage.bookings.reservePayment.mock.invocationCallOrder[0])
+      .toBeLessThan(xenditClient.createPaymentRequest.mock.invocationCallOrder[0]);
+    expect(storage.bookings.releasePayment).not.toHaveBeenCalled();
+  });
+
+  it('should cancel the payment request the booking is still waiting on first', async () => {
+    storage.bookings.reservePayment.mockResolvedValue({ success: true, bookingId: 'booking-1', previousPaymentRequestId: 'pr-0' });
+
+    await createPaymentRequest().expect(201);
+
+    expect(xenditClient.cancelPaymentRequest).toHaveBeenCalledWith('pr-0', { forUserId: null });
+    expect(storage.bookings.updateTransactionStatus).toHaveBeenCalledWith(
+      'booking-1', 'CANCELED', expect.objectContaining({ payment_request_id: 'pr-0' })
+    );
+    expect(xenditClient.cancelPaymentRequest.mock.invocationCallOrder[0])
+      .toBeLessThan(xenditClient.createPaymentRequest.mock.invocationCallOrder[0]);
+  });
+
+  it('should not create a second payment request when the previous one can no longer be cancelled', async () => {
+    storage.bookings.reservePayment.mockResolvedValue({ success: true, bookingId: 'booking-1', previousPaymentRequestId: 'pr-0' });
+    xenditClient.cancelPaymentRequest.mockRejectedValueOnce(
+      new XenditApiError('Payment request is SUCCEEDED', { status: 409, errorCode: 'INVALID_PAYMENT_REQUEST_STATUS' })
+    );
+
+    const response = await createPaymentRequest().set('Idempotency-Key', KEY).expect(409);
+
+    expect(response.body.error.code).toBe('PAYMENT_IN_PROGRESS');
+    expect(xenditClient.createPaymentRequest).not.toHaveBeenCalled();
+    expect(storage.bookings.releasePayment).toHaveBeenCalledWith('booking-1', KEY);
+  });
+
+  it('should reject a booking another payment request is being created for', async () => {
+    storage.bookings.reservePayment.mockResolvedValue({ success: false, bookingId: 'booking-1', code: 'PAYMENT_IN_PROGRESS' });
+
+    const response = await createPaymentRequest().expect(409);
+
+    expect(response.body.error.code).toBe('PAYMENT_IN_PROGRESS');
+    expect(xenditClient.createPaymentRequest).not.toHaveBeenCalled();
+  });
+
+  it('should release the booking when Xendit rejects the payment request', async () => {
+    xenditClient.createPaymentRequest.mockRejectedValueOnce(new XenditApiError('Invalid channel', { status: 400 }));
+
+    await createPaymentRequest().set('Idempotency-Key', KEY).expect(400);
+
+    expect(storage.bookings.releasePayment).toHaveBeenCalledWith('booking-1', KEY);
+  });
+
+  it('should keep the booking reserved when the payment request may have been created', async () => {
+    xenditClient.createPaymentRequest.mockRejectedValueOnce(new XenditApiError('Timed out', { timeout: true }));
+
+    await createPaymentRequest().set('Idempotency-Key', KEY);
+
+    expect(storage.bookings.releasePayment).not.toHaveBeenCalled();
+  });
+
+  it('should not create payment requests without storage', async () => {
+    storage.isAvailable.mockReturnValue(false);
+
+    const response = await createPaymentRequest().expect(503);
+
+    expect(response.body.error.code).toBe('STORAGE_UNAVAILABLE');
+    expect(xenditClient.createPaymentRequest).not.toHaveBeenCalled();
+  });
+
+  it('should not charge saved tokens without storage', async () => {
+    storage.isAvailable.mockReturnValue(false);
+
+    const response = await createPaymentRequest({ channel_properties: undefined, payment_token_id: 'pt-1' }).expect(503);
+
+    expect(response.body.error.code).toBe('STORAGE_UNAVAILABLE');
+    expect(xenditClient.createPaymentRequest).not.toHaveBeenCalled();
+  });
+});
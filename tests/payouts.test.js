@@ -0,0 +1,214 @@
+jest.mock('../src/shared/services/xenditClient', () => ({
+  createPayout: jest.fn(),
+  cancelPayout: jest.fn(),
+  listPayouts: jest.fn()
+}));
+
+jest.mock('../src/shared/services/subAccountService', () => ({
+  resolve: jest.fn(async (forUserId) => forUserId || null),
+  fromWebhook: jest.fn(() => null)
+}));
+
+const request = require('supertest');
+const express = require('express');
+const xenditClient = require('../src/shared/services/xenditClient');
+const errorHandler = require('../src/shared/middleware/errorHandler');
+const jwtService = require('../src/shared/services/jwtService');
+const userService = require('../src/shared/services/userService');
+const payoutRoutes = require('../src/features/payouts');
+const storage = require('../src/shared/storage');
+const XenditApiError = require('../src/shared/errors/xenditApiError');
+const payoutService = require('../src/features/payouts/service');
+const { handlePayout } = require('../src/features/payouts/webhookHandlers');
+const { createPayoutSchema } = require('../src/shared/validation/schemas');
+
+const payoutRequest = {
+  reference_id: 'settlement-2026-10-01',
+  booking_ids: ['booking-1', 'booking-2'],
+  channel_code: 'PH_BDO',
+  channel_properties: { account_holder_name: 'Venue Inc', account_number: '000123456789' },
+  amount: 15000,
+  currency: 'PHP'
+};
+
+const paidBooking = { transaction: { status: 'completed' } };
+const booking = (id) => storage.store.get('booking', id);
+
+describe('PayoutService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage.use('memory', {
+      seed: { booking: { 'booking-1': paidBooking, 'booking-2': paidBooking } }
+    });
+    xenditClient.createPayout.mockImplementation(async (data) => ({ id: 'disb-1', status: 'ACCEPTED', ...data }));
+  });
+
+  it('should create the payout and link it to its bookings', async () => {
+    const result = await payoutService.createPayout(payoutRequest, { idempotencyKey: 'key-1' });
+
+    expect(xenditClient.createPayout).toHaveBeenCalledWith(
+      expect.not.objectContaining({ booking_ids: expect.anything() }),
+      { idempotencyKey: 'key-1', forUserId: null }
+    );
+    expect(result.metadata).toEqual({ booking_ids: 'booking-1,booking-2' });
+    expect(booking('booking-2').payout).toMatchObject({ id: 'disb-1', status: 'ACCEPTED' });
+    expect(storage.store.get('payouts', 'disb-1')).toMatchObject({ bookingIds: ['booking-1', 'booking-2'] });
+  });
+
+  it('should reject bookings that already have an active payout', async () => {
+    storage.store.seed({ booking: { 'booking-2': { ...paidBooking, payout: { id: 'disb-0', status: 'SUCCEEDED' } } } });
+
+    await expect(payoutService.createPayout(payoutRequest, { idempotencyKey: 'key-1' }))
+      .rejects.toMatchObject({ code: 'BOOKING_ALREADY_PAID_OUT', statusCode: 409 });
+    expect(xenditClient.createPayout).not.toHaveBeenCalled();
+    expect(booking('booking-1').payout).toBeUndefined();
+  });
+
+  it('should allow paying out bookings whose previous payout failed', async () => {
+    storage.store.seed({ booking: { 'booking-1': { ...paidBooking, payout: { id: 'disb-0', status: 'FAILED' } } } });
+
+    await expect(payoutService.createPayout(payoutRequest, { idempotencyKey: 'key-1' })).resolves.toMatchObject({ id: 'disb-1' });
+  });
+
+  it('should reject unknown and unpaid bookings', async () => {
+    storage.store.seed({ booking: { 'booking-2': { transaction: { status: 'pending' } } } });
+
+    await expect(payoutService.createPayout(payoutRequest, { idempotencyKey: 'key-1' }))
+      .rejects.toMatchObject({ code: 'BOOKING_NOT_PAID', statusCode: 409 });
+
+    await expect(payoutService.createPayout({ ...payoutRequest, booking_ids: ['booking-9'] }, { idempotencyKey: 'key-2' }))
+      .rejects.toMatchObject({ code: 'BOOKING_NOT_FOUND', statusCode: 404 });
+    expect(xenditClient.createPayout).not.toHaveBeenCalled();
+  });
+
+  it('should let only one of two concurrent payouts take a booking', async () => {
+    const results = await Promise.allSettled([
+      payoutService.createPayout(payoutRequest, { idempotencyKey: 'key-1' }),
+      payoutService.createPayout({ ...payoutRequest, booking_ids: ['booking-2'] }, { idempotencyKey: 'key-2' })
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason.code).toBe('BOOKING_ALREADY_PAID_OUT');
+    expect(xenditClient.createPayout).toHaveBeenCalledTimes(1);
+  });
+
+  it('should release the bookings when Xendit rejects the payout', async () => {
+    xenditClient.createPayout.mockRejectedValueOnce(new XenditApiError('Invalid destination', { status: 400 }));
+
+    await expect(payoutService.createPayout(payoutRequest, { idempotencyKey: 'key-1' })).rejects.toThrow('Invalid destination');
+    expect(booking('booking-1').payout).toBeUndefined();
+
+    await expect(payoutService.createPayout(payoutRequest, { idempotencyKey: 'key-2' })).resolves.toMatchObject({ id: 'disb-1' });
+  });
+
+  it('should keep the bookings reserved when the payout outcome is unknown', async () => {
+    xenditClient.createPayout.mockRejectedValueOnce(new XenditApiError('timeout', { timeout: true }));
+
+    await expect(payoutService.createPayout(payoutRequest, { idempotencyKey: 'key-1' })).rejects.toThrow('timeout');
+    expect(booking('booking-1').payout).toMatchObject({ status: 'REQUESTED', reservationId: 'key-1' });
+
+    await expect(payoutService.createPayout(payoutRequest, { idempotencyKey: 'key-2' }))
+      .rejects.toMatchObject({ code: 'BOOKING_ALREADY_PAID_OUT' });
+    await expect(payoutService.createPayout(payoutRequest, { idempotencyKey: 'key-1' })).resolves.toMatchObject({ id: 'disb-1' });
+  });
+
+  it('should let a lapsed payout reservation be taken by another payout', async () => {
+    xenditClient.createPayout.mockRejectedValueOnce(new XenditApiError('timeout', { timeout: true }));
+    await expect(payoutService.createPayout(payoutRequest, { idempotencyKey: 'key-1' })).rejects.toThrow('timeout');
+
+    storage.store.write('booking', 'booking-1', { 'payout.reservationExpiresAt': '2020-01-01T00:00:00.000Z' });
+    storage.store.write('booking', 'booking-2', { 'payout.reservationExpiresAt': '2020-01-01T00:00:00.000Z' });
+
+    await expect(payoutService.createPayout(payoutRequest, { idempotencyKey: 'key-2' })).resolves.toMatchObject({ id: 'disb-1' });
+    expect(booking('booking-1').payout).toMatchObject({ id: 'disb-1', reservationId: 'key-2' });
+  });
+
+  it('should not let a payout webhook overwrite a booking linked to another payout', async () => {
+    storage.store.seed({ booking: { 'booking-2': { ...paidBooking, payout: { id: 'disb-0', status: 'SUCCEEDED' } } } });
+
+    await handlePayout({
+      id: 'disb-1',
+      status: 'FAILED',
+      failure_code: 'INVALID_DESTINATION',
+      metadata: { booking_ids: 'booking-1,booking-2' }
+    }, { event: 'payout.failed', webhookId: 'wh-1' });
+
+    expect(booking('booking-1').payout).toMatchObject({ id: 'disb-1', status: 'FAILED' });
+    expect(booking('booking-2').payout).toEqual({ id: 'disb-0', status: 'SUCCEEDED' });
+  });
+
+  it('should update linked bookings from payout webhooks', async () => {
+    const data = {
+      id: 'disb-1',
+      reference_id: 'settlement-2026-10-01',
+      status: 'FAILED',
+      failure_code: 'INVALID_DESTINATION',
+      metadata: { booking_ids: 'booking-1,booking-2' }
+    };
+
+    await handlePayout(data, { event: 'payout.failed', webhookId: 'wh-1' });
+
+    expect(booking('booking-2').payout).toMatchObject({ id: 'disb-1', status: 'FAILED', failureCode: 'INVALID_DESTINATION' });
+    expect(storage.store.list('payment_logs').map(({ data }) => data)).toEqual([
+      expect.objectContaining({ event: 'payout.failed', payout_id: 'disb-1' })
+    ]);
+  });
+});
+
+describe('Payout routes', () => {
+  let app;
+
+  const withUser = (req, userId) => req.set('Authorization', `Bearer ${jwtService.generateAccessToken({ userId })}`);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    userService.users = [
+      { id: 'admin-1', role: 'admin', username: 'ops' },
+      { id: 'user-1', role: 'user', username: 'guest' }
+    ];
+    xenditClient.listPayouts.mockResolvedValue([]);
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/payouts', payoutRoutes);
+    app.use(errorHandler);
+  });
+
+  it('should let admins list payouts', async () => {
+    await withUser(request(app).get('/api/v1/payouts?reference_id=settlement-2026-10-01'), 'admin-1').expect(200);
+
+    expect(xenditClient.listPayouts).toHaveBeenCalled();
+  });
+
+  it('should reject anonymous users and non-admins', async () => {
+    await request(app).get('/api/v1/payouts?reference_id=settlement-2026-10-01').expect(401);
+    await withUser(request(app).post('/api/v1/payouts').set('idempotency-key', 'key-1'), 'user-1')
+      .send(payoutRequest)
+      .expect(403);
+    await withUser(request(app).post('/api/v1/payouts/disb-1/cancel'), 'user-1').expect(403);
+
+    expect(xenditClient.createPayout).not.toHaveBeenCalled();
+    expect(xenditClient.cancelPayout).not.toHaveBeenCalled();
+  });
+});
+
+describe('createPayoutSchema', () => {
+  it('should require bank account details for bank channels', () => {
+    const { error } = createPayoutSchema.validate({
+      ...payoutRequest,
+      channel_properties: { account_holder_name: 'Venue Inc', account_number: '0917 123 4567', account_type: 'MOBILE_NO' }
+    });
+
+    expect(error).toBeDefined();
+  });
+
+  it('should accept e-wallet destinations for e-wallet channels', () => {
+    const { error } = createPayoutSchema.validate({
+      ...payoutRequest,
+      channel_code: 'PH_GCASH',
+      channel_properties: { account_holder_name: 'Juan Dela Cruz', account_number: '09171234567', account_type: 'MOBILE_NO' }
+    });
+
+    expect(error).toBeUndefined();
+  });
+});
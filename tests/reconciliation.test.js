@@ -0,0 +1,152 @@
+jest.mock('../src/shared/storage', () => ({
+  bookings: {
+    listPending: jest.fn(),
+    markReconciled: jest.fn(),
+    updateTransactionStatus: jest.fn()
+  },
+  paymentLogs: {
+    create: jest.fn()
+  },
+  dryRun: jest.fn(async (fn) => ({ result: await fn(), writes: [{ operation: 'update', path: 'bookings/booking-1' }] }))
+}));
+
+jest.mock('../src/shared/services/xenditClient', () => ({
+  getPaymentRequest: jest.fn(),
+  getInvoice: jest.fn(),
+  getPayment: jest.fn()
+}));
+
+const request = require('supertest');
+const express = require('express');
+const storage = require('../src/shared/storage');
+const { mapXenditStatus } = require('../src/shared/utils/transactionStatus');
+const xenditClient = require('../src/shared/services/xenditClient');
+const errorHandler = require('../src/shared/middleware/errorHandler');
+const jwtService = require('../src/shared/services/jwtService');
+const userService = require('../src/shared/services/userService');
+const reconciliationRoutes = require('../src/features/reconciliation');
+const reconciliationService = require('../src/features/reconciliation/service');
+
+const pendingBookings = [
+  { id: 'booking-1', transaction: { status: 'pending', paymentRequestId: 'pr-1' } },
+  { id: 'booking-2', transaction: { status: 'pending', invoiceId: 'inv-2' } },
+  { id: 'booking-3', transaction: { status: 'pending', paymentId: 'py-3', subAccountId: 'sub-3' } },
+  { id: 'booking-4', transaction: { status: 'pending' } }
+];
+
+describe('Pending booking reconciliation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage.bookings.listPending.mockResolvedValue(pendingBookings);
+    storage.bookings.updateTransactionStatus.mockImplementation(async (bookingId, status) => ({
+      success: true,
+      bookingId,
+      status: mapXenditStatus(status)
+    }));
+    xenditClient.getPaymentRequest.mockResolvedValue({
+      payment_request_id: 'pr-1',
+      status: 'SUCCEEDED',
+      request_amount: 1000,
+      currency: 'PHP'
+    });
+    xenditClient.getInvoice.mockResolvedValue({ id: 'inv-2', status: 'PENDING', amount: 500, currency: 'PHP' });
+    xenditClient.getPayment.mockResolvedValue({ payment_id: 'py-3', status: 'FAILED', request_amount: 700, currency: 'PHP' });
+  });
+
+  it('should fix bookings Xendit has moved on and report the rest', async () => {
+    const report = await reconciliationService.reconcilePendingBookings({ olderThanMinutes: 60 });
+
+    expect(storage.bookings.listPending).toHaveBeenCalledWith({ olderThan: expect.any(Date), limit: 50 });
+    expect(report).toMatchObject({ dryRun: false, checked: 4, fixed: 2, stillPending: 1, disagreements: 1 });
+    expect(report.results.map(result => result.outcome)).toEqual(['fixed', 'still_pending', 'fixed', 'unresolvable']);
+
+    expect(storage.bookings.markReconciled.mock.calls).toEqual([['booking-2'], ['booking-4']]);
+    expect(xenditClient.getPayment).toHaveBeenCalledWith('py-3', { forUserId: 'sub-3' });
+    expect(storage.bookings.updateTransactionStatus).toHaveBeenCalledWith('booking-1', 'SUCCEEDED', expect.objectContaining({
+      payment_request_id: 'pr-1',
+      reference_id: 'booking-1',
+      amount: 1000
+    }));
+    expect(storage.paymentLogs.create).toHaveBeenCalledWith(
+      expect.objectContaining({ event: 'reconciliation.payment_request', bookingId: 'booking-1' }),
+      { source: 'reconciliation' }
+    );
+  });
+
+  it('should report bookings whose status transition is rejected', async () => {
+    storage.bookings.listPending.mockResolvedValue([pendingBookings[0]]);
+    storage.bookings.updateTransactionStatus.mockResolvedValue({
+      success: false,
+      bookingId: 'booking-1',
+      status: 'cancelled',
+      reason: 'Status transition cancelled -> completed not allowed',
+      conflict: true
+    });
+
+    const report = await reconciliationService.reconcilePendingBookings();
+
+    expect(report.disagreements).toBe(1);
+    expect(report.results[0]).toMatchObject({ outcome: 'disagrees', xenditStatus: 'SUCCEEDED' });
+    expect(storage.paymentLogs.create).not.toHaveBeenCalled();
+  });
+
+  it('should count failed lookups as disagreements', async () => {
+    storage.bookings.listPending.mockResolvedValue([pendingBookings[1]]);
+    xenditClient.getInvoice.mockRejectedValue(new Error('Invoice not found'));
+
+    const report = await reconciliationService.reconcilePendingBookings();
+
+    expect(report.results[0]).toMatchObject({ outcome: 'error', error: 'Invoice not found' });
+    expect(report.disagreements).toBe(1);
+  });
+
+  it('should report the changes without writing in dry-run mode', async () => {
+    storage.bookings.listPending.mockResolvedValue([pendingBookings[0]]);
+
+    const report = await reconciliationService.reconcilePendingBookings({ dryRun: true });
+
+    expect(storage.dryRun).toHaveBeenCalledTimes(1);
+    expect(storage.bookings.markReconciled).not.toHaveBeenCalled();
+    expect(report.results[0]).toMatchObject({
+      outcome: 'fixed',
+      changes: [{ operation: 'update', path: 'bookings/booking-1' }]
+    });
+  });
+});
+
+describe('Reconciliation routes', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    userService.users = [
+      { id: 'admin-1', role: 'admin', username: 'ops' },
+      { id: 'user-1', role: 'user', username: 'guest' }
+    ];
+    storage.bookings.listPending.mockResolvedValue([]);
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/reconciliation', reconciliationRoutes);
+    app.use(errorHandler);
+  });
+
+  it('should run a reconciliation for admins', async () => {
+    const response = await request(app)
+      .post('/api/v1/reconciliation/pending-bookings')
+      .set('Authorization', `Bearer ${jwtService.generateAccessToken({ userId: 'admin-1' })}`)
+      .send({ older_than_minutes: 15, limit: 10, dryRun: true })
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({ dryRun: true, checked: 0, fixed: 0 });
+    expect(storage.bookings.listPending).toHaveBeenCalledWith({ olderThan: expect.any(Date), limit: 10 });
+  });
+
+  it('should require an admin', async () => {
+    await request(app)
+      .post('/api/v1/reconciliation/pending-bookings')
+      .set('Authorization', `Bearer ${jwtService.generateAccessToken({ userId: 'user-1' })}`)
+      .send({})
+      .expect(403);
+  });
+});
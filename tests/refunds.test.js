@@ -0,0 +1,178 @@
+jest.mock('../src/shared/services/xenditClient', () => ({
+  getPaymentRequest: jest.fn(),
+  getPayment: jest.fn(),
+  getInvoice: jest.fn(),
+  listRefunds: jest.fn(),
+  createRefund: jest.fn()
+}));
+
+jest.mock('../src/shared/services/subAccountService', () => ({
+  resolve: jest.fn(async (forUserId) => forUserId || null)
+}));
+
+const request = require('supertest');
+const express = require('express');
+const storage = require('../src/shared/storage');
+const xenditClient = require('../src/shared/services/xenditClient');
+const XenditApiError = require('../src/shared/errors/xenditApiError');
+const errorHandler = require('../src/shared/middleware/errorHandler');
+const jwtService = require('../src/shared/services/jwtService');
+const userService = require('../src/shared/services/userService');
+const refundRoutes = require('../src/features/refunds');
+const refundService = require('../src/features/refunds/service');
+const { buildWebhookSchema } = require('../src/shared/validation/schemas');
+const registry = require('../src/features/webhooks/registry');
+require('../src/features/webhooks/handlers');
+
+describe('RefundService', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    xenditClient.getPaymentRequest.mockResolvedValue({
+      status: 'SUCCEEDED',
+      reference_id: 'booking-1',
+      currency: 'PHP',
+      request_amount: 1000,
+      latest_payment_id: 'py-1'
+    });
+    xenditClient.getPayment.mockResolvedValue({
+      captures: [{ capture_id: 'cap-1', capture_amount: 800 }]
+    });
+    xenditClient.listRefunds.mockResolvedValue({
+      data: [
+        { id: 'rfd-1', amount: 300, status: 'SUCCEEDED' },
+        { id: 'rfd-2', amount: 500, status: 'FAILED' }
+      ]
+    });
+    xenditClient.createRefund.mockImplementation(async (data) => ({ id: 'rfd-3', ...data }));
+  });
+
+  it('should create a partial refund within the remaining captured amount', async () => {
+    const result = await refundService.createRefund({
+      payment_request_id: 'pr-1',
+      amount: 200,
+      reason: 'REQUESTED_BY_CUSTOMER'
+    });
+
+    expect(result).toMatchObject({
+      amount: 200,
+      currency: 'PHP',
+      metadata: { booking_id: 'booking-1' }
+    });
+  });
+
+  it('should default to refunding the remaining captured amount', async () => {
+    const result = await refundService.createRefund({
+      payment_request_id: 'pr-1',
+      reason: 'CANCELLATION'
+    });
+
+    expect(result.amount).toBe(500);
+  });
+
+  it('should reject refunds above the remaining captured amount', async () => {
+    await expect(refundService.createRefund({
+      payment_request_id: 'pr-1',
+      amount: 600,
+      reason: 'CANCELLATION'
+    })).rejects.toMatchObject({ code: 'REFUND_AMOUNT_EXCEEDED', statusCode: 400 });
+
+    expect(xenditClient.createRefund).not.toHaveBeenCalled();
+  });
+
+  it('should reject refunds for payment requests that have not succeeded', async () => {
+    xenditClient.getPaymentRequest.mockResolvedValue({ status: 'PENDING' });
+
+    await expect(refundService.createRefund({
+      payment_request_id: 'pr-1',
+      reason: 'CANCELLATION'
+    })).rejects.toMatchObject({ code: 'REFUND_NOT_ALLOWED', statusCode: 409 });
+  });
+});
+
+describe('Refund routes', () => {
+  let app;
+
+  const createRefund = (userId, idempotencyKey) => {
+    const req = request(app)
+      .post('/api/v1/refunds')
+      .set('Authorization', `Bearer ${jwtService.generateAccessToken({ userId })}`);
+
+    return (idempotencyKey ? req.set('idempotency-key', idempotencyKey) : req)
+      .send({ payment_request_id: 'pr-1', amount: 200, reason: 'CANCELLATION' });
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    storage.use('memory');
+    userService.users = [
+      { id: 'admin-1', role: 'admin', username: 'ops' },
+      { id: 'user-1', role: 'user', username: 'guest' }
+    ];
+    xenditClient.getPaymentRequest.mockResolvedValue({ status: 'SUCCEEDED', currency: 'PHP', request_amount: 1000 });
+    xenditClient.listRefunds.mockResolvedValue({ data: [] });
+    xenditClient.createRefund.mockImplementation(async (data) => ({ id: 'rfd-3', status: 'PENDING', ...data }));
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/refunds', refundRoutes);
+    app.use(errorHandler);
+  });
+
+  it('should only let admins create and read refunds', async () => {
+    await request(app).get('/api/v1/refunds/rfd-1').expect(401);
+    await createRefund('user-1', '3f2b8c1e-9d4a-4b6f-8e2a-1c5d7f9b0a12').expect(403);
+
+    expect(xenditClient.createRefund).not.toHaveBeenCalled();
+  });
+
+  it('should require an idempotency key and replay the stored response for a repeated key', async () => {
+    const missing = await createRefund('admin-1').expect(400);
+    expect(missing.body.error.code).toBe('MISSING_IDEMPOTENCY_KEY');
+
+    const first = await createRefund('admin-1', '3f2b8c1e-9d4a-4b6f-8e2a-1c5d7f9b0a12').expect(201);
+    await new Promise(resolve => setImmediate(resolve));
+    const second = await createRefund('admin-1', '3f2b8c1e-9d4a-4b6f-8e2a-1c5d7f9b0a12').expect(201);
+
+    expect(second.body).toEqual(first.body);
+    expect(xenditClient.createRefund).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not replay failed responses or another caller\'s response', async () => {
+    userService.users.push({ id: 'admin-2', role: 'admin', username: 'ops-2' });
+    xenditClient.createRefund.mockRejectedValueOnce(new XenditApiError('Server error', { status: 500 }));
+
+    await createRefund('admin-1', '3f2b8c1e-9d4a-4b6f-8e2a-1c5d7f9b0a12').expect(502);
+    await new Promise(resolve => setImmediate(resolve));
+    await createRefund('admin-1', '3f2b8c1e-9d4a-4b6f-8e2a-1c5d7f9b0a12').expect(201);
+    await new Promise(resolve => setImmediate(resolve));
+    await createRefund('admin-2', '3f2b8c1e-9d4a-4b6f-8e2a-1c5d7f9b0a12').expect(201);
+
+    expect(xenditClient.createRefund).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('webhookSchema refund events', () => {
+  const webhookSchema = buildWebhookSchema(registry.getEvents());
+
+  it('should accept refund events without a reference_id', () => {
+    const { error } = webhookSchema.validate({
+      event: 'refund.succeeded',
+      business_id: 'biz-1',
+      created: '2025-01-01T00:00:00Z',
+      data: { id: 'rfd-1', status: 'SUCCEEDED', amount: 100, payment_request_id: 'pr-1' }
+    });
+
+    expect(error).toBeUndefined();
+  });
+
+  it('should still require reference_id for payment events', () => {
+    const { error } = webhookSchema.validate({
+      event: 'payment.capture',
+      business_id: 'biz-1',
+      created: '2025-01-01T00:00:00Z',
+      data: { status: 'SUCCEEDED' }
+    });
+
+    expect(error.message).toMatch('reference_id');
+  });
+});
@@ -9,8 +9,9 @@ const helmet = require('helmet');
 const cors = require('cors');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const errorHandler = require('../src/middleware/errorHandler');
-const routes = require('../src/routes');
+const errorHandler = require('../src/shared/middleware/errorHandler');
+const paymentRoutes = require('../src/features/payments');
+const invoiceRoutes = require('../src/features/invoices');
 
 // Security middleware
 app.use(helmet());
@@ -46,7 +47,8 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
-app.use('/api/v1', routes);
+app.use('/api/v1/payments', paymentRoutes);
+app.use('/api/v1/invoices', invoiceRoutes);
 
 // Error handling middleware (must be last)
 app.use(errorHandler);
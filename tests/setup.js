@@ -7,14 +7,17 @@ process.env.XENDIT_API_VERSION = '2024-11-11';
 process.env.API_USERNAME = 'testuser';
 process.env.API_PASSWORD = 'testpass';
 process.env.WEBHOOK_CALLBACK_TOKEN = 'test_webhook_token';
+process.env.JWT_SECRET = 'test_jwt_secret';
 process.env.LOG_LEVEL = 'error'; // Reduce log noise in tests
 process.env.RATE_LIMIT_WINDOW_MS = '900000';
 process.env.RATE_LIMIT_MAX_REQUESTS = '100';
 process.env.CORS_ORIGIN = 'http://localhost:3000';
+process.env.STORAGE_BACKEND = 'memory'; // No Google credentials needed
 
 // Mock the logger to avoid file writes during tests
-jest.mock('../src/utils/logger', () => ({
+jest.mock('../src/shared/utils/logger', () => ({
   info: jest.fn(),
   error: jest.fn(),
-  warn: jest.fn()
+  warn: jest.fn(),
+  debug: jest.fn()
 }));
\ No newline at end of file
@@ -0,0 +1,78 @@
+const storage = require('../src/shared/storage');
+const logger = require('../src/shared/utils/logger');
+const subAccountService = require('../src/shared/services/subAccountService');
+
+const VENDOR_SUB_ACCOUNT = '5f0a1b2c3d4e5f6a7b8c9d0e';
+const OTHER_SUB_ACCOUNT = '6a7b8c9d0e5f0a1b2c3d4e5f';
+
+describe('SubAccountService.resolve', () => {
+  beforeEach(() => {
+    storage.use('memory', {
+      seed: {
+        booking: {
+          'booking-1': { vendorId: 'vendor-1', transaction: { status: 'pending', paymentRequestId: 'pr-1' } },
+          'booking-2': { vendorId: 'vendor-2' },
+          'booking-3': { vendorId: 'vendor-1', transaction: { subAccountId: OTHER_SUB_ACCOUNT } }
+        },
+        vendors: {
+          'vendor-1': { xenditSubAccountId: VENDOR_SUB_ACCOUNT }
+        }
+      }
+    });
+  });
+
+  it('should look the sub-account up from the booking\'s vendor', async () => {
+    await expect(subAccountService.resolve(undefined, { bookingId: 'booking-1' })).resolves.toBe(VENDOR_SUB_ACCOUNT);
+    await expect(subAccountService.resolve(undefined, { paymentRequestId: 'pr-1' })).resolves.toBe(VENDOR_SUB_ACCOUNT);
+    await expect(subAccountService.resolve(undefined, { bookingId: 'booking-2' })).resolves.toBeNull();
+  });
+
+  it('should prefer the sub-account the booking was paid in', async () => {
+    await expect(subAccountService.resolve(undefined, { bookingId: 'booking-3' })).resolves.toBe(OTHER_SUB_ACCOUNT);
+  });
+
+  it('should accept a header naming the booking\'s sub-account', async () => {
+    await expect(subAccountService.resolve(VENDOR_SUB_ACCOUNT, { bookingId: 'booking-1' })).resolves.toBe(VENDOR_SUB_ACCOUNT);
+  });
+
+  it('should reject a header naming another sub-account than the booking\'s', async () => {
+    await expect(subAccountService.resolve(OTHER_SUB_ACCOUNT, { bookingId: 'booking-1' }))
+      .rejects.toMatchObject({ code: 'SUB_ACCOUNT_MISMATCH', statusCode: 403 });
+    await expect(subAccountService.resolve(OTHER_SUB_ACCOUNT, { bookingId: 'booking-2' }))
+      .rejects.toMatchObject({ code: 'SUB_ACCOUNT_MISMATCH', statusCode: 403 });
+  });
+
+  it('should pass the header through when there is no booking to check', async () => {
+    await expect(subAccountService.resolve(OTHER_SUB_ACCOUNT)).resolves.toBe(OTHER_SUB_ACCOUNT);
+    await expect(subAccountService.resolve(undefined)).resolves.toBeNull();
+  });
+});
+
+describe('SubAccountService.fromWebhook', () => {
+  const originalBusinessId = process.env.XENDIT_BUSINESS_ID;
+
+  afterEach(() => {
+    process.env.XENDIT_BUSINESS_ID = originalBusinessId;
+    subAccountService.warnedMissingBusinessId = false;
+    jest.restoreAllMocks();
+  });
+
+  it('should treat any business other than the master account as a sub-account', () => {
+    process.env.XENDIT_BUSINESS_ID = 'master-business';
+
+    expect(subAccountService.fromWebhook('master-business')).toBeNull();
+    expect(subAccountService.fromWebhook(undefined)).toBeNull();
+    expect(subAccountService.fromWebhook(VENDOR_SUB_ACCOUNT)).toBe(VENDOR_SUB_ACCOUNT);
+  });
+
+  it('should log once when the master business ID is not configured', () => {
+    delete process.env.XENDIT_BUSINESS_ID;
+    const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    expect(subAccountService.fromWebhook(VENDOR_SUB_ACCOUNT)).toBeNull();
+    expect(subAccountService.fromWebhook(VENDOR_SUB_ACCOUNT)).toBeNull();
+
+    expect(error).toHaveBeenCalledTimes(1);
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('XENDIT_BUSINESS_ID'), { businessId: VENDOR_SUB_ACCOUNT });
+  });
+});
@@ -0,0 +1,281 @@
+// Subscriptions and their delivery log use the real memory storage backend
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const storage = require('../src/shared/storage');
+const errorHandler = require('../src/shared/middleware/errorHandler');
+const jwtService = require('../src/shared/services/jwtService');
+const userService = require('../src/shared/services/userService');
+const WebhookWorker = require('../src/features/webhooks/worker');
+const subscriptionRoutes = require('../src/features/subscriptions');
+const subscriptionService = require('../src/features/subscriptions/service');
+
+const listen = (app) => new Promise(resolve => {
+  const server = app.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const waitFor = async (predicate, timeoutMs = 2000) => {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+const deliveryStatus = (deliveryId) => storage.store.get('subscription_deliveries', deliveryId)?.status;
+
+const captureWebhook = {
+  event: 'payment.capture',
+  business_id: 'biz-1',
+  created: '2026-10-01T00:00:00.000Z',
+  data: {
+    payment_id: 'py-1',
+    payment_request_id: 'pr-1',
+    reference_id: 'booking-1',
+    status: 'SUCCEEDED',
+    amount: 1000,
+    currency: 'PHP'
+  }
+};
+
+describe('Subscription deliveries', () => {
+  let subscriber;
+  let received;
+  let responseStatus;
+  let subscription;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.text({ type: 'application/json' }));
+    app.post('/events', (req, res) => {
+      received.push({ headers: req.headers, body: req.body });
+      res.status(responseStatus).end();
+    });
+    subscriber = await listen(app);
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => subscriber.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    received = [];
+    responseStatus = 204;
+    subscription = {
+      url: `http://127.0.0.1:${subscriber.address().port}/events`,
+      events: ['payment.*'],
+      active: true,
+      secret: 'whsec_test',
+      createdAt: '2026-10-01T00:00:00.000Z'
+    };
+    storage.use('memory', {
+      seed: {
+        webhook_subscriptions: {
+          'sub-1': subscription,
+          'sub-2': { url: 'http://127.0.0.1:1/refunds', events: ['refund.succeeded'], active: true, secret: 'other' }
+        }
+      }
+    });
+    subscriptionService.worker = new WebhookWorker(job => subscriptionService.attemptDelivery(job), {
+      retryBaseDelayMs: 1,
+      retryMaxDelayMs: 5
+    });
+  });
+
+  it('should deliver a signed, normalized payload to matching subscribers', async () => {
+    const deliveryIds = await subscriptionService.publish('wh-1', captureWebhook);
+
+    expect(deliveryIds).toHaveLength(1);
+    expect(storage.store.get('subscription_deliveries', deliveryIds[0])).toMatchObject({
+      subscriptionId: 'sub-1',
+      webhookId: 'wh-1',
+      event: 'payment.capture'
+    });
+
+    await waitFor(() => deliveryStatus(deliveryIds[0]) === 'succeeded');
+
+    const [{ headers, body }] = received;
+    const [, timestamp, signature] = headers['x-signature'].match(/^t=(\d+),v1=([a-f0-9]+)$/);
+    const expected = crypto.createHmac('sha256', 'whsec_test').update(`${timestamp}.${body}`).digest('hex');
+
+    expect(signature).toBe(expected);
+    expect(headers['x-delivery-id']).toBe(deliveryIds[0]);
+    expect(JSON.parse(body)).toMatchObject({
+      id: 'wh-1',
+      type: 'payment.capture',
+      data: { status: 'SUCCEEDED', referenceId: 'booking-1', paymentId: 'py-1', amount: 1000, currency: 'PHP' }
+    });
+    expect(storage.store.get('subscription_deliveries', deliveryIds[0])).toMatchObject({
+      status: 'succeeded',
+      attempts: 1,
+      lastStatusCode: 204,
+      lastError: null,
+      deliveredAt: expect.any(Date)
+    });
+  });
+
+  it('should retry failed deliveries with backoff until they are dead-lettered', async () => {
+    responseStatus = 500;
+
+    const [deliveryId] = await subscriptionService.publish('wh-1', captureWebhook);
+
+    await waitFor(() => deliveryStatus(deliveryId) === 'dead_letter');
+
+    expect(received).toHaveLength(6);
+    expect(storage.store.get('subscription_deliveries', deliveryId)).toMatchObject({
+      attempts: 6,
+      lastError: 'Subscriber responded with 500'
+    });
+  });
+
+  it('should only sweep failed deliveries whose backoff is over', async () => {
+    const payload = subscriptionService.normalizeEvent('wh-1', captureWebhook);
+    const failed = (nextAttemptAt) => ({
+      subscriptionId: 'sub-1',
+      status: 'failed',
+      attempts: 1,
+      nextAttemptAt,
+      payload,
+      createdAt: '2026-10-01T00:00:00.000Z'
+    });
+    storage.store.seed({
+      subscription_deliveries: {
+        'dlv-due': failed('2026-10-01T00:01:00.000Z'),
+        'dlv-later': failed(new Date(Date.now() + 60 * 60 * 1000).toISOString())
+      }
+    });
+
+    await expect(subscriptionService.sweep()).resolves.toBe(1);
+
+    await waitFor(() => deliveryStatus('dlv-due') === 'succeeded');
+    expect(deliveryStatus('dlv-later')).toBe('failed');
+  });
+
+  it('should record when a failed delivery is due again', async () => {
+    responseStatus = 500;
+    subscriptionService.worker = new WebhookWorker(job => subscriptionService.attemptDelivery(job), {
+      retryBaseDelayMs: 60000,
+      retryMaxDelayMs: 60000
+    });
+    await subscriptionService.worker.stop(0);
+
+    const [deliveryId] = await subscriptionService.publish('wh-1', captureWebhook);
+    await subscriptionService.attemptDelivery({ id: deliveryId, subscriptionId: 'sub-1', payload: {}, attempts: 0 });
+
+    const { nextAttemptAt } = storage.store.get('subscription_deliveries', deliveryId);
+    expect(Date.parse(nextAttemptAt)).toBeGreaterThanOrEqual(Date.now() + 25000);
+
+    responseStatus = 204;
+    await subscriptionService.attemptDelivery({ id: deliveryId, subscriptionId: 'sub-1', payload: {}, attempts: 1 });
+    expect(storage.store.get('subscription_deliveries', deliveryId)).toMatchObject({ status: 'succeeded', nextAttemptAt: null });
+  });
+
+  it('should create each delivery once when a publish is retried', async () => {
+    const create = jest.spyOn(storage.subscriptionDeliveries, 'create')
+      .mockRejectedValueOnce(new Error('Firestore write failed'));
+
+    await expect(subscriptionService.publish('wh-1', captureWebhook)).rejects.toThrow('Firestore write failed');
+    create.mockRestore();
+
+    const first = await subscriptionService.publish('wh-1', captureWebhook);
+    const second = await subscriptionService.publish('wh-1', captureWebhook);
+
+    expect(second).toEqual(first);
+    expect(storage.store.list('subscription_deliveries')).toHaveLength(1);
+
+    await waitFor(() => deliveryStatus(first[0]) === 'succeeded');
+    expect(received).toHaveLength(1);
+  });
+
+  it('should not publish during dry-run replays', async () => {
+    const list = jest.spyOn(storage.subscriptions, 'list');
+    const { result } = await storage.dryRun(() => subscriptionService.publish('wh-1', captureWebhook));
+
+    expect(result).toEqual([]);
+    expect(list).not.toHaveBeenCalled();
+  });
+
+  it('should replay a logged delivery', async () => {
+    storage.store.seed({
+      subscription_deliveries: {
+        'dlv-1': {
+          subscriptionId: 'sub-1',
+          status: 'dead_letter',
+          attempts: 6,
+          payload: subscriptionService.normalizeEvent('wh-1', captureWebhook)
+        }
+      }
+    });
+
+    const result = await subscriptionService.replayDelivery('sub-1', 'dlv-1');
+
+    expect(result).toMatchObject({ deliveryId: 'dlv-1', previousStatus: 'dead_letter', status: 'succeeded', attempts: 7 });
+    expect(received).toHaveLength(1);
+  });
+});
+
+describe('Subscription routes', () => {
+  let app;
+  let token;
+
+  beforeEach(() => {
+    storage.use('memory');
+    userService.users = [
+      { id: 'admin-1', role: 'admin', username: 'ops' },
+      { id: 'user-1', role: 'user', username: 'guest' }
+    ];
+    token = jwtService.generateAccessToken({ userId: 'admin-1' });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/subscriptions', subscriptionRoutes);
+    app.use(errorHandler);
+  });
+
+  it('should return the signing secret only when creating a subscription', async () => {
+    const created = await request(app)
+      .post('/api/v1/subscriptions')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ url: 'https://crm.internal/events', events: ['payment.*', 'refund.succeeded'] })
+      .expect(201);
+
+    expect(created.body.data.secret).toMatch(/^whsec_/);
+
+    const listed = await request(app)
+      .get('/api/v1/subscriptions')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(listed.body.data).toEqual([expect.objectContaining({ id: created.body.data.id, events: ['payment.*', 'refund.succeeded'] })]);
+    expect(listed.body.data[0]).not.toHaveProperty('secret');
+  });
+
+  it('should reject invalid event filters', async () => {
+    const response = await request(app)
+      .post('/api/v1/subscriptions')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ url: 'https://crm.internal/events', events: ['payment*'] })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('should require an admin', async () => {
+    await request(app)
+      .get('/api/v1/subscriptions')
+      .set('Authorization', `Bearer ${jwtService.generateAccessToken({ userId: 'user-1' })}`)
+      .expect(403);
+  });
+
+  it('should return 404 for deliveries of unknown subscriptions', async () => {
+    const response = await request(app)
+      .get('/api/v1/subscriptions/missing/deliveries')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(404);
+
+    expect(response.body.error.code).toBe('SUBSCRIPTION_NOT_FOUND');
+  });
+});
@@ -0,0 +1,362 @@
+const { canTransition } = require('../src/shared/utils/transactionStatus');
+const FirestoreBookingRepository = require('../src/shared/storage/firestore/bookingRepository');
+const storage = require('../src/shared/storage');
+
+describe('canTransition', () => {
+  it('should allow the payment flow forward', () => {
+    expect(canTransition('pending', 'authorized')).toBe(true);
+    expect(canTransition('authorized', 'completed')).toBe(true);
+    expect(canTransition('completed', 'refunded')).toBe(true);
+  });
+
+  it('should reject regressions from settled statuses', () => {
+    expect(canTransition('completed', 'expired')).toBe(false);
+    expect(canTransition('completed', 'failed')).toBe(false);
+    expect(canTransition('refunded', 'completed')).toBe(false);
+  });
+
+  it('should only leave failed, cancelled and expired for a new attempt', () => {
+    expect(canTransition('failed', 'completed')).toBe(false);
+    expect(canTransition('expired', 'pending')).toBe(false);
+    expect(canTransition('cancelled', 'authorized')).toBe(false);
+
+    expect(canTransition('failed', 'completed', { newAttempt: true })).toBe(true);
+    expect(canTransition('expired', 'pending', { newAttempt: true })).toBe(true);
+    expect(canTransition('failed', 'refunded', { newAttempt: true })).toBe(false);
+    expect(canTransition('completed', 'pending', { newAttempt: true })).toBe(false);
+  });
+
+  it('should accept any known status for bookings without one', () => {
+    expect(canTransition(undefined, 'completed')).toBe(true);
+    expect(canTransition(undefined, 'unknown')).toBe(false);
+  });
+});
+
+describe('FirestoreBookingRepository.updateTransactionStatus', () => {
+  let bookings;
+  let booking;
+  let attempts;
+  let tx;
+
+  beforeEach(() => {
+    booking = { payLater: false, url: '', transaction: { status: 'completed', paymentRequestId: 'pr-1' } };
+    attempts = { 'pr-1': { type: 'payment_request', status: 'completed' } };
+
+    const bookingRef = {
+      id: 'booking-1',
+      parent: { id: 'booking' },
+      collection: () => ({ doc: (id) => ({ id, parent: { id: 'payments' } }) })
+    };
+    tx = {
+      get: jest.fn(async (ref) => ref === bookingRef
+        ? { exists: true, data: () => booking }
+        : { exists: !!attempts[ref.id], data: () => attempts[ref.id] }),
+      update: jest.fn(),
+      set: jest.fn()
+    };
+    bookings = new FirestoreBookingRepository({
+      db: {
+        collection: () => ({ doc: () => bookingRef }),
+        runTransaction: async (fn) => fn(tx)
+      },
+      getBookingStatusRules: () => storage.getBookingStatusRules()
+    });
+  });
+
+  it('should record out-of-order events without applying them', async () => {
+    const result = await bookings.updateTransactionStatus('booking-1', 'EXPIRED', {
+      payment_request_id: 'pr-1',
+      reference_id: 'booking-1'
+    });
+
+    expect(result).toMatchObject({ success: false, status: 'completed', conflict: true });
+
+    const [, update] = tx.update.mock.calls[0];
+    expect(update).not.toHaveProperty(['transaction.status']);
+    expect(Object.keys(update)).toEqual([
+      'transaction.conflicts',
+      'transaction.conflictCount',
+      'transaction.lastConflictAt'
+    ]);
+  });
+
+  it('should apply allowed transitions', async () => {
+    booking.transaction.status = 'pending';
+
+    const result = await bookings.updateTransactionStatus('booking-1', 'SUCCEEDED', {
+      payment_request_id: 'pr-1',
+      reference_id: 'booking-1'
+    });
+
+    expect(result).toEqual({ success: true, bookingId: 'booking-1', status: 'completed' });
+    expect(tx.update.mock.calls[0][1]).toMatchObject({
+      'transaction.status': 'completed',
+      status: 'Content Pending'
+    });
+  });
+
+  it('should link a new payment request as the pending transaction', async () => {
+    booking.transaction.status = 'failed';
+    booking.transaction.failureCode = 'INSUFFICIENT_BALANCE';
+
+    const result = await bookings.linkPaymentRequest('booking-1', {
+      payment_request_id: 'pr-2',
+      reference_id: 'booking-1',
+      request_amount: 1500,
+      currency: 'PHP',
+      channel_code: 'GCASH'
+    });
+
+    expect(result).toEqual({ success: true, bookingId: 'booking-1', status: 'pending' });
+    expect(tx.update.mock.calls[0][1]).toMatchObject({
+      'transaction.status': 'pending',
+      'transaction.paymentRequestId': 'pr-2',
+      'transaction.amount': 1500,
+      'transaction.channelCode': 'GCASH',
+      'transaction.expiresAt': null
+    });
+  });
+
+  it('should not link a payment request over a settled transaction', async () => {
+    const result = await bookings.linkPaymentRequest('booking-1', { payment_request_id: 'pr-2' });
+
+    expect(result).toMatchObject({ success: false, status: 'completed' });
+    expect(tx.update).not.toHaveBeenCalled();
+  });
+
+  it('should keep a late event on its attempt when the booking has moved on', async () => {
+    booking.transaction = { status: 'completed', paymentRequestId: 'pr-2', activeAttemptId: 'pr-2' };
+    attempts['pr-1'].status = 'pending';
+
+    const result = await bookings.updateTransactionStatus('booking-1', 'EXPIRED', { payment_request_id: 'pr-1' });
+
+    const [ref, attempt, options] = tx.set.mock.calls[0];
+    expect(ref.id).toBe('pr-1');
+    expect(options).toEqual({ merge: true });
+    expect(attempt).toMatchObject({ status: 'expired', xenditStatus: 'EXPIRED' });
+    expect(attempt.timeline).toBeDefined();
+    expect(result).toMatchObject({ success: false, status: 'completed', inactiveAttempt: true });
+    expect(tx.update).not.toHaveBeenCalled();
+  });
+
+  it('should point the transaction at the attempt it applied', async () => {
+    booking.transaction.status = 'failed';
+
+    await bookings.updateTransactionStatus('booking-1', 'SUCCEEDED', {
+      payment_request_id: 'pr-3',
+      payment_id: 'py-3',
+      channel_code: 'CARDS'
+    });
+
+    expect(tx.set.mock.calls[0][1]).toMatchObject({
+      type: 'payment_request',
+      paymentRequestId: 'pr-3',
+      paymentId: 'py-3',
+      status: 'completed',
+      channelCode: 'CARDS'
+    });
+    expect(tx.set.mock.calls[0][1]).toHaveProperty('createdAt');
+    expect(tx.update.mock.calls[0][1]).toMatchObject({ 'transaction.activeAttemptId': 'pr-3' });
+  });
+
+  it('should not let a late event regress its own attempt', async () => {
+    await bookings.updateTransactionStatus('booking-1', 'EXPIRED', { payment_request_id: 'pr-1' });
+
+    const [, attempt] = tx.set.mock.calls[0];
+    expect(attempt).not.toHaveProperty('status');
+    expect(attempt).not.toHaveProperty('createdAt');
+  });
+});
+
+describe('Memory booking repository', () => {
+  beforeEach(() => {
+    storage.use('memory', {
+      seed: {
+        booking: {
+          'booking-1': { payLater: false, url: '', transaction: { status: 'failed', paymentRequestId: 'pr-1' } }
+        }
+      }
+    });
+  });
+
+  it('should link, settle and refund a booking like the Firestore backend', async () => {
+    await storage.bookings.linkPaymentRequest('booking-1', {
+      payment_request_id: 'pr-2',
+      reference_id: 'booking-1',
+      request_amount: 1500,
+      currency: 'PHP'
+    });
+    await storage.bookings.updateTransactionStatus('booking-1', 'SUCCEEDED', { payment_request_id: 'pr-2', payment_id: 'py-2' });
+    await storage.bookings.applyRefund('booking-1', { id: 'rfd-1', status: 'SUCCEEDED', amount: 500 });
+    await storage.bookings.applyRefund('booking-1', { id: 'rfd-1', status: 'SUCCEEDED', amount: 500 });
+
+    const booking = await storage.bookings.get('booking-1');
+    expect(booking).toMatchObject({
+      status: 'Content Pending',
+      transaction: {
+        status: 'partially_refunded',
+        paymentRequestId: 'pr-2',
+        paymentId: 'py-2',
+        activeAttemptId: 'pr-2',
+        refundedAmount: 500,
+        refundIds: ['rfd-1']
+      }
+    });
+    expect(booking.transaction.updatedAt).toBeInstanceOf(Date);
+
+    const [attempt] = await storage.bookings.listPaymentAttempts('booking-1');
+    expect(attempt).toMatchObject({ id: 'pr-2', status: 'partially_refunded', refundedAmount: 500 });
+    expect(attempt.timeline.map(entry => entry.status)).toEqual(['pending', 'completed', 'partially_refunded']);
+    expect(typeof attempt.createdAt).toBe('string');
+  });
+
+  it('should list pending bookings least recently reconciled first', async () => {
+    storage.store.seed({
+      booking: {
+        'booking-2': { transaction: { status: 'pending', reconciledAt: '2026-01-01T00:00:00.000Z' } },
+        'booking-3': { transaction: { status: 'pending', reconciledAt: '2026-01-02T00:00:00.000Z' } }
+      }
+    });
+    const cutoff = () => new Date(Date.now() + 1000);
+
+    expect((await storage.bookings.listPending({ olderThan: cutoff(), limit: 1 })).map(({ id }) => id)).toEqual(['booking-2']);
+
+    await storage.bookings.markReconciled('booking-2');
+
+    expect((await storage.bookings.listPending({ olderThan: cutoff(), limit: 2 })).map(({ id }) => id))
+      .toEqual(['booking-3', 'booking-2']);
+    expect(await storage.bookings.listPending({ olderThan: new Date('2026-01-01T12:00:00.000Z') })).toEqual([]);
+  });
+
+  it('should leave the booking on the new attempt when the previous one expires late', async () => {
+    await storage.bookings.linkPaymentRequest('booking-1', { payment_request_id: 'pr-2', reference_id: 'booking-1' });
+
+    const result = await storage.bookings.updateTransactionStatus('booking-1', 'EXPIRED', { payment_request_id: 'pr-1' });
+
+    expect(result).toMatchObject({ success: false, status: 'pending', inactiveAttempt: true });
+    expect((await storage.bookings.get('booking-1')).transaction).toMatchObject({
+      status: 'pending',
+      paymentRequestId: 'pr-2',
+      activeAttemptId: 'pr-2'
+    });
+
+    const attempts = await storage.bookings.listPaymentAttempts('booking-1');
+    expect(attempts.find(attempt => attempt.id === 'pr-1')).toMatchObject({ status: 'expired' });
+  });
+
+  it('should follow a late payment on a previous attempt', async () => {
+    await storage.bookings.linkPaymentRequest('booking-1', { payment_request_id: 'pr-2', reference_id: 'booking-1' });
+
+    await storage.bookings.updateTransactionStatus('booking-1', 'SUCCEEDED', { payment_request_id: 'pr-1', payment_id: 'py-1' });
+
+    expect((await storage.bookings.get('booking-1')).transaction).toMatchObject({
+      status: 'completed',
+      paymentRequestId: 'pr-1',
+      activeAttemptId: 'pr-1'
+    });
+  });
+
+  it('should not reopen a failed attempt', async () => {
+    await storage.bookings.linkPaymentRequest('booking-1', { payment_request_id: 'pr-2', reference_id: 'booking-1' });
+    await storage.bookings.updateTransactionStatus('booking-1', 'FAILED', { payment_request_id: 'pr-2' });
+
+    const result = await storage.bookings.updateTransactionStatus('booking-1', 'SUCCEEDED', { payment_request_id: 'pr-2' });
+    const relinked = await storage.bookings.linkPaymentRequest('booking-1', { payment_request_id: 'pr-2', reference_id: 'booking-1' });
+
+    expect(result).toMatchObject({ success: false, status: 'failed', conflict: true });
+    expect(relinked).toMatchObject({ success: false, status: 'failed' });
+    expect((await storage.bookings.get('booking-1')).transaction.status).toBe('failed');
+  });
+
+  it('should hold a booking for one payment request at a time', async () => {
+    await expect(storage.bookings.reservePayment('booking-1', 'key-1')).resolves.toMatchObject({ success: true });
+    await expect(storage.bookings.reservePayment('booking-1', 'key-1')).resolves.toMatchObject({ success: true });
+    await expect(storage.bookings.reservePayment('booking-1', 'key-2'))
+      .resolves.toMatchObject({ success: false, code: 'PAYMENT_IN_PROGRESS' });
+
+    await storage.bookings.releasePayment('booking-1', 'key-2');
+    expect((await storage.bookings.get('booking-1')).paymentReservation).toMatchObject({ id: 'key-1' });
+
+    await storage.bookings.linkPaymentRequest('booking-1', { payment_request_id: 'pr-2', reference_id: 'booking-1' });
+    expect((await storage.bookings.get('booking-1')).paymentReservation).toBeUndefined();
+    await expect(storage.bookings.reservePayment('booking-1', 'key-2')).resolves.toMatchObject({ success: true });
+
+    await storage.bookings.releasePayment('booking-1', 'key-2');
+    expect((await storage.bookings.get('booking-1')).paymentReservation).toBeUndefined();
+  });
+
+  it('should return the payment request a booking is still waiting on when reserving it', async () => {
+    await storage.bookings.linkPaymentRequest('booking-1', { payment_request_id: 'pr-2', reference_id: 'booking-1' });
+
+    await expect(storage.bookings.reservePayment('booking-1', 'key-1'))
+      .resolves.toMatchObject({ success: true, previousPaymentRequestId: 'pr-2' });
+
+    storage.store.write('booking', 'booking-1', { 'transaction.expiresAt': '2020-01-01T00:00:00.000Z' });
+    await expect(storage.bookings.reservePayment('booking-1', 'key-1'))
+      .resolves.toMatchObject({ success: true, previousPaymentRequestId: null });
+  });
+
+  it('should let a lapsed payment reservation be taken over and never reserve a paid booking', async () => {
+    storage.store.write('booking', 'booking-1', { paymentReservation: { id: 'key-1', expiresAt: '2020-01-01T00:00:00.000Z' } });
+
+    await expect(storage.bookings.reservePayment('booking-1', 'key-2')).resolves.toMatchObject({ success: true });
+
+    await storage.bookings.updateTransactionStatus('booking-1', 'SUCCEEDED', { payment_request_id: 'pr-1' });
+    await expect(storage.bookings.reservePayment('booking-1', 'key-3'))
+      .resolves.toMatchObject({ success: false, code: 'BOOKING_ALREADY_PAID', status: 'completed' });
+    await expect(storage.bookings.reservePayment('booking-9', 'key-3'))
+      .resolves.toMatchObject({ success: false, code: 'BOOKING_NOT_FOUND' });
+  });
+
+  it('should not refund a booking whose transaction was never completed', async () => {
+    const result = await storage.bookings.applyRefund('booking-1', { id: 'rfd-1', status: 'SUCCEEDED', amount: 500 });
+
+    expect(result).toMatchObject({ success: false, status: 'failed', conflict: true });
+    expect((await storage.bookings.get('booking-1')).transaction).toMatchObject({
+      status: 'failed',
+      conflictCount: 1,
+      conflicts: [expect.objectContaining({ from: 'failed', to: 'refunded', xenditStatus: 'SUCCEEDED' })]
+    });
+    expect((await storage.bookings.get('booking-1')).transaction.refundedAmount).toBeUndefined();
+  });
+
+  it('should record out-of-order events as conflicts', async () => {
+    await storage.bookings.updateTransactionStatus('booking-1', 'SUCCEEDED', { payment_request_id: 'pr-1' });
+    const result = await storage.bookings.updateTransactionStatus('booking-1', 'EXPIRED', { payment_request_id: 'pr-1' });
+
+    expect(result).toMatchObject({ success: false, status: 'completed', conflict: true });
+
+    const { bookings } = await storage.bookings.listConflicts();
+    expect(bookings).toEqual([expect.objectContaining({ id: 'booking-1', conflictCount: 1, transactionStatus: 'completed' })]);
+  });
+
+  it('should record a redelivered conflict once and keep only the latest conflicts', async () => {
+    await storage.bookings.updateTransactionStatus('booking-1', 'SUCCEEDED', { payment_request_id: 'pr-1' });
+    await storage.bookings.updateTransactionStatus('booking-1', 'EXPIRED', { payment_request_id: 'pr-1' });
+    await storage.bookings.updateTransactionStatus('booking-1', 'EXPIRED', { payment_request_id: 'pr-1' });
+
+    expect((await storage.bookings.get('booking-1')).transaction).toMatchObject({
+      conflictCount: 1,
+      conflicts: [expect.objectContaining({ to: 'expired', paymentRequestId: 'pr-1' })]
+    });
+
+    for (let index = 0; index < 25; index++) {
+      await storage.bookings.updateTransactionStatus('booking-1', 'FAILED', { payment_request_id: 'pr-1', payment_id: `py-${index}` });
+    }
+
+    const { transaction } = await storage.bookings.get('booking-1');
+    expect(transaction.conflictCount).toBe(26);
+    expect(transaction.conflicts).toHaveLength(20);
+    expect(transaction.conflicts[19]).toMatchObject({ paymentId: 'py-24' });
+  });
+
+  it('should report writes without applying them in dry-run mode', async () => {
+    const { result, writes } = await storage.dryRun(() =>
+      storage.bookings.updateTransactionStatus('booking-1', 'SUCCEEDED', { payment_request_id: 'pr-1' }));
+
+    expect(result).toMatchObject({ success: true, status: 'completed' });
+    expect(writes.map(write => write.collection)).toEqual(['payments', 'booking']);
+    expect(writes[1].changes['transaction.status']).toEqual({ from: 'failed', to: 'completed' });
+    expect((await storage.bookings.get('booking-1')).transaction.status).toBe('failed');
+  });
+});
@@ -0,0 +1,762 @@
+jest.mock('../src/shared/storage', () => ({
+  webhookInbox: {
+    record: jest.fn(),
+    startAttempt: jest.fn(),
+    complete: jest.fn(),
+    get: jest.fn(),
+    list: jest.fn()
+  },
+  bookings: {
+    updateTransactionStatus: jest.fn(async (bookingId, status) => ({ success: true, bookingId, status }))
+  },
+  paymentLogs: {
+    create: jest.fn(async () => 'log-1')
+  },
+  subscriptions: {
+    list: jest.fn(async () => [])
+  },
+  dryRun: jest.fn(),
+  isDryRun: jest.fn(() => false)
+}));
+
+const request = require('supertest');
+const express = require('express');
+const storage = require('../src/shared/storage');
+const logger = require('../src/shared/utils/logger');
+const errorHandler = require('../src/shared/middleware/errorHandler');
+const jwtService = require('../src/shared/services/jwtService');
+const userService = require('../src/shared/services/userService');
+const webhookRoutes = require('../src/features/webhooks');
+const webhookService = require('../src/features/webhooks/service');
+const WebhookWorker = require('../src/features/webhooks/worker');
+const registry = require('../src/features/webhooks/registry');
+const { validateWebhookConfig } = require('../src/features/webhooks/verification');
+const subscriptionService = require('../src/features/subscriptions/service');
+
+const waitFor = async (predicate, timeoutMs = 2000) => {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+const captureWebhook = {
+  event: 'payment.capture',
+  business_id: 'biz-1',
+  created: new Date().toISOString(),
+  data: {
+    payment_id: 'py-1',
+    payment_request_id: 'pr-1',
+    reference_id: 'booking-1',
+    status: 'SUCCEEDED',
+    amount: 1000,
+    currency: 'PHP'
+  }
+};
+
+describe('Webhook inbox', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.WEBHOOK_CALLBACK_TOKEN = 'callback-token';
+    storage.webhookInbox.record.mockResolvedValue({ created: true, entry: null });
+    storage.webhookInbox.startAttempt.mockResolvedValue({ started: true, entry: { id: 'wh-1', status: 'processing', attempts: 1 } });
+    storage.webhookInbox.complete.mockImplementation(async (id, error) => (error ? 'failed' : 'succeeded'));
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/webhooks', webhookRoutes);
+    app.use(errorHandler);
+  });
+
+  const deliver = (body = captureWebhook) => request(app)
+    .post('/api/v1/webhooks')
+    .set('x-callback-token', 'callback-token')
+    .set('webhook-id', 'wh-1')
+    .send(body);
+
+  it('should persist and acknowledge webhooks, then process them in the background', async () => {
+    const response = await deliver();
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Webhook received');
+    expect(storage.webhookInbox.record).toHaveBeenCalledWith('wh-1', expect.objectContaining({
+      event: 'payment.capture',
+      referenceId: 'booking-1'
+    }));
+
+    await waitFor(() => storage.webhookInbox.complete.mock.calls.length > 0);
+    expect(storage.bookings.updateTransactionStatus).toHaveBeenCalledTimes(1);
+    expect(storage.webhookInbox.complete).toHaveBeenCalledWith('wh-1', null, {
+      handlers: {
+        'payment-capture': { status: 'succeeded' },
+        'saved-payment-token': { status: 'succeeded' },
+        subscribers: { status: 'succeeded', deliveries: 0 }
+      }
+    });
+  });
+
+  it('should acknowledge duplicates without processing them again', async () => {
+    storage.webhookInbox.record.mockResolvedValue({ created: false, entry: { id: 'wh-1', status: 'succeeded' } });
+
+    const response = await deliver();
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Webhook already processed');
+    expect(storage.webhookInbox.startAttempt).not.toHaveBeenCalled();
+  });
+
+  it('should queue a redelivered webhook whose earlier attempt failed', async () => {
+    storage.webhookInbox.record.mockResolvedValue({ created: false, entry: { id: 'wh-1', status: 'failed', attempts: 1 } });
+    storage.webhookInbox.startAttempt.mockResolvedValue({ started: true, entry: { id: 'wh-1', status: 'processing', attempts: 2 } });
+
+    const response = await deliver();
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Webhook received');
+    await waitFor(() => storage.webhookInbox.complete.mock.calls.length > 0);
+    expect(storage.bookings.updateTransactionStatus).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fail the delivery when the webhook cannot be persisted', async () => {
+    storage.webhookInbox.record.mockRejectedValue(new Error('Firestore unavailable'));
+
+    const response = await deliver();
+
+    expect(response.status).toBe(500);
+    expect(storage.webhookInbox.startAttempt).not.toHaveBeenCalled();
+  });
+
+  describe('invoice callbacks', () => {
+    const paidInvoice = {
+      id: 'inv-1',
+      external_id: 'booking-1',
+      user_id: 'biz-1',
+      status: 'PAID',
+      merchant_name: 'Xendit',
+      amount: 1000,
+      paid_amount: 1000,
+      currency: 'PHP',
+      payment_channel: 'GCASH',
+      created: new Date(Date.now() - 5 * 60 * 1000).toISOString(),
+      updated: new Date().toISOString()
+    };
+
+    const deliverInvoice = (body = paidInvoice) => request(app)
+      .post('/api/v1/webhooks/invoices')
+      .set('x-callback-token', 'callback-token')
+      .send(body);
+
+    it('should store invoice callbacks as invoice events keyed by external_id', async () => {
+      const response = await deliverInvoice();
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ event: 'invoice.paid', webhookId: `invoice.paid-inv-1-${paidInvoice.updated}` });
+      expect(storage.webhookInbox.record).toHaveBeenCalledWith(response.body.webhookId, expect.objectContaining({
+        event: 'invoice.paid',
+        referenceId: 'booking-1'
+      }));
+
+      await waitFor(() => storage.webhookInbox.complete.mock.calls.length > 0);
+      expect(storage.bookings.updateTransactionStatus).toHaveBeenCalledWith('booking-1', 'PAID', expect.objectContaining({
+        invoice_id: 'inv-1',
+        amount: 1000,
+        channel_code: 'GCASH'
+      }));
+    });
+
+    it('should acknowledge redelivered invoice callbacks without processing them again', async () => {
+      storage.webhookInbox.record.mockResolvedValue({ created: false, entry: { status: 'succeeded' } });
+
+      const response = await deliverInvoice();
+
+      expect(response.body.message).toBe('Webhook already processed');
+      expect(storage.webhookInbox.startAttempt).not.toHaveBeenCalled();
+    });
+
+    it('should reject invoice callbacks without an external_id', async () => {
+      const { external_id, ...invoice } = paidInvoice;
+
+      const response = await deliverInvoice(invoice);
+
+      expect(response.status).toBe(400);
+      expect(storage.webhookInbox.record).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should mark failed handlers as failed with the attempt count', async () => {
+    storage.bookings.updateTransactionStatus.mockRejectedValueOnce(new Error('Firestore write failed'));
+
+    const result = await webhookService.processWebhook('wh-1', captureWebhook);
+
+    expect(result).toMatchObject({
+      webhookId: 'wh-1',
+      status: 'failed',
+      attempts: 1,
+      error: 'Webhook handlers failed: payment-capture (Firestore write failed)'
+    });
+    expect(storage.webhookInbox.complete).toHaveBeenCalledWith(
+      'wh-1',
+      expect.objectContaining({ message: 'Webhook handlers failed: payment-capture (Firestore write failed)' }),
+      {
+        attempts: 1,
+        maxAttempts: 5,
+        handlers: {
+          'payment-capture': { status: 'failed', error: 'Firestore write failed' },
+          'saved-payment-token': { status: 'succeeded' }
+        }
+      }
+    );
+  });
+
+  it('should publish processed webhooks to subscribers only after they succeed', async () => {
+    const publish = jest.spyOn(subscriptionService, 'publish').mockResolvedValue([]);
+
+    await webhookService.processWebhook('wh-1', captureWebhook);
+    storage.bookings.updateTransactionStatus.mockRejectedValueOnce(new Error('Firestore write failed'));
+    await webhookService.processWebhook('wh-2', captureWebhook);
+
+    expect(publish).toHaveBeenCalledTimes(1);
+    expect(publish).toHaveBeenCalledWith('wh-1', expect.objectContaining({ event: 'payment.capture' }));
+    publish.mockRestore();
+  });
+
+  it('should retry the webhook when its deliveries can\'t be recorded, without rerunning handlers', async () => {
+    const publish = jest.spyOn(subscriptionService, 'publish').mockRejectedValueOnce(new Error('Firestore write failed'));
+
+    const failed = await webhookService.processWebhook('wh-1', captureWebhook);
+
+    expect(failed.status).toBe('failed');
+    expect(storage.webhookInbox.complete).toHaveBeenCalledWith('wh-1', expect.any(Error), expect.objectContaining({
+      handlers: expect.objectContaining({ subscribers: { status: 'failed', error: 'Firestore write failed' } })
+    }));
+
+    storage.webhookInbox.startAttempt.mockResolvedValueOnce({
+      started: true,
+      entry: { id: 'wh-1', status: 'processing', attempts: 2, handlers: failed.handlers }
+    });
+    publish.mockResolvedValueOnce(['dlv-1']);
+    storage.bookings.updateTransactionStatus.mockClear();
+
+    const retried = await webhookService.processWebhook('wh-1', captureWebhook);
+
+    expect(retried.status).toBe('succeeded');
+    expect(retried.handlers.subscribers).toEqual({ status: 'succeeded', deliveries: 1 });
+    expect(storage.bookings.updateTransactionStatus).not.toHaveBeenCalled();
+    publish.mockRestore();
+  });
+
+  it('should dead-letter webhooks that fail on their last attempt', async () => {
+    storage.webhookInbox.startAttempt.mockResolvedValue({ started: true, entry: { id: 'wh-1', status: 'processing', attempts: 5 } });
+    storage.webhookInbox.complete.mockResolvedValue('dead_letter');
+    storage.bookings.updateTransactionStatus.mockRejectedValueOnce(new Error('Firestore write failed'));
+
+    const result = await webhookService.processWebhook('wh-1', captureWebhook);
+
+    expect(result.status).toBe('dead_letter');
+    expect(storage.webhookInbox.complete).toHaveBeenCalledWith('wh-1', expect.any(Error), expect.objectContaining({ attempts: 5, maxAttempts: 5 }));
+  });
+
+  it('should skip webhooks another worker is processing', async () => {
+    storage.webhookInbox.startAttempt.mockResolvedValue({ started: false, entry: { id: 'wh-1', status: 'processing', attempts: 1 } });
+
+    const result = await webhookService.processWebhook('wh-1', captureWebhook);
+
+    expect(result.status).toBe('skipped');
+    expect(storage.bookings.updateTransactionStatus).not.toHaveBeenCalled();
+  });
+
+  it('should list failed and dead-lettered webhooks for admins', async () => {
+    userService.users = [{ id: 'admin-1', username: 'ops', role: 'admin' }];
+    const token = jwtService.generateAccessToken({ userId: 'admin-1' });
+    storage.webhookInbox.list.mockResolvedValue({ webhooks: [{ id: 'wh-1', status: 'dead_letter' }], nextCursor: null });
+
+    const response = await request(app)
+      .get('/api/v1/webhooks/failed')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(storage.webhookInbox.list).toHaveBeenCalledWith(expect.objectContaining({
+      status: ['failed', 'dead_letter']
+    }));
+  });
+
+  it('should require authentication for the failed webhooks listing', async () => {
+    const response = await request(app).get('/api/v1/webhooks/failed');
+
+    expect(response.status).toBe(401);
+    expect(storage.webhookInbox.list).not.toHaveBeenCalled();
+  });
+
+  it('should list webhooks from the inbox with filters and a cursor', async () => {
+    userService.users = [{ id: 'admin-1', username: 'ops', role: 'admin' }];
+    storage.webhookInbox.list.mockResolvedValue({ webhooks: [{ id: 'wh-2' }], nextCursor: 'wh-2' });
+
+    const response = await request(app)
+      .get('/api/v1/webhooks?status=failed&limit=1&cursor=wh-1')
+      .set('Authorization', `Bearer ${jwtService.generateAccessToken({ userId: 'admin-1' })}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({ webhooks: [{ id: 'wh-2' }], nextCursor: 'wh-2' });
+    expect(storage.webhookInbox.list).toHaveBeenCalledWith({
+      event: undefined,
+      status: 'failed',
+      referenceId: undefined,
+      limit: 1,
+      cursor: 'wh-1'
+    });
+  });
+
+  it('should return 404 for webhooks not in the inbox', async () => {
+    userService.users = [{ id: 'admin-1', username: 'ops', role: 'admin' }];
+    storage.webhookInbox.get.mockResolvedValue(null);
+
+    const response = await request(app)
+      .get('/api/v1/webhooks/wh-unknown')
+      .set('Authorization', `Bearer ${jwtService.generateAccessToken({ userId: 'admin-1' })}`);
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.code).toBe('WEBHOOK_NOT_FOUND');
+  });
+
+  it('should only show inbox webhooks to admins', async () => {
+    userService.users = [{ id: 'user-1', username: 'guest', role: 'user' }];
+    const token = jwtService.generateAccessToken({ userId: 'user-1' });
+
+    expect((await request(app).get('/api/v1/webhooks')).status).toBe(401);
+    expect((await request(app).get('/api/v1/webhooks/wh-1').set('Authorization', `Bearer ${token}`)).status).toBe(403);
+    expect(storage.webhookInbox.list).not.toHaveBeenCalled();
+    expect(storage.webhookInbox.get).not.toHaveBeenCalled();
+  });
+
+  describe('replay', () => {
+    let token;
+
+    beforeEach(() => {
+      userService.users = [{ id: 'admin-1', username: 'ops', role: 'admin' }];
+      token = jwtService.generateAccessToken({ userId: 'admin-1' });
+      storage.webhookInbox.get.mockResolvedValue({
+        id: 'wh-1',
+        status: 'succeeded',
+        event: captureWebhook.event,
+        businessId: captureWebhook.business_id,
+        created: captureWebhook.created,
+        data: captureWebhook.data
+      });
+    });
+
+    it('should reprocess a stored webhook regardless of its status', async () => {
+      const response = await request(app)
+        .post('/api/v1/webhooks/wh-1/replay')
+        .set('Authorization', `Bearer ${token}`)
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ webhookId: 'wh-1', previousStatus: 'succeeded', outcome: 'succeeded' });
+      expect(storage.webhookInbox.startAttempt).toHaveBeenCalledWith('wh-1', expect.objectContaining({ force: true }));
+      expect(storage.bookings.updateTransactionStatus).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report the would-be changes in dry-run mode', async () => {
+      const bookingChange = {
+        collection: 'booking',
+        documentId: 'booking-1',
+        operation: 'update',
+        changes: { 'transaction.status': { from: 'pending', to: 'completed' } }
+      };
+      storage.dryRun.mockImplementation(async (fn) => ({
+        result: await fn(),
+        writes: [{ collection: 'webhook_inbox', documentId: 'wh-1', operation: 'update', changes: {} }, bookingChange]
+      }));
+
+      const response = await request(app)
+        .post('/api/v1/webhooks/wh-1/replay')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ dryRun: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.changes).toEqual([bookingChange]);
+    });
+
+    it('should replay matching webhooks oldest first', async () => {
+      storage.webhookInbox.list.mockResolvedValue({
+        webhooks: [
+          { id: 'wh-1', event: 'payment.capture', status: 'failed', data: captureWebhook.data },
+          { id: 'wh-2', event: 'payment.capture', status: 'dead_letter', data: captureWebhook.data }
+        ],
+        nextCursor: null
+      });
+      storage.bookings.updateTransactionStatus.mockRejectedValueOnce(new Error('still broken'));
+
+      const response = await request(app)
+        .post('/api/v1/webhooks/replay')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ event: 'payment.capture', from: '2026-10-01T00:00:00.000Z' });
+
+      expect(response.status).toBe(200);
+      expect(storage.webhookInbox.list).toHaveBeenCalledWith(expect.objectContaining({
+        event: 'payment.capture',
+        from: '2026-10-01T00:00:00.000Z',
+        order: 'asc'
+      }));
+      expect(response.body.data).toMatchObject({ total: 2, succeeded: 1, failed: 1 });
+      expect(response.body.data.results[0]).toMatchObject({
+        webhookId: 'wh-1',
+        outcome: 'failed',
+        error: 'Webhook handlers failed: payment-capture (still broken)',
+        handlers: { 'payment-capture': { status: 'failed', error: 'still broken' } }
+      });
+    });
+
+    it('should reject bulk replays without a filter', async () => {
+      const response = await request(app)
+        .post('/api/v1/webhooks/replay')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ dryRun: true });
+
+      expect(response.status).toBe(400);
+      expect(storage.webhookInbox.list).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Webhook verification', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage.webhookInbox.record.mockResolvedValue({ created: true, entry: null });
+    storage.webhookInbox.startAttempt.mockResolvedValue({ started: false, entry: null });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/webhooks', webhookRoutes);
+    app.use(errorHandler);
+  });
+
+  afterEach(() => {
+    process.env.WEBHOOK_CALLBACK_TOKEN = 'callback-token';
+    delete process.env.WEBHOOK_CALLBACK_TOKENS;
+    delete process.env.WEBHOOK_ALLOWED_IPS;
+  });
+
+  const deliver = (token, body = captureWebhook) => request(app)
+    .post('/api/v1/webhooks')
+    .set('x-callback-token', token)
+    .send(body);
+
+  it('should accept every token inside its validity window during a rotation', async () => {
+    const hour = 60 * 60 * 1000;
+    delete process.env.WEBHOOK_CALLBACK_TOKEN;
+    process.env.WEBHOOK_CALLBACK_TOKENS = JSON.stringify([
+      { token: 'retired-token', validUntil: new Date(Date.now() - hour).toISOString() },
+      { token: 'old-token', validUntil: new Date(Date.now() + hour).toISOString() },
+      { token: 'new-token', validFrom: new Date(Date.now() - hour).toISOString() },
+      { token: 'next-token', validFrom: new Date(Date.now() + hour).toISOString() }
+    ]);
+
+    expect((await deliver('old-token')).status).toBe(200);
+    expect((await deliver('new-token')).status).toBe(200);
+    expect((await deliver('retired-token')).status).toBe(401);
+    expect((await deliver('next-token')).status).toBe(401);
+  });
+
+  it('should log and ignore tokens with an invalid validity window', async () => {
+    const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+    delete process.env.WEBHOOK_CALLBACK_TOKEN;
+    process.env.WEBHOOK_CALLBACK_TOKENS = JSON.stringify([
+      { token: 'typo-token', validUntil: '2025-13-45' },
+      { token: 'new-token' }
+    ]);
+
+    expect(validateWebhookConfig()).toBe(true);
+    expect(error).toHaveBeenCalledWith(
+      expect.stringContaining('invalid validFrom/validUntil'),
+      { index: 0, validFrom: undefined, validUntil: '2025-13-45' }
+    );
+    expect((await deliver('typo-token')).status).toBe(401);
+    expect((await deliver('new-token')).status).toBe(200);
+    error.mockRestore();
+  });
+
+  it('should report at startup when no token is valid now', () => {
+    const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+    delete process.env.WEBHOOK_CALLBACK_TOKEN;
+    process.env.WEBHOOK_CALLBACK_TOKENS = JSON.stringify([{ token: 'next-token', validFrom: '2999-01-01T00:00:00Z' }]);
+
+    expect(validateWebhookConfig()).toBe(false);
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('No webhook callback token is valid'), { configuredTokens: 1 });
+    error.mockRestore();
+  });
+
+  it('should only accept deliveries from allowlisted IPs when configured', async () => {
+    process.env.WEBHOOK_ALLOWED_IPS = '10.0.0.0/8, 192.168.1.10';
+
+    const rejected = await deliver('callback-token');
+    expect(rejected.status).toBe(403);
+    expect(rejected.body.error.code).toBe('WEBHOOK_SOURCE_NOT_ALLOWED');
+
+    process.env.WEBHOOK_ALLOWED_IPS = '10.0.0.0/8,127.0.0.0/8';
+    expect((await deliver('callback-token')).status).toBe(200);
+  });
+
+  it('should reject deliveries created outside the accepted window', async () => {
+    const stale = await deliver('callback-token', {
+      ...captureWebhook,
+      created: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString()
+    });
+
+    expect(stale.status).toBe(400);
+    expect(stale.body.error.code).toBe('STALE_WEBHOOK');
+    expect(storage.webhookInbox.record).not.toHaveBeenCalled();
+  });
+});
+
+describe('Webhook handler registry', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.WEBHOOK_CALLBACK_TOKEN = 'callback-token';
+    storage.webhookInbox.startAttempt.mockResolvedValue({ started: true, entry: { id: 'wh-1', status: 'processing', attempts: 1 } });
+    storage.webhookInbox.complete.mockImplementation(async (id, error) => (error ? 'failed' : 'succeeded'));
+  });
+
+  it('should run every handler subscribed to an event', async () => {
+    const calls = [];
+    registry.register('test.multiple', 'first', async (data, { event }) => calls.push(['first', event, data.reference_id]));
+    registry.register('test.multiple', 'second', async () => calls.push(['second']));
+
+    const results = await webhookService.dispatch('test.multiple', { reference_id: 'booking-1' }, 'wh-1');
+
+    expect(calls).toEqual([['first', 'test.multiple', 'booking-1'], ['second']]);
+    expect(results).toEqual({ first: { status: 'succeeded' }, second: { status: 'succeeded' } });
+  });
+
+  it('should isolate and report failing handlers', async () => {
+    const notify = jest.fn();
+    registry.register('test.isolated', 'booking', async () => { throw new Error('Booking locked'); });
+    registry.register('test.isolated', 'notifications', notify);
+
+    const result = await webhookService.processWebhook('wh-1', { ...captureWebhook, event: 'test.isolated' });
+
+    expect(notify).toHaveBeenCalled();
+    expect(result).toMatchObject({
+      status: 'failed',
+      error: 'Webhook handlers failed: booking (Booking locked)',
+      handlers: {
+        booking: { status: 'failed', error: 'Booking locked' },
+        notifications: { status: 'succeeded' }
+      }
+    });
+  });
+
+  it('should mark events without handlers ignored and not publish them', async () => {
+    const publish = jest.spyOn(subscriptionService, 'publish');
+
+    const result = await webhookService.processWebhook('wh-1', { ...captureWebhook, event: 'test.unhandled' });
+
+    expect(result).toEqual({ webhookId: 'wh-1', status: 'ignored', attempts: 1 });
+    expect(storage.webhookInbox.complete).toHaveBeenCalledWith('wh-1', null, { ignored: true });
+    expect(publish).not.toHaveBeenCalled();
+    publish.mockRestore();
+  });
+
+  it('should only rerun failed handlers on retry', async () => {
+    storage.webhookInbox.startAttempt.mockResolvedValue({
+      started: true,
+      entry: {
+        id: 'wh-1',
+        status: 'processing',
+        attempts: 2,
+        handlers: {
+          'payment-capture': { status: 'succeeded' },
+          'saved-payment-token': { status: 'failed', error: 'Timeout' }
+        }
+      }
+    });
+
+    const result = await webhookService.processWebhook('wh-1', captureWebhook);
+
+    expect(result.status).toBe('succeeded');
+    expect(storage.bookings.updateTransactionStatus).not.toHaveBeenCalled();
+    expect(result.handlers).toEqual({
+      'payment-capture': { status: 'succeeded' },
+      'saved-payment-token': { status: 'succeeded' },
+      subscribers: { status: 'succeeded', deliveries: 0 }
+    });
+  });
+
+  it('should rerun every handler on replay', async () => {
+    storage.webhookInbox.startAttempt.mockResolvedValue({
+      started: true,
+      entry: { id: 'wh-1', status: 'processing', attempts: 2, handlers: { 'payment-capture': { status: 'succeeded' } } }
+    });
+
+    await webhookService.processWebhook('wh-1', captureWebhook, { replay: true });
+
+    expect(storage.bookings.updateTransactionStatus).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject duplicate handler names for an event', () => {
+    expect(() => registry.register('payment.capture', 'payment-capture', async () => {}))
+      .toThrow('already registered');
+  });
+
+  it('should accept only events with registered handlers', async () => {
+    storage.webhookInbox.record.mockResolvedValue({ created: true, entry: null });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/v1/webhooks', webhookRoutes);
+    app.use(errorHandler);
+
+    const deliver = (event) => request(app)
+      .post('/api/v1/webhooks')
+      .set('x-callback-token', 'callback-token')
+      .send({ ...captureWebhook, event });
+
+    const unknown = await deliver('test.registered_later');
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error.code).toBe('VALIDATION_ERROR');
+
+    registry.register('test.registered_later', 'late', async () => {});
+
+    const known = await deliver('test.registered_later');
+    expect(known.status).toBe(200);
+  });
+});
+
+describe('WebhookWorker', () => {
+  const deferred = () => {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+  };
+
+  it('should process jobs for the same booking in order while other bookings proceed', async () => {
+    const firstJob = deferred();
+    const order = [];
+    const worker = new WebhookWorker(async (job) => {
+      order.push(`start ${job.id}`);
+      if (job.id === 'a1') {
+        await firstJob.promise;
+      }
+      order.push(`end ${job.id}`);
+      return { status: 'succeeded', attempts: 1 };
+    }, { concurrency: 4 });
+
+    worker.enqueue({ id: 'a1', key: 'booking-a' });
+    worker.enqueue({ id: 'a2', key: 'booking-a' });
+    worker.enqueue({ id: 'b1', key: 'booking-b' });
+
+    await waitFor(() => order.includes('end b1'));
+    expect(order).not.toContain('start a2');
+
+    firstJob.resolve();
+    await waitFor(() => order.includes('end a2'));
+    expect(order.indexOf('end a1')).toBeLessThan(order.indexOf('start a2'));
+  });
+
+  it('should retry failed jobs with backoff before later jobs for the booking', async () => {
+    const order = [];
+    let failures = 0;
+    const worker = new WebhookWorker(async (job) => {
+      order.push(job.id);
+      if (job.id === 'a1' && failures++ < 2) {
+        return { status: 'failed', attempts: failures, error: 'boom' };
+      }
+      return { status: 'succeeded', attempts: 1 };
+    }, { retryBaseDelayMs: 5, retryMaxDelayMs: 20 });
+
+    worker.enqueue({ id: 'a1', key: 'booking-a' });
+    worker.enqueue({ id: 'a2', key: 'booking-a' });
+
+    await waitFor(() => order.includes('a2'));
+    expect(order).toEqual(['a1', 'a1', 'a1', 'a2']);
+  });
+
+  it('should count attempts of a throwing handler and give up at the max', async () => {
+    const attempts = [];
+    const worker = new WebhookWorker(async (job) => {
+      attempts.push(job.attempts || 0);
+      if (job.id === 'a1') {
+        throw new Error('Firestore unavailable');
+      }
+      return { status: 'succeeded', attempts: 1 };
+    }, { retryBaseDelayMs: 1, retryMaxDelayMs: 5, maxAttempts: 3 });
+    const delays = jest.spyOn(worker, 'getRetryDelay');
+
+    worker.enqueue({ id: 'a1', key: 'booking-a' });
+    worker.enqueue({ id: 'a2', key: 'booking-a' });
+
+    // a2 only runs once a1 releases the booking
+    await waitFor(() => attempts.length === 4);
+    expect(attempts).toEqual([0, 1, 2, 0]);
+    expect(delays.mock.calls).toEqual([[1], [2]]);
+    expect(worker.jobIds.has('a1')).toBe(false);
+  });
+
+  it('should ignore jobs that are already queued', () => {
+    const worker = new WebhookWorker(() => new Promise(() => {}), { concurrency: 1 });
+
+    expect(worker.enqueue({ id: 'a1', key: 'booking-a' })).toBe(true);
+    expect(worker.enqueue({ id: 'a1', key: 'booking-a' })).toBe(false);
+  });
+
+  it('should let running jobs finish and start no new ones when stopped', async () => {
+    const running = deferred();
+    const started = [];
+    const worker = new WebhookWorker(async (job) => {
+      started.push(job.id);
+      await running.promise;
+      return { status: 'succeeded', attempts: 1 };
+    }, { concurrency: 1 });
+
+    worker.enqueue({ id: 'a1', key: 'booking-a' });
+    worker.enqueue({ id: 'b1', key: 'booking-b' });
+
+    const stopped = worker.stop(1000);
+    running.resolve();
+
+    await expect(stopped).resolves.toBe(true);
+    expect(started).toEqual(['a1']);
+    expect(worker.enqueue({ id: 'c1', key: 'booking-c' })).toBe(false);
+  });
+
+  it('should give up waiting after the drain timeout', async () => {
+    const worker = new WebhookWorker(() => new Promise(() => {}), { concurrency: 1 });
+    worker.enqueue({ id: 'a1', key: 'booking-a' });
+
+    await expect(worker.stop(10)).resolves.toBe(false);
+  });
+});
+
+describe('Storage dry run', () => {
+  const { write } = jest.requireActual('../src/shared/storage/firestore/db');
+  const { dryRun } = jest.requireActual('../src/shared/storage/dryRun');
+  const admin = require('firebase-admin');
+
+  it('should record changed fields instead of writing', async () => {
+    const ref = { id: 'booking-1', parent: { id: 'booking' }, update: jest.fn() };
+
+    const { writes } = await dryRun(() => write(ref, {
+      'transaction.status': 'completed',
+      'transaction.currency': 'PHP',
+      'transaction.updatedAt': admin.firestore.FieldValue.serverTimestamp()
+    }, { current: { transaction: { status: 'pending', currency: 'PHP' } } }));
+
+    expect(ref.update).not.toHaveBeenCalled();
+    expect(writes).toEqual([{
+      collection: 'booking',
+      documentId: 'booking-1',
+      operation: 'update',
+      changes: {
+        'transaction.status': { from: 'pending', to: 'completed' },
+        'transaction.updatedAt': { from: null, to: 'FieldValue.serverTimestamp' }
+      }
+    }]);
+  });
+});
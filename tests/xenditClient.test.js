@@ -0,0 +1,264 @@
+const xenditClient = require('../src/shared/services/xenditClient');
+const XenditApiError = require('../src/shared/errors/xenditApiError');
+const RequestQueue = require('../src/shared/utils/requestQueue');
+
+const httpError = (status, headers = {}, data = {}) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data };
+  return error;
+};
+
+describe('XenditClient', () => {
+  let request;
+
+  beforeEach(() => {
+    request = jest.fn();
+    xenditClient.client = { request };
+    xenditClient.retryBaseDelayMs = 1;
+    xenditClient.retryMaxDelayMs = 50;
+    xenditClient.maxRetries = 3;
+    xenditClient.circuitBreaker.state = 'CLOSED';
+    xenditClient.circuitBreaker.failures = 0;
+    xenditClient.circuitBreaker.openedAt = null;
+    xenditClient.circuitBreaker.halfOpenInFlight = false;
+    xenditClient.circuitBreaker.failureThreshold = 5;
+    xenditClient.queue = new RequestQueue('Xendit API', { concurrency: 10, requestsPerSecond: 100 });
+  });
+
+  describe('retries', () => {
+    it('should retry GET requests on 5xx and return the eventual response', async () => {
+      request
+        .mockRejectedValueOnce(httpError(503))
+        .mockRejectedValueOnce(httpError(502))
+        .mockResolvedValueOnce({ data: { id: 'pr-1' } });
+
+      const result = await xenditClient.getPaymentRequest('pr-1');
+
+      expect(result).toEqual({ id: 'pr-1' });
+      expect(request).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry at all when XENDIT_MAX_RETRIES is 0', () => {
+      const original = process.env.XENDIT_MAX_RETRIES;
+      process.env.XENDIT_MAX_RETRIES = '0';
+
+      jest.isolateModules(() => {
+        expect(require('../src/shared/services/xenditClient').maxRetries).toBe(0);
+      });
+
+      process.env.XENDIT_MAX_RETRIES = 'three';
+      jest.isolateModules(() => {
+        expect(require('../src/shared/services/xenditClient').maxRetries).toBe(3);
+      });
+
+      if (original === undefined) {
+        delete process.env.XENDIT_MAX_RETRIES;
+      } else {
+        process.env.XENDIT_MAX_RETRIES = original;
+      }
+    });
+
+    it('should not retry POST requests without an idempotency key', async () => {
+      request.mockRejectedValueOnce(httpError(500));
+
+      await expect(xenditClient.createPaymentRequest({})).rejects.toThrow('500');
+      expect(request).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry POST requests that carry an idempotency key', async () => {
+      request
+        .mockRejectedValueOnce(httpError(500))
+        .mockResolvedValueOnce({ data: { id: 'pr-2' } });
+
+      const result = await xenditClient.createPaymentRequest({}, { idempotencyKey: 'key-1' });
+
+      expect(result).toEqual({ id: 'pr-2' });
+      expect(request).toHaveBeenCalledTimes(2);
+      expect(request.mock.calls[0][0].headers).toEqual({ 'idempotency-key': 'key-1' });
+    });
+
+    it('should not retry 4xx responses other than 429', async () => {
+      request.mockRejectedValueOnce(httpError(404));
+
+      await expect(xenditClient.getPayment('py-1')).rejects.toThrow('404');
+      expect(request).toHaveBeenCalledTimes(1);
+    });
+
+    it('should honor Retry-After on 429', async () => {
+      request
+        .mockRejectedValueOnce(httpError(429, { 'retry-after': '0' }))
+        .mockResolvedValueOnce({ data: { id: 'py-1' } });
+
+      await expect(xenditClient.getPayment('py-1')).resolves.toEqual({ id: 'py-1' });
+      expect(request).toHaveBeenCalledTimes(2);
+    });
+
+    it('should give up when Retry-After exceeds the retry budget', async () => {
+      request.mockRejectedValueOnce(httpError(429, { 'retry-after': '120' }));
+
+      await expect(xenditClient.getPayment('py-1')).rejects.toThrow('429');
+      expect(request).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('errors', () => {
+    it('should raise XenditApiError with the Xendit error details', async () => {
+      request.mockImplementationOnce((config) => {
+        const error = httpError(400, {}, {
+          error_code: 'API_VALIDATION_ERROR',
+          message: 'Invalid request',
+          errors: [{ path: 'request_amount', message: 'must be positive' }]
+        });
+        error.config = config;
+        return Promise.reject(error);
+      });
+
+      const error = await xenditClient.createPaymentRequest({}).catch(err => err);
+
+      expect(error).toBeInstanceOf(XenditApiError);
+      expect(error).toMatchObject({
+        status: 400,
+        errorCode: 'API_VALIDATION_ERROR',
+        message: 'Invalid request',
+        resource: 'PAYMENT_REQUEST',
+        errors: [{ field: 'request_amount', message: 'must be positive' }]
+      });
+    });
+  });
+
+  describe('circuit breaker', () => {
+    it('should open after repeated failures and fail fast', async () => {
+      xenditClient.circuitBreaker.failureThreshold = 2;
+      request.mockRejectedValue(httpError(500));
+
+      await expect(xenditClient.cancelPayment('py-1')).rejects.toThrow('500');
+      await expect(xenditClient.cancelPayment('py-1')).rejects.toThrow('500');
+      await expect(xenditClient.cancelPayment('py-1')).rejects.toMatchObject({
+        code: 'XENDIT_CIRCUIT_OPEN',
+        statusCode: 503
+      });
+
+      expect(request).toHaveBeenCalledTimes(2);
+      expect(xenditClient.getHealth().circuitBreaker.state).toBe('OPEN');
+    });
+
+    it('should close again after a successful trial request', async () => {
+      xenditClient.circuitBreaker.state = 'OPEN';
+      xenditClient.circuitBreaker.openedAt = Date.now() - xenditClient.circuitBreaker.resetTimeoutMs;
+      request.mockResolvedValueOnce({ data: { id: 'py-1' } });
+
+      await xenditClient.getPayment('py-1');
+
+      expect(xenditClient.getHealth().circuitBreaker.state).toBe('CLOSED');
+    });
+  });
+
+  describe('request queue', () => {
+    const deferred = () => {
+      let resolve;
+      const promise = new Promise(r => { resolve = r; });
+      return { promise, resolve };
+    };
+
+    it('should key queued requests by endpoint with IDs collapsed', () => {
+      expect(xenditClient.endpointKey({ method: 'post', url: '/v3/payment_requests/pr-123/cancel' }))
+        .toBe('POST /v3/payment_requests/:id/cancel');
+      expect(xenditClient.endpointKey({ method: 'get', url: '/v2/invoices' }))
+        .toBe('GET /v2/invoices');
+      expect(xenditClient.endpointKey({ method: 'post', url: '/invoices/65f1c0ffee0000000000abcd/expire!' }))
+        .toBe('POST /invoices/:id/expire!');
+    });
+
+    it('should dispatch queued writes ahead of queued reads', async () => {
+      xenditClient.queue = new RequestQueue('Xendit API', { concurrency: 1, requestsPerSecond: 100 });
+      const blocker = deferred();
+      const order = [];
+
+      request.mockImplementation((config) => {
+        order.push(`${config.method} ${config.url}`);
+        return order.length === 1 ? blocker.promise : Promise.resolve({ data: {} });
+      });
+
+      const first = xenditClient.getPayment('py-1');
+      const read = xenditClient.getPaymentRequest('pr-1');
+      const create = xenditClient.createPaymentRequest({});
+
+      expect(xenditClient.getHealth().queue).toMatchObject({
+        depth: 2,
+        active: 1,
+        depthByKey: { 'GET /v3/payment_requests/:id': 1, 'POST /v3/payment_requests': 1 }
+      });
+
+      blocker.resolve({ data: {} });
+      await Promise.all([first, read, create]);
+
+      expect(order).toEqual([
+        'get /v3/payments/py-1',
+        'post /v3/payment_requests',
+        'get /v3/payment_requests/pr-1'
+      ]);
+      expect(request.mock.calls[1][0].queue).toEqual({ waitMs: expect.any(Number), depth: 1 });
+    });
+
+    it('should let other endpoints proceed when one endpoint is at its limit', async () => {
+      xenditClient.queue = new RequestQueue('Xendit API', {
+        concurrency: 10,
+        requestsPerSecond: 100,
+        limits: { 'GET /v3/payments/:id': { concurrency: 1 } }
+      });
+      const blocker = deferred();
+
+      request.mockImplementation(config => (
+        config.url === '/v3/payments/py-1' ? blocker.promise : Promise.resolve({ data: { url: config.url } })
+      ));
+
+      const first = xenditClient.getPayment('py-1');
+      const second = xenditClient.getPayment('py-2');
+
+      await expect(xenditClient.getPaymentRequest('pr-1')).resolves.toEqual({ url: '/v3/payment_requests/pr-1' });
+      expect(xenditClient.getHealth().queue.depthByKey).toEqual({ 'GET /v3/payments/:id': 1 });
+
+      blocker.resolve({ data: {} });
+      await Promise.all([first, second]);
+      expect(request).toHaveBeenCalledTimes(3);
+    });
+
+    it('should fail requests that wait longer than the queue timeout', async () => {
+      xenditClient.queue = new RequestQueue('Xendit API', { concurrency: 1, requestsPerSecond: 100, timeoutMs: 20 });
+      const blocker = deferred();
+      request.mockReturnValueOnce(blocker.promise);
+
+      const first = xenditClient.getPayment('py-1');
+
+      await expect(xenditClient.getPayment('py-2')).rejects.toMatchObject({
+        code: 'XENDIT_QUEUE_TIMEOUT',
+        statusCode: 503
+      });
+      expect(xenditClient.getHealth().queue.timedOut).toBe(1);
+      expect(xenditClient.circuitBreaker.failures).toBe(0);
+
+      blocker.resolve({ data: {} });
+      await first;
+    });
+
+    it('should hold requests over the per-second budget until the window frees up', async () => {
+      xenditClient.queue = new RequestQueue('Xendit API', { concurrency: 10, requestsPerSecond: 1, timeoutMs: 5000 });
+      request.mockResolvedValue({ data: {} });
+      jest.useFakeTimers({ now: 0 });
+
+      try {
+        await xenditClient.getPayment('py-1');
+        const second = xenditClient.getPayment('py-2');
+
+        expect(request).toHaveBeenCalledTimes(1);
+        expect(xenditClient.getHealth().queue.depth).toBe(1);
+
+        await jest.advanceTimersByTimeAsync(1000);
+        await second;
+        expect(request).toHaveBeenCalledTimes(2);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+});